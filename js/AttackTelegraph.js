@@ -114,10 +114,11 @@ class AttackTelegraph extends THREE.Object3D {
     }
     
     /**
-     * Create line telegraph for ranged attacks
+     * Create line telegraph for ranged attacks (customThickness sets the line width)
      */
     createLineTelegraph() {
-        const geometry = new THREE.PlaneGeometry(0.5, this.range * 2);
+        const width = this.customThickness || 0.5;
+        const geometry = new THREE.PlaneGeometry(width, this.range * 2);
         const material = new THREE.MeshBasicMaterial({
             color: 0xff0000,
             transparent: true,
@@ -348,6 +349,25 @@ class AttackTelegraph extends THREE.Object3D {
         console.log('Telegraph completed - attack should execute now');
     }
     
+    /**
+     * Check if a ground position lies inside the warned area
+     */
+    containsPoint(point) {
+        const dx = point.x - this.position.x;
+        const dz = point.z - this.position.z;
+        
+        if (this.attackType === 'ranged') {
+            // Line centered on the telegraph, running along its facing
+            const angle = this.rotation.y;
+            const along = dx * Math.sin(angle) + dz * Math.cos(angle);
+            const across = dx * Math.cos(angle) - dz * Math.sin(angle);
+            const width = this.customThickness || 0.5;
+            return Math.abs(along) <= this.range && Math.abs(across) <= width / 2;
+        }
+        
+        return dx * dx + dz * dz <= this.range * this.range;
+    }
+    
     /**
      * Cancel the telegraph (if enemy is interrupted)
      */
@@ -394,6 +414,7 @@ class TelegraphManager {
     constructor(scene) {
         this.scene = scene;
         this.activeTelegraphs = [];
+        this.onTelegraphComplete = null; // Called when a warning runs out (not when cancelled)
     }
     
     /**
@@ -419,9 +440,14 @@ class TelegraphManager {
         
         for (let i = this.activeTelegraphs.length - 1; i >= 0; i--) {
             const telegraph = this.activeTelegraphs[i];
+            const wasActive = telegraph.isActive;
             
             telegraph.update(deltaTime);
             
+            if (wasActive && !telegraph.isActive && telegraph.parent && this.onTelegraphComplete) {
+                this.onTelegraphComplete(telegraph);
+            }
+            
             // Remove completed telegraphs or telegraphs that have been removed from scene
             if (!telegraph.isActive && !telegraph.visible) {
                 // Only remove from scene if still attached
@@ -463,6 +489,13 @@ class TelegraphManager {
         }
     }
     
+    /**
+     * Set the callback for completed telegraphs
+     */
+    setOnTelegraphComplete(callback) {
+        this.onTelegraphComplete = callback;
+    }
+    
     /**
      * Get count of active telegraphs
      */
@@ -0,0 +1,494 @@
+/**
+ * BossEnemy - Enemy with a large health pool that fights in phases
+ * Each phase (from the archetype's boss block) starts at a health threshold and
+ * picks scripted patterns between regular attacks: fireball rings, line barrages,
+ * charges and summoned adds. Patterns run on the host; clients see the fireballs,
+ * telegraphs and movement it sends.
+ */
+class BossEnemy extends Enemy {
+    constructor(walkTexture, attackTextures, hitTexture, deathTexture, width = 5.2, height = 5.2, frameWidth = 200, frameHeight = 200, fps = 16) {
+        super(walkTexture, attackTextures, hitTexture, deathTexture, width, height, frameWidth, frameHeight, fps);
+
+        this.isBoss = true;
+        this.bossName = 'Boss';
+        this.staggerImmune = true;
+
+        // The screen-wide bar replaces the small per-enemy one
+        this.remove(this.healthBar);
+        this.healthBar = null;
+        this.bossHealthBar = null;
+
+        // Patterns keep going through lightning - bosses can be burned, slowed and shocked but not stunned
+        this.statusEffects.addImmunity('stun');
+
+        // Phases (ordered by falling health threshold)
+        this.bossConfig = null; // Archetype boss block
+        this.phases = [];
+        this.phaseIndex = 0;
+        this.baseChaseSpeed = this.chaseSpeed;
+        this.phaseTransitionDelay = 0.5; // Seconds before the new phase's first pattern
+
+        // Patterns
+        this.patternTimer = 0; // Seconds until the next pattern
+        this.activePattern = null; // { name, stage, timer, ... } while a pattern runs
+        this.pendingLines = []; // Line attacks waiting for their telegraph to finish
+        this.patternRange = 20; // Only start patterns when the target is this close
+
+        // Summoned adds
+        this.enemyManager = null;
+        this.adds = [];
+        this.onSummon = null; // (enemy) - lets rounds count the adds
+    }
+
+    /**
+     * Take stats plus the boss block (phases and pattern parameters) from the archetype
+     */
+    applyArchetype(archetype) {
+        super.applyArchetype(archetype);
+
+        this.bossConfig = archetype.boss;
+        this.bossName = archetype.boss.name;
+        this.phases = archetype.boss.phases;
+        this.collisionRadius = 0.5 * archetype.scale; // Wider body than regular enemies
+        this.baseChaseSpeed = this.chaseSpeed;
+        this.enterPhase(0);
+    }
+
+    /**
+     * Set enemy manager reference (summons adds and lists the players patterns can hit)
+     */
+    setEnemyManager(enemyManager) {
+        this.enemyManager = enemyManager;
+    }
+
+    /**
+     * Set the screen-wide health bar and show it for this boss
+     */
+    setBossHealthBar(bossHealthBar) {
+        this.bossHealthBar = bossHealthBar;
+
+        if (this.bossHealthBar) {
+            this.bossHealthBar.show(this.bossName, this.phases.map(phase => phase.healthThreshold));
+            this.refreshBossHealthBar();
+        }
+    }
+
+    /**
+     * Set a callback for each summoned add
+     */
+    setOnSummon(callback) {
+        this.onSummon = callback;
+    }
+
+    /**
+     * Show current health and phase on the boss bar
+     */
+    refreshBossHealthBar() {
+        if (this.bossHealthBar) {
+            this.bossHealthBar.update(this.health, this.maxHealth, this.phaseIndex, this.phases.length);
+        }
+    }
+
+    /**
+     * Multiply max health (round difficulty) and refill
+     */
+    scaleHealth(multiplier) {
+        super.scaleHealth(multiplier);
+        this.refreshBossHealthBar();
+    }
+
+    /**
+     * Take damage and move to the next phase when health crosses its threshold
+     */
+    takeDamage(amount, attackerPosition = null, attackerId = null, hitOptions = null) {
+        const result = super.takeDamage(amount, attackerPosition, attackerId, hitOptions);
+
+        if (!this.isDead) {
+            this.updatePhase();
+        }
+        this.refreshBossHealthBar();
+        return result;
+    }
+
+    /**
+     * Burn and shock ticks can push the boss into its next phase too
+     */
+    takeStatusDamage(amount, type) {
+        super.takeStatusDamage(amount, type);
+
+        if (!this.isDead) {
+            this.updatePhase();
+        }
+        this.refreshBossHealthBar();
+    }
+
+    /**
+     * Apply a host snapshot (replicas follow the host's phase through its health)
+     */
+    applyNetworkState(state) {
+        super.applyNetworkState(state);
+
+        if (!this.isDead) {
+            this.updatePhase();
+        }
+        this.refreshBossHealthBar();
+    }
+
+    /**
+     * Enter the deepest phase whose threshold the health has reached (phases can be skipped)
+     */
+    updatePhase() {
+        const healthFraction = this.health / this.maxHealth;
+        let phaseIndex = this.phaseIndex;
+
+        while (phaseIndex + 1 < this.phases.length && healthFraction <= this.phases[phaseIndex + 1].healthThreshold) {
+            phaseIndex++;
+        }
+
+        if (phaseIndex !== this.phaseIndex) {
+            this.enterPhase(phaseIndex);
+            this.patternTimer = Math.min(this.patternTimer, this.phaseTransitionDelay);
+            this.scalePunchTimer = this.scalePunchDuration;
+            console.log(`${this.bossName} enters phase ${phaseIndex + 1}/${this.phases.length}`);
+        }
+    }
+
+    /**
+     * Switch to a phase's speed and pattern cooldown
+     */
+    enterPhase(phaseIndex) {
+        const phase = this.phases[phaseIndex];
+
+        this.phaseIndex = phaseIndex;
+        this.chaseSpeed = this.baseChaseSpeed * (phase.speedMultiplier || 1);
+        this.patternTimer = phase.patternCooldown;
+        this.refreshBossHealthBar();
+    }
+
+    /**
+     * Update regular behavior, then the patterns (host only)
+     */
+    update(deltaTime, camera) {
+        super.update(deltaTime, camera);
+
+        if (this.isDead || this.isReplica) return;
+
+        this.updatePendingLines(deltaTime);
+
+        if (this.activePattern) {
+            this.updateActivePattern(deltaTime);
+        } else {
+            this.updatePatternTimer(deltaTime);
+        }
+    }
+
+    /**
+     * Hold position while a pattern runs (charges move the boss themselves)
+     */
+    updateMovementByState(deltaTime) {
+        if (this.activePattern) return;
+
+        super.updateMovementByState(deltaTime);
+    }
+
+    /**
+     * Count down to the next pattern and start one once the target is engaged
+     */
+    updatePatternTimer(deltaTime) {
+        this.patternTimer -= deltaTime;
+        if (this.patternTimer > 0 || this.isAttacking || !this.target) return;
+
+        const isEngaged = this.currentState === this.AIState.CHASE || this.currentState === this.AIState.ATTACK;
+        if (!isEngaged || this.position.distanceTo(this.target.position) > this.patternRange) return;
+
+        // Don't summon past the add cap
+        const canSummon = this.bossConfig.summon && this.getLivingAdds().length < this.bossConfig.summon.maxAdds;
+        const patterns = this.phases[this.phaseIndex].patterns.filter(pattern => pattern !== 'summon' || canSummon);
+
+        if (patterns.length === 0) {
+            this.patternTimer = this.phases[this.phaseIndex].patternCooldown;
+            return;
+        }
+
+        this.startPattern(gameRandom.pick(patterns));
+    }
+
+    /**
+     * Start a pattern by name
+     */
+    startPattern(name) {
+        console.log(`${this.bossName} uses ${name}`);
+        this.faceTarget();
+
+        switch (name) {
+            case 'fireballRing':
+                this.castFireballRing();
+                this.activePattern = { name: name, stage: 'recovery', timer: this.bossConfig.fireballRing.recovery };
+                break;
+            case 'lineBarrage':
+                this.castLineBarrage();
+                this.activePattern = { name: name, stage: 'recovery', timer: this.bossConfig.lineBarrage.warningTime + this.bossConfig.lineBarrage.recovery };
+                break;
+            case 'charge':
+                this.activePattern = this.startCharge();
+                break;
+            case 'summon':
+                this.summonAdds();
+                this.activePattern = { name: name, stage: 'recovery', timer: this.bossConfig.summon.recovery };
+                break;
+        }
+    }
+
+    /**
+     * Advance the running pattern
+     */
+    updateActivePattern(deltaTime) {
+        const pattern = this.activePattern;
+
+        // No regular attacks mid-pattern
+        this.attackCooldown = Math.max(this.attackCooldown, deltaTime);
+
+        if (pattern.stage === 'dash') {
+            this.updateChargeDash(deltaTime);
+            return;
+        }
+
+        pattern.timer -= deltaTime;
+        if (pattern.timer > 0) return;
+
+        if (pattern.stage === 'windup') {
+            pattern.stage = 'dash';
+        } else {
+            this.activePattern = null;
+            this.patternTimer = this.phases[this.phaseIndex].patternCooldown;
+        }
+    }
+
+    /**
+     * Drop rings of fireballs around the boss (each ring offset so the gaps don't line up)
+     */
+    castFireballRing() {
+        const config = this.bossConfig.fireballRing;
+        const startAngle = gameRandom.range(0, Math.PI * 2);
+
+        config.radii.forEach((radius, ringIndex) => {
+            for (let i = 0; i < config.count; i++) {
+                const angle = startAngle + ((i + ringIndex * 0.5) / config.count) * Math.PI * 2;
+
+                this.launchFireball(new THREE.Vector3(
+                    this.position.x + Math.cos(angle) * radius,
+                    0,
+                    this.position.z + Math.sin(angle) * radius
+                ), config.friendlyFire || false);
+            }
+        });
+    }
+
+    /**
+     * Telegraph a fan of lines toward the target that strike when the warning ends
+     */
+    castLineBarrage() {
+        const config = this.bossConfig.lineBarrage;
+        const toTarget = new THREE.Vector3().subVectors(this.target.position, this.position);
+        const baseAngle = Math.atan2(toTarget.x, toTarget.z);
+        const spread = THREE.MathUtils.degToRad(config.spread);
+
+        for (let i = 0; i < config.count; i++) {
+            const angle = config.count > 1 ? baseAngle - spread / 2 + (spread * i) / (config.count - 1) : baseAngle;
+            const direction = new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle));
+            const start = new THREE.Vector3(this.position.x, 0, this.position.z);
+
+            this.pendingLines.push({
+                start: start,
+                direction: direction,
+                length: config.length,
+                width: config.width,
+                damage: config.damage,
+                friendlyFire: config.friendlyFire || false,
+                timer: config.warningTime,
+                telegraph: this.showLineTelegraph(start, direction, config.length, config.width, config.warningTime)
+            });
+        }
+    }
+
+    /**
+     * Strike each line whose warning has finished
+     */
+    updatePendingLines(deltaTime) {
+        for (let i = this.pendingLines.length - 1; i >= 0; i--) {
+            const line = this.pendingLines[i];
+            line.timer -= deltaTime;
+            if (line.timer > 0) continue;
+
+            const isOnLine = position => this.distanceToLine(position, line.start, line.direction, line.length) <= line.width / 2;
+            this.getAreaTargets(line.friendlyFire, isOnLine).forEach(target => {
+                this.hitTarget(target, line.damage);
+            });
+
+            this.pendingLines.splice(i, 1);
+        }
+    }
+
+    /**
+     * Lock a charge direction at the target and telegraph the path
+     */
+    startCharge() {
+        const config = this.bossConfig.charge;
+        const direction = new THREE.Vector3().subVectors(this.target.position, this.position);
+        direction.y = 0;
+        if (direction.lengthSq() < 0.0001) direction.set(0, 0, 1);
+        direction.normalize();
+
+        const start = new THREE.Vector3(this.position.x, 0, this.position.z);
+
+        return {
+            name: 'charge',
+            stage: 'windup',
+            timer: config.windup,
+            direction: direction,
+            traveled: 0,
+            hitTargets: [], // Each target is hit once per charge
+            telegraph: this.showLineTelegraph(start, direction, config.distance, config.hitRadius * 2, config.windup)
+        };
+    }
+
+    /**
+     * Dash along the locked direction, hitting targets in the way (stops early at obstacles)
+     */
+    updateChargeDash(deltaTime) {
+        const config = this.bossConfig.charge;
+        const pattern = this.activePattern;
+        const step = Math.min(config.speed * deltaTime, config.distance - pattern.traveled);
+        const before = this.position.clone();
+
+        this.moveBy(pattern.direction.clone().multiplyScalar(step));
+        this.currentDirection = pattern.direction.x > 0 ? 1 : -1;
+        pattern.traveled += step;
+
+        const isInPath = position => this.position.distanceTo(position) <= config.hitRadius;
+        this.getAreaTargets(config.friendlyFire || false, isInPath).forEach(target => {
+            if (pattern.hitTargets.includes(target)) return;
+            pattern.hitTargets.push(target);
+            this.hitTarget(target, config.damage);
+        });
+
+        const blocked = before.distanceTo(this.position) < step * 0.25;
+        if (pattern.traveled >= config.distance || blocked) {
+            pattern.stage = 'recovery';
+            pattern.timer = config.recovery;
+        }
+    }
+
+    /**
+     * Summon adds around the boss that hunt the player
+     */
+    summonAdds() {
+        if (!this.enemyManager) return;
+
+        const config = this.bossConfig.summon;
+        const count = Math.min(config.count, config.maxAdds - this.getLivingAdds().length);
+        const startAngle = gameRandom.range(0, Math.PI * 2);
+
+        for (let i = 0; i < count; i++) {
+            const angle = startAngle + (i / count) * Math.PI * 2;
+            const position = new THREE.Vector3(
+                this.position.x + Math.cos(angle) * config.radius,
+                0,
+                this.position.z + Math.sin(angle) * config.radius
+            );
+
+            if (this.gameWorld && this.gameWorld.checkCollision(position, 0.6)) continue;
+
+            const add = this.enemyManager.spawnEnemy(position, 3, gameRandom.pick(config.types));
+            if (!add) continue;
+
+            add.startHunting();
+            this.adds.push(add);
+
+            if (this.onSummon) {
+                this.onSummon(add);
+            }
+        }
+    }
+
+    /**
+     * Adds still alive
+     */
+    getLivingAdds() {
+        this.adds = this.adds.filter(add => !add.isDead);
+        return this.adds;
+    }
+
+    /**
+     * Show a line telegraph on the ground (and on every client)
+     */
+    showLineTelegraph(start, direction, length, width, warningTime) {
+        const center = start.clone().add(direction.clone().multiplyScalar(length / 2));
+
+        if (this.enemySync) {
+            this.enemySync.sendTelegraph('ranged', center, length / 2, warningTime, direction, width);
+        }
+
+        if (!this.telegraphManager) return null;
+        return this.telegraphManager.createTelegraph('ranged', center, length / 2, warningTime, direction, null, null, null, width);
+    }
+
+    /**
+     * Distance on the ground from a point to a line segment
+     */
+    distanceToLine(point, start, direction, length) {
+        const offsetX = point.x - start.x;
+        const offsetZ = point.z - start.z;
+        const along = Math.max(0, Math.min(length, offsetX * direction.x + offsetZ * direction.z));
+
+        return Math.hypot(offsetX - direction.x * along, offsetZ - direction.z * along);
+    }
+
+    /**
+     * Targets inside a pattern's area: hostiles, plus the boss's own side with friendly fire
+     * @param {Function} isInArea - Test for a target's position
+     */
+    getAreaTargets(friendlyFire, isInArea) {
+        if (this.enemyManager) return this.enemyManager.findAreaTargets(this, friendlyFire, isInArea);
+        return this.target && isInArea(this.target.position) ? [this.target] : [];
+    }
+
+    /**
+     * Start the death animation and end the fight
+     */
+    playDeathAnimation() {
+        super.playDeathAnimation();
+        this.endFight();
+    }
+
+    /**
+     * Cancel running patterns and hide the boss bar (death or removal)
+     */
+    endFight() {
+        this.pendingLines.forEach(line => {
+            if (line.telegraph) line.telegraph.cancel();
+        });
+        this.pendingLines = [];
+
+        if (this.activePattern && this.activePattern.telegraph) {
+            this.activePattern.telegraph.cancel();
+        }
+        this.activePattern = null;
+
+        if (this.bossHealthBar) {
+            this.bossHealthBar.hide();
+        }
+    }
+
+    /**
+     * Get debug information about current AI state and boss phase
+     */
+    getAIDebugInfo() {
+        const info = super.getAIDebugInfo();
+        info.phase = `${this.phaseIndex + 1}/${this.phases.length}`;
+        info.pattern = this.activePattern ? `${this.activePattern.name} (${this.activePattern.stage})` : null;
+        info.nextPattern = this.patternTimer.toFixed(1);
+        info.adds = this.getLivingAdds().length;
+        return info;
+    }
+}
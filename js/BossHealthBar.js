@@ -0,0 +1,82 @@
+/**
+ * BossHealthBar - Screen-wide health bar for the active boss, with phase markers
+ * BossEnemy drives it through setBossHealthBar; headless simulations run without one.
+ */
+class BossHealthBar {
+    constructor() {
+        this.container = null;
+        this.nameLabel = null;
+        this.phaseLabel = null;
+        this.fill = null;
+        this.trail = null;
+        this.markers = null;
+
+        this.initializeUI();
+    }
+
+    /**
+     * Create the bar elements
+     */
+    initializeUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'boss-health';
+        this.container.innerHTML = `
+            <div id="boss-health-header">
+                <span id="boss-health-name"></span>
+                <span id="boss-health-phase"></span>
+            </div>
+            <div id="boss-health-bar">
+                <div id="boss-health-trail"></div>
+                <div id="boss-health-fill"></div>
+                <div id="boss-health-markers"></div>
+            </div>
+        `;
+
+        // Add to UI overlay
+        const uiOverlay = document.getElementById('ui-overlay');
+        if (uiOverlay) {
+            uiOverlay.appendChild(this.container);
+        }
+
+        this.nameLabel = this.container.querySelector('#boss-health-name');
+        this.phaseLabel = this.container.querySelector('#boss-health-phase');
+        this.fill = this.container.querySelector('#boss-health-fill');
+        this.trail = this.container.querySelector('#boss-health-trail');
+        this.markers = this.container.querySelector('#boss-health-markers');
+    }
+
+    /**
+     * Show the bar for a boss, with a marker at each phase threshold below full health
+     * @param {number[]} phaseThresholds - Health fractions where phases start
+     */
+    show(name, phaseThresholds = []) {
+        this.nameLabel.textContent = name;
+        this.markers.innerHTML = '';
+
+        phaseThresholds.filter(threshold => threshold < 1).forEach(threshold => {
+            const marker = document.createElement('div');
+            marker.className = 'boss-health-marker';
+            marker.style.left = `${threshold * 100}%`;
+            this.markers.appendChild(marker);
+        });
+
+        this.container.classList.add('show');
+    }
+
+    /**
+     * Show the boss's health and current phase
+     */
+    update(health, maxHealth, phaseIndex, phaseCount) {
+        const percent = maxHealth > 0 ? Math.max(0, health / maxHealth) * 100 : 0;
+        this.fill.style.width = `${percent}%`;
+        this.trail.style.width = `${percent}%`; // Lags behind the fill via CSS transition
+        this.phaseLabel.textContent = phaseCount > 1 ? `PHASE ${phaseIndex + 1}/${phaseCount}` : '';
+    }
+
+    /**
+     * Hide the bar (boss defeated or removed)
+     */
+    hide() {
+        this.container.classList.remove('show');
+    }
+}
@@ -36,6 +36,10 @@ class CharacterSprite extends BillboardSprite {
         this.hurtFrameTime = 1 / this.hurtFps;
         this.onHurtComplete = null; // Callback for when hurt animation finishes
         
+        // Death state - hurt animation plays once and holds on its last frame
+        this.isDead = false;
+        this.deathTint = 0x777777; // Darken sprite in death pose
+        
         // Sprite sheet data
         this.animations = {};
         this.currentAnimation = null;
@@ -174,6 +178,10 @@ class CharacterSprite extends BillboardSprite {
                     if (this.currentFrame < this.currentAnimation.frames - 1) {
                         this.currentFrame++;
                         this.updateUVCoordinates();
+                    } else if (this.isDead) {
+                        // Hold the last hurt frame as the death pose
+                        this.isPlaying = false;
+                        this.material.color.setHex(this.deathTint);
                     } else {
                         // Hurt animation finished
                         this.hurtFinished = true;
@@ -195,8 +203,8 @@ class CharacterSprite extends BillboardSprite {
      * Set animation based on movement state and direction vector
      */
     setMovementAnimation(isMoving, directionVector) {
-        // Don't change animation if currently attacking or hurt
-        if (this.isAttacking || this.isHurt) {
+        // Don't change animation if currently attacking, hurt or dead
+        if (this.isAttacking || this.isHurt || this.isDead) {
             return;
         }
         
@@ -220,10 +228,11 @@ class CharacterSprite extends BillboardSprite {
     
     /**
      * Trigger attack animation
+     * @param {number} duration - Seconds the swing should take (attackFps if null)
      */
-    attack(direction = null) {
-        // Don't start new attack if already attacking
-        if (this.isAttacking) {
+    attack(direction = null, duration = null) {
+        // Don't start new attack if already attacking or dead
+        if (this.isAttacking || this.isDead) {
             return false;
         }
         
@@ -237,6 +246,10 @@ class CharacterSprite extends BillboardSprite {
         this.animationTimeout = 0; // Reset timeout
         this.setAnimation('attack', attackDirection, true);
         
+        // Combo steps stretch or squeeze the sheet to their swing length
+        const frames = this.currentAnimation ? this.currentAnimation.frames : 1;
+        this.attackFrameTime = duration ? duration / frames : 1 / this.attackFps;
+        
         return true;
     }
     
@@ -244,11 +257,20 @@ class CharacterSprite extends BillboardSprite {
      * Trigger hurt animation based on attack direction
      */
     hurt(attackerPosition = null) {
-        // Don't start hurt if already hurt or attacking
-        if (this.isHurt || this.isAttacking) {
+        // Don't start hurt if already hurt, attacking or dead
+        if (this.isHurt || this.isAttacking || this.isDead) {
             return false;
         }
         
+        this.playHurtAnimation(attackerPosition);
+        
+        return true;
+    }
+    
+    /**
+     * Play the hurt animation facing the attacker
+     */
+    playHurtAnimation(attackerPosition = null) {
         let hurtDirection = this.currentDirection;
         
         // Calculate direction based on where the attack came from
@@ -272,10 +294,36 @@ class CharacterSprite extends BillboardSprite {
         this.hurtFinished = false;
         this.animationTimeout = 0; // Reset timeout
         this.setAnimation('hurt', hurtDirection, true);
+    }
+    
+    /**
+     * Play the hurt animation into a held death pose
+     */
+    die(attackerPosition = null) {
+        if (this.isDead) return false;
+        
+        // Interrupt whatever was playing (attack, dash, previous hurt)
+        this.isAttacking = false;
+        this.attackFinished = false;
+        this.isDead = true;
+        this.isPlaying = true;
+        this.playHurtAnimation(attackerPosition);
         
         return true;
     }
     
+    /**
+     * Leave the death pose and return to idle
+     */
+    revive() {
+        this.isDead = false;
+        this.resetAnimationState();
+        this.isPlaying = true;
+        this.material.color.setHex(0xffffff);
+        this.material.opacity = 1.0;
+        this.setAnimation('idle', this.currentDirection, true);
+    }
+    
     /**
      * Check if character is currently attacking
      */
@@ -355,8 +403,8 @@ class CharacterSprite extends BillboardSprite {
  * SpriteSheetLoader - Utility to load sprite sheets
  */
 class SpriteSheetLoader {
-    constructor() {
-        this.loader = new THREE.TextureLoader();
+    constructor(textureLoader = null) {
+        this.loader = textureLoader || new THREE.TextureLoader(); // Injected when running headless
     }
     
     /**
@@ -11,12 +11,74 @@ class CombatSystem {
         this.damageNumberManager = null;
         this.bloodParticleSystem = null;
         this.lightningStrikeManager = null; // Reference to lightning strike manager
+        this.networkClient = null; // Replicates attacks in multiplayer sessions
+        this.timers = new TimerManager(); // Delayed effects run on simulation time
         
         // Attack properties
-        this.attackRange = 2.5; // Units in front of player
-        this.attackAngle = 90; // Degrees of attack cone
         this.attackCooldown = 0;
         this.attackCooldownDuration = 0.3; // 0.3 seconds between attacks
+        this.currentAttackCooldown = this.attackCooldownDuration; // Cooldown the last swing started (longer after a finisher)
+        
+        // Melee combo - attacking again within comboWindow of a swing ending chains the next step
+        // range (units) and angle (degrees of cone) set the hitbox; knockback is in units,
+        // hitStop is the freeze on hit (seconds) and duration the swing length (seconds).
+        // Skills deal physical damage unless they name a damageType (see DamageTypes)
+        this.comboSteps = [
+            { name: 'Slash', range: 2.5, angle: 90, damageMultiplier: 1.0, knockback: 0.6, hitStop: 0.12, duration: 0.45 },
+            { name: 'Cross Slash', range: 2.8, angle: 120, damageMultiplier: 1.25, knockback: 0.9, hitStop: 0.14, duration: 0.4 },
+            { name: 'Finisher', range: 3.2, angle: 180, damageMultiplier: 1.8, knockback: 3.0, hitStop: 0.22, duration: 0.6, launchHeight: 1.5 }
+        ];
+        this.attackRangeMultiplier = 1.0; // Scales every step's range (upgrades)
+        this.comboStep = 0; // Index of the next swing
+        this.comboWindow = 0.5; // Seconds after a swing to chain the next one
+        this.comboWindowTimer = 0;
+        this.finisherCooldownDuration = 1.0; // Longer recovery after the last step
+        
+        // Hit streak - landed hits add damage until none land for hitStreakTimeout or the player gets hit
+        this.hitStreak = 0;
+        this.hitStreakTimer = 0;
+        this.hitStreakTimeout = 2.5; // Seconds without landing a hit before the streak ends
+        this.hitStreakDamageBonus = 0.02; // +2% damage per hit in the streak
+        this.maxHitStreakBonus = 0.5; // Capped at +50%
+        this.comboCounter = null; // HUD streak counter (none when running headless)
+        
+        // Dodging - dash i-frames avoid hits; dashing just as a telegraph completes is a perfect dodge
+        this.perfectDodgeWindow = 0.2; // Seconds between the dash starting and the telegraph completing
+        this.perfectDodgeCooldownRefund = 0.5; // Share of the dash cooldown given back
+        this.perfectDodgeTimeScale = 0.3; // Slow motion speed
+        this.perfectDodgeSlowDuration = 0.4; // Real seconds of slow motion
+        this.perfectDodgeUsed = false; // One perfect dodge per dash
+        
+        // Blocking - while held, incoming damage is cut to blockDamageMultiplier (the fraction of a
+        // heart left over lands as a chance, so a blocked 1-damage hit lands half the time) and
+        // the player moves slower and can't swing. A melee hit landing within parryWindow of
+        // pressing block is parried: no damage, the attacker is staggered (STUNNED) and every hit
+        // is critical for parryCritDuration. Fireball explosions can be blocked but not parried
+        this.isBlocking = false;
+        this.blockDamageMultiplier = 0.5;
+        this.blockSpeedMultiplier = 0.5;
+        this.blockTint = 0xb0c8ff;
+        this.parryWindow = 0.2; // Seconds after pressing block
+        this.parryTimer = 0;
+        this.parryStaggerDuration = 1.5;
+        this.parryCritDuration = 2.0;
+        this.parryCritTimer = 0;
+        
+        // Dash strike - upgrade that damages targets the dash passes through (same fields as a combo step)
+        this.dashStrikeEnabled = false;
+        this.dashStrike = { name: 'Dash Strike', range: 1.2, damageMultiplier: 0.75, knockback: 0.8, hitStop: 0.06 };
+        this.dashStrikeHits = new Set(); // Targets already hit by the current dash
+        
+        // Whirlwind - unlockable spin that hits everything around the player (same fields as a combo step)
+        this.whirlwindCooldown = 0;
+        this.whirlwindCooldownDuration = 6.0;
+        this.whirlwindSkill = { name: 'Whirlwind', range: 3.0, angle: 360, damageMultiplier: 1.5, knockback: 2.0, hitStop: 0.1, duration: 0.5 };
+        
+        // Frost Nova - unlockable burst that slows every enemy within frostNovaRadius
+        this.frostNovaCooldown = 0;
+        this.frostNovaCooldownDuration = 10.0;
+        this.frostNovaRadius = 5.0;
+        this.frostNovaStatusEffects = [{ type: 'slow', duration: 3.0 }];
         
         // Lightning strike properties
         this.lightningStrikeCooldown = 0;
@@ -25,6 +87,38 @@ class CombatSystem {
         this.lightningStrikeTargets = 3; // Up to 3 targets
         this.lightningStrikeBaseDamage = 12; // Base damage (12-15 with variance)
         this.lightningStrikeDamageVariance = 0.25; // 25% variance for 12-15 damage
+        this.lightningStatusEffects = [{ type: 'shock' }, { type: 'stun', duration: 0.8 }]; // Applied to every target struck
+        this.lightningDamageType = DamageTypes.LIGHTNING;
+        
+        // Chain lightning - strike the nearest target in lightningStrikeRange, then jump to the
+        // closest unhit target within the jump radius, losing damage with every jump.
+        // Jumps and jump radius grow with player level; off, the strike hits random targets instead
+        this.lightningChainEnabled = true;
+        this.lightningChainBaseJumps = 2; // Jumps after the first strike at level 1
+        this.lightningChainLevelsPerJump = 3; // One more jump every 3 levels
+        this.lightningChainMaxJumps = 6;
+        this.lightningChainBaseRadius = 3.5; // Jump radius at level 1
+        this.lightningChainRadiusPerLevel = 0.25;
+        this.lightningChainMaxRadius = 6.0;
+        this.lightningChainFalloff = 0.8; // Damage multiplier applied per jump
+        this.lightningChainBonusJumps = 0; // Extra jumps on top of the level cap (upgrades)
+        this.xpSystem = null; // Player level scales the chain
+        
+        // Fire Bolt - projectile fired toward the cursor (or the facing direction). It flies
+        // speed units/s for range units, passes through pierce targets before stopping and,
+        // if it explodes, also hurts everything within explosionRadius where it stops.
+        // Also used as the combo step for hit feedback (knockback, hitStop)
+        this.fireballManager = null; // Pools the projectiles
+        this.projectileCooldown = 0;
+        this.projectileCooldownDuration = 1.5;
+        this.projectileSkill = {
+            name: 'Fire Bolt', speed: 14.0, range: 12.0, hitRadius: 0.8,
+            pierce: 0, explodes: true, explosionRadius: 2.0,
+            damageMultiplier: 1.2, explosionDamageMultiplier: 0.6,
+            knockback: 0.5, hitStop: 0.05,
+            damageType: DamageTypes.FIRE,
+            statusEffects: [{ type: 'burn' }]
+        };
         
         // Lightning strike state - prevent individual freeze frames during lightning
         this.isLightningStriking = false;
@@ -34,13 +128,31 @@ class CombatSystem {
         this.damageVariance = 0.2; // 20% damage variance
         this.criticalChance = 0.15; // 15% chance for critical hit
         this.criticalMultiplier = 2.0; // Critical hits do 2x damage
+        this.damageTypeBonus = { physical: 0, lightning: 0, fire: 0 }; // Extra damage per type (equipment)
         
-        // Player health
-        this.playerHealth = 5; // Player starts with 5 health
-        this.playerMaxHealth = 5;
-        this.playerInvulnerable = false;
+        // Local player's health, invulnerability and kill/death counts (5 health to start)
+        this.localCombatant = new Combatant('local', playerController.sprite, 5, true);
         this.invulnerabilityDuration = 1.0; // 1 second of invulnerability after being hit
-        this.invulnerabilityTimer = 0;
+        
+        // Status effects on the local player (tint the sprite, slow or stop movement, tick damage)
+        this.playerStatusEffects = new StatusEffects();
+        this.playerStatusEffects.setOnTick((damage, type) => this.handlePlayerStatusDamage(damage, type));
+        this.playerStatusEffects.setOnChange(() => this.refreshPlayerStatusTint());
+        
+        // Player death and respawn
+        this.respawnInvulnerabilityDuration = 3.0; // 3 seconds of protection after respawning
+        this.isRespawnProtected = false; // Blink the sprite while respawn protection lasts
+        this.blinkTimer = 0;
+        this.blinkInterval = 0.1; // Toggle sprite opacity every 0.1 seconds
+        
+        // PvP - remote players can be hit by melee, lightning and fire bolts
+        this.pvpEnabled = true;
+        this.pvpMeleeDamage = 1; // Hearts per melee hit (doubled on critical)
+        this.pvpLightningDamage = 1; // Hearts per lightning strike
+        this.pvpProjectileDamage = 1; // Hearts per fire bolt hit or blast
+        this.remotePlayerManager = null; // Provides remote combatants
+        this.killFeed = null; // HUD kill feed
+        this.healthUI = null; // Hearts and hit overlay (none when running headless)
         
         // Visual feedback
         this.attackIndicator = null;
@@ -49,10 +161,7 @@ class CombatSystem {
         // Attack state
         this.isAttacking = false;
         this.attackTimer = 0;
-        this.attackDuration = 0.3; // How long the attack "swing" lasts
-        
-        // Initialize health UI
-        this.updateHealthUI();
+        this.attackDuration = 0.3; // How long the current swing lasts (set per combo step)
     }
     
     /**
@@ -64,14 +173,17 @@ class CombatSystem {
     }
     
     /**
-     * Trigger an attack
+     * Trigger an attack (the next step of the melee combo)
      */
     triggerAttack() {
         // Check if can attack
-        if (this.attackCooldown > 0 || this.isAttacking) {
+        if (this.attackCooldown > 0 || this.isAttacking || this.localCombatant.isDead) {
             return false;
         }
         
+        const step = this.getNextComboStep();
+        const isFinisher = this.comboStep === this.comboSteps.length - 1;
+        
         // Get player position and direction
         const playerPos = this.playerController.getPosition();
         const attackDir = this.playerController.getLastDirection();
@@ -81,20 +193,24 @@ class CombatSystem {
         attackDir.normalize();
         
         // Calculate damage for this attack
-        const damageInfo = this.calculateDamage();
+        const damageInfo = this.calculateDamage(step.damageMultiplier * this.getHitStreakMultiplier(), step.damageType);
         
-        // Check for hit enemies
+        // Check for hit enemies (the finisher launches them)
         const hits = this.enemyManager.handlePlayerAttack(
             playerPos,
             attackDir,
-            this.attackRange,
-            this.attackAngle,
-            damageInfo
+            this.getStepRange(step),
+            step.angle,
+            damageInfo,
+            { knockback: step.knockback, launchHeight: step.launchHeight || 0, damageType: damageInfo.damageType }
         );
         
+        // Check for hit players
+        hits.push(...this.handlePvPAttack(playerPos, attackDir, damageInfo, step));
+        
         // Process hits
         if (hits.length > 0) {
-            console.log(`Hit ${hits.length} enemies!`);
+            console.log(`Hit ${hits.length} targets!`);
             
             // Sort by distance to hit closest first
             hits.sort((a, b) => a.distance - b.distance);
@@ -107,26 +223,363 @@ class CombatSystem {
                 }
             });
             
+            this.registerHitStreak(hits.length);
+            
             // Screen shake or other feedback could go here
-            this.onSuccessfulHit(hits);
+            this.onSuccessfulHit(hits, step);
         } else {
             console.log('Attack missed!');
         }
         
+        // Replicate the swing to other players
+        if (this.networkClient) {
+            this.networkClient.sendAttack('melee', playerPos, attackDir);
+        }
+        
         // Set attack state
         this.isAttacking = true;
+        this.attackDuration = step.duration;
         this.attackTimer = this.attackDuration;
-        this.attackCooldown = this.attackCooldownDuration;
+        this.comboWindowTimer = 0;
+        
+        // Chain into the next step, or start over after the finisher
+        if (isFinisher) {
+            this.comboStep = 0;
+            this.currentAttackCooldown = this.finisherCooldownDuration;
+        } else {
+            this.comboStep++;
+            this.currentAttackCooldown = this.attackCooldownDuration;
+        }
+        this.attackCooldown = this.currentAttackCooldown;
+        
+        console.log(`Combo step ${step.name}${isFinisher ? ' (finisher)' : ''}`);
+        
+        return true;
+    }
+    
+    /**
+     * Get the combo step the next attack will use
+     */
+    getNextComboStep() {
+        return this.comboSteps[this.comboStep];
+    }
+    
+    /**
+     * Reach of a combo step after range upgrades
+     */
+    getStepRange(step) {
+        return step.range * this.attackRangeMultiplier;
+    }
+    
+    /**
+     * Get the index of the next combo step (0 when the combo starts over)
+     */
+    getComboStep() {
+        return this.comboStep;
+    }
+    
+    /**
+     * Drop the combo back to its first step
+     */
+    resetCombo() {
+        this.comboStep = 0;
+        this.comboWindowTimer = 0;
+    }
+    
+    /**
+     * Count landed hits toward the streak
+     */
+    registerHitStreak(hitCount) {
+        this.hitStreak += hitCount;
+        this.hitStreakTimer = this.hitStreakTimeout;
+        
+        if (this.comboCounter) {
+            this.comboCounter.update(this.hitStreak, this.getHitStreakMultiplier() - 1);
+        }
+    }
+    
+    /**
+     * End the hit streak
+     */
+    resetHitStreak() {
+        if (this.hitStreak === 0) return;
+        
+        this.hitStreak = 0;
+        this.hitStreakTimer = 0;
+        
+        if (this.comboCounter) {
+            this.comboCounter.hide();
+        }
+    }
+    
+    /**
+     * Damage multiplier from the current hit streak
+     */
+    getHitStreakMultiplier() {
+        return 1 + Math.min(this.maxHitStreakBonus, this.hitStreak * this.hitStreakDamageBonus);
+    }
+    
+    /**
+     * Reset per-dash state when the player starts a dash
+     */
+    onDashStart() {
+        this.perfectDodgeUsed = false;
+        this.dashStrikeHits.clear();
+    }
+    
+    /**
+     * Check if the player is inside dash i-frames
+     */
+    isPlayerDodging() {
+        return !!(this.playerController.isDashInvulnerable && this.playerController.isDashInvulnerable());
+    }
+    
+    /**
+     * Let dash i-frames avoid an incoming hit
+     * @returns {boolean} True if the hit was dodged
+     */
+    dodgeHit() {
+        if (this.localCombatant.isDead || !this.isPlayerDodging()) return false;
+        
+        console.log('Hit dodged during dash');
+        this.showPlayerText('DODGE');
+        return true;
+    }
+    
+    /**
+     * Raise the guard (opens the parry window)
+     * @returns {boolean} True if the player started blocking
+     */
+    startBlock() {
+        if (this.isBlocking || this.localCombatant.isDead || this.isPlayerStunned()) return false;
+        
+        this.isBlocking = true;
+        this.parryTimer = this.parryWindow;
+        this.refreshPlayerStatusTint();
+        return true;
+    }
+    
+    /**
+     * Lower the guard
+     */
+    endBlock() {
+        if (!this.isBlocking) return;
+        
+        this.isBlocking = false;
+        this.parryTimer = 0;
+        this.refreshPlayerStatusTint();
+    }
+    
+    /**
+     * Parry a melee hit that lands just after block was pressed
+     * @param {Enemy} attacker - Staggered by the parry (null if it can't be found)
+     * @returns {boolean} True if the hit was parried
+     */
+    parryHit(attacker) {
+        if (this.localCombatant.isDead || this.parryTimer <= 0) return false;
+        
+        this.parryTimer = 0; // One parry per press
+        this.parryCritTimer = this.parryCritDuration;
+        
+        if (attacker && attacker.stagger) {
+            attacker.stagger(this.parryStaggerDuration);
+        }
+        
+        if (this.game && this.game.freezeFrame) {
+            this.game.freezeFrame(0.08);
+        }
+        
+        this.showPlayerText('PARRY');
+        console.log('Parry!');
+        return true;
+    }
+    
+    /**
+     * Check if hits are guaranteed critical after a parry
+     */
+    isParryCritActive() {
+        return this.parryCritTimer > 0;
+    }
+    
+    /**
+     * Reward dashing out of an attack just before it lands
+     */
+    handleTelegraphComplete(telegraph) {
+        const controller = this.playerController;
+        if (this.perfectDodgeUsed || this.localCombatant.isDead || !controller.getTimeSinceDash) return;
+        if (controller.getTimeSinceDash() > this.perfectDodgeWindow) return;
+        
+        // The dash must have started in (or crossed) the warned area
+        if (!telegraph.containsPoint(controller.dashStartPosition) && !telegraph.containsPoint(controller.getPosition())) {
+            return;
+        }
+        
+        this.perfectDodgeUsed = true;
+        controller.refundDashCooldown(this.perfectDodgeCooldownRefund);
+        
+        if (this.game && this.game.slowMotion) {
+            this.game.slowMotion(this.perfectDodgeTimeScale, this.perfectDodgeSlowDuration);
+        }
+        
+        this.showPlayerText('PERFECT DODGE');
+        console.log('Perfect dodge!');
+    }
+    
+    /**
+     * Float a text popup above the player (dodge feedback)
+     */
+    showPlayerText(text) {
+        this.showDamageNumber(text, this.playerController.getPosition());
+    }
+    
+    /**
+     * Float a damage number (or short text) above a position
+     * @param {string} damageType - Colors the number (see DamageTypes)
+     * @param {string} tag - 'RESIST', 'WEAK' or 'IMMUNE' under the number
+     */
+    showDamageNumber(value, position, isCritical = false, damageType = null, tag = null) {
+        if (!this.damageNumberManager) return;
+        
+        const damagePos = position.clone();
+        damagePos.y += 0.5;
+        this.damageNumberManager.showDamage(value, damagePos, isCritical, damageType, tag);
+    }
+    
+    /**
+     * Damage everything the dash passes through (once per target per dash)
+     */
+    updateDashStrike() {
+        const playerPos = this.playerController.getPosition();
+        const step = this.dashStrike;
+        const hits = [];
+        
+        this.findEnemiesInRange(playerPos, step.range).forEach(enemy => {
+            if (enemy.isDead || this.dashStrikeHits.has(enemy)) return;
+            this.dashStrikeHits.add(enemy);
+            
+            const damageInfo = this.calculateDamage(step.damageMultiplier * this.getHitStreakMultiplier(), step.damageType);
+            const result = enemy.takeDamage(damageInfo.damage, playerPos, null, { knockback: step.knockback, damageType: damageInfo.damageType });
+            if (!result) return;
+            
+            hits.push({
+                enemy: enemy,
+                died: enemy.isDead,
+                damage: result.amount,
+                isCritical: damageInfo.isCritical,
+                damageType: result.type,
+                tag: result.tag
+            });
+        });
+        
+        this.findCombatantsInRange(playerPos, step.range).forEach(combatant => {
+            if (this.dashStrikeHits.has(combatant)) return;
+            this.dashStrikeHits.add(combatant);
+            
+            this.sendPlayerDamage(combatant, this.pvpMeleeDamage, false, playerPos);
+            hits.push({
+                combatant: combatant,
+                died: false, // The victim's client decides
+                damage: this.pvpMeleeDamage,
+                isCritical: false
+            });
+        });
+        
+        if (hits.length > 0) {
+            this.registerHitStreak(hits.length);
+            this.onSuccessfulHit(hits, step);
+        }
+    }
+    
+    /**
+     * Turn the dash strike upgrade on or off
+     */
+    setDashStrikeEnabled(enabled) {
+        this.dashStrikeEnabled = enabled;
+    }
+    
+    /**
+     * Switch lightning between chaining from the nearest target and striking random targets in range
+     */
+    setLightningChainEnabled(enabled) {
+        this.lightningChainEnabled = enabled;
+    }
+    
+    /**
+     * Spin attack hitting every target within reach
+     */
+    triggerWhirlwind() {
+        if (this.whirlwindCooldown > 0 || this.isAttacking || this.isBlocking ||
+            this.localCombatant.isDead || this.isPlayerStunned()) {
+            return false;
+        }
+        
+        const step = this.whirlwindSkill;
+        const playerPos = this.playerController.getPosition();
+        const attackDir = this.playerController.getLastDirection();
+        attackDir.y = 0;
+        attackDir.normalize();
+        
+        const sprite = this.playerController.sprite;
+        if (sprite && sprite.attack) {
+            sprite.attack(null, step.duration);
+        }
+        
+        const damageInfo = this.calculateDamage(step.damageMultiplier * this.getHitStreakMultiplier(), step.damageType);
+        const hits = this.enemyManager.handlePlayerAttack(
+            playerPos,
+            attackDir,
+            this.getStepRange(step),
+            step.angle,
+            damageInfo,
+            { knockback: step.knockback, damageType: damageInfo.damageType }
+        );
+        hits.push(...this.handlePvPAttack(playerPos, attackDir, damageInfo, step));
         
-        // Attack indicator disabled
+        if (hits.length > 0) {
+            this.registerHitStreak(hits.length);
+            this.onSuccessfulHit(hits, step);
+        }
+        
+        if (this.networkClient) {
+            this.networkClient.sendAttack('melee', playerPos, attackDir);
+        }
         
+        this.whirlwindCooldown = this.whirlwindCooldownDuration;
         return true;
     }
     
+    /**
+     * Slow every enemy around the player
+     */
+    triggerFrostNova() {
+        if (this.frostNovaCooldown > 0 || this.localCombatant.isDead || this.isPlayerStunned()) {
+            return false;
+        }
+        
+        const playerPos = this.playerController.getPosition();
+        const targets = this.findEnemiesInRange(playerPos, this.frostNovaRadius);
+        targets.forEach(enemy => {
+            this.applyStatusEffects(enemy, this.frostNovaStatusEffects);
+            if (this.impactEffectManager) {
+                this.impactEffectManager.spawnImpact(enemy.position.clone());
+            }
+        });
+        console.log(`Frost nova slowed ${targets.length} enemies`);
+        
+        // Cooldown starts even when nothing was in range
+        this.frostNovaCooldown = this.frostNovaCooldownDuration;
+        return targets.length > 0;
+    }
+    
     /**
      * Trigger a lightning strike
      */
     triggerLightningStrike() {
+        // Dead players can't cast
+        if (this.localCombatant.isDead) {
+            return false;
+        }
+        
         // Check if can use lightning strike
         if (this.lightningStrikeCooldown > 0) {
             console.log('Lightning strike blocked - on cooldown');
@@ -136,83 +589,374 @@ class CombatSystem {
         // Get player position
         const playerPos = this.playerController.getPosition();
         
-        // Find enemies within range
-        const enemiesInRange = this.findEnemiesInRange(playerPos, this.lightningStrikeRange);
+        // Chain from the nearest target, or shuffle enemies and take up to lightningStrikeTargets
+        const chained = this.lightningChainEnabled;
+        const targets = chained ? this.findChainTargets(playerPos) :
+            gameRandom.shuffle(this.findLightningCandidates(playerPos, this.lightningStrikeRange))
+                .slice(0, this.lightningStrikeTargets);
         
-        if (enemiesInRange.length === 0) {
+        if (targets.length === 0) {
             console.log('No enemies in range for lightning strike');
             // Still trigger cooldown even if no enemies hit
             this.lightningStrikeCooldown = this.lightningStrikeCooldownDuration;
             return false;
         }
         
-        // Shuffle enemies and take up to lightningStrikeTargets
-        const shuffled = enemiesInRange.sort(() => Math.random() - 0.5);
-        const targets = shuffled.slice(0, this.lightningStrikeTargets);
-        
         console.log(`Lightning strike hitting ${targets.length} enemies!`);
         
         // Set lightning strike flag to prevent individual freeze frames
         this.isLightningStriking = true;
         
-        // Strike all enemies simultaneously instead of staggered
+        // Strike all enemies simultaneously instead of staggered
+        const hits = [];
+        const struckPositions = [];
+        targets.forEach((target, index) => {
+            const isPlayer = target instanceof Combatant;
+            const targetPos = isPlayer ? target.getPosition() : target.position;
+            struckPositions.push(targetPos.clone());
+            
+            // Calculate damage for this strike (each chain jump deals less, equipment adds its lightning bonus)
+            const variance = gameRandom.range(-1, 1) * this.lightningStrikeDamageVariance;
+            const falloff = chained ? Math.pow(this.lightningChainFalloff, index) : 1;
+            const typeBonus = 1 + (this.damageTypeBonus[this.lightningDamageType] || 0);
+            let damage = isPlayer ? this.pvpLightningDamage :
+                Math.max(1, Math.round(this.lightningStrikeBaseDamage * typeBonus * (1 + variance) * falloff));
+            let tag = null;
+            
+            // Deal damage immediately (players apply it on their own client), then shock and stun
+            if (isPlayer) {
+                this.sendPlayerDamage(target, damage, false, playerPos, this.lightningStatusEffects);
+            } else {
+                const result = target.takeDamage(damage, playerPos, null, { damageType: this.lightningDamageType });
+                if (result) {
+                    damage = result.amount;
+                    tag = result.tag;
+                }
+                this.applyStatusEffects(target, this.lightningStatusEffects);
+            }
+            
+            // Spawn lightning effect with slight delay for visual appeal
+            this.timers.schedule(index * 0.05, () => {
+                if (this.lightningStrikeManager) {
+                    this.lightningStrikeManager.spawnLightning(targetPos);
+                    
+                    // The arc jumps in from the previous target as its bolt lands
+                    if (chained && index > 0) {
+                        this.lightningStrikeManager.spawnArc(struckPositions[index - 1], struckPositions[index]);
+                    }
+                }
+            }); // Reduced delay from 150ms to 50ms
+            
+            // Show damage number immediately
+            if (this.damageNumberManager) {
+                const damagePos = targetPos.clone();
+                damagePos.y += 0.5;
+                this.damageNumberManager.showDamage(damage, damagePos, false, isPlayer ? null : this.lightningDamageType, tag);
+            }
+            
+            hits.push({
+                enemy: isPlayer ? null : target,
+                combatant: isPlayer ? target : null,
+                damage: damage,
+                died: target.isDead
+            });
+        });
+        
+        // Apply visual feedback after a short delay
+        this.timers.schedule(0.1, () => {
+            this.isLightningStriking = false; // Allow freeze frames again
+            this.onLightningStrikeHit(hits);
+        });
+        
+        // Replicate the strike so other players see the bolts
+        if (this.networkClient) {
+            this.networkClient.sendAttack(chained ? 'chainLightning' : 'lightning', playerPos, null, struckPositions);
+        }
+        
+        // Set cooldown
+        this.lightningStrikeCooldown = this.lightningStrikeCooldownDuration;
+        
+        return true;
+    }
+    
+    /**
+     * Fire a Fire Bolt toward a point on the ground, or along the facing direction without one
+     * @param {THREE.Vector3} aimPoint - Ground point under the cursor (optional)
+     */
+    triggerProjectile(aimPoint = null) {
+        // Dead or stunned players can't cast
+        if (this.localCombatant.isDead || this.isPlayerStunned() || !this.fireballManager) {
+            return false;
+        }
+        
+        if (this.projectileCooldown > 0) {
+            console.log('Fire bolt blocked - on cooldown');
+            return false;
+        }
+        
+        const playerPos = this.playerController.getPosition();
+        const direction = aimPoint ? new THREE.Vector3().subVectors(aimPoint, playerPos) : this.playerController.getLastDirection();
+        direction.y = 0;
+        
+        // Cursor right on top of the player - fall back to the facing direction
+        if (direction.lengthSq() < 0.0001) {
+            direction.copy(this.playerController.getLastDirection());
+            direction.y = 0;
+        }
+        direction.normalize();
+        
+        // Launch just in front of the player, at body height
+        const origin = playerPos.clone().addScaledVector(direction, 0.6);
+        const flight = Object.assign({}, this.projectileSkill);
+        
+        if (!this.fireballManager.fireProjectile(origin, direction, flight, this.localCombatant, 'player')) {
+            return false;
+        }
+        
+        // Replicate the shot so other players see it fly
+        if (this.networkClient) {
+            this.networkClient.sendAttack('projectile', origin, direction, null, flight);
+        }
+        
+        this.projectileCooldown = this.projectileCooldownDuration;
+        console.log(`${flight.name} fired`);
+        
+        return true;
+    }
+    
+    /**
+     * Apply a Fire Bolt's direct hit or blast to its targets
+     * @param {Fireball} fireball - The local player's projectile
+     * @param {Array<Enemy|Combatant>} targets - Enemies and remote players hit
+     * @param {boolean} isExplosion - Blast damage rather than a direct hit
+     */
+    handleProjectileHits(fireball, targets, isExplosion) {
+        const flight = fireball.flight;
+        const position = fireball.position;
+        const multiplier = (isExplosion ? flight.explosionDamageMultiplier : flight.damageMultiplier) * this.getHitStreakMultiplier();
+        const hits = [];
+        
+        targets.forEach(target => {
+            if (target instanceof Combatant) {
+                this.sendPlayerDamage(target, this.pvpProjectileDamage, false, position, flight.statusEffects);
+                hits.push({
+                    combatant: target,
+                    died: false, // The victim's client decides
+                    damage: this.pvpProjectileDamage,
+                    isCritical: false
+                });
+                return;
+            }
+            
+            // Blasts are on the ground - flying enemies clear them (and their burn)
+            const damageInfo = this.calculateDamage(multiplier, flight.damageType);
+            const result = target.takeDamage(damageInfo.damage, position, null, {
+                knockback: flight.knockback,
+                damageType: damageInfo.damageType,
+                groundArea: isExplosion
+            });
+            if (!result) return;
+            
+            this.applyStatusEffects(target, flight.statusEffects);
+            hits.push({
+                enemy: target,
+                died: target.isDead,
+                damage: result.amount,
+                isCritical: damageInfo.isCritical,
+                damageType: result.type,
+                tag: result.tag
+            });
+        });
+        
+        if (hits.length > 0) {
+            this.registerHitStreak(hits.length);
+            this.onSuccessfulHit(hits, flight);
+        }
+    }
+    
+    /**
+     * Find enemies and remote players a projectile can hit within a horizontal radius
+     */
+    findProjectileTargets(position, radius) {
+        return this.enemyManager.findHostilesInRadius(position, radius, this.localCombatant.faction)
+            .concat(this.findCombatantsInRange(position, radius));
+    }
+    
+    /**
+     * Change Fire Bolt settings (e.g. { pierce: 2 } or { explodes: false }) for the next shots
+     */
+    setProjectileOptions(options) {
+        Object.assign(this.projectileSkill, options);
+    }
+    
+    /**
+     * Find enemies and remote players a lightning strike can hit within range of a position
+     */
+    findLightningCandidates(position, range) {
+        return this.findEnemiesInRange(position, range)
+            .concat(this.findCombatantsInRange(position, range));
+    }
+    
+    /**
+     * Chain length and jump radius at the player's current level
+     * @returns {{jumps: number, jumpRadius: number}}
+     */
+    getLightningChainStats() {
+        const level = this.xpSystem ? this.xpSystem.currentLevel : 1;
+        const levelsGained = Math.max(0, level - 1);
+        
+        return {
+            jumps: Math.min(this.lightningChainMaxJumps,
+                this.lightningChainBaseJumps + Math.floor(levelsGained / this.lightningChainLevelsPerJump)) +
+                this.lightningChainBonusJumps,
+            jumpRadius: Math.min(this.lightningChainMaxRadius,
+                this.lightningChainBaseRadius + levelsGained * this.lightningChainRadiusPerLevel)
+        };
+    }
+    
+    /**
+     * Pick chain lightning targets in strike order: the nearest to the player, then
+     * repeatedly the closest unhit target within the jump radius of the last one
+     */
+    findChainTargets(playerPosition) {
+        const stats = this.getLightningChainStats();
+        const candidates = this.findLightningCandidates(playerPosition, this.lightningStrikeRange + stats.jumps * stats.jumpRadius);
+        const getPosition = target => target instanceof Combatant ? target.getPosition() : target.position;
+        
+        const targets = [];
+        let origin = playerPosition;
+        let radius = this.lightningStrikeRange;
+        
+        while (targets.length <= stats.jumps) {
+            let nearest = null;
+            let nearestDistance = radius;
+            
+            candidates.forEach(candidate => {
+                if (targets.includes(candidate)) return;
+                
+                const distance = getPosition(candidate).distanceTo(origin);
+                if (distance <= nearestDistance) {
+                    nearest = candidate;
+                    nearestDistance = distance;
+                }
+            });
+            
+            if (!nearest) break;
+            
+            targets.push(nearest);
+            origin = getPosition(nearest);
+            radius = stats.jumpRadius;
+        }
+        
+        return targets;
+    }
+    
+    /**
+     * Find enemies hostile to the player within range of a position
+     */
+    findEnemiesInRange(position, range) {
+        const enemies = this.enemyManager.getEnemies();
+        const inRange = [];
+        
+        enemies.forEach(enemy => {
+            if (!Factions.areHostile(this.localCombatant.faction, enemy.faction)) return;
+            
+            const distance = enemy.position.distanceTo(position);
+            if (distance <= range) {
+                inRange.push(enemy);
+            }
+        });
+        
+        return inRange;
+    }
+    
+    /**
+     * Get remote players that can currently be hit
+     */
+    getRemoteCombatants() {
+        if (!this.pvpEnabled || !this.remotePlayerManager) return [];
+        
+        return this.remotePlayerManager.getRemotePlayers()
+            .map(remotePlayer => remotePlayer.combatant)
+            .filter(combatant => combatant.isTargetable());
+    }
+    
+    /**
+     * Find remote players within range of a position
+     */
+    findCombatantsInRange(position, range) {
+        return this.getRemoteCombatants().filter(combatant => {
+            return combatant.getPosition().distanceTo(position) <= range;
+        });
+    }
+    
+    /**
+     * Check remote players against the combo step's cone (same test as EnemyManager.handlePlayerAttack)
+     */
+    handlePvPAttack(playerPosition, attackDirection, damageInfo, step) {
         const hits = [];
-        targets.forEach((enemy, index) => {
-            // Calculate damage for this strike
-            const variance = (Math.random() - 0.5) * 2 * this.lightningStrikeDamageVariance;
-            const damage = Math.round(this.lightningStrikeBaseDamage * (1 + variance));
+        const angleInRadians = (step.angle * Math.PI) / 180;
+        
+        this.getRemoteCombatants().forEach(combatant => {
+            const toTarget = new THREE.Vector3();
+            toTarget.subVectors(combatant.getPosition(), playerPosition);
+            toTarget.y = 0; // Ignore height difference
             
-            // Deal damage immediately
-            enemy.takeDamage(damage, playerPos);
+            const distance = toTarget.length();
+            if (distance > this.getStepRange(step)) return;
             
-            // Spawn lightning effect with slight delay for visual appeal
-            setTimeout(() => {
-                if (this.lightningStrikeManager) {
-                    this.lightningStrikeManager.spawnLightning(enemy.position);
-                }
-            }, index * 50); // Reduced delay from 150ms to 50ms
+            toTarget.normalize();
+            const angle = Math.acos(Math.max(-1, Math.min(1, toTarget.dot(attackDirection))));
+            if (angle > angleInRadians / 2) return;
             
-            // Show damage number immediately
-            if (this.damageNumberManager) {
-                const damagePos = enemy.position.clone();
-                damagePos.y += 0.5;
-                this.damageNumberManager.showDamage(damage, damagePos, false);
-            }
+            const damage = damageInfo.isCritical ? this.pvpMeleeDamage * 2 : this.pvpMeleeDamage;
+            this.sendPlayerDamage(combatant, damage, damageInfo.isCritical, playerPosition);
             
             hits.push({
-                enemy: enemy,
+                combatant: combatant,
+                distance: distance,
+                died: false, // The victim's client decides
                 damage: damage,
-                died: enemy.isDead
+                isCritical: damageInfo.isCritical
             });
         });
         
-        // Apply visual feedback after a short delay
-        setTimeout(() => {
-            this.isLightningStriking = false; // Allow freeze frames again
-            this.onLightningStrikeHit(hits);
-        }, 100);
-        
-        // Set cooldown
-        this.lightningStrikeCooldown = this.lightningStrikeCooldownDuration;
-        
-        return true;
+        return hits;
     }
     
     /**
-     * Find enemies within range of a position
+     * Send a hit to a remote player's client, which applies it to its own combatant
      */
-    findEnemiesInRange(position, range) {
-        const enemies = this.enemyManager.getEnemies();
-        const inRange = [];
+    sendPlayerDamage(combatant, damage, isCritical, attackerPosition, statusEffects = null) {
+        if (!this.networkClient) return;
         
-        enemies.forEach(enemy => {
-            const distance = enemy.position.distanceTo(position);
-            if (distance <= range) {
-                inRange.push(enemy);
-            }
+        this.networkClient.send({
+            type: 'pvpHit',
+            to: combatant.id,
+            damage: damage,
+            critical: isCritical,
+            p: [attackerPosition.x, attackerPosition.y, attackerPosition.z],
+            fx: statusEffects
         });
+    }
+    
+    /**
+     * Apply a list of status effects to an enemy
+     * @param {Array<Object>} statusEffects - Entries of { type, ...overrides }
+     */
+    applyStatusEffects(enemy, statusEffects) {
+        if (enemy.isDead || !enemy.applyStatusEffect) return;
         
-        return inRange;
+        statusEffects.forEach(({ type, ...overrides }) => {
+            enemy.applyStatusEffect(type, overrides);
+        });
+    }
+    
+    /**
+     * Get the world object a hit landed on (enemy or remote player sprite)
+     */
+    getHitTarget(hit) {
+        return hit.enemy || (hit.combatant ? hit.combatant.sprite : null);
     }
     
     /**
@@ -249,17 +993,17 @@ class CombatSystem {
     /**
      * Called when attack successfully hits enemies
      */
-    onSuccessfulHit(hits) {
+    onSuccessfulHit(hits, step) {
         // Trigger hit-stop for impactful combat feel
         if (this.game && this.game.freezeFrame) {
-            // Scale freeze duration based on number of hits and critical
+            // Each combo step has its own hit-stop, longer for criticals and multi-hits
             const hasCritical = hits.some(hit => hit.isCritical);
-            let freezeDuration = 0.12; // Base 120ms freeze (increased from 50ms)
+            let freezeDuration = step.hitStop;
             
             if (hasCritical) {
-                freezeDuration = 0.18; // 180ms for critical hits (increased from 80ms)
+                freezeDuration = step.hitStop * 1.5;
             } else if (hits.length > 2) {
-                freezeDuration = 0.15; // 150ms for multi-hits (increased from 70ms)
+                freezeDuration = step.hitStop * 1.25;
             }
             
             this.game.freezeFrame(freezeDuration);
@@ -289,9 +1033,10 @@ class CombatSystem {
         // Spawn impact effects at hit locations
         if (this.impactEffectManager) {
             hits.forEach(hit => {
-                if (hit.enemy && hit.enemy.position) {
+                const target = this.getHitTarget(hit);
+                if (target && target.position) {
                     // Spawn impact effect at enemy position
-                    const impactPos = hit.enemy.position.clone();
+                    const impactPos = target.position.clone();
                     impactPos.y += 1.0; // Position at enemy's mid-height
                     this.impactEffectManager.spawnImpact(impactPos);
                     console.log('Spawning impact for hit enemy at:', impactPos);
@@ -302,11 +1047,12 @@ class CombatSystem {
         // Show damage numbers
         if (this.damageNumberManager) {
             hits.forEach(hit => {
-                if (hit.enemy && hit.enemy.position) {
+                const target = this.getHitTarget(hit);
+                if (target && target.position) {
                     // Show damage number above enemy
-                    const damagePos = hit.enemy.position.clone();
+                    const damagePos = target.position.clone();
                     damagePos.y += 0.5; // Position above enemy (lowered by 1 unit from 1.5)
-                    this.damageNumberManager.showDamage(hit.damage, damagePos, hit.isCritical);
+                    this.damageNumberManager.showDamage(hit.damage, damagePos, hit.isCritical, hit.damageType, hit.tag);
                     console.log(`Showing damage: ${hit.damage}${hit.isCritical ? ' CRITICAL!' : ''}`);
                 }
             });
@@ -315,15 +1061,16 @@ class CombatSystem {
         // Spawn blood particles
         if (this.bloodParticleSystem) {
             hits.forEach(hit => {
-                if (hit.enemy && hit.enemy.position) {
+                const target = this.getHitTarget(hit);
+                if (target && target.position) {
                     // Calculate hit direction (from player to enemy - blood sprays AWAY from player)
                     const hitDirection = new THREE.Vector3();
-                    hitDirection.subVectors(hit.enemy.position, this.playerController.getPosition());
+                    hitDirection.subVectors(target.position, this.playerController.getPosition());
                     hitDirection.y = 0; // Keep it horizontal
                     hitDirection.normalize();
                     
                     // Spawn blood at enemy position
-                    const bloodPos = hit.enemy.position.clone();
+                    const bloodPos = target.position.clone();
                     bloodPos.y += 0.5; // At enemy body level
                     
                     // More particles for critical hits
@@ -336,13 +1083,15 @@ class CombatSystem {
         // Could add:
         // - Hit particles
         // - Sound effects
-        // - Combo counter
     }
     
     /**
      * Update combat system
      */
     update(deltaTime) {
+        // Fire delayed effects (lightning bolts, hit overlay)
+        this.timers.update(deltaTime);
+        
         // Update attack cooldown
         if (this.attackCooldown > 0) {
             this.attackCooldown -= deltaTime;
@@ -353,22 +1102,95 @@ class CombatSystem {
             this.lightningStrikeCooldown -= deltaTime;
         }
         
+        // Update fire bolt cooldown
+        if (this.projectileCooldown > 0) {
+            this.projectileCooldown -= deltaTime;
+        }
+        
+        // Update unlockable skill cooldowns
+        if (this.whirlwindCooldown > 0) {
+            this.whirlwindCooldown -= deltaTime;
+        }
+        if (this.frostNovaCooldown > 0) {
+            this.frostNovaCooldown -= deltaTime;
+        }
+        
+        // Parry window and the critical window it opens
+        if (this.parryTimer > 0) {
+            this.parryTimer -= deltaTime;
+        }
+        if (this.parryCritTimer > 0) {
+            this.parryCritTimer -= deltaTime;
+        }
+        
+        // A stun knocks the guard down
+        if (this.isBlocking && this.isPlayerStunned()) {
+            this.endBlock();
+        }
+        
         // Update attack state
         if (this.isAttacking) {
             this.attackTimer -= deltaTime;
             
             if (this.attackTimer <= 0) {
                 this.isAttacking = false;
+                this.comboWindowTimer = this.comboWindow; // Chain window opens when the swing ends
+            }
+        } else if (this.comboStep > 0) {
+            // Waited too long - the combo starts over
+            this.comboWindowTimer -= deltaTime;
+            if (this.comboWindowTimer <= 0) {
+                this.resetCombo();
+            }
+        }
+        
+        // Dash strike upgrade hits whatever the dash passes through
+        if (this.dashStrikeEnabled && this.playerController.isDashing && !this.localCombatant.isDead) {
+            this.updateDashStrike();
+        }
+        
+        // End the hit streak after a while without hits
+        if (this.hitStreak > 0) {
+            this.hitStreakTimer -= deltaTime;
+            if (this.hitStreakTimer <= 0) {
+                this.resetHitStreak();
             }
         }
         
         // Update invulnerability timer
-        if (this.playerInvulnerable) {
-            this.invulnerabilityTimer -= deltaTime;
-            
-            if (this.invulnerabilityTimer <= 0) {
-                this.playerInvulnerable = false;
-                console.log('Player invulnerability ended');
+        this.localCombatant.update(deltaTime);
+        
+        // Tick the player's status effects
+        if (!this.localCombatant.isDead) {
+            this.playerStatusEffects.update(deltaTime);
+        }
+        
+        // Blink the player sprite while respawn protection is active
+        if (this.isRespawnProtected) {
+            this.updateRespawnBlink(deltaTime);
+        }
+    }
+    
+    /**
+     * Blink the player sprite during respawn invulnerability
+     */
+    updateRespawnBlink(deltaTime) {
+        const sprite = this.playerController.sprite;
+        
+        if (!this.localCombatant.invulnerable) {
+            // Protection ended - restore full opacity
+            this.isRespawnProtected = false;
+            if (sprite && sprite.material) {
+                sprite.material.opacity = 1.0;
+            }
+            return;
+        }
+        
+        this.blinkTimer += deltaTime;
+        if (this.blinkTimer >= this.blinkInterval) {
+            this.blinkTimer = 0;
+            if (sprite && sprite.material) {
+                sprite.material.opacity = sprite.material.opacity < 1.0 ? 1.0 : 0.35;
             }
         }
     }
@@ -377,16 +1199,15 @@ class CombatSystem {
      * Restore player health (from health orbs)
      */
     restoreHealth(amount = 1) {
-        if (this.playerHealth >= this.playerMaxHealth) {
+        const player = this.localCombatant;
+        if (player.health >= player.maxHealth) {
             console.log('Player already at max health');
             return false;
         }
         
-        const oldHealth = this.playerHealth;
-        this.playerHealth = Math.min(this.playerMaxHealth, this.playerHealth + amount);
-        const actualHealing = this.playerHealth - oldHealth;
+        const actualHealing = player.heal(amount);
         
-        console.log(`Player healed for ${actualHealing} health. Health: ${this.playerHealth}/${this.playerMaxHealth}`);
+        console.log(`Player healed for ${actualHealing} health. Health: ${player.health}/${player.maxHealth}`);
         
         // Update health UI
         this.updateHealthUI();
@@ -401,38 +1222,52 @@ class CombatSystem {
      * Animate heart healing when player gains health
      */
     animateHeartHealing() {
-        // Animate newly filled hearts
-        for (let i = 0; i < this.playerHealth; i++) {
-            const heart = document.getElementById(`heart-${i}`);
-            if (heart) {
-                // Remove animation class if it exists
-                heart.classList.remove('heal-animation');
-                
-                // Force reflow to restart animation
-                void heart.offsetWidth;
-                
-                // Add healing animation class
-                heart.classList.add('heal-animation');
-                
-                // Remove animation class after it completes
-                setTimeout(() => {
-                    heart.classList.remove('heal-animation');
-                }, 600);
-            }
+        if (this.healthUI) {
+            this.healthUI.animateHealing(this.localCombatant.health);
         }
     }
 
     /**
      * Handle player taking damage
+     * @param {string} attackerId - Remote player who dealt the damage (null for enemies)
      */
-    handlePlayerDamage(damage = 1) {
-        if (this.playerInvulnerable) {
+    handlePlayerDamage(damage = 1, attackerPosition = null, attackerId = null, statusEffects = null) {
+        const player = this.localCombatant;
+        if (player.isDead) {
+            return false;
+        }
+        
+        if (player.invulnerable) {
             console.log('Player is invulnerable, no damage taken');
             return false;
         }
         
-        this.playerHealth -= damage;
-        console.log(`Player took ${damage} damage. Health: ${this.playerHealth}/${this.playerMaxHealth}`);
+        if (this.dodgeHit()) {
+            return false;
+        }
+        
+        // Blocking takes the edge off any hit (melee attackers check for a parry first). Damage
+        // is whole hearts, so the leftover fraction is the chance of one more landing
+        if (this.isBlocking) {
+            const blocked = damage * this.blockDamageMultiplier;
+            damage = Math.floor(blocked) + (gameRandom.chance(blocked % 1) ? 1 : 0);
+            if (damage <= 0) {
+                // Burn and shock still get through the guard
+                this.applyHitStatusEffects(statusEffects);
+                this.showPlayerText('BLOCK');
+                return false;
+            }
+        }
+        
+        player.takeDamage(damage, attackerId);
+        console.log(`Player took ${damage} damage. Health: ${player.health}/${player.maxHealth}`);
+        
+        // Getting hit breaks the combo and the hit streak
+        this.resetCombo();
+        this.resetHitStreak();
+        
+        // Effects carried by the hit (fireball burn, lightning shock)
+        this.applyHitStatusEffects(statusEffects);
         
         // Show hit overlay effect
         this.showHitOverlay();
@@ -456,42 +1291,177 @@ class CombatSystem {
         }
         
         // Make player invulnerable for a short time
-        this.playerInvulnerable = true;
-        this.invulnerabilityTimer = this.invulnerabilityDuration;
+        player.setInvulnerable(this.invulnerabilityDuration);
         
-        if (this.playerHealth <= 0) {
-            console.log('Player defeated!');
-            // TODO: Handle player death (respawn, game over, etc.)
+        if (player.isDead) {
+            this.handlePlayerDeath(attackerPosition);
         }
         
         return true;
     }
     
     /**
-     * Update health UI display
+     * Put the status effects a hit carries on the local player
+     * @param {Array|null} statusEffects - [{ type, ...overrides }]
      */
-    updateHealthUI() {
-        const heartsContainer = document.getElementById('hearts-container');
+    applyHitStatusEffects(statusEffects) {
+        if (!statusEffects || this.localCombatant.isDead) return;
+        
+        statusEffects.forEach(({ type, ...overrides }) => {
+            this.playerStatusEffects.apply(type, overrides);
+        });
+    }
+    
+    /**
+     * Handle player death - death pose, frozen input, game over screen
+     */
+    handlePlayerDeath(attackerPosition = null) {
+        console.log('Player defeated!');
+        this.isAttacking = false;
+        this.endBlock();
+        this.playerStatusEffects.clear();
         
-        if (!heartsContainer) return;
+        // Freeze input so the corpse stays put
+        this.playerController.setInputEnabled(false);
         
-        // Clear existing hearts
-        heartsContainer.innerHTML = '';
+        // Play hurt animation into the death pose
+        const sprite = this.playerController.sprite;
+        if (sprite && sprite.die) {
+            sprite.die(attackerPosition);
+        }
         
-        // Create hearts based on max health
-        for (let i = 0; i < this.playerMaxHealth; i++) {
-            const heart = document.createElement('div');
-            heart.className = 'heart';
-            heart.id = `heart-${i}`;
-            
-            // Set filled or empty based on current health
-            if (i < this.playerHealth) {
-                heart.classList.add('filled');
-            } else {
-                heart.classList.add('empty');
-            }
-            
-            heartsContainer.appendChild(heart);
+        // Announce the death to the session and the kill feed
+        const killerId = this.localCombatant.lastAttackerId;
+        if (this.networkClient) {
+            this.networkClient.send({ type: 'playerDeath', killer: killerId });
+        }
+        this.addKillFeedEntry(killerId, this.getLocalPlayerId());
+        
+        // Let the main game show the game over screen
+        if (this.game && this.game.onPlayerDeath) {
+            this.game.onPlayerDeath();
+        }
+    }
+    
+    /**
+     * Bring the player back with full health and temporary invulnerability
+     */
+    respawnPlayer() {
+        this.localCombatant.revive();
+        this.attackCooldown = 0;
+        this.attackTimer = 0;
+        this.isAttacking = false;
+        this.lightningStrikeCooldown = 0;
+        this.projectileCooldown = 0;
+        this.whirlwindCooldown = 0;
+        this.frostNovaCooldown = 0;
+        this.parryCritTimer = 0;
+        this.endBlock();
+        this.resetCombo();
+        this.resetHitStreak();
+        this.playerStatusEffects.clear();
+        
+        // Respawn protection
+        this.localCombatant.setInvulnerable(this.respawnInvulnerabilityDuration);
+        this.isRespawnProtected = true;
+        this.blinkTimer = 0;
+        
+        const sprite = this.playerController.sprite;
+        if (sprite && sprite.revive) {
+            sprite.revive();
+        }
+        
+        this.playerController.resetDash();
+        this.playerController.setInputEnabled(true);
+        
+        this.updateHealthUI();
+        this.animateHeartHealing();
+        
+        console.log(`Player respawned with ${this.respawnInvulnerabilityDuration}s invulnerability`);
+    }
+    
+    /**
+     * Damage from a status effect tick on the local player (respects invulnerability, no hit reaction)
+     */
+    handlePlayerStatusDamage(damage, type) {
+        const player = this.localCombatant;
+        if (!player.takeDamage(damage, player.lastAttackerId)) return; // Kill credit stays with whoever applied it
+        
+        console.log(`Player took ${damage} ${type} damage. Health: ${player.health}/${player.maxHealth}`);
+        this.showPlayerText(damage);
+        this.showHitOverlay();
+        this.updateHealthUI();
+        this.animateHeartLoss();
+        
+        if (player.isDead) {
+            this.handlePlayerDeath(null);
+        }
+    }
+    
+    /**
+     * Tint the player sprite for the newest status effect
+     */
+    refreshPlayerStatusTint() {
+        const sprite = this.playerController.sprite;
+        if (!sprite || !sprite.material || this.localCombatant.isDead) return;
+        
+        const tint = this.isBlocking ? this.blockTint : this.playerStatusEffects.getTint();
+        sprite.material.color.setHex(tint !== null ? tint : 0xffffff);
+    }
+    
+    /**
+     * Check if a stun is stopping the player from acting
+     */
+    isPlayerStunned() {
+        return this.playerStatusEffects.isStunned();
+    }
+    
+    /**
+     * Movement speed multiplier from the player's status effects and blocking (0 while stunned)
+     */
+    getPlayerSpeedMultiplier() {
+        const blockMultiplier = this.isBlocking ? this.blockSpeedMultiplier : 1;
+        return this.playerStatusEffects.getSpeedMultiplier() * blockMultiplier;
+    }
+    
+    /**
+     * Record an enemy kill for run stats
+     */
+    registerKill(enemy) {
+        this.localCombatant.enemyKills++;
+    }
+    
+    /**
+     * Reset run stats (used when starting a new run)
+     */
+    resetRunStats() {
+        this.localCombatant.resetStats();
+        
+        if (this.killFeed) {
+            this.killFeed.updateStats(0, 0);
+        }
+    }
+    
+    /**
+     * Restore the run's kill and death counts (loading a save)
+     */
+    setRunStats(stats) {
+        const combatant = this.localCombatant;
+        combatant.enemyKills = Math.max(0, Math.floor(stats.enemyKills) || 0);
+        combatant.playerKills = Math.max(0, Math.floor(stats.playerKills) || 0);
+        combatant.deaths = Math.max(0, Math.floor(stats.deaths) || 0);
+        
+        if (this.killFeed) {
+            this.killFeed.updateStats(combatant.playerKills, combatant.deaths);
+        }
+    }
+    
+    /**
+     * Update health UI display
+     */
+    updateHealthUI() {
+        if (this.healthUI) {
+            this.healthUI.render(this.localCombatant.health, this.localCombatant.maxHealth);
         }
     }
     
@@ -499,51 +1469,27 @@ class CombatSystem {
      * Show hit overlay effect when player is hit
      */
     showHitOverlay() {
-        const hitOverlay = document.getElementById('hit-overlay');
-        if (hitOverlay) {
-            // Make sure the overlay is visible in the DOM
-            hitOverlay.style.display = 'block';
-            
-            // Force reflow to ensure display change is applied
-            hitOverlay.offsetHeight;
-            
-            // Add show class to trigger fade-in
-            hitOverlay.classList.add('show');
+        if (!this.healthUI) return;
+        
+        this.healthUI.showHitOverlay();
+        
+        // Remove show class after peak visibility to start fade-out
+        this.timers.schedule(0.1, () => {
+            this.healthUI.fadeHitOverlay();
             
-            // Remove show class after peak visibility to start fade-out
-            setTimeout(() => {
-                hitOverlay.classList.remove('show');
-                
-                // Hide from DOM after fade-out completes
-                setTimeout(() => {
-                    hitOverlay.style.display = 'none';
-                }, 150); // Match CSS transition duration
-            }, 100); // Show at full opacity for 100ms
-        }
+            // Hide from DOM after fade-out completes
+            this.timers.schedule(0.15, () => {
+                this.healthUI.hideHitOverlay();
+            }); // Match CSS transition duration
+        }); // Show at full opacity for 100ms
     }
 
     /**
      * Animate heart loss when player takes damage
      */
     animateHeartLoss() {
-        // Animate all remaining filled hearts
-        for (let i = 0; i < this.playerHealth; i++) {
-            const heart = document.getElementById(`heart-${i}`);
-            if (heart) {
-                // Remove animation class if it exists
-                heart.classList.remove('hit-animation');
-                
-                // Force reflow to restart animation
-                void heart.offsetWidth;
-                
-                // Add animation class
-                heart.classList.add('hit-animation');
-                
-                // Remove animation class after it completes
-                setTimeout(() => {
-                    heart.classList.remove('hit-animation');
-                }, 500);
-            }
+        if (this.healthUI) {
+            this.healthUI.animateLoss(this.localCombatant.health);
         }
     }
     
@@ -552,12 +1498,19 @@ class CombatSystem {
      */
     getPlayerHealth() {
         return {
-            current: this.playerHealth,
-            max: this.playerMaxHealth,
-            percentage: this.playerHealth / this.playerMaxHealth
+            current: this.localCombatant.health,
+            max: this.localCombatant.maxHealth,
+            percentage: this.localCombatant.health / this.localCombatant.maxHealth
         };
     }
     
+    /**
+     * Check if the player is dead
+     */
+    isDead() {
+        return this.localCombatant.isDead;
+    }
+    
     /**
      * Check if lightning strike can be used
      */
@@ -572,6 +1525,27 @@ class CombatSystem {
         return 1 - (this.lightningStrikeCooldown / this.lightningStrikeCooldownDuration);
     }
 
+    /**
+     * Get fire bolt cooldown progress (0-1)
+     */
+    getProjectileCooldownProgress() {
+        return 1 - (this.projectileCooldown / this.projectileCooldownDuration);
+    }
+
+    /**
+     * Get whirlwind cooldown progress (0-1)
+     */
+    getWhirlwindCooldownProgress() {
+        return 1 - (this.whirlwindCooldown / this.whirlwindCooldownDuration);
+    }
+
+    /**
+     * Get frost nova cooldown progress (0-1)
+     */
+    getFrostNovaCooldownProgress() {
+        return 1 - (this.frostNovaCooldown / this.frostNovaCooldownDuration);
+    }
+
     /**
      * Check if currently performing lightning strike (used to prevent individual freeze frames)
      */
@@ -583,14 +1557,14 @@ class CombatSystem {
      * Check if player can attack
      */
     canAttack() {
-        return this.attackCooldown <= 0 && !this.isAttacking;
+        return this.attackCooldown <= 0 && !this.isAttacking && !this.isBlocking && !this.localCombatant.isDead && !this.isPlayerStunned();
     }
     
     /**
      * Get attack cooldown progress (0-1)
      */
     getAttackCooldownProgress() {
-        return 1 - (this.attackCooldown / this.attackCooldownDuration);
+        return 1 - (this.attackCooldown / this.currentAttackCooldown);
     }
     
     /**
@@ -631,21 +1605,145 @@ class CombatSystem {
         this.lightningStrikeManager = lightningStrikeManager;
     }
 
+    /**
+     * Set fireball manager reference (fires the player's projectiles)
+     */
+    setFireballManager(fireballManager) {
+        this.fireballManager = fireballManager;
+    }
+    
+    /**
+     * Set XP system reference (player level scales chain lightning)
+     */
+    setXPSystem(xpSystem) {
+        this.xpSystem = xpSystem;
+    }
+    
+    /**
+     * Set network client reference for attack replication and PvP
+     */
+    setNetworkClient(networkClient) {
+        this.networkClient = networkClient;
+        this.registerNetworkHandlers();
+    }
+    
+    /**
+     * Listen for PvP hits and player deaths
+     */
+    registerNetworkHandlers() {
+        // Another player hit us - we own our health, so apply it here
+        this.networkClient.on('pvpHit', (message) => {
+            if (!this.pvpEnabled) return;
+            
+            const attackerPosition = new THREE.Vector3(message.p[0], message.p[1], message.p[2]);
+            const sprite = this.playerController.sprite;
+            if (!this.localCombatant.isTargetable() || this.dodgeHit()) return;
+            
+            if (sprite && sprite.hurt) {
+                sprite.hurt(attackerPosition);
+            }
+            this.handlePlayerDamage(message.damage, attackerPosition, message.id, message.fx);
+        });
+        
+        // Someone died - update kill/death counts and the kill feed
+        this.networkClient.on('playerDeath', (message) => {
+            const victim = this.getRemoteCombatant(message.id);
+            if (victim) {
+                victim.deaths++;
+            }
+            
+            if (message.killer && message.killer === this.networkClient.getLocalId()) {
+                this.localCombatant.playerKills++;
+            } else {
+                const killer = this.getRemoteCombatant(message.killer);
+                if (killer) {
+                    killer.playerKills++;
+                }
+            }
+            
+            this.addKillFeedEntry(message.killer, message.id);
+        });
+    }
+    
+    /**
+     * Find a remote player's combatant by id
+     */
+    getRemoteCombatant(id) {
+        if (!id || !this.remotePlayerManager) return null;
+        
+        const remotePlayer = this.remotePlayerManager.remotePlayers.get(id);
+        return remotePlayer ? remotePlayer.combatant : null;
+    }
+    
+    /**
+     * Get our id in the session ('local' when playing solo)
+     */
+    getLocalPlayerId() {
+        return this.networkClient && this.networkClient.getLocalId() ? this.networkClient.getLocalId() : 'local';
+    }
+    
+    /**
+     * Add a kill to the HUD feed and refresh our kill/death counts
+     */
+    addKillFeedEntry(killerId, victimId) {
+        if (!this.killFeed) return;
+        
+        const localId = this.getLocalPlayerId();
+        this.killFeed.addEntry(
+            this.killFeed.getDisplayName(killerId, localId),
+            this.killFeed.getDisplayName(victimId, localId),
+            killerId === localId || victimId === localId
+        );
+        this.killFeed.updateStats(this.localCombatant.playerKills, this.localCombatant.deaths);
+    }
+    
+    /**
+     * Set remote player manager reference (PvP targets)
+     */
+    setRemotePlayerManager(remotePlayerManager) {
+        this.remotePlayerManager = remotePlayerManager;
+    }
+    
+    /**
+     * Set health UI reference
+     */
+    setHealthUI(healthUI) {
+        this.healthUI = healthUI;
+        this.updateHealthUI();
+    }
+    
+    /**
+     * Set kill feed reference
+     */
+    setKillFeed(killFeed) {
+        this.killFeed = killFeed;
+        this.killFeed.updateStats(this.localCombatant.playerKills, this.localCombatant.deaths);
+    }
+
     /**
      * Calculate damage for an attack
+     * @param {number} multiplier - Combo step and hit streak scaling
      */
-    calculateDamage() {
+    calculateDamage(multiplier = 1, damageType = DamageTypes.PHYSICAL) {
         // Base damage with variance
-        const variance = (Math.random() - 0.5) * 2 * this.damageVariance;
-        let damage = Math.round(this.baseDamage * (1 + variance));
+        const variance = gameRandom.range(-1, 1) * this.damageVariance;
+        const typeBonus = 1 + (this.damageTypeBonus[damageType] || 0);
+        let damage = Math.round(this.baseDamage * multiplier * typeBonus * (1 + variance));
         
-        // Check for critical hit
-        const isCritical = Math.random() < this.criticalChance;
+        // Check for critical hit (always, for a while after a parry)
+        const isCritical = gameRandom.chance(this.criticalChance) || this.isParryCritActive();
         if (isCritical) {
             damage = Math.round(damage * this.criticalMultiplier);
         }
         
-        return { damage, isCritical };
+        return { damage, isCritical, damageType };
+    }
+    
+    /**
+     * Set the HUD hit streak counter
+     */
+    setComboCounter(comboCounter) {
+        this.comboCounter = comboCounter;
     }
     
     /**
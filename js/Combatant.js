@@ -0,0 +1,128 @@
+/**
+ * Combatant - Per-player combat state (health, invulnerability, kills and deaths)
+ * The local player's combatant is owned by CombatSystem; remote players carry
+ * a mirrored combatant updated from their network state.
+ */
+class Combatant {
+    constructor(id, sprite, maxHealth = 5, isLocal = true) {
+        this.id = id;
+        this.sprite = sprite; // Character sprite (position and hurt animation)
+        this.isLocal = isLocal;
+        this.faction = Factions.PLAYER;
+
+        // Health
+        this.maxHealth = maxHealth;
+        this.health = maxHealth;
+        this.isDead = false;
+
+        // Invulnerability after being hit
+        this.invulnerable = false;
+        this.invulnerabilityTimer = 0;
+
+        // Stats
+        this.enemyKills = 0;
+        this.playerKills = 0;
+        this.deaths = 0;
+
+        // Who dealt the latest damage (player id, or null for enemies)
+        this.lastAttackerId = null;
+    }
+
+    /**
+     * Apply damage (returns false if it was ignored)
+     */
+    takeDamage(amount, attackerId = null) {
+        if (this.isDead || this.invulnerable) {
+            return false;
+        }
+
+        this.health = Math.max(0, this.health - amount);
+        this.lastAttackerId = attackerId;
+
+        if (this.health <= 0) {
+            this.isDead = true;
+            this.deaths++;
+        }
+
+        return true;
+    }
+
+    /**
+     * Restore health (returns the amount actually healed)
+     */
+    heal(amount) {
+        const oldHealth = this.health;
+        this.health = Math.min(this.maxHealth, this.health + amount);
+        return this.health - oldHealth;
+    }
+
+    /**
+     * Start an invulnerability window
+     */
+    setInvulnerable(duration) {
+        this.invulnerable = true;
+        this.invulnerabilityTimer = duration;
+    }
+
+    /**
+     * Update invulnerability timer
+     */
+    update(deltaTime) {
+        if (this.invulnerable) {
+            this.invulnerabilityTimer -= deltaTime;
+
+            if (this.invulnerabilityTimer <= 0) {
+                this.invulnerable = false;
+            }
+        }
+    }
+
+    /**
+     * Bring the combatant back at full health
+     */
+    revive() {
+        this.isDead = false;
+        this.health = this.maxHealth;
+        this.lastAttackerId = null;
+    }
+
+    /**
+     * Apply health replicated from the owning client (remote combatants)
+     */
+    setNetworkHealth(health, maxHealth, invulnerable = false) {
+        this.maxHealth = maxHealth;
+        this.health = health;
+        this.isDead = health <= 0;
+        this.invulnerable = invulnerable;
+    }
+
+    /**
+     * Reset kill and death counts
+     */
+    resetStats() {
+        this.enemyKills = 0;
+        this.playerKills = 0;
+        this.deaths = 0;
+    }
+
+    /**
+     * Get combatant position
+     */
+    getPosition() {
+        return this.sprite.position;
+    }
+
+    /**
+     * Check if the combatant can be hit
+     */
+    isTargetable() {
+        return !this.isDead && !this.invulnerable;
+    }
+
+    /**
+     * Get total kills (enemies and players)
+     */
+    getTotalKills() {
+        return this.enemyKills + this.playerKills;
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * ComboCounter - HUD counter for the player's hit streak and its damage bonus
+ * CombatSystem drives it through setComboCounter; headless simulations run without one.
+ */
+class ComboCounter {
+    constructor() {
+        this.container = null;
+        this.countLabel = null;
+        this.bonusLabel = null;
+
+        this.initializeUI();
+    }
+
+    /**
+     * Create the counter elements
+     */
+    initializeUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'combo-counter';
+        this.container.innerHTML = `
+            <div id="combo-counter-count"></div>
+            <div id="combo-counter-bonus"></div>
+        `;
+
+        // Add to UI overlay
+        const uiOverlay = document.getElementById('ui-overlay');
+        if (uiOverlay) {
+            uiOverlay.appendChild(this.container);
+        }
+
+        this.countLabel = this.container.querySelector('#combo-counter-count');
+        this.bonusLabel = this.container.querySelector('#combo-counter-bonus');
+    }
+
+    /**
+     * Show the current streak and pop the counter
+     * @param {number} bonus - Extra damage fraction granted by the streak (0.1 = +10%)
+     */
+    update(streak, bonus) {
+        this.countLabel.textContent = `${streak} HIT${streak === 1 ? '' : 'S'}`;
+        this.bonusLabel.textContent = bonus > 0 ? `+${Math.round(bonus * 100)}% DMG` : '';
+        this.container.classList.add('show');
+
+        // Restart the pop animation
+        this.container.classList.remove('pop');
+        void this.container.offsetWidth; // Force reflow
+        this.container.classList.add('pop');
+    }
+
+    /**
+     * Hide the counter (streak ended)
+     */
+    hide() {
+        this.container.classList.remove('show', 'pop');
+    }
+}
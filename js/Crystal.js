@@ -20,6 +20,9 @@ class Crystal extends THREE.Object3D {
         // XP system reference for gaining XP
         this.xpSystem = null;
         
+        // Shop that splits the crystal into XP and currency (XP only without one)
+        this.shop = null;
+        
         // Animation properties
         this.floatHeight = 0.3; // How high to float
         this.floatSpeed = 2.0; // Speed of floating animation
@@ -73,12 +76,12 @@ class Crystal extends THREE.Object3D {
         this.position.y += this.bounceHeight;
         
         // Random scatter direction
-        const angle = Math.random() * Math.PI * 2;
-        const force = 0.5 + Math.random() * scatterForce;
+        const angle = gameRandom.next() * Math.PI * 2;
+        const force = 0.5 + gameRandom.next() * scatterForce;
         
         this.velocity.set(
             Math.cos(angle) * force,
-            2.0 + Math.random() * 3.0, // Upward velocity
+            2.0 + gameRandom.next() * 3.0, // Upward velocity
             Math.sin(angle) * force
         );
         
@@ -106,6 +109,13 @@ class Crystal extends THREE.Object3D {
         this.xpSystem = xpSystem;
     }
 
+    /**
+     * Set the shop the crystal's currency goes to
+     */
+    setShop(shop) {
+        this.shop = shop;
+    }
+
     /**
      * Update crystal animation and physics
      */
@@ -230,8 +240,10 @@ class Crystal extends THREE.Object3D {
         this.isCollected = true;
         this.isActive = false;
         
-        // Give XP to player
-        if (this.xpSystem) {
+        // Give XP and crystals to spend
+        if (this.shop) {
+            this.shop.onCrystalCollected();
+        } else if (this.xpSystem) {
             this.xpSystem.onCrystalCollected();
         }
         
@@ -261,13 +273,15 @@ class Crystal extends THREE.Object3D {
  * CrystalManager - Manages all crystals in the scene
  */
 class CrystalManager {
-    constructor(scene) {
+    constructor(scene, textureLoader = null) {
         this.scene = scene;
+        this.textureLoader = textureLoader || new THREE.TextureLoader(); // Injected when running headless
         this.crystals = [];
         this.crystalTexture = null;
         this.camera = null; // Camera reference for billboarding
         this.collectionEffectManager = null; // Collection effect manager for visual feedback
         this.xpSystem = null; // XP system reference for gaining XP
+        this.shop = null; // Shop the crystals' currency goes to
         
         // Load crystal texture
         this.loadCrystalTexture();
@@ -277,8 +291,7 @@ class CrystalManager {
      * Load crystal texture
      */
     loadCrystalTexture() {
-        const loader = new THREE.TextureLoader();
-        loader.load(
+        this.textureLoader.load(
             'assets/images/crystal.png',
             (texture) => {
                 // Configure texture for pixel art
@@ -308,7 +321,7 @@ class CrystalManager {
         
         // Random count if not specified
         if (count === null) {
-            count = 3 + Math.floor(Math.random() * 2); // 3-4 crystals
+            count = 3 + Math.floor(gameRandom.next() * 2); // 3-4 crystals
         }
         
         console.log(`Spawning ${count} crystals at enemy death`);
@@ -331,10 +344,14 @@ class CrystalManager {
                 crystal.setXPSystem(this.xpSystem);
             }
             
+            if (this.shop) {
+                crystal.setShop(this.shop);
+            }
+            
             // Slightly offset spawn position for each crystal
             const offsetPosition = position.clone();
-            offsetPosition.x += (Math.random() - 0.5) * 1.0;
-            offsetPosition.z += (Math.random() - 0.5) * 1.0;
+            offsetPosition.x += (gameRandom.next() - 0.5) * 1.0;
+            offsetPosition.z += (gameRandom.next() - 0.5) * 1.0;
             
             // Initialize with scatter physics
             crystal.scatter(offsetPosition, 3.0);
@@ -377,6 +394,16 @@ class CrystalManager {
         });
     }
 
+    /**
+     * Set the shop collected crystals pay into
+     */
+    setShop(shop) {
+        this.shop = shop;
+        this.crystals.forEach(crystal => {
+            crystal.setShop(shop);
+        });
+    }
+
     /**
      * Update all crystals
      */
@@ -0,0 +1,47 @@
+/**
+ * CrystalCounter - Spendable crystal balance shown above the hearts
+ * Shop drives it through setCounter; headless simulations run without one.
+ */
+class CrystalCounter {
+    constructor() {
+        this.container = null;
+        this.countText = null;
+
+        this.initializeUI();
+    }
+
+    /**
+     * Create the counter
+     */
+    initializeUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'crystal-counter';
+        this.container.innerHTML = `
+            <img src="assets/images/crystal.png" alt="Crystals">
+            <span id="crystal-counter-value">0</span>
+        `;
+
+        // Add to UI overlay
+        const uiOverlay = document.getElementById('ui-overlay');
+        if (uiOverlay) {
+            uiOverlay.appendChild(this.container);
+        }
+
+        this.countText = this.container.querySelector('#crystal-counter-value');
+    }
+
+    /**
+     * Show the balance, popping when it goes up
+     */
+    update(crystals) {
+        const previous = Number(this.countText.textContent);
+        this.countText.textContent = crystals;
+
+        if (crystals > previous) {
+            // Restart the pop animation
+            this.container.classList.remove('pop');
+            void this.container.offsetWidth;
+            this.container.classList.add('pop');
+        }
+    }
+}
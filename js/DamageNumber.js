@@ -52,8 +52,10 @@ class DamageNumber extends THREE.Object3D {
     
     /**
      * Show damage number with animation
+     * @param {string} damageType - Colors the number (see DamageTypes; white when null)
+     * @param {string} tag - 'RESIST', 'WEAK' or 'IMMUNE' drawn with the number
      */
-    show(damage, position, isCritical = false) {
+    show(damage, position, isCritical = false, damageType = null, tag = null) {
         // Clear canvas
         this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
@@ -67,11 +69,12 @@ class DamageNumber extends THREE.Object3D {
         this.context.strokeStyle = '#000000';
         this.context.lineWidth = 16; // 4x stroke width
         
-        // Set fill color based on damage type
-        if (isCritical) {
+        // Set fill color based on damage type (physical criticals stay gold)
+        const isTyped = damageType && damageType !== DamageTypes.PHYSICAL;
+        if (isCritical && !isTyped) {
             this.context.fillStyle = '#FFD700'; // Gold for critical
         } else {
-            this.context.fillStyle = '#FFFFFF'; // White for normal
+            this.context.fillStyle = DamageTypes.getColor(damageType); // White for physical
         }
         
         // Draw text (centered on 4x canvas)
@@ -86,6 +89,15 @@ class DamageNumber extends THREE.Object3D {
             this.context.fillText('CRITICAL!', 512, 340);
         }
         
+        // Resistance tag - under the number, or above it when CRITICAL! takes that spot
+        if (tag) {
+            this.context.font = '48px Bangers';
+            this.context.fillStyle = DamageNumber.TAG_COLORS[tag] || '#FFFFFF';
+            const tagY = isCritical ? 172 : 340;
+            this.context.strokeText(tag, 512, tagY);
+            this.context.fillText(tag, 512, tagY);
+        }
+        
         // Update texture
         this.texture.needsUpdate = true;
         
@@ -192,6 +204,12 @@ class DamageNumber extends THREE.Object3D {
     }
 }
 
+DamageNumber.TAG_COLORS = {
+    RESIST: '#B8B8B8',
+    WEAK: '#FF5C5C',
+    IMMUNE: '#B8B8B8'
+};
+
 /**
  * DamageNumberManager - Manages pool of damage numbers
  */
@@ -210,16 +228,16 @@ class DamageNumberManager {
     }
     
     /**
-     * Show damage number
+     * Show damage number (colored by damage type, with an optional RESIST/WEAK/IMMUNE tag)
      */
-    showDamage(damage, position, isCritical = false) {
+    showDamage(damage, position, isCritical = false, damageType = null, tag = null) {
         // Get from pool
         if (this.pool.length === 0) return;
         
         const damageNumber = this.pool.pop();
         this.active.push(damageNumber);
         
-        damageNumber.show(damage, position, isCritical);
+        damageNumber.show(damage, position, isCritical, damageType, tag);
     }
     
     /**
@@ -0,0 +1,55 @@
+/**
+ * DamageTypes - Typed damage (physical, lightning, fire) and how a target's defense reduces it
+ * Armor is taken off physical hits; resistances scale one type (0.5 takes half, 1 is immune,
+ * -0.5 is a weakness that takes 50% more). Damage numbers are colored by type.
+ */
+class DamageTypes {
+    /**
+     * Damage a hit deals after the target's defense
+     * @param {Object} defense - { armor, resistances: { type: fraction } } (missing fields mean none)
+     * @returns {{amount: number, type: string, tag: string|null}} tag is 'RESIST', 'WEAK' or 'IMMUNE'
+     */
+    static resolve(amount, type, defense) {
+        const resistance = DamageTypes.getResistance(defense, type);
+        if (resistance >= 1) {
+            return { amount: 0, type: type, tag: 'IMMUNE' };
+        }
+
+        let reduced = amount;
+        if (type === DamageTypes.PHYSICAL && defense && defense.armor) {
+            reduced -= defense.armor;
+        }
+
+        // A hit that isn't resisted outright always does something
+        return {
+            amount: Math.max(1, Math.round(reduced * (1 - resistance))),
+            type: type,
+            tag: resistance > 0 ? 'RESIST' : (resistance < 0 ? 'WEAK' : null)
+        };
+    }
+
+    /**
+     * Resistance of a defense to a damage type (0 when it has none)
+     */
+    static getResistance(defense, type) {
+        return (defense && defense.resistances && defense.resistances[type]) || 0;
+    }
+
+    /**
+     * Damage number color of a type (white for unknown types)
+     */
+    static getColor(type) {
+        return DamageTypes.COLORS[type] || DamageTypes.COLORS[DamageTypes.PHYSICAL];
+    }
+}
+
+DamageTypes.PHYSICAL = 'physical';
+DamageTypes.LIGHTNING = 'lightning';
+DamageTypes.FIRE = 'fire';
+DamageTypes.ALL = [DamageTypes.PHYSICAL, DamageTypes.LIGHTNING, DamageTypes.FIRE];
+
+DamageTypes.COLORS = {
+    physical: '#FFFFFF',
+    lightning: '#8FD8FF',
+    fire: '#FF8A3D'
+};
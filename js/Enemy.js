@@ -40,10 +40,27 @@ class Enemy extends BillboardSprite {
         this.movementTimer = 0;
         this.changeDirectionInterval = 3.0; // Change direction every 3 seconds
         
+        // Sprite center height above the ground
+        this.hoverHeight = 0.7;
+        
+        // World obstacles (trees, bushes, stones)
+        this.gameWorld = null;
+        this.collisionRadius = 0.6;
+        
+        // Path following when obstacles block the straight line to a goal
+        this.pathfinder = null;
+        this.path = null; // Waypoints from the last finished query
+        this.pathIndex = 0;
+        this.pathGoal = new THREE.Vector3(); // Goal the path was planned for
+        this.pathVersion = -1; // Navigation grid version the path was planned on
+        this.pathRequest = null; // Query waiting in the pathfinder
+        this.repathDistance = 2.0; // Re-plan once the goal moves this far
+        this.waypointReachDistance = 0.4;
+        
         // Patrol properties
         this.patrolCenter = new THREE.Vector3();
         this.patrolRadius = 5.0;
-        this.patrolAngle = Math.random() * Math.PI * 2; // Random starting angle
+        this.patrolAngle = gameRandom.range(0, Math.PI * 2); // Random starting angle
 
         // === NEW AI STATE SYSTEM ===
         // AI States
@@ -70,6 +87,7 @@ class Enemy extends BillboardSprite {
         this.chaseSpeed = 2.5; // Faster when chasing
         this.lastKnownPlayerPosition = new THREE.Vector3();
         this.hasSeenPlayer = false;
+        this.isHunting = false; // Round spawns chase from anywhere (see startHunting)
         
         // Search properties
         this.searchTimer = 0;
@@ -85,6 +103,8 @@ class Enemy extends BillboardSprite {
         this.maxHealth = 50;
         this.health = this.maxHealth;
         this.isDead = false;
+        this.drops = { crystals: [3, 4], healthOrbChance: 0.33 }; // Rolled on death
+        this.defense = { armor: 0, resistances: {}, flying: false }; // See DamageTypes; flying enemies clear ground blasts
         
         // Create health bar
         this.healthBar = new HealthBar(0.675, 0.081); // Height increased by 20% (0.0675 * 1.2)
@@ -95,16 +115,29 @@ class Enemy extends BillboardSprite {
         // Store reference to manage UI scene placement later
         this.healthBarNeedsUIScene = true;
         
+        // Status effects (burn, stun, slow, shock) - tint the sprite and show icons above the health bar
+        this.statusEffects = new StatusEffects();
+        this.statusEffects.setOnTick((damage, type) => this.takeStatusDamage(damage, type));
+        this.statusEffects.setOnChange(() => this.refreshStatusVisuals());
+        
         // Attack properties
         this.attackRange = 2.0; // Range to start attacking
         this.attackDamage = 1;
         this.attackCooldown = 0;
         this.attackCooldownDuration = 2.0; // 2 seconds between attacks
+        this.attackKind = 'melee'; // 'melee' or 'projectile' (fireballs)
+        this.attackFriendlyFire = false; // Fireballs also hurt this enemy's own side
         this.isAttacking = false;
         this.attackFrames = 9; // 1800x200 = 9 frames for attack
-        this.target = null; // Reference to player
+        this.target = null; // Highest-threat hostile (a player sprite, or an enemy of another faction)
+        this.threat = new ThreatTable(); // Who this enemy wants to fight (kept up to date by EnemyManager)
         this.combatSystem = null; // Reference to combat system
         
+        // Faction - enemies attack whatever is hostile to it (see Factions)
+        this.faction = Factions.ENEMY;
+        this.healthDamagePerHeart = 10; // Attacks deal hearts to players; against enemies each heart is this much health
+        this.lastEnemyAttacker = null; // Enemy that landed the latest hit (friendly fire or another faction)
+        
         // Telegraph system
         this.telegraphManager = null; // Will be set by game
         this.currentTelegraph = null;
@@ -113,6 +146,17 @@ class Enemy extends BillboardSprite {
         // Fireball system
         this.fireballManager = null; // Will be set by game
         
+        // Multiplayer sync (see EnemySync)
+        this.enemySync = null; // Set when in a session
+        this.networkId = null; // Shared id assigned by the host
+        this.isReplica = false; // True when the host owns this enemy and we only mirror it
+        this.networkSnapshots = []; // Buffered host positions for interpolation
+        this.interpolationDelay = 0.1; // Render replicas 100ms in the past
+        this.attackCount = 0; // Increments per attack so replicas start each attack once
+        this.lastAttackerId = null; // Remote player who landed the latest hit (for kill credit)
+        this.pendingDamageTimer = 0; // Replica health is predicted until the host confirms
+        this.pendingDamageTimeout = 0.5;
+        
         // === Visual Feedback Constants ===
         // Visual feedback colour when enemy takes damage (soft red tint)
         this.hurtFlashColor = 0xff8e8e;
@@ -123,6 +167,7 @@ class Enemy extends BillboardSprite {
         this.hitFrames = this.hitTexture && this.hitTexture.image ?
             Math.floor(this.hitTexture.image.width / this.frameWidth) : 3;
         this.hitAnimationSpeed = 24; // Faster animation for hit reaction (doubled from 12)
+        this.staggerImmune = false; // Bosses skip the hit reaction and knockback
         
         // Death properties
         // Determine frame count from texture width (assuming 200px frame width)
@@ -139,6 +184,8 @@ class Enemy extends BillboardSprite {
         this.knockbackDistance = 0.6; // units - reduced for subtler effect
         this.knockbackOrigin = new THREE.Vector3();
         this.knockbackTarget = new THREE.Vector3();
+        this.launchHeight = 0; // Launched enemies arc up and land where they were knocked to
+        this.launchDuration = 0.5; // seconds
         
         // Scale punch properties
         this.scalePunchTimer = 0;
@@ -160,12 +207,24 @@ class Enemy extends BillboardSprite {
     }
     
     /**
-     * Set the target (player) for this enemy
+     * Set the target (player or hostile enemy) for this enemy
      */
     setTarget(target) {
         this.target = target;
     }
     
+    /**
+     * Force this enemy onto a target (taunt skills, summons guarding their master)
+     */
+    taunt(target) {
+        if (this.isDead || !target) return;
+        
+        this.threat.taunt(target);
+        if (!this.isAttacking) {
+            this.setTarget(target);
+        }
+    }
+    
     /**
      * Set the combat system reference
      */
@@ -187,10 +246,33 @@ class Enemy extends BillboardSprite {
         this.fireballManager = fireballManager;
     }
     
+    /**
+     * Set enemy sync for multiplayer sessions
+     */
+    setEnemySync(enemySync) {
+        this.enemySync = enemySync;
+    }
+    
+    /**
+     * Set game world reference for obstacle collision
+     */
+    setGameWorld(gameWorld) {
+        this.gameWorld = gameWorld;
+    }
+    
+    /**
+     * Set pathfinder for routing around obstacles
+     */
+    setPathfinder(pathfinder) {
+        this.clearPath();
+        this.pathfinder = pathfinder;
+    }
+    
     /**
      * Switch between walk, attack, hit, and death animations
+     * @param {number} attackIndex - Attack variant to play (random if null)
      */
-    switchAnimation(animationType) {
+    switchAnimation(animationType, attackIndex = null) {
         if (this.currentAnimation === animationType) return;
         if (this.currentAnimation === 'death') return; // Don't switch if dying
         
@@ -199,8 +281,11 @@ class Enemy extends BillboardSprite {
         this.elapsedTime = 0;
         
         if (animationType === 'attack') {
-            // Pick a random attack variant each time
-            this.currentAttackIndex = Math.floor(Math.random() * this.attackTextures.length);
+            // Pick a random attack variant each time (replicas play the host's pick)
+            this.currentAttackIndex = attackIndex !== null ?
+                Math.min(attackIndex, this.attackTextures.length - 1) :
+                gameRandom.int(this.attackTextures.length);
+            this.attackCount++;
             this.material.map = this.attackTextures[this.currentAttackIndex];
             this.totalFrames = this.attackFramesList[this.currentAttackIndex];
             this.isAttacking = true;
@@ -308,8 +393,71 @@ class Enemy extends BillboardSprite {
         this.patrolRadius = radius;
         // Position enemy at patrol center initially
         this.position.copy(center);
-        this.position.y = 0.7; // Adjusted height
-        this.setBaseY(0.7);
+        this.position.y = this.hoverHeight;
+        this.setBaseY(this.hoverHeight);
+    }
+    
+    /**
+     * Take stats, attack kind and drop table from an archetype (see EnemyArchetypeRegistry)
+     */
+    applyArchetype(archetype) {
+        this.enemyType = archetype.id;
+        this.hoverHeight = archetype.hoverHeight;
+        
+        this.maxHealth = archetype.health;
+        this.health = this.maxHealth;
+        if (this.healthBar) {
+            this.healthBar.setHealth(this.health, this.maxHealth, false); // Don't show on initial creation
+        }
+        
+        this.moveSpeed = archetype.speeds.patrol;
+        this.chaseSpeed = archetype.speeds.chase;
+        this.returnSpeed = archetype.speeds.return;
+        
+        this.detectionRange = archetype.ranges.detection;
+        this.loseTargetRange = archetype.ranges.loseTarget;
+        this.attackRange = archetype.ranges.attack;
+        
+        this.attackKind = archetype.attack.kind;
+        this.attackDamage = archetype.attack.damage;
+        this.attackCooldownDuration = archetype.attack.cooldown;
+        this.attackFriendlyFire = archetype.attack.friendlyFire || false;
+        
+        this.drops = archetype.drops;
+        
+        this.defense = archetype.defense;
+        
+        // Immunity to a damage type also blocks the effects that deal it (fire immunity stops burns)
+        Object.keys(StatusEffects.TYPES).forEach(type => {
+            const damageType = StatusEffects.TYPES[type].damageType;
+            if (damageType && DamageTypes.getResistance(this.defense, damageType) >= 1) {
+                this.statusEffects.addImmunity(type);
+            }
+        });
+    }
+    
+    /**
+     * Multiply max health (round difficulty) and refill
+     */
+    scaleHealth(multiplier) {
+        this.maxHealth = Math.round(this.maxHealth * multiplier);
+        this.health = this.maxHealth;
+        if (this.healthBar) {
+            this.healthBar.setHealth(this.health, this.maxHealth, false);
+        }
+    }
+    
+    /**
+     * Go straight after the target from anywhere and never lose it
+     */
+    startHunting() {
+        this.isHunting = true;
+        
+        if (this.target) {
+            this.currentState = this.AIState.CHASE;
+            this.hasSeenPlayer = true;
+            this.lastKnownPlayerPosition.copy(this.target.position);
+        }
     }
     
     /**
@@ -334,14 +482,31 @@ class Enemy extends BillboardSprite {
         // Stop other updates if dead
         if (this.isDead) return;
         
+        // Effects tick on replicas too (for the tint and icons); only the host applies their damage
+        this.statusEffects.update(deltaTime);
+        if (this.isDead) return; // Burned to death
+        
+        // Replicas follow the host instead of running their own AI
+        if (this.isReplica) {
+            this.updateReplica(deltaTime);
+            return;
+        }
+        
         // Update attack cooldown
         if (this.attackCooldown > 0) {
             this.attackCooldown -= deltaTime;
         }
         
         // === NEW AI SYSTEM ===
-        // Update AI state machine
-        this.updateAI(deltaTime);
+        // Update AI state machine (stunned enemies stand still until it wears off)
+        if (this.statusEffects.isStunned()) {
+            this.enterStun();
+        } else {
+            if (this.currentState === this.AIState.STUNNED) {
+                this.recoverFromStun();
+            }
+            this.updateAI(deltaTime);
+        }
         
         // Handle attack state and attacking logic
         if (this.target && !this.isHit) {
@@ -378,7 +543,10 @@ class Enemy extends BillboardSprite {
         }
         
         // Update knockback
-        if (this.isKnockedBack) {
+        if (this.isKnockedBack && this.launchHeight > 0) {
+            this.knockbackTimer += deltaTime;
+            this.updateLaunch();
+        } else if (this.isKnockedBack) {
             this.knockbackTimer += deltaTime;
             
             if (this.knockbackTimer >= this.knockbackDuration) {
@@ -409,6 +577,13 @@ class Enemy extends BillboardSprite {
         }
         
         // Update scale punch
+        this.updateScalePunch(deltaTime);
+    }
+    
+    /**
+     * Update scale punch effect
+     */
+    updateScalePunch(deltaTime) {
         if (this.scalePunchTimer > 0) {
             this.scalePunchTimer -= deltaTime;
             
@@ -464,7 +639,7 @@ class Enemy extends BillboardSprite {
                     
                     if (this.currentFrame === telegraphFrame && !this.telegraphCreated) {
                         // Skip telegraph creation for fireball casters (they have their own fireball telegraphs)
-                        if (!this.isFireballCaster) {
+                        if (this.attackKind !== 'projectile') {
                             this.createAttackTelegraph();
                         }
                         this.telegraphCreated = true;
@@ -476,16 +651,16 @@ class Enemy extends BillboardSprite {
                         const distanceToTarget = this.position.distanceTo(this.target.position);
                         
                         // Handle different attack types based on enemy type
-                        if (this.isFireballCaster && this.fireballManager) {
-                            // Fireball attack for enemy_5
-                            console.log('Enemy_5 casts fireball!');
+                        if (this.attackKind === 'projectile' && this.fireballManager) {
+                            // Fireball attack
+                            console.log(`${this.enemyType} casts fireball!`);
                             
                             // Launch fireball at random location around player instead of directly at them
                             const baseTargetPos = this.target.position.clone();
                             
                             // Add random offset around the player (within a 3-unit radius)
-                            const randomAngle = Math.random() * Math.PI * 2; // Random direction
-                            const randomDistance = Math.random() * 3.0; // Random distance up to 3 units
+                            const randomAngle = gameRandom.range(0, Math.PI * 2); // Random direction
+                            const randomDistance = gameRandom.range(0, 3.0); // Random distance up to 3 units
                             
                             const randomOffset = new THREE.Vector3(
                                 Math.cos(randomAngle) * randomDistance,
@@ -494,23 +669,11 @@ class Enemy extends BillboardSprite {
                             );
                             
                             const targetPos = baseTargetPos.add(randomOffset);
-                            this.fireballManager.launchFireball(targetPos);
+                            this.launchFireball(targetPos);
                         } else if (distanceToTarget <= this.attackRange) {
                             // Regular melee attack for other enemies
-                            console.log('Enemy attacks player!');
-                            
-                            // Trigger hurt animation on player
-                            if (this.target.hurt) {
-                                const success = this.target.hurt(this.position);
-                                if (success) {
-                                    console.log('Player hurt animation triggered!');
-                                    
-                                    // Deal damage through combat system
-                                    if (this.combatSystem && this.combatSystem.handlePlayerDamage) {
-                                        this.combatSystem.handlePlayerDamage(this.attackDamage);
-                                    }
-                                }
-                            }
+                            console.log('Enemy attacks its target!');
+                            this.hitTarget(this.target, this.attackDamage);
                         }
                     }
                     
@@ -548,15 +711,7 @@ class Enemy extends BillboardSprite {
                         this.currentFrame = this.totalFrames - 1; // Stay on last frame
                         this.deathAnimationComplete = true;
                         console.log('Death animation complete, frame:', this.currentFrame);
-                        
-                        // Remove from scene after a short delay
-                        setTimeout(() => {
-                            if (this.parent) {
-                                this.parent.remove(this);
-                            }
-                            this.dispose();
-                            console.log('Enemy removed from scene');
-                        }, 500); // Half second delay
+                        // EnemyManager removes the corpse from the scene shortly after
                     }
                 } else {
                     // Regular looping animation (walk)
@@ -610,12 +765,36 @@ class Enemy extends BillboardSprite {
     }
     
     /**
-     * Take damage
+     * Take damage, reduced by this enemy's armor and resistances
+     * @param {string} attackerId - Remote player id when the host applies another player's hit
+     * @param {Object} hitOptions - { knockback, launchHeight } from the player's combo step, plus
+     *   damageType (physical when missing), groundArea (a blast flying enemies clear) and attacker
+     * @returns {Object|null} Damage dealt (see DamageTypes.resolve), null if the hit didn't land
      */
-    takeDamage(amount, attackerPosition = null) {
-        if (this.isDead || this.isHit) return; // Don't take damage while already hit
+    takeDamage(amount, attackerPosition = null, attackerId = null, hitOptions = null) {
+        if (this.isDead || this.isHit) return null; // Don't take damage while already hit
+        if (this.defense.flying && hitOptions && hitOptions.groundArea) return null;
+        
+        const damageType = (hitOptions && hitOptions.damageType) || DamageTypes.PHYSICAL;
+        
+        // Replicas forward the hit to the host, which owns health and death
+        if (this.isReplica && this.enemySync) {
+            this.enemySync.requestDamage(this, amount, attackerPosition, hitOptions);
+            this.pendingDamageTimer = this.pendingDamageTimeout;
+        }
+        
+        const result = DamageTypes.resolve(amount, damageType, this.defense);
+        if (result.amount <= 0) return result; // Immune - no hit reaction
+        amount = result.amount;
         
         this.health -= amount;
+        this.lastAttackerId = attackerId;
+        this.lastEnemyAttacker = hitOptions && hitOptions.attacker ? hitOptions.attacker : null;
+        
+        // Whoever hurt us draws threat (the host keeps the table for replicas)
+        if (!this.isReplica) {
+            this.threat.addDamage(this.getDamageSource(attackerId), amount);
+        }
         
         // Update health bar
         if (this.healthBar) {
@@ -631,8 +810,8 @@ class Enemy extends BillboardSprite {
             this.lastKnownPlayerPosition.copy(this.target.position);
         }
         
-        // Only trigger individual freeze frames if NOT during lightning strike
-        if (this.combatSystem && this.combatSystem.game && this.combatSystem.game.freezeFrame) {
+        // Only trigger individual freeze frames if NOT during lightning strike (or another player's or enemy's hit)
+        if (!attackerId && !this.lastEnemyAttacker && this.combatSystem && this.combatSystem.game && this.combatSystem.game.freezeFrame) {
             // Skip individual freeze frames during lightning strikes to prevent cumulative lag
             if (!this.combatSystem.isPerformingLightningStrike || !this.combatSystem.isPerformingLightningStrike()) {
                 let freezeDuration = 0.06; // 60ms additional freeze for individual enemy hits
@@ -640,16 +819,21 @@ class Enemy extends BillboardSprite {
             }
         }
         
-        if (this.health <= 0) {
+        if (this.health <= 0 && !this.isReplica) {
             this.health = 0;
             this.die();
         } else {
-            // Play hit animation
-            this.switchAnimation('hit');
+            // Replicas wait for the host to confirm the kill
+            this.health = Math.max(0, this.health);
             
-            // Apply knockback if attacker position provided
-            if (attackerPosition) {
-                this.applyKnockback(attackerPosition);
+            if (!this.staggerImmune) {
+                // Play hit animation
+                this.switchAnimation('hit');
+                
+                // Apply knockback if attacker position provided (replica positions come from the host)
+                if (attackerPosition && !this.isReplica) {
+                    this.applyKnockback(attackerPosition, hitOptions);
+                }
             }
             
             // Trigger scale punch effect
@@ -658,6 +842,104 @@ class Enemy extends BillboardSprite {
             // Disabled colour flash effect
             // this.flashDamage();
         }
+        
+        return result;
+    }
+    
+    /**
+     * Apply a status effect (replicas forward it to the host, which runs the AI and health)
+     * @param {Object} overrides - Per-application changes to the effect's defaults
+     */
+    applyStatusEffect(type, overrides = {}) {
+        if (this.isDead) return false;
+        
+        if (this.isReplica && this.enemySync) {
+            this.enemySync.requestStatusEffect(this, type, overrides);
+        }
+        
+        return this.statusEffects.apply(type, overrides);
+    }
+    
+    /**
+     * Damage from a status effect tick (no hit reaction or knockback)
+     */
+    takeStatusDamage(amount, type) {
+        if (this.isDead || this.isReplica) return;
+        
+        const result = DamageTypes.resolve(amount, StatusEffects.TYPES[type].damageType, this.defense);
+        if (result.amount <= 0) return;
+        
+        this.health = Math.max(0, this.health - result.amount);
+        
+        if (this.healthBar) {
+            this.healthBar.setHealth(this.health, this.maxHealth);
+        }
+        
+        if (this.combatSystem && this.combatSystem.showDamageNumber) {
+            this.combatSystem.showDamageNumber(result.amount, this.position, false, result.type, result.tag);
+        }
+        
+        if (this.health <= 0) {
+            console.log(`Enemy succumbed to ${type}`);
+            this.die();
+        }
+    }
+    
+    /**
+     * Tint the sprite and update the health bar icons for the active effects
+     */
+    refreshStatusVisuals() {
+        const tint = this.statusEffects.getTint();
+        this.material.color.setHex(tint !== null ? tint : 0xffffff);
+        
+        if (this.healthBar) {
+            this.healthBar.setStatusIcons(this.statusEffects.getIcons());
+        }
+    }
+    
+    /**
+     * Knock the enemy off balance (a parried attack) - it is STUNNED for the duration
+     */
+    stagger(duration) {
+        if (this.applyStatusEffect('stun', { duration: duration })) {
+            console.log('Enemy staggered!');
+        }
+    }
+    
+    /**
+     * Check if a stun is stopping this enemy from acting
+     */
+    isStunned() {
+        return this.statusEffects.isStunned();
+    }
+    
+    /**
+     * Enter the STUNNED state, cancelling any attack in progress
+     */
+    enterStun() {
+        if (this.currentState === this.AIState.STUNNED) return;
+        
+        console.log('Enemy stunned!');
+        this.currentState = this.AIState.STUNNED;
+        
+        if (this.isAttacking) {
+            this.removeAttackTelegraph();
+            this.telegraphCreated = false;
+            this.currentFrame = 0;
+            this.switchAnimation('walk');
+        }
+    }
+    
+    /**
+     * Pick the fight back up after a stun
+     */
+    recoverFromStun() {
+        if (this.target && (this.hasSeenPlayer || this.isHunting)) {
+            this.currentState = this.AIState.CHASE;
+            this.lastKnownPlayerPosition.copy(this.target.position);
+        } else {
+            this.currentState = this.AIState.PATROL;
+        }
     }
     
     /**
@@ -668,8 +950,31 @@ class Enemy extends BillboardSprite {
         
         console.log('Enemy die() called');
         
-        // Only trigger death freeze frames if NOT during lightning strike
-        if (this.combatSystem && this.combatSystem.game && this.combatSystem.game.freezeFrame) {
+        // Replicas only play the death the host announced
+        if (this.isReplica) {
+            this.playDeathAnimation();
+            return;
+        }
+        
+        // Roll the drop table
+        const crystalCount = this.drops.crystals[0] + gameRandom.int(this.drops.crystals[1] - this.drops.crystals[0] + 1);
+        const dropHealthOrb = gameRandom.chance(this.drops.healthOrbChance);
+        const items = Items.rollDrops(this.drops.items);
+        
+        // Count the kill for run stats (remote killers get credit and the drops on their own
+        // client, enemies fighting for the player count as the local player's kills)
+        const killedByEnemy = this.lastEnemyAttacker && Factions.areHostile(this.lastEnemyAttacker.faction, Factions.PLAYER);
+        const killedRemotely = !!(this.lastAttackerId && this.enemySync);
+        if (killedRemotely) {
+            this.enemySync.sendKillCredit(this.lastAttackerId, this.position, dropHealthOrb, crystalCount, items);
+        } else if (killedByEnemy) {
+            console.log('Enemy killed by friendly fire');
+        } else if (this.combatSystem && this.combatSystem.registerKill) {
+            this.combatSystem.registerKill(this);
+        }
+        
+        // Only trigger death freeze frames if NOT during lightning strike (or another player's or enemy's kill)
+        if (!this.lastAttackerId && !killedByEnemy && this.combatSystem && this.combatSystem.game && this.combatSystem.game.freezeFrame) {
             // Skip death freeze frames during lightning strikes to prevent cumulative lag
             if (!this.combatSystem.isPerformingLightningStrike || !this.combatSystem.isPerformingLightningStrike()) {
                 let freezeDuration = 0.15; // 150ms freeze for enemy death (dramatic pause)
@@ -677,19 +982,23 @@ class Enemy extends BillboardSprite {
             }
         }
         
-        // Spawn crystals at death location
-        if (this.combatSystem && this.combatSystem.enemyManager && this.combatSystem.enemyManager.crystalManager) {
-            this.combatSystem.enemyManager.crystalManager.spawnCrystalsAtDeath(this.position.clone());
+        // Drops spawn for the killer only, so each kill pays out once
+        if (!killedRemotely && this.combatSystem && this.combatSystem.enemyManager) {
+            this.combatSystem.enemyManager.spawnDrops(this.position.clone(), dropHealthOrb, crystalCount, items);
         }
         
-        // 33% chance to drop health orb
-        if (Math.random() < 0.33) {
-            if (this.combatSystem && this.combatSystem.enemyManager && this.combatSystem.enemyManager.healthOrbManager) {
-                console.log('Enemy dropped a health orb!');
-                this.combatSystem.enemyManager.healthOrbManager.spawnHealthOrb(this.position.clone());
-            }
+        // Other players play the death
+        if (this.enemySync) {
+            this.enemySync.sendEnemyDeath(this);
         }
         
+        this.playDeathAnimation();
+    }
+    
+    /**
+     * Start the death animation and hide the health bar
+     */
+    playDeathAnimation() {
         this.isDead = true;
         this.isPlaying = true; // Ensure animation continues playing
         this.currentFrame = 0; // Reset frame counter
@@ -701,6 +1010,7 @@ class Enemy extends BillboardSprite {
         if (this.healthBar) {
             this.healthBar.visible = false;
         }
+        this.statusEffects.clear();
         
         console.log('Enemy death animation started, currentAnimation:', this.currentAnimation);
     }
@@ -721,25 +1031,50 @@ class Enemy extends BillboardSprite {
     /**
      * Apply knockback effect
      */
-    applyKnockback(fromPosition) {
+    applyKnockback(fromPosition, hitOptions = null) {
         // Calculate knockback direction (away from attacker)
         const knockbackDir = new THREE.Vector3();
         knockbackDir.subVectors(this.position, fromPosition);
         knockbackDir.y = 0; // Keep it horizontal
         knockbackDir.normalize();
         
+        // Combo steps hit harder than the default
+        const distance = hitOptions && hitOptions.knockback !== undefined ? hitOptions.knockback : this.knockbackDistance;
+        this.launchHeight = hitOptions && hitOptions.launchHeight ? hitOptions.launchHeight : 0;
+        
         // Store original position
         this.knockbackOrigin.copy(this.position);
         
         // Calculate target position
         this.knockbackTarget.copy(this.position);
-        this.knockbackTarget.add(knockbackDir.multiplyScalar(this.knockbackDistance));
+        this.knockbackTarget.add(knockbackDir.multiplyScalar(distance));
         
         // Start knockback
         this.isKnockedBack = true;
         this.knockbackTimer = 0;
     }
     
+    /**
+     * Arc a launched enemy through the air to its knockback target
+     */
+    updateLaunch() {
+        const t = Math.min(1, this.knockbackTimer / this.launchDuration);
+        const easeT = 1 - (1 - t) * (1 - t); // Fast off the ground, settling on landing
+        
+        this.position.lerpVectors(this.knockbackOrigin, this.knockbackTarget, easeT);
+        this.position.y = this.baseY + Math.sin(t * Math.PI) * this.launchHeight;
+        
+        if (t >= 1) {
+            // Landed - stay where the hit sent us (outside any obstacle)
+            this.isKnockedBack = false;
+            this.launchHeight = 0;
+            this.position.y = this.baseY;
+            if (this.gameWorld) {
+                this.gameWorld.resolveCollision(this.position, this.collisionRadius);
+            }
+        }
+    }
+    
     /**
      * Create attack telegraph during attack animation
      */
@@ -768,6 +1103,87 @@ class Enemy extends BillboardSprite {
         console.log(`Enemy attack telegraph created - duration: ${telegraphDuration.toFixed(2)}s`);
     }
     
+    /**
+     * Drop a fireball onto a ground position (the caster's side is spared unless friendlyFire)
+     */
+    launchFireball(targetPosition, friendlyFire = this.attackFriendlyFire) {
+        if (!this.fireballManager) return;
+        
+        this.fireballManager.launchFireball(targetPosition, this, friendlyFire);
+        
+        // Every client launches the same fireball and checks its own player
+        if (this.enemySync) {
+            this.enemySync.sendFireball(targetPosition, this.faction, friendlyFire);
+        }
+    }
+    
+    /**
+     * Target that landed a hit: the enemy behind friendly fire, a remote player's sprite,
+     * or else the local player (null if it can't be found)
+     */
+    getDamageSource(attackerId) {
+        if (this.lastEnemyAttacker) return this.lastEnemyAttacker;
+        if (attackerId) return this.enemySync ? this.enemySync.getRemoteTarget(attackerId) : null;
+        return this.combatSystem && this.combatSystem.enemyManager ? this.combatSystem.enemyManager.player : null;
+    }
+    
+    /**
+     * Hurt a target - another enemy or a player sprite
+     * @param {number} damage - In hearts (scaled by healthDamagePerHeart against enemies)
+     * @returns {boolean} True if the hit landed or was sent
+     */
+    hitTarget(target, damage) {
+        return target instanceof Enemy ? this.hitEnemy(target, damage) : this.hitPlayer(target, damage);
+    }
+    
+    /**
+     * Hurt another enemy (an enemy of another faction, or an ally caught by friendly fire)
+     * @returns {boolean} True if the hit landed
+     */
+    hitEnemy(enemy, damage, hitOptions = null) {
+        if (enemy === this || enemy.isDead || enemy.isHit) return false;
+        
+        return enemy.takeDamage(damage * this.healthDamagePerHeart, this.position, null, Object.assign({ attacker: this }, hitOptions)) !== null;
+    }
+    
+    /**
+     * Hurt a player sprite (remote players take the hit on their own client)
+     * @returns {boolean} True if the hit landed or was sent
+     */
+    hitPlayer(player, damage) {
+        if (player.remotePlayerId) {
+            if (this.enemySync) {
+                this.enemySync.sendPlayerHit(player.remotePlayerId, damage, this.position, this.networkId);
+            }
+            return true;
+        }
+        
+        if (!player.hurt) return false;
+        
+        // Dash i-frames - the hit whiffs without interrupting the dash
+        if (this.combatSystem && this.combatSystem.dodgeHit && this.combatSystem.dodgeHit()) return false;
+        
+        // A parry negates the hit and staggers us
+        if (this.combatSystem && this.combatSystem.parryHit && this.combatSystem.parryHit(this)) return false;
+        
+        // A blocked hit goes straight to the damage roll - the guard holds without a hurt animation
+        if (this.combatSystem && this.combatSystem.isBlocking) {
+            return this.combatSystem.handlePlayerDamage(damage, this.position);
+        }
+        
+        // Trigger hurt animation on player
+        const success = player.hurt(this.position);
+        if (success) {
+            console.log('Player hurt animation triggered!');
+            
+            // Deal damage through combat system
+            if (this.combatSystem && this.combatSystem.handlePlayerDamage) {
+                this.combatSystem.handlePlayerDamage(damage, this.position);
+            }
+        }
+        return success;
+    }
+    
     /**
      * Remove attack telegraph
      */
@@ -797,12 +1213,19 @@ class Enemy extends BillboardSprite {
     // === NEW AI BEHAVIOR METHODS ===
 
     /**
-     * Check if enemy can see the player
+     * Check if enemy can see its target
      */
     canSeePlayer() {
-        if (!this.target) return false;
+        return this.canSeeTarget(this.target);
+    }
+    
+    /**
+     * Check if a target is within detection range and the vision cone
+     */
+    canSeeTarget(target) {
+        if (!target) return false;
         
-        const playerPos = this.target.position;
+        const playerPos = target.position;
         const distance = this.position.distanceTo(playerPos);
         
         // Check distance first
@@ -832,6 +1255,22 @@ class Enemy extends BillboardSprite {
         // Check if player is within vision cone
         return angle <= this.visionAngle / 2;
     }
+    
+    /**
+     * Out of sight of the target, go after another hostile on the threat table that is in
+     * sight (matching the target's threat, so the switch doesn't undo itself next step)
+     */
+    retargetToVisibleThreat() {
+        if (this.canSeeTarget(this.target)) return;
+        
+        const spotted = this.threat.getSorted().find(entry => entry.target !== this.target && this.canSeeTarget(entry.target));
+        if (!spotted) return;
+        
+        if (this.target) {
+            this.threat.add(spotted.target, this.threat.get(this.target) - spotted.threat);
+        }
+        this.setTarget(spotted.target);
+    }
 
     /**
      * Update AI state based on player detection and current state
@@ -846,7 +1285,12 @@ class Enemy extends BillboardSprite {
         if (this.detectionTimer >= this.detectionInterval) {
             this.detectionTimer = 0;
             
-            const canSeePlayer = this.canSeePlayer();
+            if (!this.isHunting && !this.isAttacking) {
+                this.retargetToVisibleThreat();
+            }
+            
+            // Hunting enemies (round spawns) always know where their target is
+            const canSeePlayer = this.isHunting ? this.target !== null : this.canSeePlayer();
             const distanceToPlayer = this.target ? this.position.distanceTo(this.target.position) : Infinity;
             
             // State transitions based on detection and current state
@@ -869,7 +1313,7 @@ class Enemy extends BillboardSprite {
                         console.log(`Enemy lost player! Switching to SEARCH at last known position`);
                         this.currentState = this.AIState.SEARCH;
                         this.searchTimer = 0;
-                        this.searchAngle = Math.random() * Math.PI * 2; // Random search direction
+                        this.searchAngle = gameRandom.range(0, Math.PI * 2); // Random search direction
                     }
                     
                     // Check if close enough to attack
@@ -925,7 +1369,7 @@ class Enemy extends BillboardSprite {
      */
     patrolBehavior(deltaTime) {
         // Update patrol angle
-        this.patrolAngle += (this.moveSpeed * deltaTime) / this.patrolRadius;
+        this.patrolAngle += (this.moveSpeed * this.statusEffects.getSpeedMultiplier() * deltaTime) / this.patrolRadius;
         
         // Keep angle in 0-2PI range
         if (this.patrolAngle > Math.PI * 2) {
@@ -943,31 +1387,17 @@ class Enemy extends BillboardSprite {
         }
         
         // Update position
-        this.position.x = newX;
-        this.position.z = newZ;
+        this.moveBy(new THREE.Vector3(newX - this.position.x, 0, newZ - this.position.z));
     }
 
     /**
-     * Chase behavior - move directly toward player
+     * Chase behavior - move toward player
      */
     chaseBehavior(deltaTime) {
         if (!this.target) return;
         
-        // Move toward player position
-        const toPlayer = new THREE.Vector3();
-        toPlayer.subVectors(this.target.position, this.position);
-        toPlayer.y = 0; // Keep movement horizontal
-        
-        if (toPlayer.length() > 0.1) {
-            toPlayer.normalize();
-            
-            // Move toward player at chase speed
-            const movement = toPlayer.multiplyScalar(this.chaseSpeed * deltaTime);
-            this.position.add(movement);
-            
-            // Update facing direction
-            this.currentDirection = toPlayer.x > 0 ? 1 : -1;
-        }
+        // Move toward player position at chase speed
+        this.moveToward(this.target.position, this.chaseSpeed, deltaTime);
     }
 
     /**
@@ -990,40 +1420,118 @@ class Enemy extends BillboardSprite {
         const searchZ = this.lastKnownPlayerPosition.z + Math.sin(this.searchAngle) * this.searchRadius;
         
         // Move toward search position
-        const toSearch = new THREE.Vector3(searchX, this.position.y, searchZ);
-        toSearch.sub(this.position);
+        this.moveToward(new THREE.Vector3(searchX, this.position.y, searchZ), this.moveSpeed, deltaTime);
+    }
+
+    /**
+     * Return behavior - move back to patrol area
+     */
+    returnBehavior(deltaTime) {
+        // Move toward patrol center at return speed
+        this.moveToward(this.patrolCenter, this.returnSpeed, deltaTime);
+    }
+
+    /**
+     * Move toward a goal, following a path around obstacles when the straight line is blocked
+     */
+    moveToward(goal, speed, deltaTime) {
+        const waypoint = this.getSteeringTarget(goal);
+        
+        const direction = new THREE.Vector3();
+        direction.subVectors(waypoint, this.position);
+        direction.y = 0; // Keep movement horizontal
         
-        if (toSearch.length() > 0.1) {
-            toSearch.normalize();
-            const movement = toSearch.multiplyScalar(this.moveSpeed * deltaTime);
-            this.position.add(movement);
+        if (direction.length() > 0.1) {
+            direction.normalize();
+            this.moveBy(direction.multiplyScalar(speed * this.statusEffects.getSpeedMultiplier() * deltaTime));
             
             // Update facing direction
-            this.currentDirection = toSearch.x > 0 ? 1 : -1;
+            this.currentDirection = direction.x > 0 ? 1 : -1;
         }
     }
 
     /**
-     * Return behavior - move back to patrol area
+     * Get the point to walk toward on the way to a goal (the goal itself when nothing is in the way)
      */
-    returnBehavior(deltaTime) {
-        // Move toward patrol center
-        const toPatrolCenter = new THREE.Vector3();
-        toPatrolCenter.subVectors(this.patrolCenter, this.position);
-        toPatrolCenter.y = 0; // Keep movement horizontal
+    getSteeringTarget(goal) {
+        if (!this.pathfinder) return goal;
         
-        if (toPatrolCenter.length() > 0.1) {
-            toPatrolCenter.normalize();
-            
-            // Move toward patrol center at return speed
-            const movement = toPatrolCenter.multiplyScalar(this.returnSpeed * deltaTime);
-            this.position.add(movement);
+        const grid = this.pathfinder.grid;
+        
+        // Clear line - walk straight and forget any old path
+        if (grid.hasLineOfSight(this.position, goal)) {
+            this.clearPath();
+            return goal;
+        }
+        
+        // Cached path stays valid until the goal moves far or obstacles change
+        const goalDx = goal.x - this.pathGoal.x;
+        const goalDz = goal.z - this.pathGoal.z;
+        const goalMoved = goalDx * goalDx + goalDz * goalDz > this.repathDistance * this.repathDistance;
+        
+        if (!this.pathRequest && (!this.path || goalMoved || this.pathVersion !== grid.version)) {
+            this.requestPath(goal);
+        }
+        
+        // Head straight for the goal until the first query finishes - sliding keeps us moving
+        if (!this.path) return goal;
+        
+        // Advance past reached waypoints
+        while (this.pathIndex < this.path.length - 1) {
+            const waypoint = this.path[this.pathIndex];
+            const dx = waypoint.x - this.position.x;
+            const dz = waypoint.z - this.position.z;
+            if (dx * dx + dz * dz > this.waypointReachDistance * this.waypointReachDistance) break;
+            this.pathIndex++;
+        }
+        
+        // The last leg follows the live goal rather than where it was when planned
+        if (this.pathIndex >= this.path.length - 1) return goal;
+        
+        return this.path[this.pathIndex];
+    }
+
+    /**
+     * Queue a path query to a goal
+     */
+    requestPath(goal) {
+        const plannedGoal = goal.clone();
+        const plannedVersion = this.pathfinder.grid.version;
+        
+        this.pathRequest = this.pathfinder.requestPath(this.position, goal, (path) => {
+            this.pathRequest = null;
+            if (this.isDead) return;
             
-            // Update facing direction
-            this.currentDirection = toPatrolCenter.x > 0 ? 1 : -1;
+            // Unreachable - walk straight at it until the goal moves
+            this.path = path || [plannedGoal];
+            this.pathIndex = Math.min(1, this.path.length - 1); // First point is where the query started
+            this.pathGoal.copy(plannedGoal);
+            this.pathVersion = plannedVersion;
+        });
+    }
+
+    /**
+     * Drop the cached path and any pending query
+     */
+    clearPath() {
+        if (this.pathRequest) {
+            this.pathfinder.cancel(this.pathRequest);
+            this.pathRequest = null;
         }
+        this.path = null;
     }
 
+    /**
+     * Move by an offset, sliding along obstacles
+     */
+    moveBy(movement) {
+        this.position.add(movement);
+        
+        if (this.gameWorld) {
+            this.gameWorld.resolveCollision(this.position, this.collisionRadius);
+        }
+    }
+    
     /**
      * Get debug information about current AI state
      */
@@ -1039,27 +1547,171 @@ class Enemy extends BillboardSprite {
             searchTimer: this.searchTimer.toFixed(1),
             detectionRange: this.detectionRange,
             isAttacking: this.isAttacking,
-            isHit: this.isHit
+            isHit: this.isHit,
+            pathWaypoints: this.path ? this.path.length - this.pathIndex : 0,
+            pathPending: this.pathRequest !== null,
+            statusEffects: this.statusEffects.getIcons().map(icon => icon.stacks > 1 ? `${icon.type} x${icon.stacks}` : icon.type).join(', '),
+            threat: this.threat.getSorted().map(entry => {
+                const marker = entry.target === this.target ? '*' : '';
+                return `${marker}${this.describeTarget(entry.target)} ${entry.threat.toFixed(1)}`;
+            }).join(', ')
         };
     }
+    
+    /**
+     * Short name of a target for debug output
+     */
+    describeTarget(target) {
+        if (target instanceof Enemy) return `${target.enemyType}#${target.networkId !== null ? target.networkId : target.id}`;
+        if (this.combatSystem && this.combatSystem.enemyManager && target === this.combatSystem.enemyManager.player) return 'player';
+        return 'remote player';
+    }
+
+    // === MULTIPLAYER REPLICATION ===
+
+    /**
+     * Apply a state snapshot from the host (replicas only)
+     * @param {Object} state - Decoded by EnemySync.decodeEnemy
+     */
+    applyNetworkState(state) {
+        const now = performance.now() / 1000; // Local receive time avoids clock skew between clients
+        this.networkSnapshots.push({ time: now, x: state.x, z: state.z });
+        if (this.networkSnapshots.length > 20) {
+            this.networkSnapshots.shift();
+        }
+        
+        // Snap to the first snapshot instead of sliding in from the spawn point
+        if (this.networkSnapshots.length === 1) {
+            this.position.x = state.x;
+            this.position.z = state.z;
+        }
+        
+        this.currentState = state.state;
+        this.maxHealth = state.maxHealth;
+        
+        // Death is announced by the host
+        if (state.dead) {
+            this.die();
+            return;
+        }
+        
+        // Accept host health unless our own predicted hit hasn't been confirmed yet
+        if (state.health < this.health || this.pendingDamageTimer <= 0) {
+            const tookDamage = state.health < this.health;
+            this.health = state.health;
+            if (this.healthBar) {
+                this.healthBar.setHealth(this.health, this.maxHealth, tookDamage);
+            }
+            
+            // Another player's hit - play the reaction the host played
+            if (tookDamage && !this.isHit && !this.staggerImmune) {
+                this.switchAnimation('hit');
+                this.scalePunchTimer = this.scalePunchDuration;
+            }
+        }
+        
+        // Start each host attack exactly once
+        if (state.attacking && state.attackCount !== this.attackCount && !this.isHit) {
+            this.currentDirection = state.direction;
+            this.switchAnimation('attack', state.attackIndex);
+        } else if (!state.attacking && this.isAttacking) {
+            // Host cancelled the attack (target moved away)
+            this.removeAttackTelegraph();
+            this.switchAnimation('walk');
+        }
+        this.attackCount = state.attackCount;
+        
+        if (!this.isAttacking) {
+            this.currentDirection = state.direction;
+        }
+    }
+    
+    /**
+     * Interpolate replica position between host snapshots
+     */
+    updateReplica(deltaTime) {
+        if (this.pendingDamageTimer > 0) {
+            this.pendingDamageTimer -= deltaTime;
+        }
+        
+        this.updateScalePunch(deltaTime);
+        
+        if (this.networkSnapshots.length === 0) return;
+        
+        const renderTime = performance.now() / 1000 - this.interpolationDelay;
+        
+        // Drop snapshots that are fully in the past (keep one before renderTime)
+        while (this.networkSnapshots.length > 2 && this.networkSnapshots[1].time <= renderTime) {
+            this.networkSnapshots.shift();
+        }
+        
+        const from = this.networkSnapshots[0];
+        const to = this.networkSnapshots[1];
+        
+        if (!to || renderTime <= from.time) {
+            // Not enough data - hold the latest known position
+            const latest = to || from;
+            this.position.x = latest.x;
+            this.position.z = latest.z;
+            return;
+        }
+        
+        const span = to.time - from.time;
+        const t = span > 0 ? Math.min(1, (renderTime - from.time) / span) : 1;
+        this.position.x = from.x + (to.x - from.x) * t;
+        this.position.z = from.z + (to.z - from.z) * t;
+    }
+    
+    /**
+     * Take over a replica when we become the host
+     */
+    promoteToAuthority(target) {
+        this.isReplica = false;
+        this.networkSnapshots = [];
+        this.pendingDamageTimer = 0;
+        this.patrolCenter.copy(this.position);
+        this.setTarget(target);
+    }
 }
 
 /**
  * EnemyManager - Manages all enemies in the scene
  */
 class EnemyManager {
-    constructor(scene, player, initialEnemyCount = 0, combatSystem = null) {
+    constructor(scene, player, initialEnemyCount = 0, combatSystem = null, textureLoader = null, archetypes = null) {
         this.scene = scene;
         this.player = player;
         this.combatSystem = combatSystem;
+        this.textureLoader = textureLoader || new THREE.TextureLoader(); // Injected when running headless
         this.enemies = [];
+        
+        // Enemy types come from archetypes.json unless a filled registry is injected (headless)
+        this.archetypes = archetypes || new EnemyArchetypeRegistry();
+        
         // Array of texture sets, one per enemy type
-        // Each set: { walkTexture, attackTextures, hitTexture, deathTexture }
+        // Each set: { walkTexture, attackTextures, hitTexture, deathTexture, enemyType, frameSize, archetype }
         this.enemyTextureSets = [];
         this.initialEnemyCount = initialEnemyCount;
         
-        // Load enemy textures and spawn initial enemies
-        this.loadEnemyTextures(['enemy_1', 'enemy_2', 'enemy_3', 'enemy_4', 'enemy_5']).then(() => {
+        // Multiplayer: only the host simulates and spawns, other clients mirror its enemies
+        this.enemySync = null;
+        this.isAuthority = true;
+        this.nextNetworkId = 1;
+        
+        // Enemies slide around the world's obstacles and path around blocked lines
+        this.gameWorld = null;
+        this.pathfinder = null;
+        
+        // Screen-wide bar for bosses (none when headless)
+        this.bossHealthBar = null;
+        
+        // Dead enemies stay on screen briefly after their death animation
+        this.timers = new TimerManager();
+        this.corpseRemovalDelay = 0.5; // Half second delay
+        
+        // Load archetypes and their textures, then spawn initial enemies (texturesLoaded resolves once spawning is possible)
+        const archetypesLoaded = archetypes ? Promise.resolve(this.archetypes.getIds()) : this.archetypes.load();
+        this.texturesLoaded = archetypesLoaded.then(ids => this.loadEnemyTextures(ids)).then(() => {
             if (this.initialEnemyCount > 0) {
                 this.spawnEnemies(this.initialEnemyCount);
             }
@@ -1067,183 +1719,73 @@ class EnemyManager {
     }
     
     /**
-     * Load enemy textures (walk and attack)
+     * Load the sprite sheets of each archetype (archetypes with a missing sheet are skipped)
      */
-    async loadEnemyTextures(folders = ['enemy_1']) {
-        const loader = new THREE.TextureLoader();
-        
-        try {
-            for (const folder of folders) {
-                const textureSet = { walkTexture: null, attackTextures: [], hitTexture: null, deathTexture: null };
-
-                // Walk / moving texture (attempt Run.png for enemy_5, then Moving.png, then Flight.png, then fallback to walk.png)
-                const tryLoad = (path) => new Promise((res, rej) => {
-                    loader.load(path, (tex)=> res(tex), undefined, () => rej());
-                });
-
-                try {
-                    if (folder === 'enemy_5') {
-                        textureSet.walkTexture = await tryLoad(`assets/sprites/enemies/${folder}/Run.png`);
-                    } else {
-                        textureSet.walkTexture = await tryLoad(`assets/sprites/enemies/${folder}/Moving.png`);
-                    }
-                } catch {
-                    try {
-                        textureSet.walkTexture = await tryLoad(`assets/sprites/enemies/${folder}/Flight.png`);
-                    } catch {
-                        try {
-                            textureSet.walkTexture = await tryLoad(`assets/sprites/enemies/${folder}/Run.png`);
-                        } catch {
-                            try {
-                                textureSet.walkTexture = await tryLoad(`assets/sprites/enemies/${folder}/walk.png`);
-                            } catch (e) {
-                                console.error(`Failed to load walk texture for ${folder}`);
-                                throw e;
-                            }
-                        }
-                    }
-                }
-
-                // Configure for pixel art
-                textureSet.walkTexture.magFilter = THREE.NearestFilter;
-                textureSet.walkTexture.minFilter = THREE.NearestFilter;
-                textureSet.walkTexture.wrapS = THREE.ClampToEdgeWrapping;
-                textureSet.walkTexture.wrapT = THREE.ClampToEdgeWrapping;
-                
-                // Load attack textures (different patterns for different enemies)
-                if (folder === 'enemy_3' || folder === 'enemy_4') {
-                    // enemy_3 and enemy_4 have a single Attack.png file
-                    const attackTexturePromise = new Promise((resolve, reject) => {
-                        loader.load(
-                            `assets/sprites/enemies/${folder}/Attack.png`,
-                            (texture) => {
-                                // Configure texture for pixel art
-                                texture.magFilter = THREE.NearestFilter;
-                                texture.minFilter = THREE.NearestFilter;
-                                texture.wrapS = THREE.ClampToEdgeWrapping;
-                                texture.wrapT = THREE.ClampToEdgeWrapping;
-                                resolve(texture);
-                            },
-                            undefined,
-                            (error) => {
-                                console.error(`Failed to load enemy attack texture: ${folder} Attack.png`, error);
-                                reject(error);
-                            }
-                        );
-                    });
-                    textureSet.attackTextures.push(await attackTexturePromise);
-                } else if (folder === 'enemy_5') {
-                    // enemy_5 has Attack1.png for fireball casting
-                    const attackTexturePromise = new Promise((resolve, reject) => {
-                        loader.load(
-                            `assets/sprites/enemies/${folder}/Attack1.png`,
-                            (texture) => {
-                                // Configure texture for pixel art
-                                texture.magFilter = THREE.NearestFilter;
-                                texture.minFilter = THREE.NearestFilter;
-                                texture.wrapS = THREE.ClampToEdgeWrapping;
-                                texture.wrapT = THREE.ClampToEdgeWrapping;
-                                resolve(texture);
-                            },
-                            undefined,
-                            (error) => {
-                                console.error(`Failed to load enemy attack texture: ${folder} Attack1.png`, error);
-                                reject(error);
-                            }
-                        );
-                    });
-                    textureSet.attackTextures.push(await attackTexturePromise);
-                } else {
-                    // enemy_1 and enemy_2 have Attack1.png, Attack2.png, Attack3.png
-                    for (let i = 1; i <= 3; i++) {
-                        const attackTexturePromise = new Promise((resolve, reject) => {
-                    loader.load(
-                                `assets/sprites/enemies/${folder}/Attack${i}.png`,
-                        (texture) => {
-                            // Configure texture for pixel art
-                            texture.magFilter = THREE.NearestFilter;
-                            texture.minFilter = THREE.NearestFilter;
-                            texture.wrapS = THREE.ClampToEdgeWrapping;
-                            texture.wrapT = THREE.ClampToEdgeWrapping;
-                            resolve(texture);
-                        },
-                        undefined,
-                        (error) => {
-                                    console.error(`Failed to load enemy attack texture: ${folder} Attack${i}`, error);
-                            reject(error);
-                        }
-                    );
-                });
-                        textureSet.attackTextures.push(await attackTexturePromise);
-                    }
-                }
+    async loadEnemyTextures(ids) {
+        for (const id of ids) {
+            const archetype = this.archetypes.get(id);
+            const paths = this.archetypes.getSheetPaths(id);
             
-            // Load hit texture (enemy_5 has "Take hit.png" with space)
-                const hitTexturePath = folder === 'enemy_5' ? 
-                    `assets/sprites/enemies/${folder}/Take hit.png` :
-                    `assets/sprites/enemies/${folder}/Take Hit.png`;
+            try {
+                const textureSet = {
+                    walkTexture: await this.loadSheet(paths.walk),
+                    attackTextures: [],
+                    hitTexture: await this.loadSheet(paths.hit),
+                    deathTexture: await this.loadSheet(paths.death),
+                    enemyType: id,
+                    frameSize: archetype.frameSize,
+                    archetype: archetype
+                };
                 
-                textureSet.hitTexture = await new Promise((resolve, reject) => {
-                loader.load(
-                        hitTexturePath,
-                    (texture) => {
-                        // Configure texture for pixel art
-                        texture.magFilter = THREE.NearestFilter;
-                        texture.minFilter = THREE.NearestFilter;
-                        texture.wrapS = THREE.ClampToEdgeWrapping;
-                        texture.wrapT = THREE.ClampToEdgeWrapping;
-                        resolve(texture);
-                    },
-                    undefined,
-                    (error) => {
-                            console.error(`Failed to load enemy hit texture: ${folder}`, error);
-                        reject(error);
-                    }
-                );
-            });
-            
-            // Load death texture
-                textureSet.deathTexture = await new Promise((resolve, reject) => {
-                loader.load(
-                        `assets/sprites/enemies/${folder}/Death.png`,
-                    (texture) => {
-                        // Configure texture for pixel art
-                        texture.magFilter = THREE.NearestFilter;
-                        texture.minFilter = THREE.NearestFilter;
-                        texture.wrapS = THREE.ClampToEdgeWrapping;
-                        texture.wrapT = THREE.ClampToEdgeWrapping;
-                        resolve(texture);
-                    },
-                    undefined,
-                    (error) => {
-                            console.error(`Failed to load enemy death texture: ${folder}`, error);
-                        reject(error);
-                    }
-                );
-            });
-            
-                // Store texture set with metadata
-                textureSet.enemyType = folder;
-                if (folder === 'enemy_5') {
-                    textureSet.frameSize = 250; // enemy_5 has 250x250 sprites
-                } else {
-                    textureSet.frameSize = (folder === 'enemy_3' || folder === 'enemy_4') ? 150 : 200;
+                for (const attackPath of paths.attacks) {
+                    textureSet.attackTextures.push(await this.loadSheet(attackPath));
                 }
+                
                 this.enemyTextureSets.push(textureSet);
+            } catch (missingPath) {
+                console.error(`Enemy archetype "${id}": missing sprite sheet ${missingPath} - skipping this enemy type`);
             }
-
-            console.log(`Enemy textures loaded successfully for ${this.enemyTextureSets.length} enemy types`);
-        } catch (error) {
-            console.error('Error loading enemy textures:', error);
         }
+        
+        console.log(`Enemy textures loaded successfully for ${this.enemyTextureSets.length} enemy types`);
+    }
+    
+    /**
+     * Load one sprite sheet configured for pixel art (rejects with the path if it's missing)
+     */
+    loadSheet(path) {
+        return new Promise((resolve, reject) => {
+            this.textureLoader.load(
+                path,
+                (texture) => {
+                    texture.magFilter = THREE.NearestFilter;
+                    texture.minFilter = THREE.NearestFilter;
+                    texture.wrapS = THREE.ClampToEdgeWrapping;
+                    texture.wrapT = THREE.ClampToEdgeWrapping;
+                    resolve(texture);
+                },
+                undefined,
+                () => reject(path)
+            );
+        });
+    }
+    
+    /**
+     * Get the archetypes whose sprite sheets loaded (the ones that can spawn)
+     */
+    getSpawnableArchetypes() {
+        return this.enemyTextureSets.map(textureSet => textureSet.archetype);
     }
     
     /**
      * Spawn an enemy at a specific position
+     * @param {string} enemyType - Texture set to use, e.g. 'enemy_3' (random regular enemy if null)
      */
-    spawnEnemy(position, patrolRadius = 5) {
-        // Pick a texture set: default first if none specified
-        const textureSet = this.enemyTextureSets[Math.floor(Math.random() * this.enemyTextureSets.length)];
+    spawnEnemy(position, patrolRadius = 5, enemyType = null) {
+        // Pick a texture set: random if none specified (bosses only spawn by name)
+        const textureSet = enemyType ?
+            this.enemyTextureSets.find(set => set.enemyType === enemyType) :
+            gameRandom.pick(this.enemyTextureSets.filter(set => !set.archetype.boss));
 
         if (!textureSet || !textureSet.walkTexture || textureSet.attackTextures.length === 0 || !textureSet.hitTexture || !textureSet.deathTexture) {
             console.warn('Enemy textures not loaded yet');
@@ -1251,11 +1793,13 @@ class EnemyManager {
         }
         
         // Create enemy with appropriate sprite dimensions
-        const frameSize = textureSet.frameSize || 200;
+        const frameSize = textureSet.frameSize;
         const scaleFactor = frameSize / 200; // Scale relative to the standard 200x200
-        const enemySize = 5.2 * scaleFactor; // Adjust size based on sprite dimensions
+        const enemySize = 5.2 * scaleFactor * textureSet.archetype.scale; // Adjust size based on sprite dimensions
         
-        const enemy = new Enemy(
+        // Archetypes with a boss block fight in phases (see BossEnemy)
+        const EnemyClass = textureSet.archetype.boss ? BossEnemy : Enemy;
+        const enemy = new EnemyClass(
             textureSet.walkTexture, 
             textureSet.attackTextures, 
             textureSet.hitTexture, 
@@ -1264,60 +1808,11 @@ class EnemyManager {
             enemySize, 
             frameSize, 
             frameSize, 
-            8
+            textureSet.archetype.fps
         );
         
-        // Store enemy type for special behaviors
-        enemy.enemyType = textureSet.enemyType;
-        
-        // Special properties for enemy_3 (flying enemy)
-        if (textureSet.enemyType === 'enemy_3') {
-            enemy.moveSpeed = 3.0; // Faster movement for flying enemy
-            enemy.attackRange = 1.0; // Short attack range (close combat)
-            enemy.maxHealth = 30; // Lower health than ground enemies
-            enemy.health = enemy.maxHealth;
-            enemy.healthBar.setHealth(enemy.health, enemy.maxHealth, false); // Don't show on initial creation
-            
-            // Adjust position to be higher (flying)
-            position.y = 1.5; // Flying height
-            enemy.setBaseY(1.5);
-        }
-        
-        // Special properties for enemy_4 (ground enemy with unique stats)
-        if (textureSet.enemyType === 'enemy_4') {
-            enemy.moveSpeed = 2.2; // Slightly slower than default
-            enemy.attackRange = 1.6; // Reduced attack range (was 2.2, now 1.6)
-            enemy.maxHealth = 45; // Higher health than other enemies
-            enemy.health = enemy.maxHealth;
-            enemy.healthBar.setHealth(enemy.health, enemy.maxHealth, false); // Don't show on initial creation
-            enemy.attackDamage = 2; // Higher damage than default
-            enemy.attackCooldownDuration = 2.5; // Longer cooldown between attacks
-            
-            // Ground enemy, normal Y position
-            position.y = 0;
-            enemy.setBaseY(0);
-        }
-        
-        // Special properties for enemy_5 (fireball caster)
-        if (textureSet.enemyType === 'enemy_5') {
-            enemy.moveSpeed = 1.8; // Slower movement (caster enemy)
-            enemy.attackRange = 8.0; // Long range for fireball casting
-            enemy.maxHealth = 35; // Medium health
-            enemy.health = enemy.maxHealth;
-            enemy.healthBar.setHealth(enemy.health, enemy.maxHealth, false); // Don't show on initial creation
-            enemy.attackDamage = 3; // High damage via fireballs
-            enemy.attackCooldownDuration = 2.0; // Faster cooldown for more frequent attacks (reduced from 3.5)
-            enemy.isFireballCaster = true; // Special flag for fireball attacks
-            
-            // Significantly increase detection and aggro ranges
-            enemy.detectionRange = 15.0; // Much larger detection range (default is usually around 8)
-            enemy.loseTargetRange = 18.0; // Larger range before losing target
-            enemy.chaseSpeed = 2.5; // Slightly faster chase speed to close distance
-            
-            // Lift enemy_5 sprite slightly above ground
-            position.y = 1.0;
-            enemy.setBaseY(1.0);
-        }
+        // Stats, attack kind and drops from the archetype (sets enemyType)
+        enemy.applyArchetype(textureSet.archetype);
         
         enemy.setPatrolArea(position, patrolRadius);
         enemy.setCamera(this.scene.camera || this.player.camera);
@@ -1325,6 +1820,15 @@ class EnemyManager {
         enemy.setCombatSystem(this.combatSystem);
         enemy.setTelegraphManager(this.telegraphManager);
         enemy.setFireballManager(this.fireballManager); // Set fireball manager
+        enemy.setEnemySync(this.enemySync);
+        enemy.setGameWorld(this.gameWorld);
+        enemy.setPathfinder(this.pathfinder);
+        enemy.networkId = this.nextNetworkId++;
+        
+        if (enemy.isBoss) {
+            enemy.setEnemyManager(this);
+            enemy.setBossHealthBar(this.bossHealthBar);
+        }
         
         this.scene.add(enemy);
         this.enemies.push(enemy);
@@ -1332,10 +1836,28 @@ class EnemyManager {
         return enemy;
     }
     
+    /**
+     * Spawn a boss (random boss archetype if none specified) - null if none can spawn
+     */
+    spawnBoss(position, bossType = null) {
+        const bossTypes = this.getSpawnableArchetypes().filter(archetype => archetype.boss).map(archetype => archetype.id);
+        const enemyType = bossType || (bossTypes.length > 0 ? gameRandom.pick(bossTypes) : null);
+        
+        if (!enemyType) {
+            console.warn('No boss archetype loaded');
+            return null;
+        }
+        
+        return this.spawnEnemy(position, 0, enemyType);
+    }
+    
     /**
      * Spawn multiple enemies in the world
      */
     spawnEnemies(count = 5) {
+        // Clients mirror the host's enemies instead of spawning their own
+        if (!this.isAuthority) return;
+        
         const spawnRadius = 30; // Increased from 20
         
         for (let i = 0; i < count; i++) {
@@ -1346,33 +1868,33 @@ class EnemyManager {
             if (i < count / 3) {
                 // Close enemies - smaller patrol radius, closer to player
                 const angle = (i / (count / 3)) * Math.PI * 2;
-                const distance = 8 + Math.random() * 7; // 8-15 units away
+                const distance = 8 + gameRandom.next() * 7; // 8-15 units away
                 position = new THREE.Vector3(
                     Math.cos(angle) * distance,
                     0,
                     Math.sin(angle) * distance
                 );
-                patrolRadius = 2 + Math.random() * 2; // 2-4 unit patrol radius
+                patrolRadius = 2 + gameRandom.next() * 2; // 2-4 unit patrol radius
             } else if (i < (count * 2) / 3) {
                 // Medium distance enemies
                 const angle = (i / (count / 3)) * Math.PI * 2;
-                const distance = 15 + Math.random() * 10; // 15-25 units away
+                const distance = 15 + gameRandom.next() * 10; // 15-25 units away
                 position = new THREE.Vector3(
                     Math.cos(angle) * distance,
                     0,
                     Math.sin(angle) * distance
                 );
-                patrolRadius = 3 + Math.random() * 3; // 3-6 unit patrol radius
+                patrolRadius = 3 + gameRandom.next() * 3; // 3-6 unit patrol radius
             } else {
                 // Far enemies - larger patrol radius, further from player
                 const angle = (i / (count / 3)) * Math.PI * 2;
-                const distance = 25 + Math.random() * spawnRadius; // 25-55 units away
+                const distance = 25 + gameRandom.next() * spawnRadius; // 25-55 units away
                 position = new THREE.Vector3(
                     Math.cos(angle) * distance,
                     0,
                     Math.sin(angle) * distance
                 );
-                patrolRadius = 4 + Math.random() * 4; // 4-8 unit patrol radius
+                patrolRadius = 4 + gameRandom.next() * 4; // 4-8 unit patrol radius
             }
             
             this.spawnEnemy(position, patrolRadius);
@@ -1411,6 +1933,105 @@ class EnemyManager {
         });
     }
 
+    /**
+     * Set game world for all enemies (obstacle collision)
+     */
+    setGameWorld(gameWorld) {
+        this.gameWorld = gameWorld;
+        this.enemies.forEach(enemy => {
+            enemy.setGameWorld(gameWorld);
+        });
+    }
+    
+    /**
+     * Set pathfinder for all enemies (path queries run in update)
+     */
+    setPathfinder(pathfinder) {
+        this.pathfinder = pathfinder;
+        this.enemies.forEach(enemy => {
+            enemy.setPathfinder(pathfinder);
+        });
+    }
+    
+    /**
+     * Set enemy sync for all enemies (multiplayer sessions)
+     */
+    setEnemySync(enemySync) {
+        this.enemySync = enemySync;
+        this.enemies.forEach(enemy => {
+            enemy.setEnemySync(enemySync);
+        });
+    }
+    
+    /**
+     * Switch between host (simulates enemies) and client (mirrors the host's enemies)
+     */
+    setAuthority(isAuthority) {
+        if (this.isAuthority === isAuthority) return;
+        this.isAuthority = isAuthority;
+        
+        if (isAuthority) {
+            // Host left - take over the enemies we were mirroring
+            this.enemies.forEach(enemy => {
+                enemy.promoteToAuthority(this.player);
+                this.nextNetworkId = Math.max(this.nextNetworkId, enemy.networkId + 1);
+            });
+            console.log(`Took over ${this.enemies.length} enemies as session host`);
+        } else {
+            // Drop our own enemies - the host's snapshots replace them
+            this.clearAll();
+            console.log('Mirroring enemies from the session host');
+        }
+    }
+    
+    /**
+     * Create a replica of a host enemy
+     */
+    spawnReplica(networkId, enemyType, x, z) {
+        const enemy = this.spawnEnemy(new THREE.Vector3(x, 0, z), 0, enemyType);
+        if (!enemy) return null;
+        
+        enemy.networkId = networkId;
+        enemy.isReplica = true;
+        enemy.setTarget(null); // Replicas never deal damage themselves
+        
+        return enemy;
+    }
+    
+    /**
+     * Find an enemy by its shared network id
+     */
+    getEnemyByNetworkId(networkId) {
+        return this.enemies.find(enemy => enemy.networkId === networkId) || null;
+    }
+    
+    /**
+     * Spawn crystals, an optional health orb and any items where an enemy died
+     * @param {number} crystalCount - Rolled from the enemy's drop table (random 3-4 if null)
+     * @param {Array<Object>} items - Rolled items (see Items.rollDrops)
+     */
+    spawnDrops(position, dropHealthOrb = false, crystalCount = null, items = []) {
+        if (this.crystalManager) {
+            this.crystalManager.spawnCrystalsAtDeath(position, crystalCount);
+        }
+        
+        if (dropHealthOrb && this.healthOrbManager) {
+            console.log('Enemy dropped a health orb!');
+            this.healthOrbManager.spawnHealthOrb(position.clone());
+        }
+        
+        if (items.length > 0 && this.itemPickupManager) {
+            this.itemPickupManager.spawnItems(position, items);
+        }
+    }
+    
+    /**
+     * Set the screen-wide boss health bar
+     */
+    setBossHealthBar(bossHealthBar) {
+        this.bossHealthBar = bossHealthBar;
+    }
+    
     /**
      * Set crystal manager for enemy drops
      */
@@ -1425,6 +2046,13 @@ class EnemyManager {
         this.healthOrbManager = healthOrbManager;
     }
     
+    /**
+     * Set item pickup manager for enemy item drops
+     */
+    setItemPickupManager(itemPickupManager) {
+        this.itemPickupManager = itemPickupManager;
+    }
+    
     /**
      * Update all enemies
      */
@@ -1436,6 +2064,18 @@ class EnemyManager {
             });
         }
         
+        // Enemies we own pick their targets from their threat tables
+        if (this.isAuthority) {
+            this.updateTargets(deltaTime);
+        }
+        
+        this.timers.update(deltaTime);
+        
+        // Finish queued path queries within this step's budget
+        if (this.pathfinder) {
+            this.pathfinder.update();
+        }
+        
         // Update each enemy
         for (let i = this.enemies.length - 1; i >= 0; i--) {
             const enemy = this.enemies[i];
@@ -1447,6 +2087,8 @@ class EnemyManager {
             if (enemy.isDead && enemy.deathAnimationComplete) {
                 // Remove dead enemies after animation
                 this.enemies.splice(i, 1);
+                enemy.clearPath();
+                this.timers.schedule(this.corpseRemovalDelay, () => this.removeCorpse(enemy));
             } else if (!enemy.isDead) {
                 // Check collision with player (optional - for damage dealing)
                 if (this.player && enemy.isInAttackRange(this.player.position, 1.0)) {
@@ -1456,6 +2098,121 @@ class EnemyManager {
         }
     }
     
+    /**
+     * Remove a dead enemy from the scene
+     */
+    removeCorpse(enemy) {
+        if (enemy.parent) {
+            enemy.parent.remove(enemy);
+        }
+        enemy.dispose();
+        console.log('Enemy removed from scene');
+    }
+    
+    /**
+     * Update each enemy's threat table and point it at its highest threat (players, or
+     * enemies of another faction)
+     */
+    updateTargets(deltaTime) {
+        const allTargets = this.getCombatTargets();
+        
+        this.enemies.forEach(enemy => {
+            if (enemy.isDead) return;
+            
+            const targets = allTargets.filter(target => Factions.areHostile(enemy.faction, Factions.of(target)));
+            
+            // Forget players who left the session and targets that died or changed sides
+            enemy.threat.retain(targets);
+            enemy.threat.decay(deltaTime);
+            enemy.threat.addProximity(targets, enemy.position, enemy.detectionRange, deltaTime);
+            
+            if (enemy.isAttacking) return; // Finish the swing on the current target
+            
+            const current = targets.includes(enemy.target) ? enemy.target : null;
+            
+            // Nothing has drawn threat yet - keep the nearest hostile in mind for detection
+            enemy.setTarget(enemy.threat.selectTarget(current) || this.findNearestHostile(enemy.position, enemy.faction));
+        });
+    }
+    
+    /**
+     * Taunt every enemy hostile to a source within a radius (the source becomes their target)
+     * @returns {Array<Enemy>} Taunted enemies
+     */
+    tauntInRadius(source, position, radius) {
+        const taunted = this.findHostilesInRadius(position, radius, Factions.of(source))
+            .filter(target => target instanceof Enemy);
+        
+        taunted.forEach(enemy => enemy.taunt(source));
+        return taunted;
+    }
+    
+    /**
+     * Players enemies can hit (the local player plus remote players in a session)
+     */
+    getPlayerTargets() {
+        const remoteTargets = this.enemySync ? this.enemySync.getRemoteTargets() : [];
+        return [this.player].concat(remoteTargets);
+    }
+    
+    /**
+     * Everything that can be attacked: players (local and remote) and living enemies
+     */
+    getCombatTargets() {
+        return this.getPlayerTargets().concat(this.getEnemies());
+    }
+    
+    /**
+     * Targets hostile to a faction within a horizontal radius of a position
+     */
+    findHostilesInRadius(position, radius, faction) {
+        return this.getCombatTargets().filter(target => {
+            return Factions.areHostile(faction, Factions.of(target)) && this.isWithinRadius(target, position, radius);
+        });
+    }
+    
+    /**
+     * Nearest target hostile to a faction (null if none within maxDistance)
+     */
+    findNearestHostile(position, faction, maxDistance = Infinity) {
+        let nearest = null;
+        let nearestDistance = maxDistance;
+        
+        this.getCombatTargets().forEach(target => {
+            if (!Factions.areHostile(faction, Factions.of(target))) return;
+            
+            const distance = target.position.distanceTo(position);
+            if (distance <= nearestDistance) {
+                nearestDistance = distance;
+                nearest = target;
+            }
+        });
+        
+        return nearest;
+    }
+    
+    /**
+     * Targets an area attack hits: hostiles of the attacker, plus its own side (but not
+     * itself) when the attack has friendly fire
+     * @param {Function} isInArea - Test for a target's position (radius, line, ...)
+     */
+    findAreaTargets(attacker, friendlyFire, isInArea) {
+        return this.getCombatTargets().filter(target => {
+            if (target === attacker) return false;
+            if (!friendlyFire && !Factions.areHostile(attacker.faction, Factions.of(target))) return false;
+            return isInArea(target.position);
+        });
+    }
+    
+    /**
+     * Check if a target is within a horizontal radius (height is ignored)
+     */
+    isWithinRadius(target, position, radius) {
+        const dx = target.position.x - position.x;
+        const dz = target.position.z - position.z;
+        return dx * dx + dz * dz <= radius * radius;
+    }
+    
     /**
      * Get all living enemies
      */
@@ -1481,9 +2238,14 @@ class EnemyManager {
      * Spawn a wave of enemies at random positions
      */
     spawnWave(count = 5, minDistance = 15, maxDistance = 40) {
+        if (!this.isAuthority) {
+            console.log('Only the session host can spawn enemies');
+            return;
+        }
+        
         for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const distance = minDistance + Math.random() * (maxDistance - minDistance);
+            const angle = gameRandom.next() * Math.PI * 2;
+            const distance = minDistance + gameRandom.next() * (maxDistance - minDistance);
             
             const position = new THREE.Vector3(
                 Math.cos(angle) * distance,
@@ -1491,7 +2253,7 @@ class EnemyManager {
                 Math.sin(angle) * distance
             );
             
-            const patrolRadius = 3 + Math.random() * 4; // 3-7 unit patrol radius
+            const patrolRadius = 3 + gameRandom.next() * 4; // 3-7 unit patrol radius
             this.spawnEnemy(position, patrolRadius);
         }
         
@@ -1521,12 +2283,13 @@ class EnemyManager {
     /**
      * Handle player attack - check which enemies are hit
      */
-    handlePlayerAttack(playerPosition, attackDirection, range, angleInDegrees, damageInfo = null) {
+    handlePlayerAttack(playerPosition, attackDirection, range, angleInDegrees, damageInfo = null, hitOptions = null) {
         const hits = [];
         const angleInRadians = (angleInDegrees * Math.PI) / 180;
         
         this.enemies.forEach(enemy => {
-            if (!enemy.isDead) {
+            // Enemies fighting for the player are spared
+            if (!enemy.isDead && Factions.areHostile(Factions.PLAYER, enemy.faction)) {
                 // Calculate vector from player to enemy
                 const toEnemy = new THREE.Vector3();
                 toEnemy.subVectors(enemy.position, playerPosition);
@@ -1546,14 +2309,16 @@ class EnemyManager {
                     if (angle <= angleInRadians / 2) {
                         // Enemy is hit!
                         const damage = damageInfo ? damageInfo.damage : 1;
-                        enemy.takeDamage(damage, playerPosition);
+                        const result = enemy.takeDamage(damage, playerPosition, null, hitOptions);
                         
                         hits.push({
                             enemy: enemy,
                             distance: distance,
                             died: enemy.isDead,
-                            damage: damage,
-                            isCritical: damageInfo ? damageInfo.isCritical : false
+                            damage: result ? result.amount : damage,
+                            isCritical: damageInfo ? damageInfo.isCritical : false,
+                            damageType: result ? result.type : DamageTypes.PHYSICAL,
+                            tag: result ? result.tag : null
                         });
                     }
                 }
@@ -1563,6 +2328,40 @@ class EnemyManager {
         return hits;
     }
     
+    /**
+     * Remove every enemy and respawn the initial population (new run)
+     */
+    reset() {
+        // The host owns the enemies in a shared session
+        if (!this.isAuthority) return;
+        
+        this.clearAll();
+        
+        if (this.initialEnemyCount > 0) {
+            this.spawnEnemies(this.initialEnemyCount);
+        }
+        
+        console.log(`Enemy manager reset with ${this.enemies.length} enemies`);
+    }
+    
+    /**
+     * Remove every enemy from the scene
+     */
+    clearAll() {
+        this.enemies.forEach(enemy => {
+            enemy.removeAttackTelegraph();
+            enemy.clearPath();
+            if (enemy.isBoss) {
+                enemy.endFight();
+            }
+            if (enemy.parent) {
+                enemy.parent.remove(enemy);
+            }
+        });
+        
+        this.enemies = [];
+    }
+    
     /**
      * Dispose of all enemies
      */
@@ -0,0 +1,324 @@
+/**
+ * EnemyArchetypeRegistry - Enemy types declared as data (assets/sprites/enemies/archetypes.json)
+ * Each entry names its sprite sheets inside assets/sprites/enemies/<id>/ plus its stats,
+ * so a new enemy only needs an asset folder and a JSON entry. Optional fields:
+ *   folder - reuse another enemy's asset folder, scale - sprite size multiplier,
+ *   boss   - name, health phases and attack patterns (spawns a BossEnemy)
+ *   attack.friendlyFire, boss.<pattern>.friendlyFire - area attacks also hurt other enemies
+ *   defense - armor (taken off physical hits), resistances per damage type (see DamageTypes)
+ *             and flying (clears ground blasts)
+ *   drops.items - item rolls: chance per roll, rolls, rarity and base weights (see Items)
+ */
+class EnemyArchetypeRegistry {
+    constructor() {
+        this.archetypes = new Map(); // id -> validated archetype
+        this.attackKinds = ['melee', 'projectile'];
+        this.bossPatterns = ['fireballRing', 'lineBarrage', 'charge', 'summon'];
+    }
+
+    /**
+     * Fetch and register the archetype file (resolves with the registered ids)
+     */
+    async load(url = 'assets/sprites/enemies/archetypes.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                console.error(`Failed to load enemy archetypes from ${url}: ${response.status}`);
+                return [];
+            }
+            return this.registerAll(await response.json());
+        } catch (error) {
+            console.error(`Failed to load enemy archetypes from ${url}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Register every entry of an archetype file (returns the ids that passed validation)
+     */
+    registerAll(definitions) {
+        return Object.keys(definitions).filter(id => this.register(id, definitions[id]));
+    }
+
+    /**
+     * Validate and register one archetype (logs each problem and skips it if invalid)
+     */
+    register(id, definition) {
+        const errors = this.validate(definition);
+        if (errors.length > 0) {
+            errors.forEach(error => console.error(`Enemy archetype "${id}": ${error}`));
+            return false;
+        }
+
+        const archetype = JSON.parse(JSON.stringify(definition)); // Callers can't mutate the registry
+        archetype.id = id;
+        archetype.folder = `assets/sprites/enemies/${definition.folder || id}`;
+        archetype.scale = definition.scale || 1;
+        archetype.defense = Object.assign({ armor: 0, resistances: {}, flying: false }, archetype.defense);
+        this.archetypes.set(id, archetype);
+        return true;
+    }
+
+    /**
+     * List what's wrong with an archetype definition (empty if valid)
+     */
+    validate(definition) {
+        const errors = [];
+        const isPositive = value => typeof value === 'number' && value > 0;
+        const isSheet = value => typeof value === 'string' && value.length > 0;
+
+        if (!definition || typeof definition !== 'object') {
+            return ['definition must be an object'];
+        }
+
+        // Sprite sheets
+        const sheets = definition.sheets || {};
+        ['walk', 'hit', 'death'].forEach(sheet => {
+            if (!isSheet(sheets[sheet])) errors.push(`missing sheets.${sheet}`);
+        });
+        if (!Array.isArray(sheets.attacks) || sheets.attacks.length === 0) {
+            errors.push('missing sheets.attacks (at least one attack sheet)');
+        } else if (!sheets.attacks.every(isSheet)) {
+            errors.push('sheets.attacks must only contain file names');
+        }
+
+        // Animation and stats
+        if (!isPositive(definition.frameSize)) errors.push('frameSize must be a positive number');
+        if (!isPositive(definition.fps)) errors.push('fps must be a positive number');
+        if (typeof definition.hoverHeight !== 'number') errors.push('hoverHeight must be a number');
+        if (!isPositive(definition.health)) errors.push('health must be a positive number');
+        if (definition.folder !== undefined && !isSheet(definition.folder)) errors.push('folder must be a folder name');
+        if (definition.scale !== undefined && !isPositive(definition.scale)) errors.push('scale must be a positive number');
+
+        const speeds = definition.speeds || {};
+        ['patrol', 'chase', 'return'].forEach(speed => {
+            if (!isPositive(speeds[speed])) errors.push(`speeds.${speed} must be a positive number`);
+        });
+
+        const ranges = definition.ranges || {};
+        ['detection', 'loseTarget', 'attack'].forEach(range => {
+            if (!isPositive(ranges[range])) errors.push(`ranges.${range} must be a positive number`);
+        });
+        if (isPositive(ranges.detection) && isPositive(ranges.loseTarget) && ranges.loseTarget < ranges.detection) {
+            errors.push('ranges.loseTarget must not be smaller than ranges.detection');
+        }
+
+        const attack = definition.attack || {};
+        if (!this.attackKinds.includes(attack.kind)) errors.push(`attack.kind must be one of ${this.attackKinds.join(', ')}`);
+        if (typeof attack.damage !== 'number' || attack.damage < 0) errors.push('attack.damage must be a number of at least 0');
+        if (!isPositive(attack.cooldown)) errors.push('attack.cooldown must be a positive number');
+        if (attack.friendlyFire !== undefined && typeof attack.friendlyFire !== 'boolean') {
+            errors.push('attack.friendlyFire must be true or false');
+        }
+
+        // Rounds (see WaveDirector)
+        const spawn = definition.spawn || {};
+        if (!isPositive(spawn.cost)) errors.push('spawn.cost must be a positive number');
+        if (!Number.isInteger(spawn.minWave) || spawn.minWave < 1) errors.push('spawn.minWave must be a whole number of at least 1');
+
+        // Drop table
+        const drops = definition.drops || {};
+        const crystals = drops.crystals;
+        if (!Array.isArray(crystals) || crystals.length !== 2 || !crystals.every(Number.isInteger) || crystals[0] < 0 || crystals[1] < crystals[0]) {
+            errors.push('drops.crystals must be [min, max] whole numbers');
+        }
+        if (typeof drops.healthOrbChance !== 'number' || drops.healthOrbChance < 0 || drops.healthOrbChance > 1) {
+            errors.push('drops.healthOrbChance must be between 0 and 1');
+        }
+        if (drops.items !== undefined) {
+            errors.push(...this.validateItemDrops(drops.items));
+        }
+
+        if (definition.defense !== undefined) {
+            errors.push(...this.validateDefense(definition.defense));
+        }
+
+        if (definition.boss !== undefined) {
+            errors.push(...this.validateBoss(definition.boss));
+        }
+
+        return errors;
+    }
+
+    /**
+     * List what's wrong with a defense block (armor, resistances, flying)
+     */
+    validateDefense(defense) {
+        const errors = [];
+
+        if (!defense || typeof defense !== 'object') {
+            return ['defense must be an object'];
+        }
+        if (defense.armor !== undefined && (typeof defense.armor !== 'number' || defense.armor < 0)) {
+            errors.push('defense.armor must be a number of at least 0');
+        }
+        if (defense.resistances !== undefined) {
+            if (!defense.resistances || typeof defense.resistances !== 'object') {
+                errors.push('defense.resistances must map damage types to resistances');
+            } else {
+                Object.keys(defense.resistances).forEach(type => {
+                    const resistance = defense.resistances[type];
+                    if (!DamageTypes.ALL.includes(type)) {
+                        errors.push(`defense.resistances: unknown damage type "${type}" (use ${DamageTypes.ALL.join(', ')})`);
+                    } else if (typeof resistance !== 'number' || resistance > 1) {
+                        errors.push(`defense.resistances.${type} must be a number of at most 1 (1 is immune, below 0 is a weakness)`);
+                    }
+                });
+            }
+        }
+        if (defense.flying !== undefined && typeof defense.flying !== 'boolean') {
+            errors.push('defense.flying must be true or false');
+        }
+
+        return errors;
+    }
+
+    /**
+     * List what's wrong with an item drop table (chance, rolls and weights of known rarities and bases)
+     */
+    validateItemDrops(items) {
+        const errors = [];
+
+        if (!items || typeof items !== 'object') {
+            return ['drops.items must be an object'];
+        }
+        if (typeof items.chance !== 'number' || items.chance < 0 || items.chance > 1) {
+            errors.push('drops.items.chance must be between 0 and 1');
+        }
+        if (items.rolls !== undefined && (!Number.isInteger(items.rolls) || items.rolls < 1)) {
+            errors.push('drops.items.rolls must be a whole number of at least 1');
+        }
+
+        const validateWeights = (field, known, required) => {
+            const weights = items[field];
+            if (weights === undefined && !required) return;
+            if (!weights || typeof weights !== 'object' || Object.keys(weights).length === 0) {
+                errors.push(`drops.items.${field} must map ids to weights`);
+                return;
+            }
+            Object.keys(weights).forEach(id => {
+                if (!known[id]) {
+                    errors.push(`drops.items.${field}: unknown id "${id}" (use ${Object.keys(known).join(', ')})`);
+                } else if (typeof weights[id] !== 'number' || weights[id] < 0) {
+                    errors.push(`drops.items.${field}.${id} must be a weight of at least 0`);
+                }
+            });
+            if (!Object.keys(weights).some(id => weights[id] > 0)) {
+                errors.push(`drops.items.${field} needs at least one positive weight`);
+            }
+        };
+        validateWeights('bases', Items.BASES, true);
+        validateWeights('rarity', Items.RARITIES, false);
+
+        return errors;
+    }
+
+    /**
+     * List what's wrong with a boss block (phases and the patterns they use)
+     */
+    validateBoss(boss) {
+        const errors = [];
+        const isPositive = value => typeof value === 'number' && value > 0;
+
+        if (!boss || typeof boss !== 'object') {
+            return ['boss must be an object'];
+        }
+        if (typeof boss.name !== 'string' || boss.name.length === 0) errors.push('boss.name must be a name');
+
+        if (!Array.isArray(boss.phases) || boss.phases.length === 0) {
+            errors.push('boss.phases must list at least one phase');
+            return errors;
+        }
+
+        boss.phases.forEach((phase, index) => {
+            const prefix = `boss.phases[${index}]`;
+            if (typeof phase.healthThreshold !== 'number' || phase.healthThreshold <= 0 || phase.healthThreshold > 1) {
+                errors.push(`${prefix}.healthThreshold must be above 0 and at most 1`);
+            }
+            if (!isPositive(phase.patternCooldown)) errors.push(`${prefix}.patternCooldown must be a positive number`);
+            if (phase.speedMultiplier !== undefined && !isPositive(phase.speedMultiplier)) {
+                errors.push(`${prefix}.speedMultiplier must be a positive number`);
+            }
+            if (!Array.isArray(phase.patterns) || phase.patterns.length === 0) {
+                errors.push(`${prefix}.patterns must list at least one pattern`);
+                return;
+            }
+            phase.patterns.forEach(pattern => {
+                if (!this.bossPatterns.includes(pattern)) {
+                    errors.push(`${prefix}.patterns: unknown pattern "${pattern}" (use ${this.bossPatterns.join(', ')})`);
+                } else if (!boss[pattern] || typeof boss[pattern] !== 'object') {
+                    errors.push(`${prefix}.patterns uses "${pattern}" but boss.${pattern} is missing`);
+                }
+            });
+        });
+
+        if (boss.phases[0] && boss.phases[0].healthThreshold !== 1) {
+            errors.push('boss.phases[0].healthThreshold must be 1 (the fight starts in the first phase)');
+        }
+        for (let i = 1; i < boss.phases.length; i++) {
+            if (boss.phases[i].healthThreshold >= boss.phases[i - 1].healthThreshold) {
+                errors.push('boss.phases must be ordered by falling healthThreshold');
+                break;
+            }
+        }
+
+        // Pattern parameters
+        const requirePositive = (pattern, fields) => {
+            if (!boss[pattern]) return;
+            fields.forEach(field => {
+                if (!isPositive(boss[pattern][field])) errors.push(`boss.${pattern}.${field} must be a positive number`);
+            });
+        };
+        requirePositive('fireballRing', ['count', 'recovery']);
+        requirePositive('lineBarrage', ['count', 'length', 'width', 'warningTime', 'damage', 'recovery']);
+        requirePositive('charge', ['windup', 'speed', 'distance', 'hitRadius', 'damage', 'recovery']);
+        requirePositive('summon', ['count', 'radius', 'maxAdds', 'recovery']);
+        ['fireballRing', 'lineBarrage', 'charge'].forEach(pattern => {
+            if (boss[pattern] && boss[pattern].friendlyFire !== undefined && typeof boss[pattern].friendlyFire !== 'boolean') {
+                errors.push(`boss.${pattern}.friendlyFire must be true or false`);
+            }
+        });
+
+        if (boss.fireballRing && (!Array.isArray(boss.fireballRing.radii) || !boss.fireballRing.radii.every(isPositive))) {
+            errors.push('boss.fireballRing.radii must list positive ring radii');
+        }
+        if (boss.lineBarrage && (typeof boss.lineBarrage.spread !== 'number' || boss.lineBarrage.spread < 0)) {
+            errors.push('boss.lineBarrage.spread must be an angle of at least 0');
+        }
+        if (boss.summon && (!Array.isArray(boss.summon.types) || boss.summon.types.length === 0)) {
+            errors.push('boss.summon.types must list the archetype ids to summon');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Get the sheet paths an archetype loads (attacks in order)
+     */
+    getSheetPaths(id) {
+        const archetype = this.get(id);
+        if (!archetype) return null;
+
+        const sheets = archetype.sheets;
+        return {
+            walk: `${archetype.folder}/${sheets.walk}`,
+            attacks: sheets.attacks.map(sheet => `${archetype.folder}/${sheet}`),
+            hit: `${archetype.folder}/${sheets.hit}`,
+            death: `${archetype.folder}/${sheets.death}`
+        };
+    }
+
+    /**
+     * Get an archetype by id (null if unknown)
+     */
+    get(id) {
+        return this.archetypes.get(id) || null;
+    }
+
+    /**
+     * Get all registered ids in file order
+     */
+    getIds() {
+        return Array.from(this.archetypes.keys());
+    }
+}
@@ -0,0 +1,402 @@
+/**
+ * EnemySync - Host-authoritative enemy simulation for multiplayer sessions
+ * The host runs enemy AI and broadcasts compact snapshots; other clients mirror
+ * them as replicas and send their hits to the host, so kills and drops happen once.
+ *
+ * Message types (on top of NetworkClient's):
+ *   enemies     { e: [[id, type, x, z, dir, state, health, maxHealth, flags, attackCount, attackIndex], ...], w: [wave, active] }
+ *   enemyDamage { to, e, amount, p, t, k, h, g } - client hit on a replica (damage type, knockback, launch height, ground area), applied by the host
+ *   enemyStatus { to, e, s, o }      - client status effect on a replica (type, overrides), applied by the host
+ *   enemyDeath  { e }                - host kill; everyone plays the death
+ *   enemyKill   { to, p, orb, crystals, items } - kill credit and the drops for the player who landed the blow (items: see Items)
+ *   playerHit   { to, damage, p, e } - host enemy melee hit on a remote player (e: attacker, staggered by a parry)
+ *   fireball    { p }                - host enemy fireball target
+ *   telegraph   { k, p, r, w, d, t } - host boss attack warning (type, position, range, warning time, direction, width)
+ */
+class EnemySync {
+    constructor(networkClient, enemyManager, combatSystem) {
+        this.networkClient = networkClient;
+        this.enemyManager = enemyManager;
+        this.combatSystem = combatSystem;
+        this.remotePlayerManager = null; // Remote players are valid enemy targets on the host
+        this.fireballManager = null;
+        this.telegraphManager = null;
+        this.waveDirector = null; // Clients mirror the host's rounds (the shop opens between them)
+        this.playerSprite = null;
+
+        // Snapshot rate
+        this.snapshotRate = 10; // Snapshots per second
+        this.snapshotInterval = 1 / this.snapshotRate;
+        this.snapshotTimer = 0;
+
+        // AI states are sent as indexes to keep snapshots small (matches Enemy.AIState)
+        this.stateCodes = ['patrol', 'chase', 'search', 'attack', 'stunned', 'return'];
+
+        this.registerNetworkHandlers();
+    }
+
+    /**
+     * Listen for session events
+     */
+    registerNetworkHandlers() {
+        this.networkClient.on('hostChange', () => {
+            this.enemyManager.setAuthority(this.networkClient.isHost());
+        });
+
+        // Back to solo play - keep the enemies we have and simulate them ourselves
+        this.networkClient.on('disconnect', () => {
+            this.enemyManager.setAuthority(true);
+        });
+
+        this.networkClient.on('enemies', (message) => {
+            if (this.networkClient.isHost()) return;
+            this.applySnapshot(message);
+        });
+
+        this.networkClient.on('enemyDamage', (message) => {
+            if (!this.networkClient.isHost()) return;
+
+            const enemy = this.enemyManager.getEnemyByNetworkId(message.e);
+            if (enemy) {
+                enemy.takeDamage(message.amount, this.toVector(message.p), message.id, {
+                    damageType: message.t,
+                    knockback: message.k,
+                    launchHeight: message.h,
+                    groundArea: message.g
+                });
+            }
+        });
+
+        this.networkClient.on('enemyStatus', (message) => {
+            if (!this.networkClient.isHost()) return;
+
+            const enemy = this.enemyManager.getEnemyByNetworkId(message.e);
+            if (enemy) {
+                enemy.applyStatusEffect(message.s, message.o);
+            }
+        });
+
+        this.networkClient.on('enemyDeath', (message) => {
+            if (this.networkClient.isHost()) return;
+
+            const enemy = this.enemyManager.getEnemyByNetworkId(message.e);
+            if (enemy) {
+                enemy.die();
+            }
+        });
+
+        // Only the killer gets the drops, so nobody else can pick up a copy
+        this.networkClient.on('enemyKill', (message) => {
+            this.combatSystem.registerKill(null);
+            this.enemyManager.spawnDrops(this.toVector(message.p), message.orb, message.crystals, message.items || []);
+        });
+
+        this.networkClient.on('playerHit', (message) => {
+            const attackerPosition = this.toVector(message.p);
+
+            // Same path as a local enemy hit (see Enemy.hitPlayer)
+            if (this.combatSystem.dodgeHit()) return;
+            if (this.combatSystem.parryHit(this.enemyManager.getEnemyByNetworkId(message.e))) return;
+            if (this.combatSystem.isBlocking) {
+                this.combatSystem.handlePlayerDamage(message.damage, attackerPosition);
+            } else if (this.playerSprite && this.playerSprite.hurt(attackerPosition)) {
+                this.combatSystem.handlePlayerDamage(message.damage, attackerPosition);
+            }
+        });
+
+        this.networkClient.on('fireball', (message) => {
+            if (this.fireballManager) {
+                this.fireballManager.launchFireball(this.toVector(message.p), null, message.ff, message.faction);
+            }
+        });
+
+        this.networkClient.on('telegraph', (message) => {
+            if (this.telegraphManager) {
+                this.telegraphManager.createTelegraph(message.k, this.toVector(message.p), message.r, message.w, this.toVector(message.d), null, null, null, message.t);
+            }
+        });
+    }
+
+    /**
+     * Broadcast enemy snapshots while hosting
+     */
+    update(deltaTime) {
+        if (!this.isHosting()) return;
+
+        this.snapshotTimer += deltaTime;
+        if (this.snapshotTimer < this.snapshotInterval) return;
+        this.snapshotTimer = 0;
+
+        this.sendSnapshot();
+    }
+
+    /**
+     * Send every enemy's state (dead ones too, so replicas play their death)
+     */
+    sendSnapshot() {
+        const enemies = this.enemyManager.enemies.map(enemy => this.encodeEnemy(enemy));
+        const message = { type: 'enemies', e: enemies };
+        if (this.waveDirector) {
+            message.w = [this.waveDirector.wave, this.waveDirector.isIntermission() ? 0 : 1];
+        }
+        this.networkClient.send(message);
+    }
+
+    /**
+     * Pack an enemy into a compact array
+     */
+    encodeEnemy(enemy) {
+        const flags = (enemy.isAttacking ? 1 : 0) | (enemy.isDead ? 2 : 0);
+
+        return [
+            enemy.networkId,
+            enemy.enemyType,
+            this.networkClient.round(enemy.position.x),
+            this.networkClient.round(enemy.position.z),
+            enemy.currentDirection,
+            this.stateCodes.indexOf(enemy.currentState),
+            enemy.health,
+            enemy.maxHealth,
+            flags,
+            enemy.attackCount,
+            enemy.currentAttackIndex
+        ];
+    }
+
+    /**
+     * Unpack an enemy array from encodeEnemy
+     */
+    decodeEnemy(data) {
+        return {
+            id: data[0],
+            type: data[1],
+            x: data[2],
+            z: data[3],
+            direction: data[4],
+            state: this.stateCodes[data[5]] || this.stateCodes[0],
+            health: data[6],
+            maxHealth: data[7],
+            attacking: (data[8] & 1) !== 0,
+            dead: (data[8] & 2) !== 0,
+            attackCount: data[9],
+            attackIndex: data[10]
+        };
+    }
+
+    /**
+     * Mirror a host snapshot: create, update and remove replicas
+     */
+    applySnapshot(message) {
+        if (this.waveDirector && message.w) {
+            this.waveDirector.applyNetworkState(message.w[0], message.w[1] === 1);
+        }
+
+        const seen = new Set();
+
+        message.e.forEach(data => {
+            const state = this.decodeEnemy(data);
+            seen.add(state.id);
+
+            let enemy = this.enemyManager.getEnemyByNetworkId(state.id);
+            if (!enemy) {
+                // Don't create replicas just to play their death
+                if (state.dead) return;
+
+                enemy = this.enemyManager.spawnReplica(state.id, state.type, state.x, state.z);
+                if (!enemy) return; // Textures not loaded yet - try again next snapshot
+            }
+
+            enemy.applyNetworkState(state);
+        });
+
+        // Enemies the host no longer has (e.g. after a new run)
+        const removed = this.enemyManager.enemies.filter(enemy => !seen.has(enemy.networkId) && !enemy.isDead);
+        removed.forEach(enemy => {
+            enemy.removeAttackTelegraph();
+            if (enemy.isBoss) {
+                enemy.endFight();
+            }
+            if (enemy.parent) {
+                enemy.parent.remove(enemy);
+            }
+            this.enemyManager.enemies.splice(this.enemyManager.enemies.indexOf(enemy), 1);
+        });
+    }
+
+    /**
+     * Ask the host to apply our hit on a replica
+     * @param {Object} hitOptions - The hit's takeDamage options (damage type, knockback, launch, ground area)
+     */
+    requestDamage(enemy, amount, attackerPosition = null, hitOptions = null) {
+        const position = attackerPosition || this.playerSprite.position;
+        const options = hitOptions || {};
+
+        this.networkClient.send({
+            type: 'enemyDamage',
+            to: this.networkClient.getHostId(),
+            e: enemy.networkId,
+            amount: amount,
+            p: this.fromVector(position),
+            t: options.damageType || DamageTypes.PHYSICAL,
+            k: options.knockback,
+            h: options.launchHeight || 0,
+            g: !!options.groundArea
+        });
+    }
+
+    /**
+     * Ask the host to apply a status effect to one of its enemies
+     */
+    requestStatusEffect(enemy, type, overrides = {}) {
+        this.networkClient.send({
+            type: 'enemyStatus',
+            to: this.networkClient.getHostId(),
+            e: enemy.networkId,
+            s: type,
+            o: overrides
+        });
+    }
+
+    /**
+     * Tell clients a host enemy died
+     */
+    sendEnemyDeath(enemy) {
+        if (!this.isHosting()) return;
+
+        this.networkClient.send({ type: 'enemyDeath', e: enemy.networkId });
+    }
+
+    /**
+     * Credit a remote player with a kill and hand them what it dropped
+     */
+    sendKillCredit(playerId, position, dropHealthOrb, crystalCount, items = []) {
+        this.networkClient.send({
+            type: 'enemyKill',
+            to: playerId,
+            p: this.fromVector(position),
+            orb: dropHealthOrb,
+            crystals: crystalCount,
+            items: items
+        });
+    }
+
+    /**
+     * Route a host enemy's melee hit to the remote player it struck
+     */
+    sendPlayerHit(playerId, damage, attackerPosition, enemyId) {
+        this.networkClient.send({
+            type: 'playerHit',
+            to: playerId,
+            damage: damage,
+            p: this.fromVector(attackerPosition),
+            e: enemyId
+        });
+    }
+
+    /**
+     * Launch a host enemy's fireball on every client
+     */
+    sendFireball(targetPosition, faction, friendlyFire) {
+        if (!this.isHosting()) return;
+
+        this.networkClient.send({ type: 'fireball', p: this.fromVector(targetPosition), faction: faction, ff: friendlyFire });
+    }
+
+    /**
+     * Show a host boss's attack warning on every client
+     */
+    sendTelegraph(attackType, position, range, warningTime, direction, width) {
+        if (!this.isHosting()) return;
+
+        this.networkClient.send({
+            type: 'telegraph',
+            k: attackType,
+            p: this.fromVector(position),
+            r: range,
+            w: warningTime,
+            d: this.fromVector(direction),
+            t: width
+        });
+    }
+
+    /**
+     * Remote player sprites enemies can target
+     */
+    getRemoteTargets() {
+        if (!this.remotePlayerManager) return [];
+
+        return this.remotePlayerManager.getRemotePlayers()
+            .filter(remotePlayer => !remotePlayer.combatant.isDead)
+            .map(remotePlayer => remotePlayer.sprite);
+    }
+
+    /**
+     * Sprite of a living remote player by id (null if they left or are dead)
+     */
+    getRemoteTarget(playerId) {
+        if (!this.remotePlayerManager) return null;
+
+        const remotePlayer = this.remotePlayerManager.getRemotePlayers().find(player => player.id === playerId);
+        return remotePlayer && !remotePlayer.combatant.isDead ? remotePlayer.sprite : null;
+    }
+
+    /**
+     * Check if we are the host of a connected session
+     */
+    isHosting() {
+        return this.networkClient.isConnected && this.networkClient.isHost();
+    }
+
+    /**
+     * Convert a vector to a rounded [x, y, z] array
+     */
+    fromVector(vector) {
+        return [
+            this.networkClient.round(vector.x),
+            this.networkClient.round(vector.y),
+            this.networkClient.round(vector.z)
+        ];
+    }
+
+    /**
+     * Convert an [x, y, z] array to a vector
+     */
+    toVector(array) {
+        return new THREE.Vector3(array[0], array[1], array[2]);
+    }
+
+    /**
+     * Set remote player manager reference
+     */
+    setRemotePlayerManager(remotePlayerManager) {
+        this.remotePlayerManager = remotePlayerManager;
+    }
+
+    /**
+     * Set fireball manager reference
+     */
+    setFireballManager(fireballManager) {
+        this.fireballManager = fireballManager;
+    }
+
+    /**
+     * Set telegraph manager reference
+     */
+    setTelegraphManager(telegraphManager) {
+        this.telegraphManager = telegraphManager;
+    }
+
+    /**
+     * Set wave director reference (clients mirror the host's rounds)
+     */
+    setWaveDirector(waveDirector) {
+        this.waveDirector = waveDirector;
+    }
+
+    /**
+     * Set local player sprite reference
+     */
+    setPlayerSprite(playerSprite) {
+        this.playerSprite = playerSprite;
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * Factions - Which side a combatant fights for
+ * Players are 'player' and monsters are 'enemy'; an enemy switched to the player's faction
+ * (e.g. charmed) fights for the player. Different factions are hostile to each other, and
+ * area attacks with friendly fire also hurt their own side.
+ */
+class Factions {
+    /**
+     * Check if two factions fight each other
+     */
+    static areHostile(a, b) {
+        return a !== b;
+    }
+
+    /**
+     * Faction of an attack target (enemies and combatants carry one; player sprites, local or remote, are players)
+     */
+    static of(target) {
+        return target.faction || Factions.PLAYER;
+    }
+}
+
+Factions.PLAYER = 'player';
+Factions.ENEMY = 'enemy';
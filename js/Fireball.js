@@ -1,5 +1,6 @@
 /**
- * Fireball - Projectile that drops from the sky for enemy_5 attacks
+ * Fireball - Projectile that drops from the sky for enemy_5 attacks, or flies
+ * along the ground as the player's Fire Bolt
  * Uses a sprite sheet to display animated fireballs
  */
 class Fireball extends THREE.Object3D {
@@ -25,11 +26,24 @@ class Fireball extends THREE.Object3D {
         this.size = 3.0; // Size of the fireball (increased by 50% for better glow effect)
         this.fallSpeed = 2.5; // Speed of falling (reduced from 4.0 to 2.5)
         this.damage = 1; // Damage dealt to player (1 heart)
+        this.statusEffects = [{ type: 'burn', tickDamage: 1, tickInterval: 1.5, duration: 1.5 }]; // Burn left on a hit player (one more heart after 1.5s)
         this.explosionRadius = 2.5; // Radius of explosion damage
         this.telegraphRadius = 0.83; // Telegraph radius (2.5 / 3 = 0.83 - 3x smaller)
         this.lifetime = 0;
         this.maxLifetime = 5.0; // Maximum lifetime before auto-removal
         
+        // Ownership - the faction decides who the fireball can hurt (see Factions); owner is
+        // the caster, and friendlyFire lets a dropped fireball hurt the caster's side too
+        this.faction = Factions.ENEMY;
+        this.owner = null;
+        this.friendlyFire = false;
+        
+        // Flight - projectiles fired along the ground instead of dropping (see fire())
+        this.isFlying = false;
+        this.flight = null; // Flight settings of the current shot
+        this.distanceTravelled = 0;
+        this.hitTargets = new Set(); // Targets already hit by this shot
+        
         // Physics
         this.startY = 15; // Start high above the target
         this.targetPosition = new THREE.Vector3();
@@ -40,6 +54,8 @@ class Fireball extends THREE.Object3D {
         // Telegraph system
         this.telegraph = null;
         this.telegraphManager = null;
+        this.pendingTelegraph = null; // Telegraph settings waiting for telegraphDelay
+        this.telegraphDelay = 0;
         
         // Explosion system
         this.explosionManager = null;
@@ -110,6 +126,12 @@ class Fireball extends THREE.Object3D {
         
         // Make the fireball face the camera
         this.lookAt(this.camera.position);
+        
+        // In flight, turn the sprite (which faces right in the sheet) along its on-screen heading
+        if (this.isFlying) {
+            const heading = this.velocity.clone().applyQuaternion(this.quaternion.clone().invert());
+            this.mesh.rotation.set(0, 0, Math.atan2(heading.y, heading.x));
+        }
     }
     
     /**
@@ -181,10 +203,14 @@ class Fireball extends THREE.Object3D {
         this.isPlaying = true;
         this.isActive = true;
         this.hasExploded = false;
+        this.isFlying = false;
         this.visible = true;
         this.onComplete = onComplete;
         this.lifetime = 0;
         
+        // Dropping fireballs keep the original sideways tilt
+        this.mesh.rotation.set(Math.PI / 4, 0, -Math.PI / 2);
+        
         // Create telegraph at landing position
         this.createFireballTelegraph();
         
@@ -195,6 +221,76 @@ class Fireball extends THREE.Object3D {
         this.updateUVCoordinates();
     }
     
+    /**
+     * Fire the fireball horizontally from origin along direction
+     * @param {THREE.Vector3} origin - Launch position
+     * @param {THREE.Vector3} direction - Travel direction (flattened and normalized here)
+     * @param {Object} flight - speed, range (units before it ends), hitRadius, pierce (targets it
+     *                          passes through after the first), explodes, explosionRadius
+     * @param {Function} onComplete - Called with the fireball when it explodes
+     */
+    fire(origin, direction, flight, onComplete = null) {
+        this.position.copy(origin);
+        this.velocity.set(direction.x, 0, direction.z).normalize().multiplyScalar(flight.speed);
+        
+        this.flight = flight;
+        this.distanceTravelled = 0;
+        this.hitTargets.clear();
+        
+        // Flights end by range, so the lifetime only guards against a stalled projectile
+        this.maxLifetime = flight.range / flight.speed + 1.0;
+        
+        // Reset state
+        this.currentFrame = 0;
+        this.elapsedTime = 0;
+        this.isPlaying = true;
+        this.isActive = true;
+        this.hasExploded = false;
+        this.isFlying = true;
+        this.visible = true;
+        this.onComplete = onComplete;
+        this.lifetime = 0;
+        
+        this.mesh.rotation.set(0, 0, 0);
+        this.material.opacity = 1.0;
+        this.updateUVCoordinates();
+    }
+    
+    /**
+     * Record a target hit in flight
+     * @returns {boolean} True if the projectile keeps going (pierce left)
+     */
+    registerHit(target) {
+        this.hitTargets.add(target);
+        
+        if (this.hitTargets.size > this.flight.pierce) {
+            this.triggerFlightImpact();
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * End a flight - explode where the projectile is (if it explodes), then remove it
+     */
+    triggerFlightImpact() {
+        if (this.hasExploded) return;
+        this.hasExploded = true;
+        
+        if (this.flight.explodes) {
+            if (this.explosionManager) {
+                this.explosionManager.spawnExplosion(new THREE.Vector3(this.position.x, 0.0, this.position.z));
+            }
+            
+            // Explosion damage is resolved by the manager
+            if (this.onComplete) {
+                this.onComplete(this);
+            }
+        }
+        
+        this.removeFireball();
+    }
+    
     /**
      * Create telegraph for fireball landing area
      */
@@ -212,30 +308,39 @@ class Fireball extends THREE.Object3D {
         const fadeOutDuration = 0.3; // 0.3 seconds fade out
         const fadeStartTime = telegraphDuration - fadeOutDuration;
         
-        // Create telegraph after delay
-        setTimeout(() => {
-            if (this.isActive && !this.hasExploded) {
-                this.telegraph = this.telegraphManager.createTelegraph(
-                    'area',
-                    this.targetPosition,
-                    this.telegraphRadius, // 3x smaller than explosion radius
-                    telegraphDuration, // Telegraph duration
-                    null, // no direction
-                    null, // no follow target - stays at landing position
-                    0.3,  // custom opacity - more transparent for fireball telegraphs
-                    fadeStartTime, // custom fade start time - fade out to match explosion
-                    this.telegraphRadius * 0.05 // custom thickness - much thinner border (5% of radius)
-                );
-                
-                console.log(`Fireball telegraph created (delayed) - radius: ${this.telegraphRadius}, duration: ${telegraphDuration.toFixed(2)}s, fade starts: ${fadeStartTime.toFixed(2)}s`);
-            }
-        }, telegraphDelay * 1000); // Convert to milliseconds
+        // Create telegraph after delay (counted down in update)
+        this.pendingTelegraph = { duration: telegraphDuration, fadeStartTime: fadeStartTime };
+        this.telegraphDelay = telegraphDelay;
+    }
+    
+    /**
+     * Create the delayed landing telegraph
+     */
+    showPendingTelegraph() {
+        const { duration, fadeStartTime } = this.pendingTelegraph;
+        this.pendingTelegraph = null;
+        
+        this.telegraph = this.telegraphManager.createTelegraph(
+            'area',
+            this.targetPosition,
+            this.telegraphRadius, // 3x smaller than explosion radius
+            duration, // Telegraph duration
+            null, // no direction
+            null, // no follow target - stays at landing position
+            0.3,  // custom opacity - more transparent for fireball telegraphs
+            fadeStartTime, // custom fade start time - fade out to match explosion
+            this.telegraphRadius * 0.05 // custom thickness - much thinner border (5% of radius)
+        );
+        
+        console.log(`Fireball telegraph created (delayed) - radius: ${this.telegraphRadius}, duration: ${duration.toFixed(2)}s, fade starts: ${fadeStartTime.toFixed(2)}s`);
     }
     
     /**
      * Remove fireball telegraph
      */
     removeFireballTelegraph() {
+        this.pendingTelegraph = null;
+        
         if (this.telegraph) {
             this.telegraph.cancel();
             this.telegraph = null;
@@ -264,12 +369,31 @@ class Fireball extends THREE.Object3D {
             return;
         }
         
+        // Show the landing telegraph once its delay has passed
+        if (this.pendingTelegraph) {
+            this.telegraphDelay -= deltaTime;
+            if (this.telegraphDelay <= 0) {
+                this.showPendingTelegraph();
+            }
+        }
+        
         // Update position
         this.position.add(this.velocity.clone().multiplyScalar(deltaTime));
         
         // Update billboarding to face camera
         this.updateBillboarding();
         
+        // Flights end at max range instead of the ground
+        if (this.isFlying) {
+            this.distanceTravelled += this.flight.speed * deltaTime;
+            if (this.distanceTravelled >= this.flight.range) {
+                this.triggerFlightImpact();
+                return;
+            }
+            this.updateAnimation(deltaTime);
+            return;
+        }
+        
         // Check if hit ground level for explosion effects and immediate removal
         // Only trigger explosion when fireball reaches exactly Y=0.0 (ground level)
         if (this.position.y <= 0.0 && !this.hasExploded) {
@@ -277,15 +401,21 @@ class Fireball extends THREE.Object3D {
             return;
         }
         
-        // Update animation
-        if (this.isPlaying) {
-            this.elapsedTime += deltaTime;
-            
-            if (this.elapsedTime >= this.frameTime) {
-                this.elapsedTime = 0;
-                this.currentFrame = (this.currentFrame + 1) % this.totalFrames;
-                this.updateUVCoordinates();
-            }
+        this.updateAnimation(deltaTime);
+    }
+    
+    /**
+     * Advance the looping sprite animation
+     */
+    updateAnimation(deltaTime) {
+        if (!this.isPlaying) return;
+        
+        this.elapsedTime += deltaTime;
+        
+        if (this.elapsedTime >= this.frameTime) {
+            this.elapsedTime = 0;
+            this.currentFrame = (this.currentFrame + 1) % this.totalFrames;
+            this.updateUVCoordinates();
         }
     }
     
@@ -334,6 +464,11 @@ class Fireball extends THREE.Object3D {
      * Explode the fireball (for timeout cases)
      */
     explode() {
+        if (this.isFlying) {
+            this.triggerFlightImpact();
+            return;
+        }
+        
         if (this.hasExploded) {
             // If already exploded, just remove the sprite
             this.removeFireball();
@@ -356,7 +491,8 @@ class Fireball extends THREE.Object3D {
      * Get explosion position
      */
     getExplosionPosition() {
-        return new THREE.Vector3(this.targetPosition.x, 0.0, this.targetPosition.z);
+        const center = this.isFlying ? this.position : this.targetPosition;
+        return new THREE.Vector3(center.x, 0.0, center.z);
     }
     
     /**
@@ -370,6 +506,11 @@ class Fireball extends THREE.Object3D {
         this.elapsedTime = 0;
         this.currentFrame = 0;
         this.isPlaying = false;
+        this.isFlying = false;
+        this.flight = null;
+        this.owner = null;
+        this.friendlyFire = false;
+        this.hitTargets.clear();
         
         // Remove telegraph if it exists
         this.removeFireballTelegraph();
@@ -389,6 +530,8 @@ class Fireball extends THREE.Object3D {
 
 /**
  * FireballManager - Manages pool of fireball projectiles
+ * Enemy fireballs drop onto the player; player fireballs fly out and hit enemies
+ * (and remote players in PvP). Each fireball's faction picks who it resolves against.
  */
 class FireballManager {
     constructor(scene, maxFireballs = 15) {
@@ -490,18 +633,61 @@ class FireballManager {
     
     /**
      * Launch a fireball at a target position
+     * @param {Enemy} owner - Caster (null for another client's enemy, which only threatens our player)
+     * @param {boolean} friendlyFire - Also hurt the caster's own side
+     * @param {string} faction - Caster's faction
      */
-    launchFireball(targetPosition) {
+    launchFireball(targetPosition, owner = null, friendlyFire = false, faction = owner ? owner.faction : Factions.ENEMY) {
         console.log('Launching fireball at:', targetPosition);
         
+        const fireball = this.takeFireball(faction, owner);
+        if (!fireball) return;
+        fireball.friendlyFire = friendlyFire;
+        
+        // Launch fireball
+        fireball.launch(targetPosition, (completedFireball) => {
+            // Handle explosion damage
+            this.handleFireballExplosion(completedFireball);
+            
+            // Don't return to pool immediately - let it sink underground first
+            // The pool return will happen when removeFireball() is called
+        });
+    }
+    
+    /**
+     * Fire a fireball along the ground (player Fire Bolt)
+     * @param {THREE.Vector3} origin - Launch position
+     * @param {THREE.Vector3} direction - Travel direction
+     * @param {Object} flight - Flight settings (see Fireball.fire)
+     * @param {Combatant} owner - Caster (the local combatant deals the damage, remote casters are replays)
+     * @param {string} faction - Who the caster fights for
+     * @returns {Fireball|null} The fired projectile, or null if the pool is empty
+     */
+    fireProjectile(origin, direction, flight, owner, faction = Factions.PLAYER) {
+        const fireball = this.takeFireball(faction, owner);
+        if (!fireball) return null;
+        
+        fireball.fire(origin, direction, flight, (completedFireball) => {
+            this.handleFireballExplosion(completedFireball);
+        });
+        
+        return fireball;
+    }
+    
+    /**
+     * Get a fireball from the pool, ready to launch for an owner
+     */
+    takeFireball(faction, owner) {
         if (this.fireballPool.length === 0) {
             console.warn('No available fireballs in pool');
-            return;
+            return null;
         }
         
         // Get fireball from pool
         const fireball = this.fireballPool.pop();
         this.activeFireballs.push(fireball);
+        fireball.faction = faction;
+        fireball.owner = owner;
         
         // Set camera reference if available
         if (this.camera) {
@@ -518,14 +704,7 @@ class FireballManager {
             fireball.setExplosionManager(this.explosionManager);
         }
         
-        // Launch fireball
-        fireball.launch(targetPosition, (completedFireball) => {
-            // Handle explosion damage
-            this.handleFireballExplosion(completedFireball);
-            
-            // Don't return to pool immediately - let it sink underground first
-            // The pool return will happen when removeFireball() is called
-        });
+        return fireball;
     }
     
     /**
@@ -534,8 +713,20 @@ class FireballManager {
     handleFireballExplosion(fireball) {
         const explosionPos = fireball.getExplosionPosition();
         
+        // Flying fireballs hurt whatever of the other side is in the blast (direct hits already took theirs)
+        if (fireball.isFlying) {
+            const targets = this.getFactionTargets(fireball, explosionPos, fireball.flight.explosionRadius)
+                .filter(target => !fireball.hitTargets.has(target));
+            if (targets.length > 0) {
+                this.resolveHits(fireball, targets, true);
+            }
+            return;
+        }
+        
+        const hurtsPlayer = fireball.friendlyFire || Factions.areHostile(fireball.faction, Factions.PLAYER);
+        
         // Check if player is in telegraph area (not explosion radius)
-        if (this.combatSystem && this.combatSystem.playerController) {
+        if (hurtsPlayer && this.combatSystem && this.combatSystem.playerController) {
             const playerPos = this.combatSystem.playerController.getPosition();
             
             // Use telegraph area for damage detection instead of explosion radius
@@ -544,13 +735,21 @@ class FireballManager {
                 
                 // Deal damage to player
                 if (this.combatSystem.handlePlayerDamage) {
-                    this.combatSystem.handlePlayerDamage(fireball.damage);
+                    this.combatSystem.handlePlayerDamage(fireball.damage, explosionPos, null, fireball.statusEffects);
                 }
             } else {
                 console.log('Player avoided fireball - outside telegraphed area');
             }
         }
         
+        // Enemies caught in the telegraph take the caster's hit (only where the caster is simulated)
+        if (fireball.owner && fireball.owner.hitEnemy && this.combatSystem && this.combatSystem.enemyManager) {
+            this.combatSystem.enemyManager
+                .findAreaTargets(fireball.owner, fireball.friendlyFire, position => fireball.isInTelegraphArea(position))
+                .filter(target => target instanceof Enemy)
+                .forEach(enemy => fireball.owner.hitEnemy(enemy, fireball.damage, { damageType: DamageTypes.FIRE, groundArea: true }));
+        }
+        
         // Could add explosion visual effect here
         console.log('Fireball explosion at:', explosionPos);
     }
@@ -571,11 +770,72 @@ class FireballManager {
      * Update all active fireballs
      */
     update(deltaTime) {
-        this.activeFireballs.forEach(fireball => {
+        // Copy - fireballs that hit something leave the active list during the loop
+        this.activeFireballs.slice().forEach(fireball => {
             fireball.update(deltaTime);
+            
+            if (fireball.isActive && fireball.isFlying) {
+                this.checkFlightCollisions(fireball);
+            }
         });
     }
     
+    /**
+     * Hit the targets a flying fireball touches, nearest first, until it runs out of pierce
+     */
+    checkFlightCollisions(fireball) {
+        const position = fireball.position;
+        const targets = this.getFactionTargets(fireball, position, fireball.flight.hitRadius)
+            .filter(target => !fireball.hitTargets.has(target));
+        
+        targets.sort((a, b) => this.getTargetPosition(a).distanceTo(position) - this.getTargetPosition(b).distanceTo(position));
+        
+        for (const target of targets) {
+            this.resolveHits(fireball, [target], false);
+            if (!fireball.registerHit(target)) break;
+        }
+    }
+    
+    /**
+     * Find what a fireball can hit near a position, by its faction
+     */
+    getFactionTargets(fireball, position, radius) {
+        if (!this.combatSystem) return [];
+        
+        // Enemy fireballs only hurt the local player (each client resolves its own)
+        if (Factions.areHostile(fireball.faction, Factions.PLAYER)) {
+            const combatant = this.combatSystem.localCombatant;
+            return !combatant.isDead && this.combatSystem.playerController.getPosition().distanceTo(position) <= radius ? [combatant] : [];
+        }
+        
+        // Another player's shot only needs to stop on enemies - its damage is applied by their client
+        if (fireball.owner !== this.combatSystem.localCombatant) {
+            return this.combatSystem.enemyManager.findHostilesInRadius(position, radius, fireball.faction)
+                .filter(target => target instanceof Enemy);
+        }
+        
+        return this.combatSystem.findProjectileTargets(position, radius);
+    }
+    
+    /**
+     * Apply a fireball's hits to its targets
+     * @param {boolean} isExplosion - Blast damage rather than a direct hit
+     */
+    resolveHits(fireball, targets, isExplosion) {
+        if (Factions.areHostile(fireball.faction, Factions.PLAYER)) {
+            this.combatSystem.handlePlayerDamage(fireball.damage, fireball.getExplosionPosition(), null, fireball.statusEffects);
+        } else if (fireball.owner === this.combatSystem.localCombatant) {
+            this.combatSystem.handleProjectileHits(fireball, targets, isExplosion);
+        }
+    }
+    
+    /**
+     * Position of an enemy or remote player target
+     */
+    getTargetPosition(target) {
+        return target instanceof Combatant ? target.getPosition() : target.position;
+    }
+    
     /**
      * Set combat system reference
      */
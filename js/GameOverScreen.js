@@ -0,0 +1,135 @@
+/**
+ * GameOverScreen - Panel shown when the player dies
+ * Displays run stats and offers respawn or a fresh run
+ */
+class GameOverScreen {
+    constructor() {
+        this.container = null;
+        this.killsText = null;
+        this.levelText = null;
+        this.timeText = null;
+        this.isVisible = false;
+        
+        // Callbacks for the two options
+        this.onRespawn = null; // Respawn in the current world (enemies and drops preserved)
+        this.onRestart = null; // Start a new run (world reset)
+        
+        this.initializeUI();
+    }
+    
+    /**
+     * Create the game over panel
+     */
+    initializeUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'game-over-screen';
+        this.container.style.display = 'none';
+        this.container.innerHTML = `
+            <div id="game-over-panel">
+                <div id="game-over-title">YOU DIED</div>
+                <div id="game-over-stats">
+                    <div class="game-over-stat">
+                        <span class="game-over-stat-label">Kills</span>
+                        <span class="game-over-stat-value" id="game-over-kills">0</span>
+                    </div>
+                    <div class="game-over-stat">
+                        <span class="game-over-stat-label">Level</span>
+                        <span class="game-over-stat-value" id="game-over-level">1</span>
+                    </div>
+                    <div class="game-over-stat">
+                        <span class="game-over-stat-label">Time Survived</span>
+                        <span class="game-over-stat-value" id="game-over-time">0:00</span>
+                    </div>
+                </div>
+                <div id="game-over-buttons">
+                    <button class="game-over-button" id="game-over-respawn">Respawn</button>
+                    <button class="game-over-button" id="game-over-restart">New Run</button>
+                </div>
+                <div id="game-over-hint">Respawn keeps your level and the world as it is. New Run starts over.</div>
+            </div>
+        `;
+        
+        // Add to UI overlay
+        const uiOverlay = document.getElementById('ui-overlay');
+        if (uiOverlay) {
+            uiOverlay.appendChild(this.container);
+        }
+        
+        // Get references to UI elements
+        this.killsText = document.getElementById('game-over-kills');
+        this.levelText = document.getElementById('game-over-level');
+        this.timeText = document.getElementById('game-over-time');
+        
+        const respawnButton = document.getElementById('game-over-respawn');
+        const restartButton = document.getElementById('game-over-restart');
+        
+        if (respawnButton) {
+            respawnButton.addEventListener('click', () => this.choose(this.onRespawn));
+        }
+        if (restartButton) {
+            restartButton.addEventListener('click', () => this.choose(this.onRestart));
+        }
+    }
+    
+    /**
+     * Hide the panel and run the chosen option
+     */
+    choose(callback) {
+        if (!this.isVisible) return;
+        
+        this.hide();
+        if (callback) {
+            callback();
+        }
+    }
+    
+    /**
+     * Show the panel with run stats
+     * @param {Object} stats - { kills, level, timeSurvived } (timeSurvived in seconds)
+     */
+    show(stats) {
+        if (this.killsText) this.killsText.textContent = stats.kills;
+        if (this.levelText) this.levelText.textContent = stats.level;
+        if (this.timeText) this.timeText.textContent = this.formatTime(stats.timeSurvived);
+        
+        this.container.style.display = 'flex';
+        
+        // Force reflow so the fade-in transition runs
+        void this.container.offsetWidth;
+        this.container.classList.add('show');
+        this.isVisible = true;
+    }
+    
+    /**
+     * Hide the panel
+     */
+    hide() {
+        this.container.classList.remove('show');
+        this.container.style.display = 'none';
+        this.isVisible = false;
+    }
+    
+    /**
+     * Format seconds as m:ss
+     */
+    formatTime(seconds) {
+        const totalSeconds = Math.floor(seconds);
+        const minutes = Math.floor(totalSeconds / 60);
+        const remainder = totalSeconds % 60;
+        return `${minutes}:${remainder.toString().padStart(2, '0')}`;
+    }
+    
+    /**
+     * Set callback for the respawn option
+     */
+    setOnRespawn(callback) {
+        this.onRespawn = callback;
+    }
+    
+    /**
+     * Set callback for the new run option
+     */
+    setOnRestart(callback) {
+        this.onRestart = callback;
+    }
+}
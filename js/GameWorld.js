@@ -13,10 +13,24 @@ class GameWorld {
         this.bushes = [];
         this.stones = [];
         
+        // Obstacle colliders - circles sized as a fraction of each prop's sprite width
+        this.colliders = new SpatialHash(4);
+        this.colliderFootprints = {
+            tree: 0.15, // Trunk only - the canopy overhangs
+            bush: 0.35,
+            stone: 0.4
+        };
+        
+        // Prop layout follows the run seed so replays get the same obstacles
+        this.layoutSeed = gameRandom.getSeed();
+        
         // World settings
         this.worldSize = 250; // Increased by 5x (50 * 5 = 250)
         this.groundColor = 0x337B30; // Updated to darker green
         
+        // Enemy navigation - 1 unit cells, obstacles inflated by the enemy collision radius
+        this.navigationGrid = new NavigationGrid(this.worldSize, 1, 0.6);
+        
         this.createWorld();
         this.createLighting();
         this.createTrees();
@@ -103,6 +117,7 @@ class GameWorld {
      */
     createTrees() {
         const loader = new THREE.TextureLoader();
+        const random = new SeededRandom(this.layoutSeed + 1); // One stream per prop type - texture loads finish in any order
         
         // Load all tree textures
         const treeTextures = [];
@@ -146,7 +161,7 @@ class GameWorld {
             for (let i = 0; i < standAloneTreeCount; i++) {
                 if (treeTextures.length === 0) continue;
                 
-                const treeData = treeTextures[Math.floor(Math.random() * treeTextures.length)];
+                const treeData = treeTextures[Math.floor(random.next() * treeTextures.length)];
                 
                 // Calculate scale based on pixel dimensions
                 const pixelToWorld = 0.025; // Adjust for tree size
@@ -159,13 +174,13 @@ class GameWorld {
                 let angle;
                 if (i < standAloneTreeCount * 0.6) {
                     // 60% of trees in northern hemisphere
-                    angle = Math.PI + (Math.random() - 0.5) * Math.PI; // PI ± PI/2
+                    angle = Math.PI + (random.next() - 0.5) * Math.PI; // PI ± PI/2
                 } else {
                     // 40% scattered elsewhere
-                    angle = Math.random() * Math.PI * 2;
+                    angle = random.next() * Math.PI * 2;
                 }
                 
-                const distance = 5 + Math.random() * 95; // 5-100 units from center (closer start)
+                const distance = 5 + random.next() * 95; // 5-100 units from center (closer start)
                 tree.position.set(
                             Math.cos(angle) * distance,
                     height * 0.45, // Position based on height
@@ -183,6 +198,7 @@ class GameWorld {
                 
                 this.scene.add(tree);
                 this.trees.push(tree);
+                this.addCollider(tree, 'tree', width);
             }
             
             // Create tree clusters (2-3 trees each)
@@ -191,12 +207,12 @@ class GameWorld {
                 let clusterAngle;
                 if (c < treeClusterCount * 0.7) {
                     // 70% of clusters in north
-                    clusterAngle = Math.PI + (Math.random() - 0.5) * Math.PI * 0.8;
+                    clusterAngle = Math.PI + (random.next() - 0.5) * Math.PI * 0.8;
                 } else {
-                    clusterAngle = Math.random() * Math.PI * 2;
+                    clusterAngle = random.next() * Math.PI * 2;
                 }
                 
-                const clusterDistance = 8 + Math.random() * 92; // 8-100 units (closer start)
+                const clusterDistance = 8 + random.next() * 92; // 8-100 units (closer start)
                 const clusterCenter = new THREE.Vector3(
                     Math.cos(clusterAngle) * clusterDistance,
                     0,
@@ -204,10 +220,10 @@ class GameWorld {
                 );
                 
                 // 2-3 trees per cluster
-                const treesInCluster = 2 + Math.floor(Math.random() * 2);
+                const treesInCluster = 2 + Math.floor(random.next() * 2);
                 
                 for (let t = 0; t < treesInCluster; t++) {
-                    const treeData = treeTextures[Math.floor(Math.random() * treeTextures.length)];
+                    const treeData = treeTextures[Math.floor(random.next() * treeTextures.length)];
                     const pixelToWorld = 0.025;
                     const width = treeData.width * pixelToWorld;
                     const height = treeData.height * pixelToWorld;
@@ -215,8 +231,8 @@ class GameWorld {
                     const tree = new BillboardSprite(treeData.texture, width, height);
                     
                     // Position within cluster (tight grouping)
-                    const offsetAngle = Math.random() * Math.PI * 2;
-                    const offsetDistance = 0.5 + Math.random() * 2.5; // 0.5-3 units (tighter clusters)
+                    const offsetAngle = random.next() * Math.PI * 2;
+                    const offsetDistance = 0.5 + random.next() * 2.5; // 0.5-3 units (tighter clusters)
                     tree.position.set(
                         clusterCenter.x + Math.cos(offsetAngle) * offsetDistance,
                         height * 0.45,
@@ -233,6 +249,7 @@ class GameWorld {
                         
                         this.scene.add(tree);
                         this.trees.push(tree);
+                        this.addCollider(tree, 'tree', width);
                 }
             }
             
@@ -245,6 +262,7 @@ class GameWorld {
      */
     createBushes() {
         const loader = new THREE.TextureLoader();
+        const random = new SeededRandom(this.layoutSeed + 2);
         
         // Load all bush textures
         const bushTextures = [];
@@ -288,7 +306,7 @@ class GameWorld {
             for (let i = 0; i < standaloneBushCount; i++) {
                 if (bushTextures.length === 0) continue;
                 
-                const bushData = bushTextures[Math.floor(Math.random() * bushTextures.length)];
+                const bushData = bushTextures[Math.floor(random.next() * bushTextures.length)];
                 const pixelToWorld = 0.02925; // Increased by 30% from original (0.0225 * 1.3)
                 const width = bushData.width * pixelToWorld;
                 const height = bushData.height * pixelToWorld;
@@ -296,8 +314,8 @@ class GameWorld {
                 const bush = new BillboardSprite(bushData.texture, width, height);
                 
                 // Random position
-                const angle = Math.random() * Math.PI * 2;
-                const distance = 10 + Math.random() * 50; // 10-60 units from center
+                const angle = random.next() * Math.PI * 2;
+                const distance = 10 + random.next() * 50; // 10-60 units from center
                 bush.position.set(
                     Math.cos(angle) * distance,
                     height * 0.4,
@@ -312,21 +330,22 @@ class GameWorld {
                 
                 this.scene.add(bush);
                 this.bushes.push(bush);
+                this.addCollider(bush, 'bush', width);
             }
             
             // Create bush clusters (will be mixed with stones later)
             for (let c = 0; c < clusterCount; c++) {
                 const clusterCenter = new THREE.Vector3(
-                    (Math.random() - 0.5) * 100, // -50 to 50 units on X
+                    (random.next() - 0.5) * 100, // -50 to 50 units on X
                     0,
-                    (Math.random() - 0.5) * 100, // -50 to 50 units on Z
+                    (random.next() - 0.5) * 100, // -50 to 50 units on Z
                 );
                 
                 // 1-2 bushes per cluster (leaving room for stones, max 3 total)
-                const bushesInCluster = 1 + Math.floor(Math.random() * 2);
+                const bushesInCluster = 1 + Math.floor(random.next() * 2);
                 
                 for (let i = 0; i < bushesInCluster; i++) {
-                    const bushData = bushTextures[Math.floor(Math.random() * bushTextures.length)];
+                    const bushData = bushTextures[Math.floor(random.next() * bushTextures.length)];
                     const pixelToWorld = 0.02925; // Increased by 30% from original (0.0225 * 1.3)
                     const width = bushData.width * pixelToWorld;
                     const height = bushData.height * pixelToWorld;
@@ -334,8 +353,8 @@ class GameWorld {
                     const bush = new BillboardSprite(bushData.texture, width, height);
                     
                     // Position within cluster
-                    const offsetAngle = Math.random() * Math.PI * 2;
-                    const offsetDistance = Math.random() * 2; // Within 2 units of center
+                    const offsetAngle = random.next() * Math.PI * 2;
+                    const offsetDistance = random.next() * 2; // Within 2 units of center
                     bush.position.set(
                         clusterCenter.x + Math.cos(offsetAngle) * offsetDistance,
                         height * 0.4,
@@ -350,6 +369,7 @@ class GameWorld {
                     
                     this.scene.add(bush);
                     this.bushes.push(bush);
+                    this.addCollider(bush, 'bush', width);
                 }
                 
                 // Store cluster center for stone placement
@@ -371,6 +391,7 @@ class GameWorld {
      */
     createStones() {
         const loader = new THREE.TextureLoader();
+        const random = new SeededRandom(this.layoutSeed + 3);
         
         // Load all stone textures
         const stoneTextures = [];
@@ -414,7 +435,7 @@ class GameWorld {
                 // Pick a random stone texture
                 if (stoneTextures.length === 0) continue;
                 
-                const stoneData = stoneTextures[Math.floor(Math.random() * stoneTextures.length)];
+                const stoneData = stoneTextures[Math.floor(random.next() * stoneTextures.length)];
                 
                 // Calculate scale based on pixel dimensions (assuming base unit is ~32 pixels)
                 const pixelToWorld = 0.026; // Increased by 30% (0.02 * 1.3)
@@ -424,8 +445,8 @@ class GameWorld {
                 const stone = new BillboardSprite(stoneData.texture, width, height);
                 
                 // Random position
-                const angle = Math.random() * Math.PI * 2;
-                const distance = 15 + Math.random() * 60; // 15-75 units from center
+                const angle = random.next() * Math.PI * 2;
+                const distance = 15 + random.next() * 60; // 15-75 units from center
                 stone.position.set(
                     Math.cos(angle) * distance,
                     height * 0.4, // Position based on height (stones sit on ground)
@@ -440,6 +461,7 @@ class GameWorld {
                 
                 this.scene.add(stone);
                 this.stones.push(stone);
+                this.addCollider(stone, 'stone', width);
             }
             
             // Add stones to existing bush clusters
@@ -448,10 +470,10 @@ class GameWorld {
                     // Calculate remaining slots (max 3 items per cluster)
                     const maxClusterSize = 3;
                     const remainingSlots = maxClusterSize - clusterData.bushCount;
-                    const stonesInCluster = Math.min(remainingSlots, 1 + Math.floor(Math.random() * 2));
+                    const stonesInCluster = Math.min(remainingSlots, 1 + Math.floor(random.next() * 2));
                     
                     for (let i = 0; i < stonesInCluster; i++) {
-                        const stoneData = stoneTextures[Math.floor(Math.random() * stoneTextures.length)];
+                        const stoneData = stoneTextures[Math.floor(random.next() * stoneTextures.length)];
                         const pixelToWorld = 0.026; // Increased by 30% (0.02 * 1.3)
                         const width = stoneData.width * pixelToWorld;
                         const height = stoneData.height * pixelToWorld;
@@ -459,8 +481,8 @@ class GameWorld {
                         const stone = new BillboardSprite(stoneData.texture, width, height);
                         
                         // Position within cluster, slightly offset from bushes
-                        const offsetAngle = Math.random() * Math.PI * 2;
-                        const offsetDistance = 0.5 + Math.random() * 2.5; // 0.5-3 units from center
+                        const offsetAngle = random.next() * Math.PI * 2;
+                        const offsetDistance = 0.5 + random.next() * 2.5; // 0.5-3 units from center
                         stone.position.set(
                             clusterData.center.x + Math.cos(offsetAngle) * offsetDistance,
                             height * 0.4,
@@ -474,6 +496,7 @@ class GameWorld {
                         
                         this.scene.add(stone);
                         this.stones.push(stone);
+                        this.addCollider(stone, 'stone', width);
                     }
                 });
             }
@@ -528,11 +551,83 @@ class GameWorld {
     }
     
     /**
-     * Check collision with world objects (no objects to collide with now)
+     * Register a prop's circle collider from its sprite footprint
+     */
+    addCollider(object, type, spriteWidth) {
+        const collider = {
+            x: object.position.x,
+            z: object.position.z,
+            radius: spriteWidth * this.colliderFootprints[type],
+            type: type,
+            object: object
+        };
+        
+        this.colliders.insert(collider, collider.x, collider.z, collider.radius);
+        this.navigationGrid.markObstacle(collider.x, collider.z, collider.radius);
+        return collider;
+    }
+    
+    /**
+     * Get the colliders overlapping a circle
+     */
+    getOverlappingColliders(position, radius = 0.5) {
+        return this.colliders.query(position.x, position.z, radius).filter(collider => {
+            const dx = position.x - collider.x;
+            const dz = position.z - collider.z;
+            const minDistance = collider.radius + radius;
+            return dx * dx + dz * dz < minDistance * minDistance;
+        });
+    }
+    
+    /**
+     * Check collision with world objects
      */
     checkCollision(position, radius = 0.5) {
-        // No objects to collide with
-        return false;
+        return this.getOverlappingColliders(position, radius).length > 0;
+    }
+    
+    /**
+     * Push a circle out of any obstacles it overlaps (moves position in place)
+     * Pushing along the contact normal is what makes movers slide around obstacles.
+     * @param {THREE.Vector3} velocity - Optional, loses its component into the obstacle
+     * @returns {boolean} true if the position was moved
+     */
+    resolveCollision(position, radius = 0.5, velocity = null) {
+        let resolved = false;
+        
+        // A couple of passes settle positions wedged between neighbouring props
+        for (let pass = 0; pass < 2; pass++) {
+            const overlapping = this.getOverlappingColliders(position, radius);
+            if (overlapping.length === 0) break;
+            
+            overlapping.forEach(collider => {
+                const dx = position.x - collider.x;
+                const dz = position.z - collider.z;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+                const penetration = collider.radius + radius - distance;
+                if (penetration <= 0) return; // Already pushed clear by an earlier collider
+                
+                // Dead center - push out along +X
+                const normalX = distance > 0.0001 ? dx / distance : 1;
+                const normalZ = distance > 0.0001 ? dz / distance : 0;
+                
+                position.x += normalX * penetration;
+                position.z += normalZ * penetration;
+                
+                // Stop pushing into the obstacle but keep the sideways part
+                if (velocity) {
+                    const intoObstacle = velocity.x * normalX + velocity.z * normalZ;
+                    if (intoObstacle < 0) {
+                        velocity.x -= normalX * intoObstacle;
+                        velocity.z -= normalZ * intoObstacle;
+                    }
+                }
+                
+                resolved = true;
+            });
+        }
+        
+        return resolved;
     }
     
     /**
@@ -585,5 +680,7 @@ class GameWorld {
             stone.dispose();
             this.scene.remove(stone);
         });
+        
+        this.colliders.clear();
     }
 } 
\ No newline at end of file
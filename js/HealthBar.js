@@ -102,10 +102,17 @@ class HealthBar extends THREE.Object3D {
         this.border.layers.set(1); // Set to UI layer
         this.add(this.border);
         
+        // Status effect icons - one coloured dot per active effect, in a row above the bar
+        this.iconRadius = height * 0.9;
+        this.iconGeometry = new THREE.CircleGeometry(this.iconRadius, 16);
+        this.statusIcons = new THREE.Group();
+        this.statusIcons.position.y = height / 2 + this.iconRadius * 2;
+        this.add(this.statusIcons);
+        
         // Hide by default
         this.visible = false;
         this.hideTimer = 0;
-        this.hideDelay = 3; // Hide after 3 seconds of no damage
+        this.hideDelay = 3; // Hide after 3 seconds of no damage (stays up while effects are active)
     }
     
     /**
@@ -137,6 +144,45 @@ class HealthBar extends THREE.Object3D {
         this.fill.material.color.setHex(0xFFFFFF); // White
     }
     
+    /**
+     * Show the active status effects above the bar
+     * @param {Array<{color: number, stacks: number}>} icons - From StatusEffects.getIcons
+     */
+    setStatusIcons(icons) {
+        this.clearStatusIcons();
+        
+        const spacing = this.iconRadius * 2.6;
+        icons.forEach((icon, index) => {
+            const material = new THREE.MeshBasicMaterial({
+                color: icon.color,
+                side: THREE.DoubleSide,
+                depthTest: false,
+                depthWrite: false,
+                fog: false
+            });
+            const mesh = new THREE.Mesh(this.iconGeometry, material);
+            mesh.position.x = (index - (icons.length - 1) / 2) * spacing;
+            mesh.scale.setScalar(1 + 0.2 * (icon.stacks - 1)); // Stacked effects get bigger dots
+            mesh.renderOrder = 10001;
+            mesh.layers.set(1); // Set to UI layer
+            this.statusIcons.add(mesh);
+        });
+        
+        if (icons.length > 0) {
+            this.show();
+        }
+    }
+    
+    /**
+     * Remove the status effect icons
+     */
+    clearStatusIcons() {
+        this.statusIcons.children.slice().forEach(mesh => {
+            mesh.material.dispose();
+            this.statusIcons.remove(mesh);
+        });
+    }
+    
     /**
      * Show the health bar
      */
@@ -164,7 +210,8 @@ class HealthBar extends THREE.Object3D {
             this.lookAt(camera.position);
         }
         
-        // Auto-hide timer
+        // Auto-hide timer (held while status effects are showing)
+        if (this.statusIcons.children.length > 0) return;
         this.hideTimer += deltaTime;
         if (this.hideTimer >= this.hideDelay) {
             this.visible = false;
@@ -181,5 +228,7 @@ class HealthBar extends THREE.Object3D {
         this.fill.material.dispose();
         this.border.geometry.dispose();
         this.border.material.dispose();
+        this.clearStatusIcons();
+        this.iconGeometry.dispose();
     }
 } 
\ No newline at end of file
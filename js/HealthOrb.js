@@ -69,8 +69,8 @@ class HealthOrb extends THREE.Object3D {
      */
     setRandomInitialVelocity() {
         // Random horizontal velocity
-        const angle = Math.random() * Math.PI * 2;
-        const speed = 2 + Math.random() * 3; // 2-5 units/sec
+        const angle = gameRandom.next() * Math.PI * 2;
+        const speed = 2 + gameRandom.next() * 3; // 2-5 units/sec
         
         this.velocity.x = Math.cos(angle) * speed;
         this.velocity.z = Math.sin(angle) * speed;
@@ -205,8 +205,9 @@ class HealthOrb extends THREE.Object3D {
  * HealthOrbManager - Manages health orb spawning and collection
  */
 class HealthOrbManager {
-    constructor(scene) {
+    constructor(scene, textureLoader = null) {
         this.scene = scene;
+        this.textureLoader = textureLoader || new THREE.TextureLoader(); // Injected when running headless
         this.healthOrbs = [];
         this.healthOrbTexture = null;
         this.camera = null;
@@ -219,7 +220,7 @@ class HealthOrbManager {
      */
     async initialize() {
         // Load health orb texture
-        const loader = new THREE.TextureLoader();
+        const loader = this.textureLoader;
         
         try {
             this.healthOrbTexture = await new Promise((resolve, reject) => {
@@ -343,6 +344,17 @@ class HealthOrbManager {
         this.combatSystem = combatSystem;
     }
     
+    /**
+     * Clear all health orbs (useful for scene transitions)
+     */
+    clearAll() {
+        this.healthOrbs.forEach(orb => {
+            this.scene.remove(orb);
+            orb.dispose();
+        });
+        this.healthOrbs = [];
+    }
+    
     /**
      * Dispose of all health orbs
      */
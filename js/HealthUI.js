@@ -0,0 +1,110 @@
+/**
+ * HealthUI - Heart display and hit overlay for the local player
+ * CombatSystem drives it through setHealthUI; headless simulations run without one.
+ */
+class HealthUI {
+    constructor() {
+        this.heartsContainer = document.getElementById('hearts-container');
+        this.hitOverlay = document.getElementById('hit-overlay');
+    }
+
+    /**
+     * Rebuild the hearts for the current health
+     */
+    render(health, maxHealth) {
+        if (!this.heartsContainer) return;
+
+        // Clear existing hearts
+        this.heartsContainer.innerHTML = '';
+
+        // Create hearts based on max health
+        for (let i = 0; i < maxHealth; i++) {
+            const heart = document.createElement('div');
+            heart.className = 'heart';
+            heart.id = `heart-${i}`;
+
+            // Set filled or empty based on current health
+            if (i < health) {
+                heart.classList.add('filled');
+            } else {
+                heart.classList.add('empty');
+            }
+
+            this.heartsContainer.appendChild(heart);
+        }
+    }
+
+    /**
+     * Animate heart healing when player gains health
+     */
+    animateHealing(health) {
+        // Animate newly filled hearts (600ms CSS animation)
+        this.animateHearts(health, 'heal-animation', 600);
+    }
+
+    /**
+     * Animate heart loss when player takes damage
+     */
+    animateLoss(health) {
+        // Animate all remaining filled hearts (500ms CSS animation)
+        this.animateHearts(health, 'hit-animation', 500);
+    }
+
+    /**
+     * Restart a CSS animation class on the first hearts
+     */
+    animateHearts(count, className, duration) {
+        for (let i = 0; i < count; i++) {
+            const heart = document.getElementById(`heart-${i}`);
+            if (heart) {
+                // Remove animation class if it exists
+                heart.classList.remove(className);
+
+                // Force reflow to restart animation
+                void heart.offsetWidth;
+
+                // Add animation class
+                heart.classList.add(className);
+
+                // Remove animation class after it completes
+                setTimeout(() => {
+                    heart.classList.remove(className);
+                }, duration);
+            }
+        }
+    }
+
+    /**
+     * Fade in the red hit overlay
+     */
+    showHitOverlay() {
+        if (!this.hitOverlay) return;
+
+        // Make sure the overlay is visible in the DOM
+        this.hitOverlay.style.display = 'block';
+
+        // Force reflow to ensure display change is applied
+        this.hitOverlay.offsetHeight;
+
+        // Add show class to trigger fade-in
+        this.hitOverlay.classList.add('show');
+    }
+
+    /**
+     * Start fading the hit overlay out
+     */
+    fadeHitOverlay() {
+        if (this.hitOverlay) {
+            this.hitOverlay.classList.remove('show');
+        }
+    }
+
+    /**
+     * Hide the hit overlay once the fade-out finished
+     */
+    hideHitOverlay() {
+        if (this.hitOverlay) {
+            this.hitOverlay.style.display = 'none';
+        }
+    }
+}
@@ -0,0 +1,261 @@
+/**
+ * Inventory - Picked-up items and the weapon, armor and trinket slots
+ * Equipped items add their modifiers to the shared ModifierStack under an equipment:<slot>
+ * source, so unequipping takes exactly that item's stats back off. The bag holds a fixed
+ * number of items; pickups stay on the ground while it's full.
+ */
+class Inventory {
+    constructor(combatSystem, playerController, modifiers) {
+        this.combatSystem = combatSystem;
+        this.playerController = playerController;
+        this.modifiers = modifiers; // Shared with upgrades and skill passives
+
+        this.capacity = 12; // Bag slots
+        this.items = []; // Bag, in pickup order
+        this.equipped = {}; // slot -> item (null when empty)
+        Items.SLOTS.forEach(slot => {
+            this.equipped[slot] = null;
+        });
+
+        this.panel = null; // Inventory panel (none when running headless)
+        this.onPanelChange = null; // Called with true/false as the panel opens and closes
+        this.onChange = null; // Called after anything is picked up, equipped or thrown away
+
+        this.defineStats();
+    }
+
+    /**
+     * Register the fields items modify that the upgrade system doesn't
+     */
+    defineStats() {
+        const combat = this.combatSystem;
+
+        this.modifiers.defineStat('physicalDamage', combat.damageTypeBonus, DamageTypes.PHYSICAL, { min: 0 });
+        this.modifiers.defineStat('lightningDamage', combat.damageTypeBonus, DamageTypes.LIGHTNING, { min: 0 });
+        this.modifiers.defineStat('fireDamage', combat.damageTypeBonus, DamageTypes.FIRE, { min: 0 });
+        this.modifiers.defineStat('criticalMultiplier', combat, 'criticalMultiplier', { min: 1 });
+    }
+
+    /**
+     * Set the inventory panel
+     */
+    setPanel(panel) {
+        this.panel = panel;
+        this.panel.setOnEquip(index => this.equip(index));
+        this.panel.setOnUnequip(slot => this.unequip(slot));
+        this.panel.setOnDiscard(index => this.discard(index));
+        this.panel.setOnClose(() => this.closePanel());
+    }
+
+    /**
+     * Set the callback for the panel opening and closing (the game pauses while it's open)
+     */
+    setOnPanelChange(callback) {
+        this.onPanelChange = callback;
+    }
+
+    /**
+     * Set the callback for inventory changes
+     */
+    setOnChange(callback) {
+        this.onChange = callback;
+    }
+
+    /**
+     * Open the inventory panel
+     */
+    openPanel() {
+        if (!this.panel || this.panel.isVisible) return;
+
+        this.panel.show(this.getPanelState());
+        if (this.onPanelChange) {
+            this.onPanelChange(true);
+        }
+    }
+
+    /**
+     * Close the inventory panel
+     */
+    closePanel() {
+        if (!this.panel || !this.panel.isVisible) return;
+
+        this.panel.hide();
+        if (this.onPanelChange) {
+            this.onPanelChange(false);
+        }
+    }
+
+    /**
+     * Check if the bag has no room left
+     */
+    isFull() {
+        return this.items.length >= this.capacity;
+    }
+
+    /**
+     * Put an item in the bag
+     * @returns {boolean} False if the bag is full or the item isn't valid
+     */
+    addItem(item) {
+        if (!Items.isValid(item)) {
+            console.warn('Inventory: invalid item skipped', item);
+            return false;
+        }
+        if (this.isFull()) return false;
+
+        this.items.push(item);
+        console.log(`Picked up ${Items.getName(item)} (${Items.RARITIES[item.rarity].name})`);
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Equip the bag item at an index; whatever was in its slot goes back in the bag in its place
+     * @returns {boolean} True if it was equipped
+     */
+    equip(index) {
+        const item = this.items[index];
+        if (!item) return false;
+
+        const slot = Items.BASES[item.base].slot;
+        const previous = this.equipped[slot];
+        if (previous) {
+            this.items[index] = previous;
+        } else {
+            this.items.splice(index, 1);
+        }
+
+        this.equipped[slot] = item;
+        this.applySlot(slot);
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Move an equipped item back to the bag
+     * @returns {boolean} False if the slot is empty or the bag is full
+     */
+    unequip(slot) {
+        const item = this.equipped[slot];
+        if (!item || this.isFull()) return false;
+
+        this.equipped[slot] = null;
+        this.items.push(item);
+        this.applySlot(slot);
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Throw away the bag item at an index
+     * @returns {Object|null} The item thrown away
+     */
+    discard(index) {
+        const [item] = this.items.splice(index, 1);
+        if (!item) return null;
+
+        this.changed();
+        return item;
+    }
+
+    /**
+     * Replace a slot's modifiers with those of the item now in it
+     */
+    applySlot(slot) {
+        const combatant = this.combatSystem.localCombatant;
+        const health = combatant.health;
+
+        const source = `equipment:${slot}`;
+        this.modifiers.removeSource(source);
+        const item = this.equipped[slot];
+        if (item) {
+            this.modifiers.add(source, Items.getModifiers(item).filter(modifier => this.modifiers.hasStat(modifier.stat)));
+        }
+
+        // Gear changes don't heal - swapping armor back and forth would otherwise refill hearts
+        if (!combatant.isDead && combatant.health > health) {
+            combatant.health = Math.min(health, combatant.maxHealth);
+            this.combatSystem.updateHealthUI();
+        }
+    }
+
+    /**
+     * Item in an equipment slot (null when empty)
+     */
+    getEquipped(slot) {
+        return this.equipped[slot] || null;
+    }
+
+    /**
+     * Tell listeners and redraw the open panel
+     */
+    changed() {
+        if (this.panel && this.panel.isVisible) {
+            this.panel.render(this.getPanelState());
+        }
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Everything the panel shows
+     */
+    getPanelState() {
+        const equipped = {};
+        Items.SLOTS.forEach(slot => {
+            equipped[slot] = this.equipped[slot] ? Items.describe(this.equipped[slot]) : null;
+        });
+        return {
+            equipped: equipped,
+            items: this.items.map(item => Items.describe(item)),
+            capacity: this.capacity
+        };
+    }
+
+    /**
+     * Bag and equipment as plain data
+     */
+    serialize() {
+        const equipped = {};
+        Items.SLOTS.forEach(slot => {
+            equipped[slot] = this.equipped[slot] ? JSON.parse(JSON.stringify(this.equipped[slot])) : null;
+        });
+        return {
+            items: JSON.parse(JSON.stringify(this.items)),
+            equipped: equipped
+        };
+    }
+
+    /**
+     * Replace bag and equipment with serialize() data (invalid items are skipped)
+     */
+    deserialize(data) {
+        this.reset();
+        if (!data) return;
+
+        (data.items || []).filter(item => Items.isValid(item)).slice(0, this.capacity).forEach(item => {
+            this.items.push(item);
+        });
+        Items.SLOTS.forEach(slot => {
+            const item = data.equipped ? data.equipped[slot] : null;
+            if (Items.isValid(item) && Items.BASES[item.base].slot === slot) {
+                this.equipped[slot] = item;
+                this.applySlot(slot);
+            }
+        });
+        this.changed();
+    }
+
+    /**
+     * Empty the bag and every slot (new run)
+     */
+    reset() {
+        this.items = [];
+        Items.SLOTS.forEach(slot => {
+            this.equipped[slot] = null;
+            this.modifiers.removeSource(`equipment:${slot}`);
+        });
+        this.changed();
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * InventoryScreen - Panel with the equipment slots and the bag
+ * Clicking a bag item equips it (swapping out whatever was in its slot), clicking an equipped item
+ * puts it back in the bag and the x on a bag item throws it away. Inventory drives it through setPanel.
+ */
+class InventoryScreen {
+    constructor() {
+        this.container = null;
+        this.equipmentList = null;
+        this.bagList = null;
+        this.bagCount = null;
+        this.isVisible = false;
+
+        // Callbacks (wired by Inventory)
+        this.onEquip = null; // (bag index)
+        this.onUnequip = null; // (slot)
+        this.onDiscard = null; // (bag index)
+        this.onClose = null;
+
+        this.initializeUI();
+    }
+
+    /**
+     * Create the panel and its key handling
+     */
+    initializeUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'inventory-screen';
+        this.container.style.display = 'none';
+        this.container.innerHTML = `
+            <div id="inventory-panel">
+                <div id="inventory-title">INVENTORY</div>
+                <div id="inventory-equipment"></div>
+                <div class="inventory-section-title">Bag <span id="inventory-bag-count"></span></div>
+                <div id="inventory-bag"></div>
+                <div id="inventory-hint">Click an item to equip it, an equipped item to take it off. B or Esc to close.</div>
+            </div>
+        `;
+
+        // Add to UI overlay
+        const uiOverlay = document.getElementById('ui-overlay');
+        if (uiOverlay) {
+            uiOverlay.appendChild(this.container);
+        }
+
+        this.equipmentList = this.container.querySelector('#inventory-equipment');
+        this.bagList = this.container.querySelector('#inventory-bag');
+        this.bagCount = this.container.querySelector('#inventory-bag-count');
+
+        // Capture on window so the closing key doesn't also reach the game's handlers
+        window.addEventListener('keydown', (event) => {
+            if (!this.isVisible || event.repeat) return;
+
+            if (event.code === 'KeyB' || event.code === 'Escape') {
+                event.stopImmediatePropagation();
+                if (this.onClose) {
+                    this.onClose();
+                }
+            }
+        }, true);
+    }
+
+    /**
+     * Set the callback for equipping a bag item
+     */
+    setOnEquip(callback) {
+        this.onEquip = callback;
+    }
+
+    /**
+     * Set the callback for taking off an equipped item
+     */
+    setOnUnequip(callback) {
+        this.onUnequip = callback;
+    }
+
+    /**
+     * Set the callback for throwing away a bag item
+     */
+    setOnDiscard(callback) {
+        this.onDiscard = callback;
+    }
+
+    /**
+     * Set the callback for closing the panel
+     */
+    setOnClose(callback) {
+        this.onClose = callback;
+    }
+
+    /**
+     * Show the panel
+     * @param {Object} state - See Inventory.getPanelState
+     */
+    show(state) {
+        this.render(state);
+
+        this.container.style.display = 'flex';
+
+        // Force reflow so the fade-in transition runs
+        void this.container.offsetWidth;
+        this.container.classList.add('show');
+        this.isVisible = true;
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        // A focused item button would otherwise take the next Space press
+        if (this.container.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+        this.container.classList.remove('show');
+        this.container.style.display = 'none';
+        this.isVisible = false;
+    }
+
+    /**
+     * Redraw equipment and bag
+     */
+    render(state) {
+        this.equipmentList.innerHTML = '';
+        Items.SLOTS.forEach(slot => {
+            const item = state.equipped[slot];
+            const card = this.createItemCard(item, slot);
+            if (item) {
+                card.addEventListener('click', () => {
+                    if (this.onUnequip) {
+                        this.onUnequip(slot);
+                    }
+                });
+            }
+            this.equipmentList.appendChild(card);
+        });
+
+        this.bagCount.textContent = `${state.items.length}/${state.capacity}`;
+        this.bagList.innerHTML = '';
+        state.items.forEach((item, index) => {
+            const card = this.createItemCard(item, item.slot);
+            card.addEventListener('click', () => {
+                if (this.onEquip) {
+                    this.onEquip(index);
+                }
+            });
+
+            const discard = document.createElement('button');
+            discard.className = 'inventory-discard';
+            discard.title = 'Throw away';
+            discard.textContent = 'x';
+            discard.addEventListener('click', (event) => {
+                event.stopPropagation(); // Not an equip click
+                if (this.onDiscard) {
+                    this.onDiscard(index);
+                }
+            });
+            card.appendChild(discard);
+
+            this.bagList.appendChild(card);
+        });
+    }
+
+    /**
+     * Card for an item (see Items.describe), or an empty equipment slot
+     */
+    createItemCard(item, slot) {
+        const card = document.createElement('div');
+        card.className = `inventory-item ${slot}`;
+
+        if (!item) {
+            card.classList.add('empty');
+            card.innerHTML = `<div class="inventory-item-slot">${slot}</div><div class="inventory-item-name">Empty</div>`;
+            return card;
+        }
+
+        card.style.borderColor = item.color;
+        card.innerHTML = `
+            <div class="inventory-item-slot">${slot}</div>
+            <img src="${item.icon}" alt=""${item.pixelated ? ' class="pixelated"' : ''}>
+            <div class="inventory-item-name" style="color: ${item.color}">${item.name}</div>
+            <div class="inventory-item-rarity">${item.rarityName}</div>
+            <div class="inventory-item-stats">${item.lines.join('<br>')}</div>
+        `;
+        return card;
+    }
+}
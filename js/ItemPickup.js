@@ -0,0 +1,187 @@
+/**
+ * ItemPickup - Dropped item lying on the ground until the player walks over it
+ * A Crystal with the item's icon tinted by rarity: same scatter bounce, float and magnet, but
+ * collecting puts the item in the inventory instead of granting XP. While the bag is full the
+ * pickup stays where it is.
+ */
+class ItemPickup extends Crystal {
+    constructor(texture, item, size = 0.5) {
+        super(texture, size);
+
+        this.item = item;
+        this.inventory = null;
+        this.sprite.material.color.set(Items.RARITIES[item.rarity].color);
+        this.rotationSpeed = 0; // Icons stay upright
+    }
+
+    /**
+     * Set the inventory the item goes into
+     */
+    setInventory(inventory) {
+        this.inventory = inventory;
+    }
+
+    /**
+     * Only drift toward (and reach) the player while the bag has room
+     */
+    updatePlayerMagnetism(playerPosition, deltaTime) {
+        if (this.inventory && this.inventory.isFull()) return;
+        super.updatePlayerMagnetism(playerPosition, deltaTime);
+    }
+
+    /**
+     * Put the item in the inventory
+     */
+    collect() {
+        if (this.isCollected || !this.inventory || !this.inventory.addItem(this.item)) return;
+
+        this.isCollected = true;
+        this.isActive = false;
+
+        if (this.collectionEffectManager && this.playerPosition) {
+            this.collectionEffectManager.spawnCollectionEffect(this.playerPosition);
+        }
+
+        this.visible = false;
+    }
+}
+
+/**
+ * ItemPickupManager - Spawns, updates and removes item pickups
+ */
+class ItemPickupManager {
+    constructor(scene, textureLoader = null) {
+        this.scene = scene;
+        this.textureLoader = textureLoader || new THREE.TextureLoader(); // Injected when running headless
+        this.pickups = [];
+        this.textures = new Map(); // Icon path -> texture
+        this.camera = null;
+        this.collectionEffectManager = null;
+        this.inventory = null;
+
+        this.loadTextures();
+    }
+
+    /**
+     * Load every item icon (pixel art icons keep sharp edges)
+     */
+    loadTextures() {
+        const pixelated = new Map();
+        Object.keys(Items.BASES).forEach(id => {
+            const base = Items.BASES[id];
+            pixelated.set(base.icon, pixelated.get(base.icon) || !!base.pixelated);
+        });
+
+        pixelated.forEach((isPixelated, icon) => {
+            this.textureLoader.load(
+                icon,
+                (texture) => {
+                    if (isPixelated) {
+                        texture.magFilter = THREE.NearestFilter;
+                        texture.minFilter = THREE.NearestFilter;
+                    }
+                    texture.wrapS = THREE.ClampToEdgeWrapping;
+                    texture.wrapT = THREE.ClampToEdgeWrapping;
+                    this.textures.set(icon, texture);
+                },
+                undefined,
+                (error) => {
+                    console.error(`Failed to load item icon ${icon}:`, error);
+                }
+            );
+        });
+    }
+
+    /**
+     * Scatter rolled items where an enemy died
+     */
+    spawnItems(position, items) {
+        items.forEach(item => {
+            if (!Items.isValid(item)) {
+                console.warn('Invalid item drop skipped', item);
+                return;
+            }
+
+            const texture = this.textures.get(Items.BASES[item.base].icon);
+            if (!texture) {
+                console.warn(`Item icon for ${item.base} not loaded yet`);
+                return;
+            }
+
+            const pickup = new ItemPickup(texture, item);
+            if (this.camera) {
+                pickup.setCamera(this.camera);
+            }
+            if (this.collectionEffectManager) {
+                pickup.setCollectionEffectManager(this.collectionEffectManager);
+            }
+            if (this.inventory) {
+                pickup.setInventory(this.inventory);
+            }
+
+            pickup.scatter(position.clone(), 2.0);
+            this.scene.add(pickup);
+            this.pickups.push(pickup);
+            console.log(`Enemy dropped ${Items.getName(item)}`);
+        });
+    }
+
+    /**
+     * Set camera reference for billboarding
+     */
+    setCamera(camera) {
+        this.camera = camera;
+        this.pickups.forEach(pickup => pickup.setCamera(camera));
+    }
+
+    /**
+     * Set collection effect manager for visual feedback
+     */
+    setCollectionEffectManager(collectionEffectManager) {
+        this.collectionEffectManager = collectionEffectManager;
+        this.pickups.forEach(pickup => pickup.setCollectionEffectManager(collectionEffectManager));
+    }
+
+    /**
+     * Set the inventory picked up items go into
+     */
+    setInventory(inventory) {
+        this.inventory = inventory;
+        this.pickups.forEach(pickup => pickup.setInventory(inventory));
+    }
+
+    /**
+     * Update all pickups
+     */
+    update(deltaTime, playerPosition = null) {
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
+
+            pickup.update(deltaTime, playerPosition);
+
+            if (pickup.isCollected) {
+                this.scene.remove(pickup);
+                pickup.dispose();
+                this.pickups.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Get the number of items lying on the ground
+     */
+    getPickupCount() {
+        return this.pickups.length;
+    }
+
+    /**
+     * Remove every pickup (new run)
+     */
+    clearAll() {
+        this.pickups.forEach(pickup => {
+            this.scene.remove(pickup);
+            pickup.dispose();
+        });
+        this.pickups = [];
+    }
+}
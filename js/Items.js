@@ -0,0 +1,242 @@
+/**
+ * Items - Equipment bases, rarity tiers, affixes and random item rolls
+ * An item is plain data ({ base, rarity, affixes: [{ id, value }] }) so it can be sent with an
+ * enemy death and saved as is. Its stats are ModifierStack modifiers: the base's own plus one
+ * per affix, with affix values rolled inside the affix's range. Rarity decides the affix count.
+ */
+class Items {
+    /**
+     * Roll every item of an archetype's drop table (see EnemyArchetypeRegistry)
+     * @param {Object} table - { chance, rolls, rarity: { id: weight }, bases: { id: weight } } (none when missing)
+     * @returns {Array<Object>} Rolled items (often empty)
+     */
+    static rollDrops(table) {
+        if (!table) return [];
+
+        const items = [];
+        for (let i = 0; i < (table.rolls || 1); i++) {
+            if (gameRandom.chance(table.chance)) {
+                const base = Items.pickWeighted(table.bases);
+                const rarity = Items.pickWeighted(table.rarity || Items.DEFAULT_RARITY_WEIGHTS);
+                if (base && rarity) {
+                    items.push(Items.roll(base, rarity));
+                }
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Roll an item of a base and rarity, with the rarity's number of distinct affixes
+     */
+    static roll(baseId, rarityId) {
+        const base = Items.BASES[baseId];
+        const candidates = Object.keys(Items.AFFIXES).filter(id => Items.AFFIXES[id].slots.includes(base.slot));
+        const affixIds = gameRandom.shuffle(candidates).slice(0, Items.RARITIES[rarityId].affixes);
+
+        return {
+            base: baseId,
+            rarity: rarityId,
+            affixes: affixIds.map(id => ({ id: id, value: Items.rollAffixValue(Items.AFFIXES[id]) }))
+        };
+    }
+
+    /**
+     * Random value inside an affix's range (whole numbers for integer affixes, else 2 decimals)
+     */
+    static rollAffixValue(affix) {
+        const [min, max] = affix.range;
+        if (affix.integer) {
+            return min + gameRandom.int(max - min + 1);
+        }
+        return Math.round(gameRandom.range(min, max) * 100) / 100;
+    }
+
+    /**
+     * Pick an id from { id: weight } (null if no weight is positive)
+     */
+    static pickWeighted(weights) {
+        const ids = Object.keys(weights || {}).filter(id => weights[id] > 0);
+        const total = ids.reduce((sum, id) => sum + weights[id], 0);
+        if (total <= 0) return null;
+
+        let roll = gameRandom.next() * total;
+        for (const id of ids) {
+            roll -= weights[id];
+            if (roll < 0) return id;
+        }
+        return ids[ids.length - 1];
+    }
+
+    /**
+     * Check that an item names a known base, rarity and affixes (saves and network messages)
+     */
+    static isValid(item) {
+        return !!item && !!Items.BASES[item.base] && !!Items.RARITIES[item.rarity] &&
+            Array.isArray(item.affixes) &&
+            item.affixes.every(affix => !!affix && !!Items.AFFIXES[affix.id] && typeof affix.value === 'number');
+    }
+
+    /**
+     * Every stat modifier an item grants
+     * @returns {Array<{stat: string, op: string, value: number}>}
+     */
+    static getModifiers(item) {
+        const base = Items.BASES[item.base];
+        return base.modifiers.map(modifier => Object.assign({}, modifier)).concat(item.affixes.map(affix => {
+            const definition = Items.AFFIXES[affix.id];
+            return { stat: definition.stat, op: definition.op, value: affix.value };
+        }));
+    }
+
+    /**
+     * Display name: the first prefix and suffix around the base name ("Sharp Rusty Claws of Reach")
+     */
+    static getName(item) {
+        const affixes = item.affixes.map(affix => Items.AFFIXES[affix.id]);
+        const prefix = affixes.find(affix => affix.kind === 'prefix');
+        const suffix = affixes.find(affix => affix.kind === 'suffix');
+        return [prefix ? prefix.name : null, Items.BASES[item.base].name, suffix ? suffix.name : null]
+            .filter(Boolean)
+            .join(' ');
+    }
+
+    /**
+     * Display info for an item
+     * @returns {{name: string, slot: string, icon: string, pixelated: boolean, rarity: string, rarityName: string, color: string, lines: Array<string>}}
+     */
+    static describe(item) {
+        const base = Items.BASES[item.base];
+        const rarity = Items.RARITIES[item.rarity];
+        return {
+            name: Items.getName(item),
+            slot: base.slot,
+            icon: base.icon,
+            pixelated: !!base.pixelated,
+            rarity: item.rarity,
+            rarityName: rarity.name,
+            color: rarity.color,
+            lines: Items.getModifiers(item).map(modifier => Items.describeModifier(modifier))
+        };
+    }
+
+    /**
+     * One line for a modifier ("+2 base damage", "+15% fire damage", "-5% move speed")
+     */
+    static describeModifier(modifier) {
+        const label = Items.STAT_LABELS[modifier.stat] || modifier.stat;
+        const sign = value => (value < 0 ? '-' : '+');
+
+        if (modifier.op === 'multiply') {
+            const percent = Math.round((modifier.value - 1) * 100);
+            return `${sign(percent)}${Math.abs(percent)}% ${label}`;
+        }
+        if (Items.PERCENT_STATS.includes(modifier.stat)) {
+            return `${sign(modifier.value)}${Math.round(Math.abs(modifier.value) * 100)}% ${label}`;
+        }
+        return `${sign(modifier.value)}${Math.abs(modifier.value)} ${label}`;
+    }
+}
+
+Items.SLOTS = ['weapon', 'armor', 'trinket'];
+
+// affixes is how many an item of the rarity rolls; color tints pickups and names
+Items.RARITIES = {
+    common: { name: 'Common', color: '#D8D8D8', affixes: 0 },
+    magic: { name: 'Magic', color: '#5AA9FF', affixes: 1 },
+    rare: { name: 'Rare', color: '#FFD24A', affixes: 2 },
+    legendary: { name: 'Legendary', color: '#FF8C1A', affixes: 3 }
+};
+
+// Used by drop tables that don't list their own rarity weights
+Items.DEFAULT_RARITY_WEIGHTS = { common: 60, magic: 28, rare: 10, legendary: 2 };
+
+// stat is a ModifierStack stat (registered by UpgradeSystem and Inventory); op is 'add' or 'multiply'
+Items.BASES = {
+    rusty_claws: {
+        name: 'Rusty Claws', slot: 'weapon', icon: 'assets/images/icon_attack.png',
+        modifiers: [{ stat: 'baseDamage', op: 'add', value: 1 }]
+    },
+    steel_claws: {
+        name: 'Steel Claws', slot: 'weapon', icon: 'assets/images/icon_attack.png',
+        modifiers: [{ stat: 'baseDamage', op: 'add', value: 3 }]
+    },
+    leather_vest: {
+        name: 'Leather Vest', slot: 'armor', icon: 'assets/images/item_armor.png', pixelated: true,
+        modifiers: [{ stat: 'maxHealth', op: 'add', value: 1 }]
+    },
+    chain_mail: {
+        name: 'Chain Mail', slot: 'armor', icon: 'assets/images/item_armor.png', pixelated: true,
+        modifiers: [
+            { stat: 'maxHealth', op: 'add', value: 2 },
+            { stat: 'moveSpeed', op: 'multiply', value: 0.95 }
+        ]
+    },
+    lucky_charm: {
+        name: 'Lucky Charm', slot: 'trinket', icon: 'assets/images/item_trinket.png', pixelated: true,
+        modifiers: [{ stat: 'criticalChance', op: 'add', value: 0.03 }]
+    },
+    ember_ring: {
+        name: 'Ember Ring', slot: 'trinket', icon: 'assets/images/item_trinket.png', pixelated: true,
+        modifiers: [{ stat: 'fireDamage', op: 'add', value: 0.15 }]
+    },
+    storm_amulet: {
+        name: 'Storm Amulet', slot: 'trinket', icon: 'assets/images/item_trinket.png', pixelated: true,
+        modifiers: [{ stat: 'lightningDamage', op: 'add', value: 0.15 }]
+    }
+};
+
+// kind decides where the name goes; range is [min, max] for the rolled value
+Items.AFFIXES = {
+    sharp: {
+        name: 'Sharp', kind: 'prefix', slots: ['weapon', 'trinket'],
+        stat: 'baseDamage', op: 'add', range: [1, 3], integer: true
+    },
+    brutal: {
+        name: 'Brutal', kind: 'prefix', slots: ['weapon'],
+        stat: 'physicalDamage', op: 'add', range: [0.1, 0.2]
+    },
+    cruel: {
+        name: 'Cruel', kind: 'prefix', slots: ['weapon', 'trinket'],
+        stat: 'criticalMultiplier', op: 'add', range: [0.1, 0.3]
+    },
+    blazing: {
+        name: 'Blazing', kind: 'prefix', slots: ['weapon', 'trinket'],
+        stat: 'fireDamage', op: 'add', range: [0.1, 0.25]
+    },
+    crackling: {
+        name: 'Crackling', kind: 'prefix', slots: ['weapon', 'trinket'],
+        stat: 'lightningDamage', op: 'add', range: [0.1, 0.25]
+    },
+    of_precision: {
+        name: 'of Precision', kind: 'suffix', slots: ['weapon', 'trinket'],
+        stat: 'criticalChance', op: 'add', range: [0.02, 0.06]
+    },
+    of_reach: {
+        name: 'of Reach', kind: 'suffix', slots: ['weapon'],
+        stat: 'attackRange', op: 'add', range: [0.05, 0.12]
+    },
+    of_vigor: {
+        name: 'of Vigor', kind: 'suffix', slots: ['armor', 'trinket'],
+        stat: 'maxHealth', op: 'add', range: [1, 1], integer: true
+    },
+    of_haste: {
+        name: 'of Haste', kind: 'suffix', slots: ['armor', 'trinket'],
+        stat: 'moveSpeed', op: 'multiply', range: [1.03, 1.08]
+    }
+};
+
+Items.STAT_LABELS = {
+    baseDamage: 'base damage',
+    physicalDamage: 'physical damage',
+    fireDamage: 'fire damage',
+    lightningDamage: 'lightning damage',
+    criticalChance: 'critical chance',
+    criticalMultiplier: 'critical damage',
+    attackRange: 'attack range',
+    maxHealth: 'max heart',
+    moveSpeed: 'move speed'
+};
+
+// Added as fractions but shown as percentages
+Items.PERCENT_STATS = ['physicalDamage', 'fireDamage', 'lightningDamage', 'criticalChance', 'criticalMultiplier', 'attackRange'];
@@ -0,0 +1,97 @@
+/**
+ * KillFeed - HUD list of recent player kills plus the local kill/death count
+ */
+class KillFeed {
+    constructor() {
+        this.container = null;
+        this.statsText = null;
+        this.entryList = null;
+
+        // Entry settings
+        this.maxEntries = 5;
+        this.entryDuration = 5000; // Milliseconds an entry stays visible
+        this.fadeDuration = 400; // Matches the CSS fade transition
+
+        this.initializeUI();
+    }
+
+    /**
+     * Create the kill feed elements
+     */
+    initializeUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'kill-feed';
+        this.container.innerHTML = `
+            <div id="kill-feed-stats">K 0 / D 0</div>
+            <div id="kill-feed-entries"></div>
+        `;
+
+        // Add to UI overlay
+        const uiOverlay = document.getElementById('ui-overlay');
+        if (uiOverlay) {
+            uiOverlay.appendChild(this.container);
+        }
+
+        this.statsText = this.container.querySelector('#kill-feed-stats');
+        this.entryList = this.container.querySelector('#kill-feed-entries');
+    }
+
+    /**
+     * Add a kill entry
+     * @param {boolean} involvesLocal - Highlight entries where we killed or died
+     */
+    addEntry(killerName, victimName, involvesLocal = false) {
+        const entry = document.createElement('div');
+        entry.className = 'kill-feed-entry';
+        if (involvesLocal) {
+            entry.classList.add('local');
+        }
+
+        const killer = document.createElement('span');
+        killer.className = 'kill-feed-killer';
+        killer.textContent = killerName;
+
+        const verb = document.createElement('span');
+        verb.className = 'kill-feed-verb';
+        verb.textContent = ' defeated ';
+
+        const victim = document.createElement('span');
+        victim.className = 'kill-feed-victim';
+        victim.textContent = victimName;
+
+        entry.append(killer, verb, victim);
+        this.entryList.prepend(entry);
+
+        // Drop the oldest entries past the limit
+        while (this.entryList.children.length > this.maxEntries) {
+            this.entryList.lastChild.remove();
+        }
+
+        // Fade out and remove after a while
+        setTimeout(() => {
+            entry.classList.add('fade');
+            setTimeout(() => entry.remove(), this.fadeDuration);
+        }, this.entryDuration);
+    }
+
+    /**
+     * Update the local kill/death counter
+     */
+    updateStats(kills, deaths) {
+        if (this.statsText) {
+            this.statsText.textContent = `K ${kills} / D ${deaths}`;
+        }
+    }
+
+    /**
+     * Get the name shown for a player id
+     * @param {string} id - Player id, or null for enemies
+     * @param {string} localId - Our own id
+     */
+    getDisplayName(id, localId) {
+        if (!id) return 'Enemies';
+        if (id === localId) return 'You';
+
+        return id.toUpperCase();
+    }
+}
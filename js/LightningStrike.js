@@ -146,15 +146,176 @@ class LightningStrike extends THREE.Object3D {
     }
 }
 
+/**
+ * LightningArc - Jagged bolt connecting two chain lightning targets
+ * Re-rolls its kinks every few frames so the arc crackles, then fades out
+ */
+class LightningArc extends THREE.Object3D {
+    constructor(segments = 12) {
+        super();
+        
+        this.segments = segments;
+        this.duration = 0.3; // Seconds the arc stays visible
+        this.jaggedness = 0.35; // Max sideways offset of a kink at the middle of the arc
+        this.jitterInterval = 0.05; // Seconds between re-rolling the kinks
+        
+        // Animation state
+        this.elapsedTime = 0;
+        this.jitterTimer = 0;
+        this.isPlaying = false;
+        this.onComplete = null;
+        this.start = new THREE.Vector3();
+        this.end = new THREE.Vector3();
+        
+        // Bright core with a wider-kinked blue glow behind it
+        this.coreGeometry = this.createGeometry();
+        this.glowGeometry = this.createGeometry();
+        this.coreMaterial = new THREE.LineBasicMaterial({
+            color: 0xe0f0ff,
+            transparent: true,
+            depthWrite: false,
+            depthTest: false
+        });
+        this.glowMaterial = new THREE.LineBasicMaterial({
+            color: 0x4488ff,
+            transparent: true,
+            depthWrite: false,
+            depthTest: false
+        });
+        
+        this.glow = new THREE.Line(this.glowGeometry, this.glowMaterial);
+        this.core = new THREE.Line(this.coreGeometry, this.coreMaterial);
+        this.glow.renderOrder = 1000;
+        this.core.renderOrder = 1001;
+        this.add(this.glow);
+        this.add(this.core);
+        
+        // Hide by default
+        this.visible = false;
+    }
+    
+    /**
+     * Create a line geometry with one vertex per segment end
+     */
+    createGeometry() {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((this.segments + 1) * 3), 3));
+        return geometry;
+    }
+    
+    /**
+     * Play the arc between two positions
+     */
+    play(from, to, onComplete = null) {
+        this.start.copy(from);
+        this.end.copy(to);
+        
+        this.elapsedTime = 0;
+        this.jitterTimer = this.jitterInterval;
+        this.isPlaying = true;
+        this.visible = true;
+        this.onComplete = onComplete;
+        
+        this.coreMaterial.opacity = 1.0;
+        this.glowMaterial.opacity = 0.8;
+        
+        this.regenerate();
+    }
+    
+    /**
+     * Re-roll the kinks of both lines
+     */
+    regenerate() {
+        this.buildJaggedLine(this.coreGeometry, this.jaggedness);
+        this.buildJaggedLine(this.glowGeometry, this.jaggedness * 1.5);
+    }
+    
+    /**
+     * Lay the points out along the arc, pushing the inner ones sideways and up at random
+     * (largest in the middle so the ends stay pinned to the targets)
+     */
+    buildJaggedLine(geometry, amount) {
+        const direction = new THREE.Vector3().subVectors(this.end, this.start);
+        const side = new THREE.Vector3(-direction.z, 0, direction.x);
+        if (side.lengthSq() === 0) {
+            side.set(1, 0, 0);
+        }
+        side.normalize();
+        
+        const positions = geometry.attributes.position.array;
+        const point = new THREE.Vector3();
+        
+        for (let i = 0; i <= this.segments; i++) {
+            const t = i / this.segments;
+            point.lerpVectors(this.start, this.end, t);
+            
+            if (i > 0 && i < this.segments) {
+                const envelope = Math.sin(Math.PI * t) * amount;
+                point.addScaledVector(side, (Math.random() * 2 - 1) * envelope);
+                point.y += (Math.random() * 2 - 1) * envelope;
+            }
+            
+            positions[i * 3] = point.x;
+            positions[i * 3 + 1] = point.y;
+            positions[i * 3 + 2] = point.z;
+        }
+        
+        geometry.attributes.position.needsUpdate = true;
+        geometry.computeBoundingSphere();
+    }
+    
+    /**
+     * Update crackle and fade
+     */
+    update(deltaTime) {
+        if (!this.isPlaying) return;
+        
+        this.elapsedTime += deltaTime;
+        
+        if (this.elapsedTime >= this.duration) {
+            this.isPlaying = false;
+            this.visible = false;
+            
+            if (this.onComplete) {
+                this.onComplete(this);
+            }
+            return;
+        }
+        
+        this.jitterTimer -= deltaTime;
+        if (this.jitterTimer <= 0) {
+            this.jitterTimer = this.jitterInterval;
+            this.regenerate();
+        }
+        
+        const fade = 1 - this.elapsedTime / this.duration;
+        this.coreMaterial.opacity = fade;
+        this.glowMaterial.opacity = fade * 0.8;
+    }
+    
+    /**
+     * Dispose of resources
+     */
+    dispose() {
+        this.coreGeometry.dispose();
+        this.glowGeometry.dispose();
+        this.coreMaterial.dispose();
+        this.glowMaterial.dispose();
+    }
+}
+
 /**
  * LightningStrikeManager - Manages pool of lightning strike effects
  */
 class LightningStrikeManager {
-    constructor(scene, maxEffects = 10) {
+    constructor(scene, maxEffects = 10, maxArcs = 10) {
         this.scene = scene;
         this.maxEffects = maxEffects;
+        this.maxArcs = maxArcs;
         this.effectPool = [];
         this.activeEffects = [];
+        this.arcPool = []; // Chain lightning arcs (no texture needed)
+        this.activeArcs = [];
         this.lightningTexture = null;
     }
     
@@ -162,6 +323,13 @@ class LightningStrikeManager {
      * Initialize the lightning strike system
      */
     async initialize() {
+        // Create arc pool
+        for (let i = 0; i < this.maxArcs; i++) {
+            const arc = new LightningArc();
+            this.scene.add(arc);
+            this.arcPool.push(arc);
+        }
+        
         // Load lightning texture
         const loader = new THREE.TextureLoader();
         
@@ -225,6 +393,29 @@ class LightningStrikeManager {
         });
     }
     
+    /**
+     * Spawn a chain lightning arc between two positions
+     */
+    spawnArc(from, to) {
+        if (this.arcPool.length === 0) {
+            console.warn('No available lightning arcs in pool');
+            return;
+        }
+        
+        // Get arc from pool
+        const arc = this.arcPool.pop();
+        this.activeArcs.push(arc);
+        
+        arc.play(from, to, (completedArc) => {
+            // Return to pool when complete
+            const index = this.activeArcs.indexOf(completedArc);
+            if (index > -1) {
+                this.activeArcs.splice(index, 1);
+                this.arcPool.push(completedArc);
+            }
+        });
+    }
+    
     /**
      * Update all active effects
      */
@@ -232,6 +423,11 @@ class LightningStrikeManager {
         this.activeEffects.forEach(effect => {
             effect.update(deltaTime);
         });
+        
+        // Copy - finished arcs leave the active list while it is iterated
+        this.activeArcs.slice().forEach(arc => {
+            arc.update(deltaTime);
+        });
     }
     
     /**
@@ -245,6 +441,13 @@ class LightningStrikeManager {
             effect.dispose();
         });
         
+        [...this.arcPool, ...this.activeArcs].forEach(arc => {
+            if (arc.parent) {
+                arc.parent.remove(arc);
+            }
+            arc.dispose();
+        });
+        
         if (this.lightningTexture) {
             this.lightningTexture.dispose();
         }
@@ -0,0 +1,174 @@
+/**
+ * ModifierStack - Stat changes layered over an object's base field values
+ * Each stat is a numeric field on some object (e.g. CombatSystem.criticalChance). Entries add
+ * modifiers to stats and the field is rewritten as (base + adds) * multipliers, so entries can be
+ * listed, removed in any order and saved without losing the original value. Several owners
+ * (upgrades, skill passives) share one stack, each keeping to its own entry sources.
+ */
+class ModifierStack {
+    constructor() {
+        this.stats = new Map(); // key -> { target, field, base, min, max, integer, onChange }
+        this.entries = []; // { id, source, modifiers: [{ stat, op, value }] } in the order added
+        this.nextEntryId = 1;
+    }
+
+    /**
+     * Register a numeric field as a stat, taking its current value as the base
+     * @param {Object} options - { min, max, integer, onChange(value, previous) }
+     * @returns {boolean} False if the field isn't a number
+     */
+    defineStat(key, target, field, options = {}) {
+        if (!target || typeof target[field] !== 'number') {
+            console.warn(`ModifierStack: "${field}" is not a numeric field - stat "${key}" skipped`);
+            return false;
+        }
+
+        this.stats.set(key, {
+            target: target,
+            field: field,
+            base: target[field],
+            min: options.min !== undefined ? options.min : -Infinity,
+            max: options.max !== undefined ? options.max : Infinity,
+            integer: options.integer || false,
+            onChange: options.onChange || null
+        });
+        return true;
+    }
+
+    /**
+     * Check if a stat is registered
+     */
+    hasStat(key) {
+        return this.stats.has(key);
+    }
+
+    /**
+     * Add an entry of modifiers and apply it
+     * @param {string} source - What the entry came from (e.g. an upgrade id)
+     * @param {Array<{stat: string, op: string, value: number}>} modifiers - op is 'add' or 'multiply'
+     * @returns {Object|null} The entry, or null if none of its stats are registered
+     */
+    add(source, modifiers) {
+        const valid = modifiers.filter(modifier => {
+            if (!this.stats.has(modifier.stat)) {
+                console.warn(`ModifierStack: unknown stat "${modifier.stat}" from ${source}`);
+                return false;
+            }
+            if (!ModifierStack.OPS.includes(modifier.op)) {
+                console.warn(`ModifierStack: unknown op "${modifier.op}" from ${source}`);
+                return false;
+            }
+            return true;
+        });
+        if (valid.length === 0) return null;
+
+        const entry = {
+            id: this.nextEntryId++,
+            source: source,
+            modifiers: valid.map(modifier => ({ stat: modifier.stat, op: modifier.op, value: modifier.value }))
+        };
+        this.entries.push(entry);
+        this.applyStats(entry.modifiers.map(modifier => modifier.stat));
+        return entry;
+    }
+
+    /**
+     * Remove an entry by id
+     * @returns {boolean} True if it was on the stack
+     */
+    remove(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) return false;
+
+        const [entry] = this.entries.splice(index, 1);
+        this.applyStats(entry.modifiers.map(modifier => modifier.stat));
+        return true;
+    }
+
+    /**
+     * Remove every entry from a source
+     */
+    removeSource(source) {
+        this.getEntries(source).forEach(entry => this.remove(entry.id));
+    }
+
+    /**
+     * Entries on the stack, oldest first (all of them, or only those from one source)
+     */
+    getEntries(source = null) {
+        return source === null ? this.entries.slice() : this.entries.filter(entry => entry.source === source);
+    }
+
+    /**
+     * Value of a stat with every modifier applied
+     */
+    getValue(key) {
+        const stat = this.stats.get(key);
+        if (!stat) return undefined;
+
+        let added = 0;
+        let multiplier = 1;
+        this.entries.forEach(entry => {
+            entry.modifiers.forEach(modifier => {
+                if (modifier.stat !== key) return;
+                if (modifier.op === 'add') {
+                    added += modifier.value;
+                } else {
+                    multiplier *= modifier.value;
+                }
+            });
+        });
+
+        let value = Math.max(stat.min, Math.min(stat.max, (stat.base + added) * multiplier));
+        if (stat.integer) {
+            value = Math.round(value);
+        }
+        return value;
+    }
+
+    /**
+     * Unmodified value of a stat
+     */
+    getBase(key) {
+        const stat = this.stats.get(key);
+        return stat ? stat.base : undefined;
+    }
+
+    /**
+     * Write the modified values of some stats back to their fields
+     */
+    applyStats(keys) {
+        new Set(keys).forEach(key => {
+            const stat = this.stats.get(key);
+            const previous = stat.target[stat.field];
+            const value = this.getValue(key);
+            if (value === previous) return;
+
+            stat.target[stat.field] = value;
+            if (stat.onChange) {
+                stat.onChange(value, previous);
+            }
+        });
+    }
+
+    /**
+     * Remove every entry, putting all stats back to their base values
+     */
+    clear() {
+        this.entries = [];
+        this.applyStats(Array.from(this.stats.keys()));
+    }
+
+    /**
+     * Plain data for the entries (stats are registered by code, so only entries are saved)
+     * @param {Function} filter - Keeps entries whose source it accepts (all when omitted)
+     */
+    serialize(filter = null) {
+        return this.entries.filter(entry => !filter || filter(entry.source)).map(entry => ({
+            source: entry.source,
+            modifiers: entry.modifiers.map(modifier => ({ stat: modifier.stat, op: modifier.op, value: modifier.value }))
+        }));
+    }
+}
+
+ModifierStack.OPS = ['add', 'multiply'];
@@ -0,0 +1,383 @@
+/**
+ * NavigationGrid - Walkable/blocked grid over the world for enemy pathfinding
+ * GameWorld marks every prop collider on it, inflated by the enemy clearance so
+ * a path through free cells keeps the enemy's whole body clear of obstacles.
+ */
+class NavigationGrid {
+    constructor(worldSize = 250, cellSize = 1, clearance = 0.6) {
+        this.cellSize = cellSize;
+        this.clearance = clearance; // Enemy collision radius
+        this.cellsPerSide = Math.ceil(worldSize / cellSize);
+        this.origin = -worldSize / 2; // World coordinate of the grid's first cell edge
+        this.blocked = new Uint8Array(this.cellsPerSide * this.cellsPerSide);
+
+        // Bumped whenever obstacles change so cached paths get re-planned
+        this.version = 0;
+    }
+
+    /**
+     * Convert a world coordinate to a cell coordinate
+     */
+    worldToCell(value) {
+        return Math.floor((value - this.origin) / this.cellSize);
+    }
+
+    /**
+     * Convert a cell coordinate to the world coordinate of its center
+     */
+    cellToWorld(cell) {
+        return this.origin + (cell + 0.5) * this.cellSize;
+    }
+
+    /**
+     * Check if a cell is inside the grid
+     */
+    isInside(cellX, cellZ) {
+        return cellX >= 0 && cellZ >= 0 && cellX < this.cellsPerSide && cellZ < this.cellsPerSide;
+    }
+
+    /**
+     * Check if a cell can be walked through
+     */
+    isWalkable(cellX, cellZ) {
+        return this.isInside(cellX, cellZ) && this.blocked[cellZ * this.cellsPerSide + cellX] === 0;
+    }
+
+    /**
+     * Block every cell whose center is within the obstacle radius plus clearance
+     */
+    markObstacle(x, z, radius) {
+        const reach = radius + this.clearance;
+        const minX = Math.max(0, this.worldToCell(x - reach));
+        const maxX = Math.min(this.cellsPerSide - 1, this.worldToCell(x + reach));
+        const minZ = Math.max(0, this.worldToCell(z - reach));
+        const maxZ = Math.min(this.cellsPerSide - 1, this.worldToCell(z + reach));
+
+        for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+            for (let cellX = minX; cellX <= maxX; cellX++) {
+                const dx = this.cellToWorld(cellX) - x;
+                const dz = this.cellToWorld(cellZ) - z;
+                if (dx * dx + dz * dz <= reach * reach) {
+                    this.blocked[cellZ * this.cellsPerSide + cellX] = 1;
+                }
+            }
+        }
+
+        this.version++;
+    }
+
+    /**
+     * Check that the straight line between two world positions only crosses walkable cells
+     */
+    hasLineOfSight(from, to) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const steps = Math.max(1, Math.ceil(distance / (this.cellSize * 0.5)));
+
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const cellX = this.worldToCell(from.x + dx * t);
+            const cellZ = this.worldToCell(from.z + dz * t);
+            if (!this.isWalkable(cellX, cellZ)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Find the closest walkable cell around a cell (null if none within maxRadius rings)
+     */
+    findNearestWalkable(cellX, cellZ, maxRadius = 4) {
+        if (this.isWalkable(cellX, cellZ)) {
+            return { x: cellX, z: cellZ };
+        }
+
+        for (let ring = 1; ring <= maxRadius; ring++) {
+            for (let offsetZ = -ring; offsetZ <= ring; offsetZ++) {
+                for (let offsetX = -ring; offsetX <= ring; offsetX++) {
+                    // Only the outline of the ring - inner cells were checked already
+                    if (Math.abs(offsetX) !== ring && Math.abs(offsetZ) !== ring) continue;
+
+                    if (this.isWalkable(cellX + offsetX, cellZ + offsetZ)) {
+                        return { x: cellX + offsetX, z: cellZ + offsetZ };
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Drop points a straight walk can skip (keeps the first and last point)
+     */
+    smoothPath(points) {
+        if (points.length <= 2) return points;
+
+        const smoothed = [points[0]];
+        let anchor = 0;
+
+        while (anchor < points.length - 1) {
+            // Furthest point we can walk to directly
+            let next = points.length - 1;
+            while (next > anchor + 1 && !this.hasLineOfSight(points[anchor], points[next])) {
+                next--;
+            }
+
+            smoothed.push(points[next]);
+            anchor = next;
+        }
+
+        return smoothed;
+    }
+}
+
+/**
+ * PathSearch - One A* query that can be advanced a few nodes at a time
+ */
+class PathSearch {
+    constructor(grid, start, goal, maxNodes = 4000) {
+        this.grid = grid;
+        this.goal = goal.clone();
+        this.maxNodes = maxNodes; // Give up on unreachable goals after this many expansions
+        this.expandedNodes = 0;
+
+        this.isDone = false;
+        this.path = null; // Array of THREE.Vector3 waypoints once found (null if none)
+
+        // Snap start and goal to walkable cells (agents can stand next to props)
+        const startCell = grid.findNearestWalkable(grid.worldToCell(start.x), grid.worldToCell(start.z));
+        this.goalCell = grid.findNearestWalkable(grid.worldToCell(goal.x), grid.worldToCell(goal.z));
+
+        // Open set as a binary heap of cell indexes ordered by f score
+        this.heap = [];
+        this.fScore = new Map();
+        this.gScore = new Map();
+        this.cameFrom = new Map();
+        this.closed = new Set();
+
+        if (!startCell || !this.goalCell) {
+            this.isDone = true;
+            return;
+        }
+
+        const startIndex = this.toIndex(startCell.x, startCell.z);
+        this.gScore.set(startIndex, 0);
+        this.fScore.set(startIndex, this.heuristic(startCell.x, startCell.z));
+        this.push(startIndex);
+    }
+
+    /**
+     * Expand up to maxExpansions nodes (returns how many were used)
+     */
+    step(maxExpansions) {
+        const grid = this.grid;
+        const size = grid.cellsPerSide;
+        let used = 0;
+
+        while (!this.isDone && used < maxExpansions) {
+            if (this.heap.length === 0 || this.expandedNodes >= this.maxNodes) {
+                this.isDone = true; // No path
+                break;
+            }
+
+            const current = this.pop();
+            if (this.closed.has(current)) continue;
+            this.closed.add(current);
+            used++;
+            this.expandedNodes++;
+
+            const cellX = current % size;
+            const cellZ = Math.floor(current / size);
+
+            if (cellX === this.goalCell.x && cellZ === this.goalCell.z) {
+                this.path = this.buildPath(current);
+                this.isDone = true;
+                break;
+            }
+
+            // 8 neighbours - diagonals only when both sides are open (no corner cutting)
+            for (let offsetZ = -1; offsetZ <= 1; offsetZ++) {
+                for (let offsetX = -1; offsetX <= 1; offsetX++) {
+                    if (offsetX === 0 && offsetZ === 0) continue;
+
+                    const nextX = cellX + offsetX;
+                    const nextZ = cellZ + offsetZ;
+                    if (!grid.isWalkable(nextX, nextZ)) continue;
+
+                    const isDiagonal = offsetX !== 0 && offsetZ !== 0;
+                    if (isDiagonal && (!grid.isWalkable(cellX + offsetX, cellZ) || !grid.isWalkable(cellX, cellZ + offsetZ))) {
+                        continue;
+                    }
+
+                    const next = this.toIndex(nextX, nextZ);
+                    if (this.closed.has(next)) continue;
+
+                    const tentative = this.gScore.get(current) + (isDiagonal ? Math.SQRT2 : 1);
+                    if (tentative < (this.gScore.has(next) ? this.gScore.get(next) : Infinity)) {
+                        this.cameFrom.set(next, current);
+                        this.gScore.set(next, tentative);
+                        this.fScore.set(next, tentative + this.heuristic(nextX, nextZ));
+                        this.push(next);
+                    }
+                }
+            }
+        }
+
+        return used;
+    }
+
+    /**
+     * Octile distance to the goal cell
+     */
+    heuristic(cellX, cellZ) {
+        const dx = Math.abs(cellX - this.goalCell.x);
+        const dz = Math.abs(cellZ - this.goalCell.z);
+        return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    }
+
+    /**
+     * Walk back from the goal and turn cells into smoothed world waypoints
+     */
+    buildPath(goalIndex) {
+        const size = this.grid.cellsPerSide;
+        const points = [];
+        let current = goalIndex;
+
+        while (current !== undefined) {
+            points.unshift(new THREE.Vector3(
+                this.grid.cellToWorld(current % size),
+                0,
+                this.grid.cellToWorld(Math.floor(current / size))
+            ));
+            current = this.cameFrom.get(current);
+        }
+
+        // The real goal replaces the center of its cell
+        points[points.length - 1].set(this.goal.x, 0, this.goal.z);
+
+        return this.grid.smoothPath(points);
+    }
+
+    /**
+     * Get the cell index for cell coordinates
+     */
+    toIndex(cellX, cellZ) {
+        return cellZ * this.grid.cellsPerSide + cellX;
+    }
+
+    /**
+     * Add a cell index to the heap
+     */
+    push(index) {
+        const heap = this.heap;
+        heap.push(index);
+
+        let child = heap.length - 1;
+        while (child > 0) {
+            const parent = (child - 1) >> 1;
+            if (this.fScore.get(heap[parent]) <= this.fScore.get(heap[child])) break;
+            [heap[parent], heap[child]] = [heap[child], heap[parent]];
+            child = parent;
+        }
+    }
+
+    /**
+     * Remove the cell index with the lowest f score
+     */
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+
+        if (heap.length > 0) {
+            heap[0] = last;
+
+            let parent = 0;
+            while (true) {
+                const left = parent * 2 + 1;
+                const right = left + 1;
+                let smallest = parent;
+
+                if (left < heap.length && this.fScore.get(heap[left]) < this.fScore.get(heap[smallest])) smallest = left;
+                if (right < heap.length && this.fScore.get(heap[right]) < this.fScore.get(heap[smallest])) smallest = right;
+                if (smallest === parent) break;
+
+                [heap[parent], heap[smallest]] = [heap[smallest], heap[parent]];
+                parent = smallest;
+            }
+        }
+
+        return top;
+    }
+}
+
+/**
+ * PathfindingManager - Queues path queries and runs them within a per-frame budget
+ * so a wave of enemies re-planning at once can't stall a frame.
+ */
+class PathfindingManager {
+    constructor(grid) {
+        this.grid = grid;
+        this.queue = [];
+        this.expansionsPerFrame = 1500; // A* nodes expanded per update across all queries
+    }
+
+    /**
+     * Queue a path query - callback(path) gets an array of waypoints, or null if unreachable
+     * @returns {Object} Request handle for cancel
+     */
+    requestPath(start, goal, callback) {
+        const request = {
+            start: start.clone(),
+            goal: goal.clone(),
+            callback: callback,
+            search: null
+        };
+
+        this.queue.push(request);
+        return request;
+    }
+
+    /**
+     * Drop a queued query
+     */
+    cancel(request) {
+        const index = this.queue.indexOf(request);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+        }
+    }
+
+    /**
+     * Advance queued queries until the budget runs out (oldest first)
+     */
+    update() {
+        let budget = this.expansionsPerFrame;
+
+        while (this.queue.length > 0 && budget > 0) {
+            const request = this.queue[0];
+
+            if (!request.search) {
+                request.search = new PathSearch(this.grid, request.start, request.goal);
+            }
+
+            budget -= request.search.step(budget);
+
+            if (request.search.isDone) {
+                this.queue.shift();
+                request.callback(request.search.path);
+            }
+        }
+    }
+
+    /**
+     * Number of queries waiting
+     */
+    getPendingCount() {
+        return this.queue.length;
+    }
+}
@@ -0,0 +1,355 @@
+/**
+ * WebSocketTransport - Sends and receives JSON messages over a WebSocket
+ * Talks to the local relay in server/relay-server.js
+ *
+ * Any object with the same shape can be used as a transport (e.g. an Ably adapter):
+ *   connect(), send(message), close(), isConnected()
+ *   onOpen(), onMessage(message), onClose() callbacks set by NetworkClient
+ */
+class WebSocketTransport {
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+
+        // Callbacks (set by NetworkClient)
+        this.onOpen = null;
+        this.onMessage = null;
+        this.onClose = null;
+    }
+
+    /**
+     * Open the WebSocket connection
+     */
+    connect() {
+        this.socket = new WebSocket(this.url);
+
+        this.socket.addEventListener('open', () => {
+            console.log(`Connected to relay at ${this.url}`);
+            if (this.onOpen) this.onOpen();
+        });
+
+        this.socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Ignoring malformed network message:', event.data);
+                return;
+            }
+            if (this.onMessage) this.onMessage(message);
+        });
+
+        this.socket.addEventListener('close', () => {
+            console.log('Disconnected from relay');
+            if (this.onClose) this.onClose();
+        });
+
+        this.socket.addEventListener('error', (error) => {
+            console.error('WebSocket error:', error);
+        });
+    }
+
+    /**
+     * Send a message object as JSON
+     */
+    send(message) {
+        if (!this.isConnected()) return false;
+
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * Check if the socket is open
+     */
+    isConnected() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Close the connection
+     */
+    close() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+/**
+ * NetworkClient - Replicates the local player to other clients and
+ * forwards their state and attack events to the game
+ *
+ * Message types (all JSON, sender id is stamped by the relay):
+ *   welcome { id, players }   - our id and the ids already in the room
+ *   join    { id }            - another player connected
+ *   leave   { id }            - another player disconnected
+ *   state   { id, t, p, d, a, h } - position [x, y, z], lastDirection [x, z], animation { s, d, f },
+ *                              health [current, max, invulnerable 0/1]
+ *   attack  { id, kind, p, d, targets, f } - attack event ('melee', 'lightning', 'chainLightning', 'projectile')
+ *                              at position p facing d, lightning also lists struck positions in targets (in jump
+ *                              order for chains), projectiles carry their flight settings in f
+ *
+ * The host is the longest-connected player in the room. It owns shared simulation
+ * (see EnemySync) and passes to the next player in join order when it leaves.
+ */
+class NetworkClient {
+    constructor(transport) {
+        this.transport = transport;
+        this.localId = null;
+        this.isConnected = false;
+        this.sessionPlayers = []; // Player ids in join order (first is the host)
+        this.hostId = null;
+
+        // Local player references (set via setLocalPlayer)
+        this.playerController = null;
+        this.playerSprite = null;
+        this.localCombatant = null; // Health replicated to other players
+
+        // State send rate
+        this.sendRate = 15; // State updates per second
+        this.sendInterval = 1 / this.sendRate;
+        this.sendTimer = 0;
+
+        // Event handlers by message type
+        this.handlers = {};
+
+        // Wire transport callbacks
+        this.transport.onOpen = () => this.handleOpen();
+        this.transport.onMessage = (message) => this.handleMessage(message);
+        this.transport.onClose = () => this.handleClose();
+    }
+
+    /**
+     * Connect through the transport
+     */
+    connect() {
+        this.transport.connect();
+    }
+
+    /**
+     * Disconnect from the session
+     */
+    disconnect() {
+        this.transport.close();
+        this.isConnected = false;
+    }
+
+    /**
+     * Set the local player to replicate
+     */
+    setLocalPlayer(playerController, playerSprite) {
+        this.playerController = playerController;
+        this.playerSprite = playerSprite;
+    }
+
+    /**
+     * Set the local combatant whose health is replicated
+     */
+    setLocalCombatant(combatant) {
+        this.localCombatant = combatant;
+    }
+
+    /**
+     * Register a handler for a message type ('welcome', 'join', 'leave', 'state', 'attack',
+     * 'disconnect', 'hostChange', or any custom type sent with send())
+     */
+    on(type, handler) {
+        if (!this.handlers[type]) {
+            this.handlers[type] = [];
+        }
+        this.handlers[type].push(handler);
+    }
+
+    /**
+     * Call all handlers for a message type
+     */
+    emit(type, message) {
+        const handlers = this.handlers[type];
+        if (!handlers) return;
+
+        handlers.forEach(handler => handler(message));
+    }
+
+    /**
+     * Transport connected
+     */
+    handleOpen() {
+        this.isConnected = true;
+        this.transport.send({ type: 'hello' });
+    }
+
+    /**
+     * Transport disconnected
+     */
+    handleClose() {
+        this.isConnected = false;
+        this.localId = null;
+        this.sessionPlayers = [];
+        this.hostId = null;
+        this.emit('disconnect', {});
+    }
+
+    /**
+     * Handle an incoming message
+     */
+    handleMessage(message) {
+        if (!message || !message.type) return;
+
+        if (message.type === 'welcome') {
+            this.localId = message.id;
+            this.sessionPlayers = message.players.concat(message.id);
+            console.log(`Joined session as ${this.localId} with ${message.players.length} other players`);
+        }
+
+        // Ignore our own messages if the transport echoes them
+        if (message.type !== 'welcome' && message.id === this.localId) return;
+
+        if (message.type === 'join' && !this.sessionPlayers.includes(message.id)) {
+            this.sessionPlayers.push(message.id);
+        } else if (message.type === 'leave') {
+            this.sessionPlayers = this.sessionPlayers.filter(id => id !== message.id);
+        }
+
+        this.emit(message.type, message);
+        this.updateHost();
+    }
+
+    /**
+     * Recompute the host after membership changes
+     */
+    updateHost() {
+        const hostId = this.sessionPlayers.length > 0 ? this.sessionPlayers[0] : null;
+        if (hostId === this.hostId) return;
+
+        this.hostId = hostId;
+        console.log(`Session host is now ${hostId}${this.isHost() ? ' (us)' : ''}`);
+        this.emit('hostChange', { id: hostId });
+    }
+
+    /**
+     * Send a custom message (set message.to to send it to a single player)
+     */
+    send(message) {
+        if (!this.isConnected) return false;
+
+        return this.transport.send(message);
+    }
+
+    /**
+     * Send local state at the configured rate
+     */
+    update(deltaTime) {
+        if (!this.isConnected || !this.playerController) return;
+
+        this.sendTimer += deltaTime;
+        if (this.sendTimer < this.sendInterval) return;
+        this.sendTimer = 0;
+
+        this.sendState();
+    }
+
+    /**
+     * Send a snapshot of the local player
+     */
+    sendState() {
+        const position = this.playerController.getPosition();
+        const direction = this.playerController.getLastDirection();
+
+        const message = {
+            type: 'state',
+            t: performance.now(),
+            p: [this.round(position.x), this.round(position.y), this.round(position.z)],
+            d: [this.round(direction.x), this.round(direction.z)]
+        };
+
+        // Animation state from CharacterSprite
+        if (this.playerSprite && this.playerSprite.getCurrentAnimation) {
+            const animation = this.playerSprite.getCurrentAnimation();
+            message.a = {
+                s: animation.state,
+                d: animation.direction,
+                f: animation.frame
+            };
+        }
+
+        // Health from the local Combatant
+        if (this.localCombatant) {
+            message.h = [
+                this.localCombatant.health,
+                this.localCombatant.maxHealth,
+                this.localCombatant.invulnerable ? 1 : 0
+            ];
+        }
+
+        this.transport.send(message);
+    }
+
+    /**
+     * Send an attack event
+     * @param {string} kind - 'melee', 'lightning', 'chainLightning' or 'projectile'
+     * @param {THREE.Vector3} position - Where the attack happened
+     * @param {THREE.Vector3} direction - Attack direction (optional)
+     * @param {THREE.Vector3[]} targets - Struck positions for lightning (optional)
+     * @param {Object} flight - Projectile flight settings (optional, see Fireball.fire)
+     */
+    sendAttack(kind, position, direction = null, targets = null, flight = null) {
+        if (!this.isConnected) return;
+
+        const message = {
+            type: 'attack',
+            kind: kind,
+            p: [this.round(position.x), this.round(position.y), this.round(position.z)]
+        };
+
+        if (direction) {
+            message.d = [this.round(direction.x), this.round(direction.z)];
+        }
+
+        if (targets) {
+            message.targets = targets.map(target => [this.round(target.x), this.round(target.y), this.round(target.z)]);
+        }
+
+        if (flight) {
+            message.f = {
+                speed: flight.speed,
+                range: flight.range,
+                hitRadius: flight.hitRadius,
+                pierce: flight.pierce,
+                explodes: flight.explodes,
+                explosionRadius: flight.explosionRadius
+            };
+        }
+
+        this.transport.send(message);
+    }
+
+    /**
+     * Round to 3 decimals to keep messages small
+     */
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    /**
+     * Get our id in the session
+     */
+    getLocalId() {
+        return this.localId;
+    }
+
+    /**
+     * Get the host's id (null when not in a session)
+     */
+    getHostId() {
+        return this.hostId;
+    }
+
+    /**
+     * Check if we own the shared simulation
+     */
+    isHost() {
+        return this.hostId !== null && this.hostId === this.localId;
+    }
+}
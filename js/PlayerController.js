@@ -23,20 +23,27 @@ class PlayerController {
             backward: false,
             left: false,
             right: false,
-            attack: false,
-            dash: false
+            block: false
         };
         
+        // Input can be frozen (e.g. while the player is dead)
+        this.inputEnabled = true;
+        
         // Animation state
         this.currentAnimation = 'idle';
         this.lastDirection = new THREE.Vector3(0, 0, 1);
         
         // Combat system reference (will be set later)
         this.combatSystem = null;
+        this.attackBuffered = false; // Attack pressed mid-swing - chains the combo when the swing ends
         
         // Dust particle system reference
         this.dustParticleSystem = null;
         
+        // World obstacles (trees, bushes, stones)
+        this.gameWorld = null;
+        this.collisionRadius = 0.4;
+        
         // Footstep properties
         this.footstepTimer = 0;
         this.footstepInterval = 0.15; // seconds between footsteps
@@ -51,6 +58,11 @@ class PlayerController {
         this.dashCooldownTimer = 0;
         this.dashMultiplier = 3.0; // dash speed relative to moveSpeed
         this.dashDirection = new THREE.Vector3();
+        this.dashInvulnerabilityDuration = 0.25; // Seconds of i-frames from the start of a dash (0 to disable)
+        this.dashInvulnerabilityTimer = 0;
+        this.timeSinceDash = Infinity; // Seconds since the last dash started
+        this.dashStartPosition = new THREE.Vector3();
+        this.pendingDashRefund = 0; // Cooldown fraction refunded mid-dash, applied when the dash ends
         
         // Setup input handlers
         this.setupInputHandlers();
@@ -94,9 +106,11 @@ class PlayerController {
     }
     
     /**
-     * Handle key down events
+     * Handle key down events (movement and block - skills are triggered through the hotbar)
      */
     handleKeyDown(event) {
+        if (!this.inputEnabled) return;
+        
         switch(event.code) {
             case 'KeyW':
             case 'ArrowUp':
@@ -114,18 +128,12 @@ class PlayerController {
             case 'ArrowRight':
                 this.keys.right = true;
                 break;
-            case 'Space':
-                event.preventDefault(); // Prevent page scroll
-                if (!this.keys.attack) {
-                    this.keys.attack = true;
-                    this.triggerAttack();
-                }
-                break;
-            case 'ShiftLeft':
-            case 'ShiftRight':
-                if (!this.keys.dash) {
-                    this.keys.dash = true;
-                    this.triggerDash();
+            case 'KeyC':
+                if (!this.keys.block) {
+                    this.keys.block = true;
+                    if (this.combatSystem) {
+                        this.combatSystem.startBlock();
+                    }
                 }
                 break;
         }
@@ -152,12 +160,11 @@ class PlayerController {
             case 'ArrowRight':
                 this.keys.right = false;
                 break;
-            case 'Space':
-                this.keys.attack = false;
-                break;
-            case 'ShiftLeft':
-            case 'ShiftRight':
-                this.keys.dash = false;
+            case 'KeyC':
+                this.keys.block = false;
+                if (this.combatSystem) {
+                    this.combatSystem.endBlock();
+                }
                 break;
         }
     }
@@ -166,6 +173,18 @@ class PlayerController {
      * Update player movement and animation
      */
     update(deltaTime) {
+        // No movement or animation changes while input is frozen
+        if (!this.inputEnabled) {
+            this.attackBuffered = false;
+            return;
+        }
+        
+        // Fire a buffered combo attack as soon as the swing allows it
+        // (kept while the sprite finishes its swing and the combo window is open)
+        if (this.attackBuffered && this.combatSystem && this.combatSystem.canAttack()) {
+            this.attackBuffered = !this.triggerAttack() && this.combatSystem.getComboStep() > 0;
+        }
+        
         this.updateMovement(deltaTime);
         this.updateAnimation();
     }
@@ -174,18 +193,25 @@ class PlayerController {
      * Update movement based on input
      */
     updateMovement(deltaTime) {
+        this.timeSinceDash += deltaTime;
+        if (this.dashInvulnerabilityTimer > 0) {
+            this.dashInvulnerabilityTimer -= deltaTime;
+        }
+        
         // Handle dash first
         if (this.isDashing) {
             const dashSpeed = this.moveSpeed * this.dashMultiplier;
             const movement = this.dashDirection.clone().multiplyScalar(dashSpeed * deltaTime);
             this.sprite.position.add(movement);
+            this.resolveObstacleCollision(null); // Dash keeps its direction and slides along
             // keep on ground level
             this.sprite.position.y = 0.7;
 
             this.dashTimer -= deltaTime;
             if (this.dashTimer <= 0) {
                 this.isDashing = false;
-                this.dashCooldownTimer = this.dashCooldown;
+                this.dashCooldownTimer = this.dashCooldown * (1 - this.pendingDashRefund);
+                this.pendingDashRefund = 0;
                 
                 // Spawn dust puff at landing position
                 if (this.dustParticleSystem) {
@@ -238,8 +264,8 @@ class PlayerController {
             this.isMoving = false;
         }
         
-        // Calculate target velocity
-        this.targetVelocity.copy(moveDirection).multiplyScalar(this.moveSpeed);
+        // Calculate target velocity (slowed or stopped by status effects)
+        this.targetVelocity.copy(moveDirection).multiplyScalar(this.moveSpeed * this.getSpeedMultiplier());
         
         // Smooth acceleration/deceleration (Cat Quest has smooth movement)
         const lerpSpeed = this.isMoving ? this.acceleration : this.deceleration;
@@ -248,6 +274,7 @@ class PlayerController {
         // Apply movement to sprite position
         const movement = this.velocity.clone().multiplyScalar(deltaTime);
         this.sprite.position.add(movement);
+        this.resolveObstacleCollision(this.velocity);
         
         // Handle footstep dust while moving
         if (this.isMoving && this.velocity.length() > 1.0 && this.dustParticleSystem) {
@@ -373,13 +400,19 @@ class PlayerController {
     triggerAttack() {
         // Check if combat system allows attack (cooldown check)
         if (this.combatSystem && !this.combatSystem.canAttack()) {
+            // Pressed during a chainable swing - remember it for the next combo step
+            if (this.combatSystem.isAttacking && this.combatSystem.getComboStep() > 0) {
+                this.attackBuffered = true;
+            }
             console.log('Attack blocked - on cooldown');
             return false;
         }
         
         // Check if sprite has attack capability
         if (this.sprite.attack) {
-            const success = this.sprite.attack();
+            // Swing at the speed of the combo step about to play
+            const step = this.combatSystem ? this.combatSystem.getNextComboStep() : null;
+            const success = this.sprite.attack(null, step ? step.duration : null);
             if (success) {
                 console.log('Attack triggered!');
                 
@@ -394,6 +427,79 @@ class PlayerController {
         return false;
     }
     
+    /**
+     * Enable or disable player input (movement, attack, dash)
+     */
+    setInputEnabled(enabled) {
+        this.inputEnabled = enabled;
+        
+        if (!enabled) {
+            // Drop held keys and stop in place
+            Object.keys(this.keys).forEach(key => {
+                this.keys[key] = false;
+            });
+            this.velocity.set(0, 0, 0);
+            this.targetVelocity.set(0, 0, 0);
+            this.isMoving = false;
+            this.isDashing = false;
+            this.dashTimer = 0;
+            this.dashInvulnerabilityTimer = 0;
+        }
+    }
+    
+    /**
+     * Check if player input is enabled
+     */
+    isInputEnabled() {
+        return this.inputEnabled;
+    }
+    
+    /**
+     * Reset dash state (used on respawn)
+     */
+    resetDash() {
+        this.isDashing = false;
+        this.dashTimer = 0;
+        this.dashCooldownTimer = 0;
+        this.dashInvulnerabilityTimer = 0;
+        this.timeSinceDash = Infinity;
+        this.pendingDashRefund = 0;
+    }
+    
+    /**
+     * Movement speed multiplier from the player's status effects
+     */
+    getSpeedMultiplier() {
+        return this.combatSystem ? this.combatSystem.getPlayerSpeedMultiplier() : 1;
+    }
+    
+    /**
+     * Check if the dash i-frames are active
+     */
+    isDashInvulnerable() {
+        return this.dashInvulnerabilityTimer > 0;
+    }
+    
+    /**
+     * Get seconds since the last dash started (Infinity before the first dash)
+     */
+    getTimeSinceDash() {
+        return this.timeSinceDash;
+    }
+    
+    /**
+     * Give back part of the dash cooldown (perfect dodge reward)
+     * @param {number} fraction - Share of the full cooldown to refund (0-1)
+     */
+    refundDashCooldown(fraction) {
+        if (this.isDashing) {
+            // Cooldown starts when the dash ends
+            this.pendingDashRefund = Math.min(1, this.pendingDashRefund + fraction);
+        } else {
+            this.dashCooldownTimer = Math.max(0, this.dashCooldownTimer - this.dashCooldown * fraction);
+        }
+    }
+    
     /**
      * Set combat system reference
      */
@@ -401,6 +507,23 @@ class PlayerController {
         this.combatSystem = combatSystem;
     }
     
+    /**
+     * Set game world reference for obstacle collision
+     */
+    setGameWorld(gameWorld) {
+        this.gameWorld = gameWorld;
+    }
+    
+    /**
+     * Push the player out of obstacles so movement slides along them
+     * @param {THREE.Vector3} velocity - Loses its component into the obstacle (null to leave alone)
+     */
+    resolveObstacleCollision(velocity) {
+        if (this.gameWorld) {
+            this.gameWorld.resolveCollision(this.sprite.position, this.collisionRadius, velocity);
+        }
+    }
+    
     /**
      * Set dust particle system reference
      */
@@ -408,12 +531,21 @@ class PlayerController {
         this.dustParticleSystem = dustParticleSystem;
     }
     
+    /**
+     * Get dash cooldown progress (0 = just used, 1 = ready)
+     */
+    getDashCooldownProgress() {
+        if (this.dashCooldownTimer <= 0) return 1;
+        return Math.max(0, Math.min(1, 1 - (this.dashCooldownTimer / this.dashCooldown)));
+    }
+    
     /**
      * Trigger dash movement
      */
     triggerDash() {
         // Cannot dash while attacking, hurt, or already dashing, or on cooldown
         if (this.isDashing || this.dashCooldownTimer > 0) return false;
+        if (this.combatSystem && this.combatSystem.isPlayerStunned()) return false;
 
         // Determine dash direction: if currently moving use that; else use last facing
         const dir = new THREE.Vector3();
@@ -431,6 +563,13 @@ class PlayerController {
         this.dashDirection.copy(dir);
         this.isDashing = true;
         this.dashTimer = this.dashDuration;
+        this.dashInvulnerabilityTimer = this.dashInvulnerabilityDuration;
+        this.timeSinceDash = 0;
+        this.dashStartPosition.copy(this.sprite.position);
+        
+        if (this.combatSystem) {
+            this.combatSystem.onDashStart();
+        }
 
         // Try to set dash animation if available
         if (this.sprite.setAnimation) {
@@ -0,0 +1,197 @@
+/**
+ * ProfileScreen - Panel with lifetime stats and save export/import
+ * Export downloads the save as a JSON file; Import reads one picked with the file dialog and
+ * hands its text to SaveSystem, which drives the panel through setScreen.
+ */
+class ProfileScreen {
+    constructor() {
+        this.container = null;
+        this.statsList = null;
+        this.saveInfo = null;
+        this.statusText = null;
+        this.fileInput = null;
+        this.isVisible = false;
+
+        // Callbacks (wired by SaveSystem)
+        this.onExport = null; // Returns the save's JSON text
+        this.onImport = null; // (file text)
+        this.onClose = null;
+
+        this.initializeUI();
+    }
+
+    /**
+     * Create the panel and its key handling
+     */
+    initializeUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'profile-screen';
+        this.container.style.display = 'none';
+        this.container.innerHTML = `
+            <div id="profile-panel">
+                <div id="profile-title">PROFILE</div>
+                <div id="profile-stats"></div>
+                <div id="profile-save-info"></div>
+                <div id="profile-buttons">
+                    <button class="profile-button" id="profile-export">Export Save</button>
+                    <button class="profile-button" id="profile-import">Import Save</button>
+                    <input type="file" id="profile-file" accept=".json,application/json">
+                </div>
+                <div id="profile-status"></div>
+                <div id="profile-hint">Progress saves itself in this browser. P or Esc to close.</div>
+            </div>
+        `;
+
+        // Add to UI overlay
+        const uiOverlay = document.getElementById('ui-overlay');
+        if (uiOverlay) {
+            uiOverlay.appendChild(this.container);
+        }
+
+        this.statsList = this.container.querySelector('#profile-stats');
+        this.saveInfo = this.container.querySelector('#profile-save-info');
+        this.statusText = this.container.querySelector('#profile-status');
+        this.fileInput = this.container.querySelector('#profile-file');
+
+        this.container.querySelector('#profile-export').addEventListener('click', () => this.exportFile());
+        this.container.querySelector('#profile-import').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => this.importFile());
+
+        // Capture on window so the closing key doesn't also reach the game's handlers
+        window.addEventListener('keydown', (event) => {
+            if (!this.isVisible || event.repeat) return;
+
+            if (event.code === 'KeyP' || event.code === 'Escape') {
+                event.stopImmediatePropagation();
+                if (this.onClose) {
+                    this.onClose();
+                }
+            }
+        }, true);
+    }
+
+    /**
+     * Set the callback that returns the save to export
+     */
+    setOnExport(callback) {
+        this.onExport = callback;
+    }
+
+    /**
+     * Set the callback for an imported save file's text
+     */
+    setOnImport(callback) {
+        this.onImport = callback;
+    }
+
+    /**
+     * Set the callback for closing the panel
+     */
+    setOnClose(callback) {
+        this.onClose = callback;
+    }
+
+    /**
+     * Show the panel
+     * @param {Object} state - See SaveSystem.getScreenState
+     */
+    show(state) {
+        this.render(state);
+
+        this.container.style.display = 'flex';
+
+        // Force reflow so the fade-in transition runs
+        void this.container.offsetWidth;
+        this.container.classList.add('show');
+        this.isVisible = true;
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        // A focused button would otherwise take the next Space press
+        if (this.container.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+        this.container.classList.remove('show');
+        this.container.style.display = 'none';
+        this.isVisible = false;
+    }
+
+    /**
+     * Redraw stats and save info
+     */
+    render(state) {
+        const stats = state.stats;
+        const rows = [
+            ['Level', state.level],
+            ['Best Level', stats.bestLevel],
+            ['Runs', stats.runs],
+            ['Enemies Slain', stats.enemyKills],
+            ['Players Defeated', stats.playerKills],
+            ['Deaths', stats.deaths],
+            ['Longest Life', this.formatTime(stats.longestLife)],
+            ['Time Played', this.formatTime(stats.timePlayed)]
+        ];
+        this.statsList.innerHTML = rows.map(([label, value]) => `
+            <div class="profile-stat">
+                <span class="profile-stat-label">${label}</span>
+                <span class="profile-stat-value">${value}</span>
+            </div>
+        `).join('');
+
+        if (!state.canSave) {
+            this.saveInfo.textContent = 'Saving is off for this session';
+        } else if (state.lastSavedAt) {
+            this.saveInfo.textContent = `Last saved at ${state.lastSavedAt.toLocaleTimeString()}`;
+        } else {
+            this.saveInfo.textContent = 'Not saved yet this session';
+        }
+        this.statusText.textContent = state.status || '';
+    }
+
+    /**
+     * Download the save as a JSON file
+     */
+    exportFile() {
+        if (!this.onExport) return;
+
+        const blob = new Blob([this.onExport()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `cat-quest-save-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Read the picked file and pass its text on
+     */
+    importFile() {
+        const file = this.fileInput.files[0];
+        this.fileInput.value = ''; // Picking the same file again still fires change
+        if (!file || !this.onImport) return;
+
+        const reader = new FileReader();
+        reader.onload = () => this.onImport(reader.result);
+        reader.onerror = () => {
+            this.statusText.textContent = `Import failed: couldn't read ${file.name}`;
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Format seconds as h:mm:ss (m:ss under an hour)
+     */
+    formatTime(seconds) {
+        const totalSeconds = Math.floor(seconds);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor(totalSeconds / 60) % 60;
+        const remainder = (totalSeconds % 60).toString().padStart(2, '0');
+        return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${remainder}` : `${minutes}:${remainder}`;
+    }
+}
@@ -0,0 +1,340 @@
+/**
+ * RemotePlayer - Another player's character, driven by network snapshots
+ * Positions are interpolated between snapshots so movement stays smooth at low send rates
+ */
+class RemotePlayer {
+    constructor(id, spriteSheets, camera = null) {
+        this.id = id;
+
+        // Same sprite setup as the local player (see CatQuestGame.createPlayer)
+        this.sprite = new CharacterSprite(spriteSheets, 3.6, 3.0, 96, 80, 8);
+        this.sprite.position.set(0, 0.7, 0);
+        this.sprite.setBaseY(0.7);
+        this.sprite.remotePlayerId = id; // Lets host enemies route hits to this player's client
+        if (camera) {
+            this.sprite.setCamera(camera);
+        }
+
+        // Mirrored health and kill/death counts (the owning client is authoritative)
+        this.combatant = new Combatant(id, this.sprite, 5, false);
+        
+        // Health bar above the player
+        this.healthBar = new HealthBar(0.675, 0.081);
+        this.healthBar.position.y = 1.1; // Above the player's head
+        this.sprite.add(this.healthBar);
+        this.healthBar.setHealth(this.combatant.health, this.combatant.maxHealth, false);
+        this.camera = camera;
+        
+        // Return to the replicated animation after one-shot animations
+        this.sprite.setOnAttackComplete(() => this.sprite.resetAnimationState());
+        this.sprite.setOnHurtComplete(() => this.sprite.resetAnimationState());
+
+        // Snapshot buffer for interpolation
+        this.snapshots = [];
+        this.maxSnapshots = 20;
+        this.interpolationDelay = 0.1; // Render 100ms in the past
+        this.lastDirection = new THREE.Vector3(0, 0, 1);
+        this.hasReceivedState = false;
+    }
+
+    /**
+     * Add a state snapshot from the network
+     */
+    addSnapshot(message) {
+        this.snapshots.push({
+            time: performance.now() / 1000, // Local receive time avoids clock skew between clients
+            position: new THREE.Vector3(message.p[0], message.p[1], message.p[2]),
+            direction: message.d ? new THREE.Vector3(message.d[0], 0, message.d[1]) : null,
+            animation: message.a || null
+        });
+
+        if (this.snapshots.length > this.maxSnapshots) {
+            this.snapshots.shift();
+        }
+
+        // Snap to the first snapshot instead of sliding in from the origin
+        if (!this.hasReceivedState) {
+            this.hasReceivedState = true;
+            this.sprite.position.copy(this.snapshots[0].position);
+        }
+        
+        if (message.h) {
+            this.applyHealth(message.h[0], message.h[1], message.h[2] === 1);
+        }
+    }
+    
+    /**
+     * Apply replicated health, death and revival
+     */
+    applyHealth(health, maxHealth, invulnerable) {
+        const tookDamage = health < this.combatant.health;
+        this.combatant.setNetworkHealth(health, maxHealth, invulnerable);
+        this.healthBar.setHealth(health, maxHealth, tookDamage);
+        
+        if (this.combatant.isDead && !this.sprite.isDead) {
+            this.sprite.die();
+            this.healthBar.visible = false;
+        } else if (!this.combatant.isDead && this.sprite.isDead) {
+            this.sprite.revive();
+            this.healthBar.visible = true;
+        }
+    }
+
+    /**
+     * Play a replicated attack event
+     */
+    playAttack(message) {
+        if (message.d) {
+            this.lastDirection.set(message.d[0], 0, message.d[1]);
+        }
+
+        if (message.kind === 'melee' && this.sprite.attack) {
+            this.sprite.attack(this.getDirectionName(this.lastDirection));
+        }
+    }
+
+    /**
+     * Update interpolated position and animation
+     */
+    update(deltaTime) {
+        this.interpolate();
+        this.sprite.update(deltaTime);
+        this.healthBar.update(deltaTime, this.camera);
+    }
+
+    /**
+     * Interpolate position between the two snapshots around the render time
+     */
+    interpolate() {
+        if (this.snapshots.length === 0) return;
+
+        const renderTime = performance.now() / 1000 - this.interpolationDelay;
+
+        // Drop snapshots that are fully in the past (keep one before renderTime)
+        while (this.snapshots.length > 2 && this.snapshots[1].time <= renderTime) {
+            this.snapshots.shift();
+        }
+
+        const from = this.snapshots[0];
+        const to = this.snapshots[1];
+
+        if (!to || renderTime <= from.time) {
+            // Not enough data - hold the latest known snapshot
+            const latest = to || from;
+            this.sprite.position.copy(latest.position);
+            this.applySnapshotState(latest);
+            return;
+        }
+
+        const span = to.time - from.time;
+        const t = span > 0 ? Math.min(1, (renderTime - from.time) / span) : 1;
+        this.sprite.position.lerpVectors(from.position, to.position, t);
+        this.applySnapshotState(t < 0.5 ? from : to);
+    }
+
+    /**
+     * Apply direction and animation from a snapshot
+     */
+    applySnapshotState(snapshot) {
+        if (snapshot.direction && snapshot.direction.lengthSq() > 0) {
+            this.lastDirection.copy(snapshot.direction);
+        }
+
+        // One-shot animations (attack, hurt) finish on their own, and the dead hold their pose
+        if (!snapshot.animation || this.sprite.isAttacking || this.sprite.isHurt || this.sprite.isDead) return;
+
+        const state = snapshot.animation.s;
+        const direction = snapshot.animation.d;
+
+        if (state === 'hurt') {
+            this.sprite.hurt();
+        } else if (state === 'attack') {
+            this.sprite.attack(direction);
+        } else {
+            this.sprite.setAnimation(state, direction);
+        }
+    }
+
+    /**
+     * Get cardinal direction name for a direction vector
+     */
+    getDirectionName(direction) {
+        if (Math.abs(direction.x) > Math.abs(direction.z)) {
+            return direction.x > 0 ? 'right' : 'left';
+        }
+        return direction.z > 0 ? 'down' : 'up';
+    }
+
+    /**
+     * Get current position
+     */
+    getPosition() {
+        return this.sprite.position;
+    }
+
+    /**
+     * Dispose of sprite resources (sprite sheets are shared with the local player)
+     */
+    dispose() {
+        this.healthBar.dispose();
+        this.sprite.geometry.dispose();
+        this.sprite.material.dispose();
+    }
+}
+
+/**
+ * RemotePlayerManager - Creates, updates and removes remote players from network events
+ */
+class RemotePlayerManager {
+    constructor(scene, networkClient, spriteSheets) {
+        this.scene = scene;
+        this.networkClient = networkClient;
+        this.spriteSheets = spriteSheets;
+        this.camera = null;
+        this.lightningStrikeManager = null; // Shows remote lightning strikes
+        this.fireballManager = null; // Replays remote fire bolts
+        this.remotePlayers = new Map();
+
+        this.registerNetworkHandlers();
+    }
+
+    /**
+     * Listen for session events
+     */
+    registerNetworkHandlers() {
+        this.networkClient.on('welcome', (message) => {
+            message.players.forEach(id => this.addPlayer(id));
+        });
+
+        this.networkClient.on('join', (message) => {
+            this.addPlayer(message.id);
+        });
+
+        this.networkClient.on('leave', (message) => {
+            this.removePlayer(message.id);
+        });
+
+        this.networkClient.on('state', (message) => {
+            const remotePlayer = this.addPlayer(message.id);
+            remotePlayer.addSnapshot(message);
+        });
+
+        this.networkClient.on('attack', (message) => {
+            const remotePlayer = this.remotePlayers.get(message.id);
+            if (!remotePlayer) return;
+
+            remotePlayer.playAttack(message);
+
+            // Lightning visuals play where the remote player struck (chains also arc between targets in order)
+            const isLightning = message.kind === 'lightning' || message.kind === 'chainLightning';
+            if (isLightning && message.targets && this.lightningStrikeManager) {
+                const positions = message.targets.map(target => new THREE.Vector3(target[0], target[1], target[2]));
+                positions.forEach((position, index) => {
+                    this.lightningStrikeManager.spawnLightning(position);
+                    if (message.kind === 'chainLightning' && index > 0) {
+                        this.lightningStrikeManager.spawnArc(positions[index - 1], position);
+                    }
+                });
+            }
+
+            // Fire bolts fly locally for show - the caster's client applies their damage
+            if (message.kind === 'projectile' && message.d && message.f && this.fireballManager) {
+                this.fireballManager.fireProjectile(
+                    new THREE.Vector3(message.p[0], message.p[1], message.p[2]),
+                    new THREE.Vector3(message.d[0], 0, message.d[1]),
+                    message.f,
+                    remotePlayer.combatant
+                );
+            }
+        });
+
+        this.networkClient.on('disconnect', () => {
+            this.clearAll();
+        });
+    }
+
+    /**
+     * Add a remote player (returns the existing one if already present)
+     */
+    addPlayer(id) {
+        if (this.remotePlayers.has(id)) {
+            return this.remotePlayers.get(id);
+        }
+
+        const remotePlayer = new RemotePlayer(id, this.spriteSheets, this.camera);
+        this.scene.add(remotePlayer.sprite);
+        this.remotePlayers.set(id, remotePlayer);
+
+        console.log(`Remote player ${id} joined`);
+        return remotePlayer;
+    }
+
+    /**
+     * Remove a remote player
+     */
+    removePlayer(id) {
+        const remotePlayer = this.remotePlayers.get(id);
+        if (!remotePlayer) return;
+
+        this.scene.remove(remotePlayer.sprite);
+        remotePlayer.dispose();
+        this.remotePlayers.delete(id);
+
+        console.log(`Remote player ${id} left`);
+    }
+
+    /**
+     * Update all remote players
+     */
+    update(deltaTime) {
+        this.remotePlayers.forEach(remotePlayer => {
+            remotePlayer.update(deltaTime);
+        });
+    }
+
+    /**
+     * Set camera reference for billboarding
+     */
+    setCamera(camera) {
+        this.camera = camera;
+        this.remotePlayers.forEach(remotePlayer => {
+            remotePlayer.sprite.setCamera(camera);
+            remotePlayer.camera = camera;
+        });
+    }
+
+    /**
+     * Set lightning strike manager reference
+     */
+    setLightningStrikeManager(lightningStrikeManager) {
+        this.lightningStrikeManager = lightningStrikeManager;
+    }
+
+    /**
+     * Set fireball manager reference
+     */
+    setFireballManager(fireballManager) {
+        this.fireballManager = fireballManager;
+    }
+
+    /**
+     * Get all remote players
+     */
+    getRemotePlayers() {
+        return Array.from(this.remotePlayers.values());
+    }
+
+    /**
+     * Remove all remote players
+     */
+    clearAll() {
+        Array.from(this.remotePlayers.keys()).forEach(id => this.removePlayer(id));
+    }
+
+    /**
+     * Dispose of all remote players
+     */
+    dispose() {
+        this.clearAll();
+    }
+}
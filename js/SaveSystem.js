@@ -0,0 +1,475 @@
+/**
+ * SaveSystem - Versioned player profile kept in localStorage
+ * A save holds the character (XP, skill points, upgrades, draft rerolls and the run's kill
+ * counts), unlocked skills and the hotbar, the inventory, the crystal balance with shop stock and
+ * running buffs, settings and lifetime stats. It is only written at safe points - never while
+ * an upgrade draft is waiting for a pick - and can be exported to and imported from a JSON file.
+ * Saves from older versions are brought up to date through SaveSystem.MIGRATIONS one version at a
+ * time; a save that can't be read is kept, not overwritten.
+ */
+class SaveSystem {
+    constructor(xpSystem, upgradeSystem, skillTree, inventory, shop, combatSystem) {
+        this.xpSystem = xpSystem;
+        this.upgradeSystem = upgradeSystem;
+        this.skillTree = skillTree;
+        this.inventory = inventory;
+        this.shop = shop;
+        this.combatSystem = combatSystem;
+
+        this.storage = null; // localStorage (none when it's unavailable or running headless)
+        this.isLocked = false; // The stored save is from a newer version - leave it alone
+        this.status = null; // Last load/import problem or result, shown on the profile screen
+        this.lastSavedAt = null;
+
+        this.settings = SaveSystem.copy(SaveSystem.DEFAULT_SETTINGS);
+        this.stats = SaveSystem.copy(SaveSystem.DEFAULT_STATS);
+
+        // Autosave during play (whenever it's safe once the interval has passed)
+        this.autosaveInterval = 30; // Seconds of play
+        this.autosaveTimer = 0;
+
+        this.screen = null; // Profile screen (none when running headless)
+        this.onScreenChange = null; // Called with true/false as the screen opens and closes
+        this.onSettingsLoaded = null; // Called with the settings after a load or import
+    }
+
+    /**
+     * Set the storage saves go to (anything with getItem/setItem)
+     */
+    setStorage(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Set the profile screen
+     */
+    setScreen(screen) {
+        this.screen = screen;
+        this.screen.setOnExport(() => this.exportData());
+        this.screen.setOnImport(text => this.importData(text));
+        this.screen.setOnClose(() => this.closeScreen());
+    }
+
+    /**
+     * Set the callback for the screen opening and closing (the game pauses while it's open)
+     */
+    setOnScreenChange(callback) {
+        this.onScreenChange = callback;
+    }
+
+    /**
+     * Set the callback that applies loaded settings
+     */
+    setOnSettingsLoaded(callback) {
+        this.onSettingsLoaded = callback;
+    }
+
+    /**
+     * Open the profile screen
+     */
+    openScreen() {
+        if (!this.screen || this.screen.isVisible) return;
+
+        this.screen.show(this.getScreenState());
+        if (this.onScreenChange) {
+            this.onScreenChange(true);
+        }
+    }
+
+    /**
+     * Close the profile screen
+     */
+    closeScreen() {
+        if (!this.screen || !this.screen.isVisible) return;
+
+        this.screen.hide();
+        if (this.onScreenChange) {
+            this.onScreenChange(false);
+        }
+    }
+
+    /**
+     * Redraw the open screen
+     */
+    refreshScreen() {
+        if (this.screen && this.screen.isVisible) {
+            this.screen.render(this.getScreenState());
+        }
+    }
+
+    /**
+     * Count play time and autosave once the interval has passed
+     */
+    update(deltaTime) {
+        this.stats.timePlayed += deltaTime;
+        this.autosaveTimer += deltaTime;
+
+        if (this.autosaveTimer >= this.autosaveInterval) {
+            this.autosave();
+        }
+    }
+
+    /**
+     * Check that nothing is half done - a pending level-up draft would be lost on reload
+     */
+    isSafeToSave() {
+        return !this.upgradeSystem.isDraftOpen();
+    }
+
+    /**
+     * Save if it's safe to
+     * @returns {boolean} True if the save was written
+     */
+    autosave() {
+        if (!this.isSafeToSave()) return false;
+        return this.save();
+    }
+
+    /**
+     * Write the profile to storage
+     * @returns {boolean} True if the save was written
+     */
+    save() {
+        if (!this.storage || this.isLocked) return false;
+
+        try {
+            this.storage.setItem(SaveSystem.STORAGE_KEY, JSON.stringify(this.serialize()));
+        } catch (error) {
+            console.warn('Failed to write save:', error);
+            return false;
+        }
+
+        this.autosaveTimer = 0;
+        this.lastSavedAt = new Date();
+        return true;
+    }
+
+    /**
+     * Load the stored profile. A save this version can't read is copied to the backup key (or,
+     * if it's from a newer version, left in place with saving turned off) instead of dropped
+     * @returns {boolean} True if a save was loaded
+     */
+    load() {
+        if (!this.storage) return false;
+
+        let text;
+        try {
+            text = this.storage.getItem(SaveSystem.STORAGE_KEY);
+        } catch (error) {
+            console.warn('Failed to read save:', error);
+            return false;
+        }
+        if (text === null) {
+            console.log('No save found - starting a new profile');
+            return false;
+        }
+
+        const result = SaveSystem.parse(text);
+        if (result.error) {
+            this.status = result.error;
+            if (result.isNewer) {
+                this.isLocked = true;
+                console.error(`${result.error} - it was left untouched and this session won't save`);
+            } else {
+                try {
+                    this.storage.setItem(SaveSystem.BACKUP_KEY, text);
+                    console.error(`${result.error} - kept a copy under "${SaveSystem.BACKUP_KEY}", starting a new profile`);
+                } catch (error) {
+                    this.isLocked = true;
+                    console.error(`${result.error} - it couldn't be backed up, so this session won't save`);
+                }
+            }
+            return false;
+        }
+
+        this.apply(result.data);
+        if (result.fromVersion < SaveSystem.VERSION) {
+            console.log(`Save migrated from version ${result.fromVersion} to ${SaveSystem.VERSION}`);
+            this.save(); // Store it in the current format
+        }
+        console.log(`Save loaded (level ${this.xpSystem.currentLevel})`);
+        return true;
+    }
+
+    /**
+     * Replace the profile with an exported save
+     * @returns {{ok: boolean, message: string}}
+     */
+    importData(text) {
+        const result = SaveSystem.parse(text);
+        if (result.error) {
+            this.status = `Import failed: ${result.error}`;
+            this.refreshScreen();
+            return { ok: false, message: this.status };
+        }
+
+        this.apply(result.data);
+        this.isLocked = false; // A deliberate import may replace a save from a newer version
+        this.save();
+        this.status = 'Save imported';
+        this.refreshScreen();
+        return { ok: true, message: this.status };
+    }
+
+    /**
+     * The profile as a JSON file's text
+     */
+    exportData() {
+        return JSON.stringify(this.serialize(), null, 2);
+    }
+
+    /**
+     * Everything a save holds, as plain data
+     */
+    serialize() {
+        const combatant = this.combatSystem.localCombatant;
+        this.recordLevel();
+
+        return {
+            version: SaveSystem.VERSION,
+            savedAt: new Date().toISOString(),
+            profile: Object.assign(this.xpSystem.serialize(), {
+                upgrades: this.upgradeSystem.serialize(),
+                rerolls: this.upgradeSystem.rerolls,
+                run: {
+                    enemyKills: combatant.enemyKills,
+                    playerKills: combatant.playerKills,
+                    deaths: combatant.deaths
+                }
+            }),
+            skills: this.skillTree.serialize(),
+            inventory: this.inventory.serialize(),
+            shop: this.shop.serialize(),
+            settings: SaveSystem.copy(this.settings),
+            stats: SaveSystem.copy(this.stats)
+        };
+    }
+
+    /**
+     * Restore save data of the current version (each system skips entries it doesn't know)
+     */
+    apply(data) {
+        const profile = data.profile;
+        this.xpSystem.deserialize(profile);
+        this.upgradeSystem.deserialize(profile.upgrades);
+        this.upgradeSystem.rerolls = Math.max(0, Math.floor(profile.rerolls) || 0);
+        this.skillTree.deserialize(data.skills);
+        this.inventory.deserialize(data.inventory);
+        this.shop.deserialize(data.shop);
+        this.combatSystem.setRunStats(profile.run || {});
+
+        // A loaded character starts with full hearts
+        const combatant = this.combatSystem.localCombatant;
+        if (!combatant.isDead) {
+            combatant.health = combatant.maxHealth;
+            this.combatSystem.updateHealthUI();
+        }
+
+        this.stats = SaveSystem.mergeDefaults(SaveSystem.DEFAULT_STATS, data.stats);
+        this.settings = SaveSystem.mergeDefaults(SaveSystem.DEFAULT_SETTINGS, data.settings);
+        if (this.onSettingsLoaded) {
+            this.onSettingsLoaded(SaveSystem.copy(this.settings));
+        }
+    }
+
+    /**
+     * Change some settings and save them
+     */
+    updateSettings(changes) {
+        this.settings = SaveSystem.mergeDefaults(SaveSystem.DEFAULT_SETTINGS, Object.assign({}, this.settings, changes));
+        this.save();
+    }
+
+    /**
+     * Keep the best level reached up to date
+     */
+    recordLevel() {
+        this.stats.bestLevel = Math.max(this.stats.bestLevel, this.xpSystem.currentLevel);
+    }
+
+    /**
+     * Count a death and the life it ended
+     */
+    recordDeath(timeSurvived) {
+        this.stats.deaths++;
+        this.stats.longestLife = Math.max(this.stats.longestLife, timeSurvived);
+        this.recordLevel();
+    }
+
+    /**
+     * Fold the run's kills into the lifetime totals (before the run's counters are reset)
+     */
+    endRun() {
+        const combatant = this.combatSystem.localCombatant;
+        this.stats.enemyKills += combatant.enemyKills;
+        this.stats.playerKills += combatant.playerKills;
+        this.stats.runs++;
+        this.recordLevel();
+    }
+
+    /**
+     * Lifetime stats including the current run's kills
+     */
+    getLifetimeStats() {
+        const combatant = this.combatSystem.localCombatant;
+        this.recordLevel();
+
+        const stats = SaveSystem.copy(this.stats);
+        stats.enemyKills += combatant.enemyKills;
+        stats.playerKills += combatant.playerKills;
+        return stats;
+    }
+
+    /**
+     * Everything the profile screen shows
+     */
+    getScreenState() {
+        return {
+            stats: this.getLifetimeStats(),
+            level: this.xpSystem.currentLevel,
+            canSave: !!this.storage && !this.isLocked,
+            lastSavedAt: this.lastSavedAt,
+            status: this.status
+        };
+    }
+
+    /**
+     * Parse save text and bring it up to the current version
+     * @returns {{data: Object, fromVersion: number}|{error: string, isNewer: boolean}}
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { error: 'Save is not valid JSON', isNewer: false };
+        }
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.version) || data.version < 1) {
+            return { error: 'Not a Cat Quest save (no version)', isNewer: false };
+        }
+
+        const fromVersion = data.version;
+        if (fromVersion > SaveSystem.VERSION) {
+            return { error: `Save version ${fromVersion} is newer than this game reads (${SaveSystem.VERSION})`, isNewer: true };
+        }
+
+        for (let version = fromVersion; version < SaveSystem.VERSION; version++) {
+            const migrate = SaveSystem.MIGRATIONS[version];
+            if (!migrate) {
+                return { error: `No migration from save version ${version}`, isNewer: false };
+            }
+            // A damaged save mustn't stop the game from starting
+            try {
+                data = migrate(data);
+            } catch (error) {
+                return { error: `Save couldn't be upgraded from version ${version}: ${error.message}`, isNewer: false };
+            }
+            data.version = version + 1;
+        }
+
+        const problem = SaveSystem.validate(data);
+        if (problem) {
+            return { error: problem, isNewer: false };
+        }
+        return { data: data, fromVersion: fromVersion };
+    }
+
+    /**
+     * Check the parts of a current-version save that can't be skipped over
+     * @returns {string|null} What's wrong, or null if it can be applied
+     */
+    static validate(data) {
+        const profile = data.profile;
+        if (!profile || typeof profile !== 'object') {
+            return 'Save has no profile';
+        }
+        if (!Number.isFinite(profile.xp) || profile.xp < 0) {
+            return 'Save has no valid XP';
+        }
+        if (!Number.isFinite(profile.skillPoints) || profile.skillPoints < 0) {
+            return 'Save has no valid skill points';
+        }
+        if (profile.upgrades !== undefined && !Array.isArray(profile.upgrades)) {
+            return 'Save upgrades are not a list';
+        }
+        return null;
+    }
+
+    /**
+     * Take each default's value from saved data where it has the same type
+     */
+    static mergeDefaults(defaults, saved) {
+        const merged = {};
+        Object.keys(defaults).forEach(key => {
+            const fallback = defaults[key];
+            const value = saved && typeof saved === 'object' ? saved[key] : undefined;
+
+            if (fallback && typeof fallback === 'object') {
+                merged[key] = SaveSystem.mergeDefaults(fallback, value);
+            } else if (typeof value === typeof fallback && (typeof value !== 'number' || Number.isFinite(value))) {
+                merged[key] = value;
+            } else {
+                merged[key] = fallback;
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Deep copy of plain data
+     */
+    static copy(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+}
+
+// Bump VERSION whenever the save format changes and add MIGRATIONS[old version]: a function
+// that takes a save of that version and returns it in the next version's shape
+SaveSystem.VERSION = 3;
+SaveSystem.MIGRATIONS = {
+    // 2 added the crystal balance, shop stock and buffs, and draft rerolls
+    1: save => {
+        if (!save.profile || typeof save.profile !== 'object') return save; // validate rejects it
+        save.profile.rerolls = 0;
+        save.shop = { crystals: 0, stock: {}, buffs: [] };
+        return save;
+    },
+    // 3 saves upgrades as ids and stack counts instead of their modifiers
+    2: save => {
+        if (!save.profile || !Array.isArray(save.profile.upgrades)) return save;
+        const stacks = {};
+        save.profile.upgrades.forEach(entry => {
+            if (entry && typeof entry.source === 'string') {
+                stacks[entry.source] = (stacks[entry.source] || 0) + 1;
+            }
+        });
+        save.profile.upgrades = Object.keys(stacks).map(id => ({ id: id, stacks: stacks[id] }));
+        return save;
+    }
+};
+
+SaveSystem.STORAGE_KEY = 'catQuest.save';
+SaveSystem.BACKUP_KEY = 'catQuest.save.backup'; // Last save that couldn't be loaded
+
+SaveSystem.DEFAULT_SETTINGS = {
+    showInstructions: true,
+    depthOfField: {
+        enabled: true,
+        blurStrength: 0.5,
+        blurRadius: 1.5,
+        blurThreshold: 0.05,
+        mixStrength: 1.4
+    }
+};
+
+// Kills are totals of finished runs (the current run's are in profile.run); deaths, best level,
+// longest life (seconds) and time played (seconds) are kept up to date as they happen
+SaveSystem.DEFAULT_STATS = {
+    runs: 1,
+    deaths: 0,
+    enemyKills: 0,
+    playerKills: 0,
+    bestLevel: 1,
+    longestLife: 0,
+    timePlayed: 0
+};
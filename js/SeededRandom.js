@@ -0,0 +1,84 @@
+/**
+ * SeededRandom - Deterministic random number generator (mulberry32)
+ * Used for simulation randomness (combat rolls, spawning, drops) so a run can be
+ * replayed from its seed. Purely visual effects keep using Math.random so they
+ * don't shift the simulation's sequence.
+ */
+class SeededRandom {
+    constructor(seed = Date.now()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reset the generator to a seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the seed the generator was started with
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            const temp = array[i];
+            array[i] = array[j];
+            array[j] = temp;
+        }
+
+        return array;
+    }
+}
+
+// Shared simulation RNG - CatQuestGame reseeds it from ?seed= on startup
+const gameRandom = new SeededRandom();
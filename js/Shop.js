@@ -0,0 +1,303 @@
+/**
+ * Shop - Crystal currency and the between-rounds shop
+ * Each collected crystal is split into XP and crystals to spend (Shop.CRYSTAL_VALUE). The shop
+ * sells what Shop.OFFERS lists: heals, temporary buffs (modifiers on the shared ModifierStack
+ * under shop:<id> sources, taken off again when they run out) and rerolls for level-up drafts.
+ * Stock refills every time a round is cleared.
+ */
+class Shop {
+    constructor(combatSystem, xpSystem, upgradeSystem) {
+        this.combatSystem = combatSystem;
+        this.xpSystem = xpSystem;
+        this.upgradeSystem = upgradeSystem;
+        this.modifiers = upgradeSystem.modifiers; // Shared with upgrades, skills and equipment
+
+        this.crystals = 0; // Spendable balance
+        this.stock = {}; // Offer id -> purchases left until the next restock
+        this.buffs = {}; // Offer id -> seconds left on an active buff
+
+        this.counter = null; // HUD crystal counter (none when running headless)
+        this.panel = null; // Shop panel (none when running headless)
+        this.isAvailable = null; // Returns whether the shop is open (always when not set)
+        this.onPanelChange = null; // Called with true/false as the panel opens and closes
+
+        this.restock();
+    }
+
+    /**
+     * Set the HUD crystal counter
+     */
+    setCounter(counter) {
+        this.counter = counter;
+        this.counter.update(this.crystals);
+    }
+
+    /**
+     * Set the shop panel
+     */
+    setPanel(panel) {
+        this.panel = panel;
+        this.panel.setOnBuy(id => this.buy(id));
+        this.panel.setOnClose(() => this.closePanel());
+    }
+
+    /**
+     * Set the callback deciding whether the shop is open (between rounds)
+     */
+    setAvailability(callback) {
+        this.isAvailable = callback;
+    }
+
+    /**
+     * Set the callback for the panel opening and closing (the game pauses while it's open)
+     */
+    setOnPanelChange(callback) {
+        this.onPanelChange = callback;
+    }
+
+    /**
+     * Check if the shop can be visited right now
+     */
+    isOpen() {
+        return !this.isAvailable || this.isAvailable();
+    }
+
+    /**
+     * Open the shop panel
+     * @returns {boolean} False while a round is on
+     */
+    openPanel() {
+        if (!this.panel || this.panel.isVisible) return false;
+        if (!this.isOpen()) {
+            console.log('The shop opens between rounds');
+            return false;
+        }
+
+        this.panel.show(this.getPanelState());
+        if (this.onPanelChange) {
+            this.onPanelChange(true);
+        }
+        return true;
+    }
+
+    /**
+     * Close the shop panel
+     */
+    closePanel() {
+        if (!this.panel || !this.panel.isVisible) return;
+
+        this.panel.hide();
+        if (this.onPanelChange) {
+            this.onPanelChange(false);
+        }
+    }
+
+    /**
+     * A crystal was picked up: part XP, part currency
+     */
+    onCrystalCollected() {
+        this.addCrystals(Shop.CRYSTAL_VALUE.currency);
+        return this.xpSystem.addXP(Shop.CRYSTAL_VALUE.xp);
+    }
+
+    /**
+     * Add to the spendable balance
+     */
+    addCrystals(amount) {
+        this.crystals += amount;
+        this.changed();
+    }
+
+    /**
+     * Why an offer can't be bought right now
+     * @returns {string|null} The reason, or null if it can be bought
+     */
+    getBlockReason(id) {
+        const offer = Shop.OFFERS[id];
+        if (!offer) return 'Unknown offer';
+        if (this.stock[id] <= 0) return 'Sold out';
+        if (this.crystals < offer.price) return 'Not enough crystals';
+
+        const combatant = this.combatSystem.localCombatant;
+        if (offer.type === 'heal' && combatant.health >= combatant.maxHealth) return 'Already at full health';
+        return null;
+    }
+
+    /**
+     * Buy an offer and apply it
+     * @returns {boolean} True if it was bought
+     */
+    buy(id) {
+        const reason = this.getBlockReason(id);
+        if (reason) {
+            console.log(`Can't buy ${id}: ${reason}`);
+            return false;
+        }
+
+        const offer = Shop.OFFERS[id];
+        this.crystals -= offer.price;
+        this.stock[id]--;
+
+        if (offer.type === 'heal') {
+            const combatant = this.combatSystem.localCombatant;
+            this.combatSystem.restoreHealth(offer.full ? combatant.maxHealth : offer.amount);
+        } else if (offer.type === 'buff') {
+            this.startBuff(id, offer.duration);
+        } else if (offer.type === 'reroll') {
+            this.upgradeSystem.addRerolls(offer.amount);
+        }
+
+        console.log(`Bought ${offer.name} for ${offer.price} crystals (${this.crystals} left)`);
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Put a buff's modifiers on (buying it again while it's active restarts the timer)
+     */
+    startBuff(id, duration) {
+        const source = `shop:${id}`;
+        this.modifiers.removeSource(source);
+        this.modifiers.add(source, Shop.OFFERS[id].modifiers.filter(modifier => this.modifiers.hasStat(modifier.stat)));
+        this.buffs[id] = duration;
+    }
+
+    /**
+     * Take a buff's modifiers off
+     */
+    endBuff(id) {
+        this.modifiers.removeSource(`shop:${id}`);
+        delete this.buffs[id];
+        console.log(`${Shop.OFFERS[id].name} wore off`);
+    }
+
+    /**
+     * Count down active buffs
+     */
+    update(deltaTime) {
+        Object.keys(this.buffs).forEach(id => {
+            this.buffs[id] -= deltaTime;
+            if (this.buffs[id] <= 0) {
+                this.endBuff(id);
+                this.changed();
+            }
+        });
+    }
+
+    /**
+     * Refill every offer's stock (a round was cleared)
+     */
+    restock() {
+        Object.keys(Shop.OFFERS).forEach(id => {
+            this.stock[id] = Shop.OFFERS[id].stock;
+        });
+        this.changed();
+    }
+
+    /**
+     * Update the counter and redraw the open panel
+     */
+    changed() {
+        if (this.counter) {
+            this.counter.update(this.crystals);
+        }
+        if (this.panel && this.panel.isVisible) {
+            this.panel.render(this.getPanelState());
+        }
+    }
+
+    /**
+     * Everything the panel shows
+     */
+    getPanelState() {
+        return {
+            crystals: this.crystals,
+            rerolls: this.upgradeSystem.rerolls,
+            offers: Object.keys(Shop.OFFERS).map(id => {
+                const offer = Shop.OFFERS[id];
+                return {
+                    id: id,
+                    name: offer.name,
+                    description: offer.description,
+                    price: offer.price,
+                    stock: this.stock[id],
+                    buffTimeLeft: this.buffs[id] || 0,
+                    blockReason: this.getBlockReason(id)
+                };
+            })
+        };
+    }
+
+    /**
+     * Balance, stock and running buffs as plain data
+     */
+    serialize() {
+        return {
+            crystals: this.crystals,
+            stock: Object.assign({}, this.stock),
+            buffs: Object.keys(this.buffs).map(id => ({ id: id, timeLeft: this.buffs[id] }))
+        };
+    }
+
+    /**
+     * Restore serialize() data (unknown offers are skipped)
+     */
+    deserialize(data) {
+        this.reset();
+        if (!data) return;
+
+        this.crystals = Math.max(0, Math.floor(data.crystals) || 0);
+        Object.keys(data.stock || {}).forEach(id => {
+            if (Shop.OFFERS[id] && Number.isFinite(data.stock[id])) {
+                this.stock[id] = Math.max(0, Math.min(Shop.OFFERS[id].stock, data.stock[id]));
+            }
+        });
+        (data.buffs || []).forEach(buff => {
+            const offer = Shop.OFFERS[buff.id];
+            if (offer && offer.type === 'buff' && buff.timeLeft > 0) {
+                this.startBuff(buff.id, Math.min(offer.duration, buff.timeLeft));
+            }
+        });
+        this.changed();
+    }
+
+    /**
+     * Empty the balance, end buffs and refill the stock (new run)
+     */
+    reset() {
+        this.crystals = 0;
+        Object.keys(this.buffs).forEach(id => this.endBuff(id));
+        this.restock();
+    }
+}
+
+// Each collected crystal gives this much XP and this many crystals to spend
+Shop.CRYSTAL_VALUE = { xp: 3, currency: 1 };
+
+// price is in crystals and stock is how many can be bought per intermission. type 'heal' restores
+// amount hearts (every heart with full), 'buff' puts modifiers on for duration seconds and
+// 'reroll' adds amount rerolls for level-up drafts
+Shop.OFFERS = {
+    fish_snack: {
+        name: 'Fish Snack', description: 'Heal 1 heart', type: 'heal',
+        price: 6, stock: 3, amount: 1
+    },
+    feast: {
+        name: 'Feast', description: 'Heal every heart', type: 'heal',
+        price: 20, stock: 1, full: true
+    },
+    whetstone: {
+        name: 'Whetstone', description: '+2 base damage for 60s', type: 'buff',
+        price: 15, stock: 1, duration: 60,
+        modifiers: [{ stat: 'baseDamage', op: 'add', value: 2 }]
+    },
+    catnip: {
+        name: 'Catnip', description: '+20% move speed for 60s', type: 'buff',
+        price: 10, stock: 1, duration: 60,
+        modifiers: [{ stat: 'moveSpeed', op: 'multiply', value: 1.2 }]
+    },
+    lucky_dice: {
+        name: 'Lucky Dice', description: 'Reroll the choices of a level-up draft', type: 'reroll',
+        price: 12, stock: 2, amount: 1
+    }
+};
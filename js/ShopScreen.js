@@ -0,0 +1,135 @@
+/**
+ * ShopScreen - Between-rounds panel selling heals, buffs and draft rerolls for crystals
+ * Offers that can't be bought are greyed out with the reason. Shop drives it through setPanel.
+ */
+class ShopScreen {
+    constructor() {
+        this.container = null;
+        this.balanceText = null;
+        this.offerList = null;
+        this.rerollText = null;
+        this.isVisible = false;
+
+        // Callbacks (wired by Shop)
+        this.onBuy = null; // (offer id)
+        this.onClose = null;
+
+        this.initializeUI();
+    }
+
+    /**
+     * Create the panel and its key handling
+     */
+    initializeUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'shop-screen';
+        this.container.style.display = 'none';
+        this.container.innerHTML = `
+            <div id="shop-panel">
+                <div id="shop-header">
+                    <div id="shop-title">SHOP</div>
+                    <div id="shop-balance"><img src="assets/images/crystal.png" alt=""><span id="shop-balance-value">0</span></div>
+                </div>
+                <div id="shop-offers"></div>
+                <div id="shop-rerolls"></div>
+                <div id="shop-hint">Stock refills after every round. T or Esc to close.</div>
+            </div>
+        `;
+
+        // Add to UI overlay
+        const uiOverlay = document.getElementById('ui-overlay');
+        if (uiOverlay) {
+            uiOverlay.appendChild(this.container);
+        }
+
+        this.balanceText = this.container.querySelector('#shop-balance-value');
+        this.offerList = this.container.querySelector('#shop-offers');
+        this.rerollText = this.container.querySelector('#shop-rerolls');
+
+        // Capture on window so the closing key doesn't also reach the game's handlers
+        window.addEventListener('keydown', (event) => {
+            if (!this.isVisible || event.repeat) return;
+
+            if (event.code === 'KeyT' || event.code === 'Escape') {
+                event.stopImmediatePropagation();
+                if (this.onClose) {
+                    this.onClose();
+                }
+            }
+        }, true);
+    }
+
+    /**
+     * Set the callback for buying an offer
+     */
+    setOnBuy(callback) {
+        this.onBuy = callback;
+    }
+
+    /**
+     * Set the callback for closing the panel
+     */
+    setOnClose(callback) {
+        this.onClose = callback;
+    }
+
+    /**
+     * Show the panel
+     * @param {Object} state - See Shop.getPanelState
+     */
+    show(state) {
+        this.render(state);
+
+        this.container.style.display = 'flex';
+
+        // Force reflow so the fade-in transition runs
+        void this.container.offsetWidth;
+        this.container.classList.add('show');
+        this.isVisible = true;
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        // A focused offer button would otherwise take the next Space press
+        if (this.container.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+        this.container.classList.remove('show');
+        this.container.style.display = 'none';
+        this.isVisible = false;
+    }
+
+    /**
+     * Redraw the balance and offers
+     */
+    render(state) {
+        this.balanceText.textContent = state.crystals;
+        this.rerollText.textContent = state.rerolls > 0 ? `Draft rerolls: ${state.rerolls}` : '';
+
+        this.offerList.innerHTML = '';
+        state.offers.forEach(offer => {
+            const card = document.createElement('button');
+            card.className = 'shop-offer';
+            card.disabled = !!offer.blockReason;
+            card.title = offer.blockReason || '';
+
+            const active = offer.buffTimeLeft > 0 ? ` <span class="shop-offer-active">${Math.ceil(offer.buffTimeLeft)}s left</span>` : '';
+            card.innerHTML = `
+                <div class="shop-offer-name">${offer.name}${active}</div>
+                <div class="shop-offer-description">${offer.description}</div>
+                <div class="shop-offer-footer">
+                    <span class="shop-offer-price"><img src="assets/images/crystal.png" alt="">${offer.price}</span>
+                    <span class="shop-offer-stock">${offer.stock > 0 ? `${offer.stock} left` : 'Sold out'}</span>
+                </div>
+            `;
+            card.addEventListener('click', () => {
+                if (this.onBuy) {
+                    this.onBuy(offer.id);
+                }
+            });
+            this.offerList.appendChild(card);
+        });
+    }
+}
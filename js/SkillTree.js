@@ -0,0 +1,470 @@
+/**
+ * SkillTree - Skill registry, unlocks bought with XPSystem skill points, and the rebindable hotbar
+ * Actives are triggered from hotbar slots (each slot has a key and at most one skill); passives
+ * apply as soon as they're unlocked, either through the shared ModifierStack or an on/off hook.
+ * The starting skills are always unlocked and the rest need their required skills first.
+ */
+class SkillTree {
+    constructor(combatSystem, playerController, xpSystem, modifiers) {
+        this.combatSystem = combatSystem;
+        this.playerController = playerController;
+        this.xpSystem = xpSystem; // Earns and holds the skill points
+        this.modifiers = modifiers; // Shared with the upgrade system (passive stat bonuses)
+
+        this.unlocked = new Set();
+        this.hotbar = SkillTree.DEFAULT_HOTBAR.map(slot => ({ key: slot.key, skillId: slot.skillId }));
+
+        this.aimProvider = null; // Ground point under the cursor for aimed skills (null without one)
+        this.skillUI = null; // Hotbar icons (none when running headless)
+        this.screen = null; // Skill tree panel (none when running headless)
+        this.onScreenChange = null; // Called with true/false as the panel opens and closes
+
+        this.defineStats();
+        this.unlockStartingSkills();
+    }
+
+    /**
+     * Register the fields passives modify that the upgrade system doesn't
+     */
+    defineStats() {
+        this.modifiers.defineStat('projectilePierce', this.combatSystem.projectileSkill, 'pierce', { min: 0, integer: true });
+    }
+
+    /**
+     * Unlock the skills every character starts with
+     */
+    unlockStartingSkills() {
+        Object.keys(SkillTree.SKILLS).forEach(id => {
+            if (SkillTree.SKILLS[id].starting) {
+                this.unlocked.add(id);
+            }
+        });
+    }
+
+    /**
+     * Set the provider of the aim point (cursor on the ground) for aimed skills
+     */
+    setAimProvider(callback) {
+        this.aimProvider = callback;
+    }
+
+    /**
+     * Get the aim point (null to use the facing direction)
+     */
+    getAimPoint() {
+        return this.aimProvider ? this.aimProvider() : null;
+    }
+
+    /**
+     * Set the hotbar icons
+     */
+    setSkillUI(skillUI) {
+        this.skillUI = skillUI;
+        this.skillUI.setHotbar(this.getHotbar());
+    }
+
+    /**
+     * Set the skill tree panel
+     */
+    setScreen(screen) {
+        this.screen = screen;
+        this.screen.setOnUnlock(id => this.unlock(id));
+        this.screen.setOnAssign((index, skillId) => this.assignSlot(index, skillId));
+        this.screen.setOnRebind((index, code) => this.bindKey(index, code));
+        this.screen.setOnClose(() => this.closeScreen());
+    }
+
+    /**
+     * Set the callback for the panel opening and closing (the game pauses while it's open)
+     */
+    setOnScreenChange(callback) {
+        this.onScreenChange = callback;
+    }
+
+    /**
+     * Open the skill tree panel
+     */
+    openScreen() {
+        if (!this.screen || this.screen.isVisible) return;
+
+        this.screen.show(this.getScreenState());
+        if (this.onScreenChange) {
+            this.onScreenChange(true);
+        }
+    }
+
+    /**
+     * Close the skill tree panel
+     */
+    closeScreen() {
+        if (!this.screen || !this.screen.isVisible) return;
+
+        this.screen.hide();
+        if (this.onScreenChange) {
+            this.onScreenChange(false);
+        }
+    }
+
+    /**
+     * Redraw the hotbar and the open panel (after unlocks, rebinds or skill points changing)
+     */
+    refresh() {
+        if (this.skillUI) {
+            this.skillUI.setHotbar(this.getHotbar());
+        }
+        if (this.screen && this.screen.isVisible) {
+            this.screen.render(this.getScreenState());
+        }
+    }
+
+    /**
+     * Check if a skill is unlocked
+     */
+    isUnlocked(id) {
+        return this.unlocked.has(id);
+    }
+
+    /**
+     * Names of the required skills that aren't unlocked yet
+     */
+    getMissingRequirements(id) {
+        return (SkillTree.SKILLS[id].requires || [])
+            .filter(required => !this.unlocked.has(required))
+            .map(required => SkillTree.SKILLS[required].name);
+    }
+
+    /**
+     * Check if a skill can be bought now (requirements met and enough points)
+     */
+    canUnlock(id) {
+        const skill = SkillTree.SKILLS[id];
+        return !!skill && !this.unlocked.has(id) &&
+            this.getMissingRequirements(id).length === 0 &&
+            this.xpSystem.skillPoints >= skill.cost;
+    }
+
+    /**
+     * Spend skill points on a skill; a new active goes into the first empty hotbar slot
+     * @returns {boolean} True if it was unlocked
+     */
+    unlock(id) {
+        if (!this.canUnlock(id) || !this.xpSystem.spendSkillPoints(SkillTree.SKILLS[id].cost)) {
+            return false;
+        }
+
+        this.grant(id);
+        console.log(`Unlocked skill: ${SkillTree.SKILLS[id].name}`);
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Unlock a skill without spending points (loading a save)
+     */
+    grant(id) {
+        const skill = SkillTree.SKILLS[id];
+        if (!skill || this.unlocked.has(id)) return;
+
+        this.unlocked.add(id);
+        if (skill.type === 'passive') {
+            if (skill.modifiers) {
+                this.modifiers.add(`skill:${id}`, skill.modifiers);
+            }
+            if (skill.onUnlock) {
+                skill.onUnlock(this);
+            }
+        } else if (!this.hotbar.some(slot => slot.skillId === id)) {
+            const emptySlot = this.hotbar.find(slot => !slot.skillId);
+            if (emptySlot) {
+                emptySlot.skillId = id;
+            }
+        }
+    }
+
+    /**
+     * Lock a skill again, undoing its passive and clearing it from the hotbar (no refund)
+     */
+    revoke(id) {
+        const skill = SkillTree.SKILLS[id];
+        if (!skill || !this.unlocked.has(id)) return;
+
+        this.unlocked.delete(id);
+        this.modifiers.removeSource(`skill:${id}`);
+        if (skill.onLock) {
+            skill.onLock(this);
+        }
+        this.hotbar.forEach(slot => {
+            if (slot.skillId === id) {
+                slot.skillId = null;
+            }
+        });
+    }
+
+    /**
+     * Use an active skill (false if it's locked, on cooldown or the player can't act)
+     */
+    activate(id) {
+        const skill = SkillTree.SKILLS[id];
+        if (!skill || skill.type !== 'active' || !this.unlocked.has(id)) return false;
+        if (this.playerController.isInputEnabled && !this.playerController.isInputEnabled()) return false;
+
+        return skill.activate(this) || false;
+    }
+
+    /**
+     * Cooldown progress of a skill (0 = just used, 1 = ready)
+     */
+    getCooldownProgress(id) {
+        const skill = SkillTree.SKILLS[id];
+        return skill && skill.cooldown ? skill.cooldown(this) : 1;
+    }
+
+    /**
+     * Trigger the skill bound to a key
+     * @returns {boolean} True if the key belongs to a hotbar slot with a skill
+     */
+    handleKeyDown(event) {
+        // Multiplayer doesn't pause for the panel, but its keys shouldn't fire skills
+        if (this.screen && this.screen.isVisible) return false;
+
+        const slot = this.findSlotByKey(event.code);
+        if (!slot || !slot.skillId) return false;
+
+        event.preventDefault(); // Space would scroll the page
+        if (!event.repeat) {
+            this.activate(slot.skillId);
+        }
+        return true;
+    }
+
+    /**
+     * Hotbar slot bound to a key (null if none)
+     */
+    findSlotByKey(code) {
+        const key = SkillTree.KEY_ALIASES[code] || code;
+        return this.hotbar.find(slot => slot.key === key) || null;
+    }
+
+    /**
+     * Put an unlocked active in a slot (null empties it); a skill already on the hotbar swaps places
+     * @returns {boolean} True if the slot changed
+     */
+    assignSlot(index, skillId) {
+        const slot = this.hotbar[index];
+        if (!slot) return false;
+
+        if (skillId !== null) {
+            const skill = SkillTree.SKILLS[skillId];
+            if (!skill || skill.type !== 'active' || !this.unlocked.has(skillId)) return false;
+
+            const current = this.hotbar.find(other => other.skillId === skillId);
+            if (current) {
+                current.skillId = slot.skillId;
+            }
+        }
+
+        slot.skillId = skillId;
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Bind a key to a slot; a key already in use swaps with the slot's old key
+     * @returns {boolean} False for reserved keys (movement, block, menus)
+     */
+    bindKey(index, code) {
+        const slot = this.hotbar[index];
+        const key = SkillTree.KEY_ALIASES[code] || code;
+        if (!slot || SkillTree.RESERVED_KEYS.includes(key)) return false;
+
+        const current = this.findSlotByKey(key);
+        if (current) {
+            current.key = slot.key;
+        }
+        slot.key = key;
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Hotbar slots with their skill's display info
+     * @returns {Array<{key: string, keyLabel: string, skillId: string|null, name: string, icon: string, pixelated: boolean}>}
+     */
+    getHotbar() {
+        return this.hotbar.map(slot => {
+            const skill = slot.skillId ? SkillTree.SKILLS[slot.skillId] : null;
+            return {
+                key: slot.key,
+                keyLabel: SkillTree.getKeyLabel(slot.key),
+                skillId: slot.skillId,
+                name: skill ? skill.name : null,
+                icon: skill ? skill.icon : null,
+                pixelated: skill ? !!skill.pixelated : false
+            };
+        });
+    }
+
+    /**
+     * Everything the panel shows
+     */
+    getScreenState() {
+        return {
+            points: this.xpSystem.skillPoints,
+            skills: Object.keys(SkillTree.SKILLS).map(id => {
+                const skill = SkillTree.SKILLS[id];
+                return {
+                    id: id,
+                    name: skill.name,
+                    type: skill.type,
+                    description: skill.description,
+                    icon: skill.icon,
+                    cost: skill.cost,
+                    unlocked: this.unlocked.has(id),
+                    canUnlock: this.canUnlock(id),
+                    missing: this.getMissingRequirements(id)
+                };
+            }),
+            hotbar: this.getHotbar(),
+            actives: Object.keys(SkillTree.SKILLS)
+                .filter(id => SkillTree.SKILLS[id].type === 'active' && this.unlocked.has(id))
+                .map(id => ({ id: id, name: SkillTree.SKILLS[id].name }))
+        };
+    }
+
+    /**
+     * Unlocked skills and the hotbar as plain data
+     */
+    serialize() {
+        return {
+            unlocked: Array.from(this.unlocked).filter(id => !SkillTree.SKILLS[id].starting),
+            hotbar: this.hotbar.map(slot => ({ key: slot.key, skillId: slot.skillId }))
+        };
+    }
+
+    /**
+     * Restore serialize() data (unknown skills and keys are skipped)
+     */
+    deserialize(data) {
+        this.reset();
+        if (!data) return;
+
+        (data.unlocked || []).forEach(id => this.grant(id));
+        (data.hotbar || []).forEach((saved, index) => {
+            const slot = this.hotbar[index];
+            if (!slot) return;
+
+            if (typeof saved.key === 'string' && !SkillTree.RESERVED_KEYS.includes(saved.key)) {
+                slot.key = saved.key;
+            }
+            const skill = SkillTree.SKILLS[saved.skillId];
+            slot.skillId = skill && skill.type === 'active' && this.unlocked.has(saved.skillId) ? saved.skillId : null;
+        });
+        this.refresh();
+    }
+
+    /**
+     * Lock everything but the starting skills and restore the default hotbar (new run)
+     */
+    reset() {
+        Array.from(this.unlocked).forEach(id => {
+            if (!SkillTree.SKILLS[id].starting) {
+                this.revoke(id);
+            }
+        });
+        this.hotbar = SkillTree.DEFAULT_HOTBAR.map(slot => ({ key: slot.key, skillId: slot.skillId }));
+        this.refresh();
+    }
+
+    /**
+     * Short label for a key code ('KeyQ' -> 'Q', 'ShiftLeft' -> 'SHIFT')
+     */
+    static getKeyLabel(code) {
+        if (!code) return '';
+        return code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'NUM ').replace(/(Left|Right)$/, '').toUpperCase();
+    }
+}
+
+// type 'active' skills go on the hotbar (activate/cooldown get the tree); 'passive' ones apply
+// modifiers on the shared stack and/or run onUnlock/onLock. requires lists skill ids
+SkillTree.SKILLS = {
+    attack: {
+        name: 'Attack', type: 'active', cost: 0, starting: true,
+        icon: 'assets/images/icon_attack.png',
+        description: 'Slash, Cross Slash and a launching Finisher',
+        activate: tree => tree.playerController.triggerAttack(),
+        cooldown: tree => tree.combatSystem.getAttackCooldownProgress()
+    },
+    dash: {
+        name: 'Dash', type: 'active', cost: 0, starting: true,
+        icon: 'assets/images/icon_dash.png',
+        description: 'Quick dash with invulnerability frames',
+        activate: tree => tree.playerController.triggerDash(),
+        cooldown: tree => tree.playerController.getDashCooldownProgress()
+    },
+    lightning: {
+        name: 'Lightning Strike', type: 'active', cost: 0, starting: true,
+        icon: 'assets/images/icon_lightning.png',
+        description: 'Chain lightning that shocks and stuns',
+        activate: tree => tree.combatSystem.triggerLightningStrike(),
+        cooldown: tree => tree.combatSystem.getLightningStrikeCooldownProgress()
+    },
+    fire_bolt: {
+        name: 'Fire Bolt', type: 'active', cost: 0, starting: true,
+        icon: 'assets/images/icon_firebolt.png', pixelated: true,
+        description: 'Burning fireball shot at the cursor',
+        activate: tree => tree.combatSystem.triggerProjectile(tree.getAimPoint()),
+        cooldown: tree => tree.combatSystem.getProjectileCooldownProgress()
+    },
+    whirlwind: {
+        name: 'Whirlwind', type: 'active', cost: 1, requires: ['attack'],
+        icon: 'assets/images/icon_whirlwind.png',
+        description: 'Spin, hitting everything around you',
+        activate: tree => tree.combatSystem.triggerWhirlwind(),
+        cooldown: tree => tree.combatSystem.getWhirlwindCooldownProgress()
+    },
+    frost_nova: {
+        name: 'Frost Nova', type: 'active', cost: 2, requires: ['lightning'],
+        icon: 'assets/images/icon_frost_nova.png',
+        description: 'Slow every nearby enemy for 3 seconds',
+        activate: tree => tree.combatSystem.triggerFrostNova(),
+        cooldown: tree => tree.combatSystem.getFrostNovaCooldownProgress()
+    },
+    dash_strike: {
+        name: 'Dash Strike', type: 'passive', cost: 1, requires: ['dash'],
+        icon: 'assets/images/icon_dash.png',
+        description: 'Dashing through enemies damages them',
+        onUnlock: tree => tree.combatSystem.setDashStrikeEnabled(true),
+        onLock: tree => tree.combatSystem.setDashStrikeEnabled(false)
+    },
+    piercing_bolts: {
+        name: 'Piercing Bolts', type: 'passive', cost: 1, requires: ['fire_bolt'],
+        icon: 'assets/images/icon_firebolt.png',
+        description: 'Fire bolts pass through 2 more enemies',
+        modifiers: [{ stat: 'projectilePierce', op: 'add', value: 2 }]
+    },
+    thick_fur: {
+        name: 'Thick Fur', type: 'passive', cost: 2, requires: ['dash_strike'],
+        icon: 'assets/images/heart_filled.png',
+        description: '+1 max heart',
+        modifiers: [{ stat: 'maxHealth', op: 'add', value: 1 }]
+    }
+};
+
+SkillTree.DEFAULT_HOTBAR = [
+    { key: 'Space', skillId: 'attack' },
+    { key: 'ShiftLeft', skillId: 'dash' },
+    { key: 'KeyQ', skillId: 'lightning' },
+    { key: 'KeyF', skillId: 'fire_bolt' },
+    { key: 'KeyR', skillId: null },
+    { key: 'KeyG', skillId: null }
+];
+
+// Either shift key dashes by default
+SkillTree.KEY_ALIASES = { ShiftRight: 'ShiftLeft' };
+
+// Movement, block, debug and menu keys (and the upgrade draft's number keys) can't be bound
+SkillTree.RESERVED_KEYS = [
+    'KeyW', 'KeyA', 'KeyS', 'KeyD', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+    'KeyB', 'KeyC', 'KeyE', 'KeyH', 'KeyI', 'KeyK', 'KeyP', 'KeyT', 'Escape',
+    'Digit1', 'Digit2', 'Digit3', 'Numpad1', 'Numpad2', 'Numpad3'
+];
@@ -0,0 +1,259 @@
+/**
+ * SkillTreeScreen - Panel for unlocking skills and setting up the hotbar
+ * Shows every skill with its cost and requirements, and one row per hotbar slot where the slot's
+ * skill is picked from the unlocked actives and its key is rebound by clicking it and pressing a
+ * new key. SkillTree drives it through setScreen.
+ */
+class SkillTreeScreen {
+    constructor() {
+        this.container = null;
+        this.pointsText = null;
+        this.skillList = null;
+        this.hotbarList = null;
+        this.messageText = null;
+        this.isVisible = false;
+        this.rebindingSlot = null; // Slot index waiting for a key press (null when not rebinding)
+
+        // Callbacks (wired by SkillTree)
+        this.onUnlock = null; // (skillId)
+        this.onAssign = null; // (slotIndex, skillId or null)
+        this.onRebind = null; // (slotIndex, key code) -> false if the key can't be bound
+        this.onClose = null;
+
+        this.initializeUI();
+    }
+
+    /**
+     * Create the panel and its key handling
+     */
+    initializeUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'skill-tree-screen';
+        this.container.style.display = 'none';
+        this.container.innerHTML = `
+            <div id="skill-tree-panel">
+                <div id="skill-tree-header">
+                    <div id="skill-tree-title">SKILLS</div>
+                    <div id="skill-tree-points">0 skill points</div>
+                </div>
+                <div id="skill-tree-skills"></div>
+                <div class="skill-tree-section-title">Hotbar</div>
+                <div id="skill-tree-hotbar"></div>
+                <div id="skill-tree-message"></div>
+                <div id="skill-tree-hint">Earn a skill point every level. Click a key to rebind it. K or Esc to close.</div>
+            </div>
+        `;
+
+        // Add to UI overlay
+        const uiOverlay = document.getElementById('ui-overlay');
+        if (uiOverlay) {
+            uiOverlay.appendChild(this.container);
+        }
+
+        this.pointsText = this.container.querySelector('#skill-tree-points');
+        this.skillList = this.container.querySelector('#skill-tree-skills');
+        this.hotbarList = this.container.querySelector('#skill-tree-hotbar');
+        this.messageText = this.container.querySelector('#skill-tree-message');
+
+        // Capture on window so a key pressed to rebind doesn't also reach the game's handlers
+        window.addEventListener('keydown', (event) => this.handleKeyDown(event), true);
+    }
+
+    /**
+     * Rebind with the pressed key, or close on K/Esc
+     */
+    handleKeyDown(event) {
+        if (!this.isVisible) return;
+
+        if (this.rebindingSlot !== null) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+
+            const index = this.rebindingSlot;
+            this.rebindingSlot = null;
+            if (event.code === 'Escape') {
+                this.setMessage('');
+            } else if (this.onRebind && !this.onRebind(index, event.code)) {
+                this.setMessage(`${SkillTree.getKeyLabel(event.code)} is reserved - pick another key`);
+            } else {
+                this.setMessage('');
+            }
+            this.refreshRebindButtons();
+            return;
+        }
+
+        if ((event.code === 'KeyK' || event.code === 'Escape') && !event.repeat) {
+            event.stopImmediatePropagation();
+            if (this.onClose) {
+                this.onClose();
+            }
+        }
+    }
+
+    /**
+     * Set the callback for unlocking a skill
+     */
+    setOnUnlock(callback) {
+        this.onUnlock = callback;
+    }
+
+    /**
+     * Set the callback for putting a skill in a hotbar slot
+     */
+    setOnAssign(callback) {
+        this.onAssign = callback;
+    }
+
+    /**
+     * Set the callback for binding a key to a hotbar slot
+     */
+    setOnRebind(callback) {
+        this.onRebind = callback;
+    }
+
+    /**
+     * Set the callback for closing the panel
+     */
+    setOnClose(callback) {
+        this.onClose = callback;
+    }
+
+    /**
+     * Show the panel
+     * @param {Object} state - See SkillTree.getScreenState
+     */
+    show(state) {
+        this.rebindingSlot = null;
+        this.setMessage('');
+        this.render(state);
+
+        this.container.style.display = 'flex';
+
+        // Force reflow so the fade-in transition runs
+        void this.container.offsetWidth;
+        this.container.classList.add('show');
+        this.isVisible = true;
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        this.rebindingSlot = null;
+
+        // A focused button or picker would otherwise take the next Space press
+        if (this.container.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+        this.container.classList.remove('show');
+        this.container.style.display = 'none';
+        this.isVisible = false;
+    }
+
+    /**
+     * Redraw skills, points and hotbar
+     */
+    render(state) {
+        this.pointsText.textContent = `${state.points} skill point${state.points === 1 ? '' : 's'}`;
+        this.renderSkills(state.skills);
+        this.renderHotbar(state.hotbar, state.actives);
+    }
+
+    /**
+     * One card per skill: unlocked, unlockable (button) or locked (what it still needs)
+     */
+    renderSkills(skills) {
+        this.skillList.innerHTML = '';
+
+        skills.forEach(skill => {
+            const card = document.createElement('div');
+            card.className = `skill-tree-card ${skill.type}`;
+            card.classList.toggle('unlocked', skill.unlocked);
+            card.innerHTML = `
+                <img src="${skill.icon}" alt="">
+                <div class="skill-tree-card-name">${skill.name}</div>
+                <div class="skill-tree-card-type">${skill.type === 'active' ? 'Active' : 'Passive'}</div>
+                <div class="skill-tree-card-description">${skill.description}</div>
+            `;
+
+            const status = document.createElement('div');
+            status.className = 'skill-tree-card-status';
+            if (skill.unlocked) {
+                status.textContent = 'Unlocked';
+            } else if (skill.canUnlock) {
+                const button = document.createElement('button');
+                button.className = 'skill-tree-unlock';
+                button.textContent = `Unlock (${skill.cost})`;
+                button.addEventListener('click', () => {
+                    if (this.onUnlock) {
+                        this.onUnlock(skill.id);
+                    }
+                });
+                status.appendChild(button);
+            } else if (skill.missing.length > 0) {
+                status.textContent = `Needs ${skill.missing.join(', ')}`;
+            } else {
+                status.textContent = `${skill.cost} point${skill.cost === 1 ? '' : 's'}`;
+            }
+            card.appendChild(status);
+
+            this.skillList.appendChild(card);
+        });
+    }
+
+    /**
+     * One row per hotbar slot: key button and skill picker
+     */
+    renderHotbar(hotbar, actives) {
+        this.hotbarList.innerHTML = '';
+
+        hotbar.forEach((slot, index) => {
+            const row = document.createElement('div');
+            row.className = 'skill-tree-slot';
+
+            const keyButton = document.createElement('button');
+            keyButton.className = 'skill-tree-key';
+            keyButton.dataset.label = slot.keyLabel;
+            keyButton.textContent = slot.keyLabel;
+            keyButton.addEventListener('click', () => {
+                this.rebindingSlot = index;
+                this.setMessage(`Press a key for slot ${index + 1} (Esc to cancel)`);
+                this.refreshRebindButtons();
+            });
+
+            const picker = document.createElement('select');
+            picker.className = 'skill-tree-picker';
+            picker.innerHTML = '<option value="">Empty</option>' + actives
+                .map(active => `<option value="${active.id}">${active.name}</option>`)
+                .join('');
+            picker.value = slot.skillId || '';
+            picker.addEventListener('change', () => {
+                if (this.onAssign) {
+                    this.onAssign(index, picker.value || null);
+                }
+            });
+
+            row.appendChild(keyButton);
+            row.appendChild(picker);
+            this.hotbarList.appendChild(row);
+        });
+    }
+
+    /**
+     * Mark the key button waiting for a key press
+     */
+    refreshRebindButtons() {
+        Array.from(this.hotbarList.querySelectorAll('.skill-tree-key')).forEach((button, index) => {
+            const waiting = index === this.rebindingSlot;
+            button.classList.toggle('waiting', waiting);
+            button.textContent = waiting ? '...' : button.dataset.label;
+        });
+    }
+
+    /**
+     * Show a line under the hotbar (empty clears it)
+     */
+    setMessage(text) {
+        this.messageText.textContent = text;
+    }
+}
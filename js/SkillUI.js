@@ -1,166 +1,131 @@
 /**
- * SkillUI - Manages skill icon displays and cooldown indicators
+ * SkillUI - Hotbar skill icons with cooldown indicators
+ * Icons are built from the skill tree's hotbar slots (skill icon and bound key) and rebuilt
+ * whenever skills are unlocked, assigned or rebound.
  */
 class SkillUI {
     constructor() {
-        this.attackIcon = document.getElementById('attack-icon');
-        this.dashIcon = document.getElementById('dash-icon');
-        this.lightningIcon = document.getElementById('lightning-icon');
-        this.attackOverlay = this.attackIcon?.querySelector('.cooldown-overlay');
-        this.dashOverlay = this.dashIcon?.querySelector('.cooldown-overlay');
-        this.lightningOverlay = this.lightningIcon?.querySelector('.cooldown-overlay');
+        this.container = document.getElementById('skill-icons');
+        this.slots = []; // { skillId, icon, overlay, keyIndicator, previousProgress } for each filled slot
         
-        // Get key indicators
-        this.attackKeyIndicator = this.attackIcon?.querySelector('.key-indicator');
-        this.dashKeyIndicator = this.dashIcon?.querySelector('.key-indicator');
-        this.lightningKeyIndicator = this.lightningIcon?.querySelector('.key-indicator');
-        
-        // Initialize icons as ready
-        this.attackIcon?.classList.add('ready');
-        this.dashIcon?.classList.add('ready');
-        this.lightningIcon?.classList.add('ready');
-        
-        // Track previous states to prevent unnecessary updates
-        this.previousAttackProgress = -1;
-        this.previousDashProgress = -1;
-        this.previousLightningProgress = -1;
+        // Combo step pips on the attack icon (built once the step count is known)
+        this.comboPips = null;
+        this.previousComboStep = -1;
     }
     
     /**
-     * Update attack cooldown display
-     * @param {number} cooldownProgress - Progress from 0 (on cooldown) to 1 (ready)
+     * Rebuild the icons from hotbar slots (empty slots get no icon)
+     * @param {Array<Object>} hotbar - { skillId, keyLabel, name, icon, pixelated } (see SkillTree.getHotbar)
      */
-    updateAttackCooldown(cooldownProgress) {
-        if (!this.attackIcon || !this.attackOverlay) return;
-        
-        // Clamp progress between 0 and 1
-        cooldownProgress = Math.max(0, Math.min(1, cooldownProgress));
-        
-        // Only update if changed significantly (prevent flashing)
-        if (Math.abs(cooldownProgress - this.previousAttackProgress) < 0.01 && cooldownProgress < 1) {
-            return;
-        }
+    setHotbar(hotbar) {
+        if (!this.container) return;
         
-        this.previousAttackProgress = cooldownProgress;
+        this.container.innerHTML = '';
+        this.slots = [];
+        this.comboPips = null;
+        this.previousComboStep = -1;
         
-        if (cooldownProgress >= 0.99) {
-            // Skill is ready
-            if (!this.attackIcon.classList.contains('ready')) {
-                // Trigger pulse animation by removing and re-adding the class
-                this.attackIcon.classList.remove('ready');
-                void this.attackIcon.offsetWidth; // Force reflow
-                this.attackIcon.classList.add('ready');
-            }
-            this.attackOverlay.style.setProperty('--progress', '360deg');
+        hotbar.forEach(slot => {
+            if (!slot.skillId) return;
             
-            // Fade key indicator back to full opacity
-            if (this.attackKeyIndicator) {
-                this.attackKeyIndicator.classList.remove('cooldown');
-            }
-        } else {
-            // Skill is on cooldown
-            this.attackIcon.classList.remove('ready');
-            
-            // Calculate angle (0 to 360 degrees)
-            const angle = cooldownProgress * 360;
-            this.attackOverlay.style.setProperty('--progress', `${angle}deg`);
+            const icon = document.createElement('div');
+            icon.className = 'skill-icon ready';
+            icon.id = `${slot.skillId.replace(/_/g, '-')}-icon`;
+            icon.classList.toggle('pixelated', slot.pixelated);
+            icon.innerHTML = `
+                <div class="key-indicator">${slot.keyLabel}</div>
+                <div class="skill-background"></div>
+                <img src="${slot.icon}" alt="${slot.name}">
+                <div class="cooldown-overlay" style="--progress: 360deg;"></div>
+            `;
+            this.container.appendChild(icon);
             
-            // Fade key indicator to reduced opacity
-            if (this.attackKeyIndicator) {
-                this.attackKeyIndicator.classList.add('cooldown');
-            }
-        }
+            this.slots.push({
+                skillId: slot.skillId,
+                icon: icon,
+                overlay: icon.querySelector('.cooldown-overlay'),
+                keyIndicator: icon.querySelector('.key-indicator'),
+                previousProgress: -1
+            });
+        });
+    }
+    
+    /**
+     * Update every icon's cooldown display
+     * @param {Function} getProgress - Cooldown progress of a skill id, from 0 (on cooldown) to 1 (ready)
+     */
+    updateCooldowns(getProgress) {
+        this.slots.forEach(slot => this.updateSlotCooldown(slot, getProgress(slot.skillId)));
     }
     
     /**
-     * Update dash cooldown display
+     * Update one icon's cooldown display
      * @param {number} cooldownProgress - Progress from 0 (on cooldown) to 1 (ready)
      */
-    updateDashCooldown(cooldownProgress) {
-        if (!this.dashIcon || !this.dashOverlay) return;
-        
+    updateSlotCooldown(slot, cooldownProgress) {
         // Clamp progress between 0 and 1
         cooldownProgress = Math.max(0, Math.min(1, cooldownProgress));
         
         // Only update if changed significantly (prevent flashing)
-        if (Math.abs(cooldownProgress - this.previousDashProgress) < 0.01 && cooldownProgress < 1) {
+        if (Math.abs(cooldownProgress - slot.previousProgress) < 0.01 && cooldownProgress < 1) {
             return;
         }
         
-        this.previousDashProgress = cooldownProgress;
+        slot.previousProgress = cooldownProgress;
         
         if (cooldownProgress >= 0.99) {
             // Skill is ready
-            if (!this.dashIcon.classList.contains('ready')) {
+            if (!slot.icon.classList.contains('ready')) {
                 // Trigger pulse animation by removing and re-adding the class
-                this.dashIcon.classList.remove('ready');
-                void this.dashIcon.offsetWidth; // Force reflow
-                this.dashIcon.classList.add('ready');
+                slot.icon.classList.remove('ready');
+                void slot.icon.offsetWidth; // Force reflow
+                slot.icon.classList.add('ready');
             }
-            this.dashOverlay.style.setProperty('--progress', '360deg');
+            slot.overlay.style.setProperty('--progress', '360deg');
             
             // Fade key indicator back to full opacity
-            if (this.dashKeyIndicator) {
-                this.dashKeyIndicator.classList.remove('cooldown');
-            }
+            slot.keyIndicator.classList.remove('cooldown');
         } else {
             // Skill is on cooldown
-            this.dashIcon.classList.remove('ready');
+            slot.icon.classList.remove('ready');
             
             // Calculate angle (0 to 360 degrees)
             const angle = cooldownProgress * 360;
-            this.dashOverlay.style.setProperty('--progress', `${angle}deg`);
+            slot.overlay.style.setProperty('--progress', `${angle}deg`);
             
             // Fade key indicator to reduced opacity
-            if (this.dashKeyIndicator) {
-                this.dashKeyIndicator.classList.add('cooldown');
-            }
+            slot.keyIndicator.classList.add('cooldown');
         }
     }
     
     /**
-     * Update lightning strike cooldown display
-     * @param {number} cooldownProgress - Progress from 0 (on cooldown) to 1 (ready)
+     * Update the combo step pips on the attack icon (if attack is on the hotbar)
+     * @param {number} stepIndex - Index of the next swing (0 = combo not started)
+     * @param {number} stepCount - Number of swings in the full chain
      */
-    updateLightningStrikeCooldown(cooldownProgress) {
-        if (!this.lightningIcon || !this.lightningOverlay) return;
-        
-        // Clamp progress between 0 and 1
-        cooldownProgress = Math.max(0, Math.min(1, cooldownProgress));
+    updateAttackCombo(stepIndex, stepCount) {
+        const attackSlot = this.slots.find(slot => slot.skillId === 'attack');
+        if (!attackSlot) return;
         
-        // Only update if changed significantly (prevent flashing)
-        if (Math.abs(cooldownProgress - this.previousLightningProgress) < 0.01 && cooldownProgress < 1) {
-            return;
+        const attackIcon = attackSlot.icon;
+        if (!this.comboPips) {
+            this.comboPips = document.createElement('div');
+            this.comboPips.className = 'combo-pips';
+            for (let i = 0; i < stepCount; i++) {
+                const pip = document.createElement('div');
+                pip.className = 'combo-pip';
+                this.comboPips.appendChild(pip);
+            }
+            attackIcon.appendChild(this.comboPips);
         }
         
-        this.previousLightningProgress = cooldownProgress;
+        if (stepIndex === this.previousComboStep) return;
+        this.previousComboStep = stepIndex;
         
-        if (cooldownProgress >= 0.99) {
-            // Skill is ready
-            if (!this.lightningIcon.classList.contains('ready')) {
-                // Trigger pulse animation by removing and re-adding the class
-                this.lightningIcon.classList.remove('ready');
-                void this.lightningIcon.offsetWidth; // Force reflow
-                this.lightningIcon.classList.add('ready');
-            }
-            this.lightningOverlay.style.setProperty('--progress', '360deg');
-            
-            // Fade key indicator back to full opacity
-            if (this.lightningKeyIndicator) {
-                this.lightningKeyIndicator.classList.remove('cooldown');
-            }
-        } else {
-            // Skill is on cooldown
-            this.lightningIcon.classList.remove('ready');
-            
-            // Calculate angle (0 to 360 degrees)
-            const angle = cooldownProgress * 360;
-            this.lightningOverlay.style.setProperty('--progress', `${angle}deg`);
-            
-            // Fade key indicator to reduced opacity
-            if (this.lightningKeyIndicator) {
-                this.lightningKeyIndicator.classList.add('cooldown');
-            }
-        }
+        // Light one pip per landed swing; the icon flares when the finisher is next
+        Array.from(this.comboPips.children).forEach((pip, index) => {
+            pip.classList.toggle('active', index < stepIndex);
+        });
+        attackIcon.classList.toggle('finisher', stepIndex === stepCount - 1);
     }
-} 
\ No newline at end of file
+}
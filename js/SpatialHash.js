@@ -0,0 +1,70 @@
+/**
+ * SpatialHash - Uniform grid on the XZ plane for fast "what's near here" queries
+ * Items are registered in every cell their bounding circle overlaps.
+ */
+class SpatialHash {
+    constructor(cellSize = 4) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "x,z" -> array of items
+        this.count = 0;
+    }
+
+    /**
+     * Get the cell coordinate for a world coordinate
+     */
+    getCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Add an item covering a circle
+     */
+    insert(item, x, z, radius = 0) {
+        const minX = this.getCell(x - radius);
+        const maxX = this.getCell(x + radius);
+        const minZ = this.getCell(z - radius);
+        const maxZ = this.getCell(z + radius);
+
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+            for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+                const key = `${cellX},${cellZ}`;
+                if (!this.cells.has(key)) {
+                    this.cells.set(key, []);
+                }
+                this.cells.get(key).push(item);
+            }
+        }
+
+        this.count++;
+    }
+
+    /**
+     * Get the items in every cell a circle overlaps (each item once)
+     */
+    query(x, z, radius = 0) {
+        const minX = this.getCell(x - radius);
+        const maxX = this.getCell(x + radius);
+        const minZ = this.getCell(z - radius);
+        const maxZ = this.getCell(z + radius);
+        const found = new Set();
+
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+            for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+                const items = this.cells.get(`${cellX},${cellZ}`);
+                if (items) {
+                    items.forEach(item => found.add(item));
+                }
+            }
+        }
+
+        return Array.from(found);
+    }
+
+    /**
+     * Remove all items
+     */
+    clear() {
+        this.cells.clear();
+        this.count = 0;
+    }
+}
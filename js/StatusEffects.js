@@ -0,0 +1,221 @@
+/**
+ * StatusEffects - Timed status effects (burn, stun, slow, shock) on an enemy or the player
+ * Owners read the combined modifiers (speed, stun, tint, icons) and get tick damage back
+ * through onTick, so enemies and the player each apply it their own way.
+ */
+class StatusEffects {
+    constructor() {
+        this.effects = new Map(); // type -> { config, remaining, stacks, tickTimer, appliedAt }
+        this.immunities = new Set(); // Effect types this owner ignores
+        this.applyCount = 0; // Orders effects by when they were last applied (newest tints the sprite)
+
+        // Callbacks
+        this.onTick = null; // (damage, type) when a damage-over-time effect ticks
+        this.onChange = null; // () when an effect starts, stacks or ends
+    }
+
+    /**
+     * Apply an effect, following its stacking rule if it is already active
+     * @param {string} type - Key of StatusEffects.TYPES
+     * @param {Object} overrides - Per-application changes to the type's defaults (duration, tickDamage, ...)
+     * @returns {boolean} True if the effect was applied
+     */
+    apply(type, overrides = {}) {
+        const definition = StatusEffects.TYPES[type];
+        if (!definition) {
+            console.warn(`Unknown status effect "${type}"`);
+            return false;
+        }
+        if (this.immunities.has(type)) return false;
+
+        const config = Object.assign({}, definition, overrides);
+        const existing = this.effects.get(type);
+
+        if (!existing) {
+            this.effects.set(type, {
+                config: config,
+                remaining: config.duration,
+                stacks: 1,
+                tickTimer: config.tickInterval || 0,
+                appliedAt: ++this.applyCount
+            });
+        } else {
+            switch (config.stacking) {
+                case 'stack':
+                    // More stacks multiply the tick damage; each application restarts the timer
+                    existing.stacks = Math.min(config.maxStacks, existing.stacks + 1);
+                    existing.remaining = config.duration;
+                    break;
+                case 'extend':
+                    existing.remaining = Math.min(config.maxDuration, existing.remaining + config.duration);
+                    break;
+                default: // 'refresh'
+                    existing.remaining = Math.max(existing.remaining, config.duration);
+                    break;
+            }
+            existing.appliedAt = ++this.applyCount;
+        }
+
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * Count down durations and fire damage ticks
+     */
+    update(deltaTime) {
+        if (this.effects.size === 0) return;
+
+        let changed = false;
+
+        this.effects.forEach((effect, type) => {
+            effect.remaining -= deltaTime;
+
+            if (effect.config.tickDamage) {
+                effect.tickTimer -= deltaTime;
+                // Small tolerance so the last tick lands on the same step the effect ends
+                while (effect.tickTimer <= StatusEffects.EPSILON) {
+                    effect.tickTimer += effect.config.tickInterval;
+                    if (this.onTick) {
+                        this.onTick(effect.config.tickDamage * effect.stacks, type);
+                    }
+                }
+            }
+
+            if (effect.remaining <= StatusEffects.EPSILON) {
+                this.effects.delete(type);
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Check if an effect is active
+     */
+    has(type) {
+        return this.effects.has(type);
+    }
+
+    /**
+     * Check if any active effect stops the owner from acting
+     */
+    isStunned() {
+        for (const effect of this.effects.values()) {
+            if (effect.config.stuns) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Combined movement speed multiplier (0 while stunned)
+     */
+    getSpeedMultiplier() {
+        let multiplier = 1;
+        this.effects.forEach(effect => {
+            if (effect.config.stuns) {
+                multiplier = 0;
+            } else if (effect.config.speedMultiplier !== undefined) {
+                multiplier *= effect.config.speedMultiplier;
+            }
+        });
+        return multiplier;
+    }
+
+    /**
+     * Tint of the most recently applied effect (null when there are none)
+     */
+    getTint() {
+        let newest = null;
+        this.effects.forEach(effect => {
+            if (!newest || effect.appliedAt > newest.appliedAt) {
+                newest = effect;
+            }
+        });
+        return newest ? newest.config.tint : null;
+    }
+
+    /**
+     * Icons for the active effects, in the order they were first applied
+     * @returns {Array<{type: string, color: number, stacks: number}>}
+     */
+    getIcons() {
+        const icons = [];
+        this.effects.forEach((effect, type) => {
+            icons.push({ type: type, color: effect.config.iconColor, stacks: effect.stacks });
+        });
+        return icons;
+    }
+
+    /**
+     * Ignore an effect type from now on (e.g. bosses can't be stunned)
+     */
+    addImmunity(type) {
+        this.immunities.add(type);
+        if (this.effects.delete(type)) {
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Remove every effect (death, respawn)
+     */
+    clear() {
+        if (this.effects.size === 0) return;
+
+        this.effects.clear();
+        this.notifyChange();
+    }
+
+    /**
+     * Tell the owner the active effects changed
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Set the damage tick callback
+     */
+    setOnTick(callback) {
+        this.onTick = callback;
+    }
+
+    /**
+     * Set the callback for effects starting, stacking or ending
+     */
+    setOnChange(callback) {
+        this.onChange = callback;
+    }
+}
+
+// Effect types. stacking: 'refresh' (restart the timer), 'stack' (add a stack up to
+// maxStacks), 'extend' (add the duration up to maxDuration). Durations are in seconds;
+// tickDamage (of damageType, see DamageTypes) is dealt every tickInterval seconds, per stack.
+StatusEffects.TYPES = {
+    burn: {
+        duration: 3.0, stacking: 'stack', maxStacks: 3,
+        tickInterval: 1.0, tickDamage: 2, damageType: 'fire',
+        tint: 0xffa070, iconColor: 0xff6a00
+    },
+    stun: {
+        duration: 1.0, stacking: 'refresh', stuns: true,
+        tint: 0xfff0a0, iconColor: 0xffd700
+    },
+    slow: {
+        duration: 2.0, stacking: 'refresh', speedMultiplier: 0.5,
+        tint: 0xa0d0ff, iconColor: 0x4fa8ff
+    },
+    shock: {
+        duration: 2.0, stacking: 'extend', maxDuration: 4.0,
+        tickInterval: 0.5, tickDamage: 1, damageType: 'lightning', speedMultiplier: 0.8,
+        tint: 0xd0b0ff, iconColor: 0x9b59ff
+    }
+};
+
+StatusEffects.EPSILON = 1e-6;
@@ -0,0 +1,134 @@
+/**
+ * ThreatTable - How much an enemy wants to fight each of its possible targets
+ * Damage dealt, standing close and taunts add threat, which slowly fades. The enemy goes
+ * after the highest threat, but only drops its current target for a clearly bigger one so
+ * two players trading hits don't make it flip back and forth.
+ */
+class ThreatTable {
+    constructor() {
+        this.entries = new Map(); // target -> threat
+
+        // Tuning
+        this.damageMultiplier = 1.0; // Threat per point of damage dealt
+        this.proximityThreatPerSecond = 4.0; // At point-blank range, falling to 0 at the edge of the range
+        this.decayPerSecond = 0.1; // Fraction of threat lost each second
+        this.switchRatio = 1.1; // A challenger needs 110% of the current target's threat...
+        this.switchMargin = 2.0; // ...plus this much (stops flicker while both are near 0)
+        this.tauntBonus = 20.0; // A taunt puts its source this far above the top threat
+    }
+
+    /**
+     * Add threat for a target (damage, healing an enemy's foe, ...)
+     */
+    add(target, amount) {
+        if (!target || amount <= 0) return;
+        this.entries.set(target, this.get(target) + amount);
+    }
+
+    /**
+     * Add threat for damage a target dealt
+     */
+    addDamage(target, damage) {
+        this.add(target, damage * this.damageMultiplier);
+    }
+
+    /**
+     * Add threat for each target within range, more the closer it stands
+     */
+    addProximity(targets, position, range, deltaTime) {
+        targets.forEach(target => {
+            const distance = target.position.distanceTo(position);
+            if (distance < range) {
+                this.add(target, this.proximityThreatPerSecond * (1 - distance / range) * deltaTime);
+            }
+        });
+    }
+
+    /**
+     * Put a target on top of the table (the owner should switch to it right away)
+     */
+    taunt(target) {
+        const top = this.getTop();
+        const topThreat = top ? this.get(top) : 0;
+        this.entries.set(target, Math.max(this.get(target), topThreat + this.tauntBonus));
+    }
+
+    /**
+     * Let threat fade, forgetting targets that drop to nothing
+     */
+    decay(deltaTime) {
+        const keep = Math.max(0, 1 - this.decayPerSecond * deltaTime);
+        this.entries.forEach((threat, target) => {
+            const faded = threat * keep;
+            if (faded < ThreatTable.MIN_THREAT) {
+                this.entries.delete(target);
+            } else {
+                this.entries.set(target, faded);
+            }
+        });
+    }
+
+    /**
+     * Forget targets that are no longer valid (left, died or changed sides)
+     */
+    retain(targets) {
+        this.entries.forEach((threat, target) => {
+            if (!targets.includes(target)) {
+                this.entries.delete(target);
+            }
+        });
+    }
+
+    /**
+     * Threat of a target (0 if it isn't on the table)
+     */
+    get(target) {
+        return this.entries.get(target) || 0;
+    }
+
+    /**
+     * Target with the highest threat (null when the table is empty)
+     */
+    getTop() {
+        let top = null;
+        let topThreat = -Infinity;
+        this.entries.forEach((threat, target) => {
+            if (threat > topThreat) {
+                topThreat = threat;
+                top = target;
+            }
+        });
+        return top;
+    }
+
+    /**
+     * Pick the target to fight: the current one, unless the top threat clearly beats it
+     * @param {Object} current - Current target (null if it is gone)
+     * @returns {Object|null} Null when nothing is on the table
+     */
+    selectTarget(current) {
+        const top = this.getTop();
+        if (!top || !current || top === current) return top || current;
+
+        const currentThreat = this.get(current);
+        return this.get(top) > currentThreat * this.switchRatio + this.switchMargin ? top : current;
+    }
+
+    /**
+     * Targets on the table, highest threat first
+     * @returns {Array<{target: Object, threat: number}>}
+     */
+    getSorted() {
+        return Array.from(this.entries, ([target, threat]) => ({ target: target, threat: threat }))
+            .sort((a, b) => b.threat - a.threat);
+    }
+
+    /**
+     * Forget everything (death, respawn, reset)
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+
+ThreatTable.MIN_THREAT = 0.01;
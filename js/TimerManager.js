@@ -0,0 +1,54 @@
+/**
+ * TimerManager - Delayed callbacks measured in simulation time
+ * Replaces setTimeout for gameplay logic so delays advance with the fixed-step
+ * simulation and pause during hit-stop.
+ */
+class TimerManager {
+    constructor() {
+        this.timers = [];
+        this.nextTimerId = 1;
+    }
+
+    /**
+     * Run a callback after a delay in seconds (returns an id for cancel)
+     */
+    schedule(delay, callback) {
+        const id = this.nextTimerId++;
+        this.timers.push({ id, remaining: delay, callback });
+        return id;
+    }
+
+    /**
+     * Cancel a scheduled callback
+     */
+    cancel(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    /**
+     * Advance timers and fire the ones that are due (in scheduling order)
+     */
+    update(deltaTime) {
+        if (this.timers.length === 0) return;
+
+        const due = [];
+        this.timers = this.timers.filter(timer => {
+            timer.remaining -= deltaTime;
+            if (timer.remaining <= 0) {
+                due.push(timer);
+                return false;
+            }
+            return true;
+        });
+
+        // Callbacks may schedule new timers - those start counting next update
+        due.forEach(timer => timer.callback());
+    }
+
+    /**
+     * Drop all pending callbacks
+     */
+    clear() {
+        this.timers = [];
+    }
+}
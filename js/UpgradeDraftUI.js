@@ -0,0 +1,131 @@
+/**
+ * UpgradeDraftUI - Level-up panel offering upgrades to pick one from
+ * Cards are picked by clicking or with the number keys, and rerolls bought in the shop redraw them;
+ * UpgradeSystem drives it through setDraftUI.
+ */
+class UpgradeDraftUI {
+    constructor() {
+        this.container = null;
+        this.levelText = null;
+        this.cardList = null;
+        this.rerollButton = null;
+        this.isVisible = false;
+        this.choiceCount = 0;
+
+        // Called with the index of the picked card
+        this.onChoose = null;
+        this.onReroll = null;
+
+        this.initializeUI();
+    }
+
+    /**
+     * Create the draft panel and the number key shortcuts
+     */
+    initializeUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'upgrade-draft';
+        this.container.style.display = 'none';
+        this.container.innerHTML = `
+            <div id="upgrade-draft-panel">
+                <div id="upgrade-draft-title">LEVEL UP!</div>
+                <div id="upgrade-draft-level">Level 2 - choose an upgrade</div>
+                <div id="upgrade-draft-cards"></div>
+                <button id="upgrade-draft-reroll">Reroll</button>
+                <div id="upgrade-draft-hint">Click a card or press its number</div>
+            </div>
+        `;
+
+        // Add to UI overlay
+        const uiOverlay = document.getElementById('ui-overlay');
+        if (uiOverlay) {
+            uiOverlay.appendChild(this.container);
+        }
+
+        this.levelText = this.container.querySelector('#upgrade-draft-level');
+        this.cardList = this.container.querySelector('#upgrade-draft-cards');
+        this.rerollButton = this.container.querySelector('#upgrade-draft-reroll');
+        this.rerollButton.addEventListener('click', () => {
+            if (this.isVisible && this.onReroll) {
+                this.onReroll();
+            }
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (!this.isVisible || event.repeat) return;
+
+            const match = /^(?:Digit|Numpad)([1-9])$/.exec(event.code);
+            if (match && Number(match[1]) <= this.choiceCount) {
+                this.choose(Number(match[1]) - 1);
+            }
+        });
+    }
+
+    /**
+     * Set the callback for a card being picked
+     */
+    setOnChoose(callback) {
+        this.onChoose = callback;
+    }
+
+    /**
+     * Set the callback for the reroll button
+     */
+    setOnReroll(callback) {
+        this.onReroll = callback;
+    }
+
+    /**
+     * Show the panel with one card per choice
+     * @param {Array<Object>} choices - { name, description, stacks, maxStacks } (see UpgradeSystem.describe)
+     * @param {number} rerolls - Rerolls left (the button only shows when there are some)
+     */
+    show(choices, level, rerolls = 0) {
+        this.levelText.textContent = `Level ${level} - choose an upgrade`;
+        this.cardList.innerHTML = '';
+        this.choiceCount = choices.length;
+
+        choices.forEach((choice, index) => {
+            const card = document.createElement('button');
+            card.className = 'upgrade-card';
+            card.innerHTML = `
+                <div class="upgrade-card-key">${index + 1}</div>
+                <div class="upgrade-card-name">${choice.name}</div>
+                <div class="upgrade-card-description">${choice.description}</div>
+                <div class="upgrade-card-stacks">${choice.stacks} / ${choice.maxStacks}</div>
+            `;
+            card.addEventListener('click', () => this.choose(index));
+            this.cardList.appendChild(card);
+        });
+
+        this.rerollButton.textContent = `Reroll (${rerolls} left)`;
+        this.rerollButton.style.display = rerolls > 0 ? 'inline-block' : 'none';
+
+        this.container.style.display = 'flex';
+
+        // Force reflow so the fade-in transition runs
+        void this.container.offsetWidth;
+        this.container.classList.add('show');
+        this.isVisible = true;
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        this.container.classList.remove('show');
+        this.container.style.display = 'none';
+        this.isVisible = false;
+    }
+
+    /**
+     * Report the picked card (the upgrade system shows the next draft or hides the panel)
+     */
+    choose(index) {
+        if (!this.isVisible) return;
+
+        if (this.onChoose) {
+            this.onChoose(index);
+        }
+    }
+}
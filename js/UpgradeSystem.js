@@ -0,0 +1,327 @@
+/**
+ * UpgradeSystem - Level-up rewards: every level gained earns a draft of random upgrades to pick one from
+ * Upgrades never touch CombatSystem or PlayerController fields themselves; they add entries to a
+ * ModifierStack so the picks can be listed, removed and saved. Level-ups that land while a draft
+ * is open queue up and are drafted one after another.
+ */
+class UpgradeSystem {
+    constructor(combatSystem, playerController) {
+        this.combatSystem = combatSystem;
+        this.playerController = playerController;
+        this.modifiers = new ModifierStack(); // Shared with the skill tree's passives
+
+        // Drafting
+        this.choiceCount = 3; // Upgrades offered per level-up
+        this.pendingLevels = []; // Levels reached but not drafted yet
+        this.choices = null; // Upgrade ids on offer (null when no draft is open)
+        this.draftLevel = 0; // Level the open draft is for
+        this.rerolls = 0; // Redraws of an open draft's choices (bought in the shop)
+        this.draftUI = null; // Choice panel (none when running headless)
+        this.onDraftChange = null; // Called with true when a draft opens and false when the last one closes
+
+        this.defineStats();
+    }
+
+    /**
+     * Register the fields upgrades can modify
+     */
+    defineStats() {
+        const combat = this.combatSystem;
+        const player = this.playerController;
+
+        this.modifiers.defineStat('maxHealth', combat.localCombatant, 'maxHealth', {
+            min: 1, integer: true,
+            onChange: (value, previous) => this.onMaxHealthChange(value, previous)
+        });
+        this.modifiers.defineStat('attackRange', combat, 'attackRangeMultiplier', { min: 0.5 });
+        this.modifiers.defineStat('criticalChance', combat, 'criticalChance', { min: 0, max: 0.75 });
+        this.modifiers.defineStat('baseDamage', combat, 'baseDamage', { min: 1 });
+        this.modifiers.defineStat('lightningTargets', combat, 'lightningStrikeTargets', { min: 1, integer: true });
+        this.modifiers.defineStat('lightningChainJumps', combat, 'lightningChainBonusJumps', { min: 0, integer: true });
+        this.modifiers.defineStat('lightningCooldown', combat, 'lightningStrikeCooldownDuration', { min: 1.0 });
+        this.modifiers.defineStat('dashCooldown', player, 'dashCooldown', { min: 0.75 });
+        this.modifiers.defineStat('moveSpeed', player, 'moveSpeed', { min: 1.0 });
+    }
+
+    /**
+     * Gaining a heart fills it; losing one can't leave the player above the new maximum
+     */
+    onMaxHealthChange(value, previous) {
+        const combatant = this.combatSystem.localCombatant;
+        if (!combatant.isDead) {
+            combatant.health = Math.min(value, combatant.health + Math.max(0, value - previous));
+        }
+        this.combatSystem.updateHealthUI();
+    }
+
+    /**
+     * Set the choice panel
+     */
+    setDraftUI(draftUI) {
+        this.draftUI = draftUI;
+        this.draftUI.setOnChoose(index => this.choose(index));
+        this.draftUI.setOnReroll(() => this.reroll());
+    }
+
+    /**
+     * Set the callback for drafts opening and closing (the game pauses while one is open)
+     */
+    setOnDraftChange(callback) {
+        this.onDraftChange = callback;
+    }
+
+    /**
+     * Queue a draft for a level reached (called by XPSystem)
+     */
+    onLevelUp(level) {
+        this.pendingLevels.push(level);
+        if (!this.isDraftOpen()) {
+            this.openNextDraft();
+        }
+    }
+
+    /**
+     * Check if the player is choosing an upgrade
+     */
+    isDraftOpen() {
+        return this.choices !== null;
+    }
+
+    /**
+     * Offer the next queued draft, or close drafting when none are left
+     */
+    openNextDraft() {
+        while (this.pendingLevels.length > 0) {
+            const level = this.pendingLevels.shift();
+            const choices = this.drawChoices();
+            if (choices.length === 0) {
+                console.log(`Level ${level}: every upgrade is maxed - no draft`);
+                continue;
+            }
+
+            const wasOpen = this.isDraftOpen();
+            this.choices = choices;
+            this.draftLevel = level;
+            this.showDraft();
+            if (!wasOpen && this.onDraftChange) {
+                this.onDraftChange(true);
+            }
+            return;
+        }
+
+        this.closeDraft();
+    }
+
+    /**
+     * Show the open draft's choices
+     */
+    showDraft() {
+        if (this.draftUI) {
+            this.draftUI.show(this.choices.map(id => this.describe(id)), this.draftLevel, this.rerolls);
+        }
+    }
+
+    /**
+     * Add rerolls for level-up drafts
+     */
+    addRerolls(count) {
+        this.rerolls += count;
+    }
+
+    /**
+     * Spend a reroll to draw new choices for the open draft
+     * @returns {boolean} False if no draft is open or there are no rerolls left
+     */
+    reroll() {
+        if (!this.isDraftOpen() || this.rerolls <= 0) return false;
+
+        this.rerolls--;
+        this.choices = this.drawChoices();
+        console.log(`Level ${this.draftLevel} draft rerolled (${this.rerolls} rerolls left)`);
+        this.showDraft();
+        return true;
+    }
+
+    /**
+     * Draw random upgrades that can still be taken
+     */
+    drawChoices() {
+        const available = Object.keys(UpgradeSystem.UPGRADES).filter(id => this.canTake(id));
+        return gameRandom.shuffle(available).slice(0, this.choiceCount);
+    }
+
+    /**
+     * Check if an upgrade is below its stack limit and everything it modifies exists here
+     */
+    canTake(id) {
+        const upgrade = UpgradeSystem.UPGRADES[id];
+        return !!upgrade &&
+            this.getStacks(id) < upgrade.maxStacks &&
+            upgrade.modifiers.every(modifier => this.modifiers.hasStat(modifier.stat));
+    }
+
+    /**
+     * Take the upgrade at an index of the open draft
+     */
+    choose(index) {
+        if (!this.isDraftOpen() || index < 0 || index >= this.choices.length) return false;
+
+        const id = this.choices[index];
+        this.apply(id);
+        console.log(`Level ${this.draftLevel} upgrade: ${UpgradeSystem.UPGRADES[id].name}`);
+
+        this.openNextDraft();
+        return true;
+    }
+
+    /**
+     * Hide the panel and report that drafting is over
+     */
+    closeDraft() {
+        const wasOpen = this.isDraftOpen();
+        this.choices = null;
+        this.draftLevel = 0;
+
+        if (this.draftUI) {
+            this.draftUI.hide();
+        }
+        if (wasOpen && this.onDraftChange) {
+            this.onDraftChange(false);
+        }
+    }
+
+    /**
+     * Add a stack of an upgrade
+     * @returns {Object|null} The modifier stack entry (null for unknown or maxed upgrades)
+     */
+    apply(id) {
+        if (!this.canTake(id)) {
+            console.warn(`Upgrade "${id}" can't be taken`);
+            return null;
+        }
+        return this.modifiers.add(id, UpgradeSystem.UPGRADES[id].modifiers);
+    }
+
+    /**
+     * Remove the most recent stack of an upgrade
+     * @returns {boolean} True if a stack was removed
+     */
+    remove(id) {
+        const entries = this.modifiers.getEntries(id);
+        if (entries.length === 0) return false;
+        return this.modifiers.remove(entries[entries.length - 1].id);
+    }
+
+    /**
+     * Stacks taken of an upgrade
+     */
+    getStacks(id) {
+        return this.modifiers.getEntries(id).length;
+    }
+
+    /**
+     * Display info for an upgrade
+     * @returns {{id: string, name: string, description: string, stacks: number, maxStacks: number}}
+     */
+    describe(id) {
+        const upgrade = UpgradeSystem.UPGRADES[id];
+        return {
+            id: id,
+            name: upgrade.name,
+            description: upgrade.description,
+            stacks: this.getStacks(id),
+            maxStacks: upgrade.maxStacks
+        };
+    }
+
+    /**
+     * Upgrades taken so far, in the order first picked
+     */
+    getUpgrades() {
+        const ids = [];
+        this.modifiers.getEntries().forEach(entry => {
+            if (!ids.includes(entry.source) && UpgradeSystem.UPGRADES[entry.source]) {
+                ids.push(entry.source);
+            }
+        });
+        return ids.map(id => this.describe(id));
+    }
+
+    /**
+     * Taken upgrades as plain data: ids and stack counts in the order first picked (the
+     * modifiers come from UpgradeSystem.UPGRADES on load, so retuned upgrades apply to old saves)
+     */
+    serialize() {
+        return this.getUpgrades().map(upgrade => ({ id: upgrade.id, stacks: upgrade.stacks }));
+    }
+
+    /**
+     * Replace the taken upgrades with serialize() data (unknown upgrades are skipped and stacks
+     * stop at maxStacks)
+     */
+    deserialize(data) {
+        this.removeAll();
+        (data || []).forEach(entry => {
+            const stacks = entry ? Math.floor(entry.stacks) || 0 : 0;
+            for (let i = 0; i < stacks && this.canTake(entry.id); i++) {
+                this.modifiers.add(entry.id, UpgradeSystem.UPGRADES[entry.id].modifiers);
+            }
+        });
+    }
+
+    /**
+     * Remove every taken upgrade
+     */
+    removeAll() {
+        Object.keys(UpgradeSystem.UPGRADES).forEach(id => this.modifiers.removeSource(id));
+    }
+
+    /**
+     * Drop every upgrade, any queued drafts and the rerolls (new run)
+     */
+    reset() {
+        this.pendingLevels = [];
+        this.rerolls = 0;
+        this.closeDraft();
+        this.removeAll();
+    }
+}
+
+// stat is a ModifierStack stat registered in defineStats; op is 'add' or 'multiply'
+UpgradeSystem.UPGRADES = {
+    extra_heart: {
+        name: 'Extra Heart', description: '+1 max heart', maxStacks: 5,
+        modifiers: [{ stat: 'maxHealth', op: 'add', value: 1 }]
+    },
+    long_reach: {
+        name: 'Long Reach', description: '+15% attack range', maxStacks: 3,
+        modifiers: [{ stat: 'attackRange', op: 'add', value: 0.15 }]
+    },
+    keen_eye: {
+        name: 'Keen Eye', description: '+5% critical chance', maxStacks: 5,
+        modifiers: [{ stat: 'criticalChance', op: 'add', value: 0.05 }]
+    },
+    sharp_claws: {
+        name: 'Sharp Claws', description: '+2 base damage', maxStacks: 5,
+        modifiers: [{ stat: 'baseDamage', op: 'add', value: 2 }]
+    },
+    quick_step: {
+        name: 'Quick Step', description: '-15% dash cooldown', maxStacks: 4,
+        modifiers: [{ stat: 'dashCooldown', op: 'multiply', value: 0.85 }]
+    },
+    swift_paws: {
+        name: 'Swift Paws', description: '+8% move speed', maxStacks: 3,
+        modifiers: [{ stat: 'moveSpeed', op: 'multiply', value: 1.08 }]
+    },
+    storm_caller: {
+        name: 'Storm Caller', description: '+1 lightning target', maxStacks: 3,
+        modifiers: [
+            { stat: 'lightningTargets', op: 'add', value: 1 },
+            { stat: 'lightningChainJumps', op: 'add', value: 1 }
+        ]
+    },
+    static_charge: {
+        name: 'Static Charge', description: '-15% lightning cooldown', maxStacks: 3,
+        modifiers: [{ stat: 'lightningCooldown', op: 'multiply', value: 0.85 }]
+    }
+};
@@ -0,0 +1,94 @@
+/**
+ * WaveBanner - Round start/clear banners and the round counter
+ * WaveDirector drives it through setWaveBanner; headless simulations run without one.
+ */
+class WaveBanner {
+    constructor() {
+        this.counter = null;
+        this.banner = null;
+        this.title = null;
+        this.subtitle = null;
+        this.hideTimeout = null;
+
+        this.bannerDuration = 2500; // Milliseconds a banner stays up (then fades via CSS)
+
+        this.initializeUI();
+    }
+
+    /**
+     * Create the counter and banner elements
+     */
+    initializeUI() {
+        this.counter = document.createElement('div');
+        this.counter.id = 'wave-counter';
+
+        this.banner = document.createElement('div');
+        this.banner.id = 'wave-banner';
+        this.banner.innerHTML = `
+            <div id="wave-banner-title"></div>
+            <div id="wave-banner-subtitle"></div>
+        `;
+
+        // Add to UI overlay
+        const uiOverlay = document.getElementById('ui-overlay');
+        if (uiOverlay) {
+            uiOverlay.appendChild(this.counter);
+            uiOverlay.appendChild(this.banner);
+        }
+
+        this.title = this.banner.querySelector('#wave-banner-title');
+        this.subtitle = this.banner.querySelector('#wave-banner-subtitle');
+    }
+
+    /**
+     * Announce a new round
+     */
+    showRoundStart(wave, isBossWave = false) {
+        this.banner.classList.toggle('boss', isBossWave);
+        this.show(`ROUND ${wave}`, isBossWave ? 'A powerful foe approaches!' : 'Enemies incoming');
+    }
+
+    /**
+     * Announce a cleared round and the intermission
+     */
+    showRoundClear(wave, intermission) {
+        this.banner.classList.remove('boss');
+        this.show(`ROUND ${wave} CLEARED`, `Next round in ${Math.ceil(intermission)}s - press T to shop`);
+    }
+
+    /**
+     * Show the banner, then fade it out
+     */
+    show(title, subtitle) {
+        this.title.textContent = title;
+        this.subtitle.textContent = subtitle;
+        this.banner.classList.add('show');
+
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = setTimeout(() => {
+            this.banner.classList.remove('show');
+        }, this.bannerDuration);
+    }
+
+    /**
+     * Show the round in progress and how many enemies are left
+     */
+    updateCounter(wave, remaining) {
+        this.counter.textContent = `ROUND ${wave} · ${remaining} LEFT`;
+    }
+
+    /**
+     * Show the countdown to the next round
+     */
+    updateIntermission(wave, secondsLeft) {
+        this.counter.textContent = `ROUND ${wave} IN ${Math.ceil(secondsLeft)}`;
+    }
+
+    /**
+     * Hide the banner immediately (new run)
+     */
+    hide() {
+        clearTimeout(this.hideTimeout);
+        this.banner.classList.remove('show');
+    }
+}
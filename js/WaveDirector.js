@@ -0,0 +1,369 @@
+/**
+ * WaveDirector - Runs numbered rounds of enemies with an intermission between them
+ * Each round spends a budget that grows with the wave number and player level on
+ * archetypes (cost and first wave come from archetypes.json), spawns them off-screen
+ * and sends them after the player. Every bossWaveInterval-th round calls the boss hook.
+ * In multiplayer only the host runs rounds; clients follow its round number and state.
+ */
+class WaveDirector {
+    constructor(enemyManager) {
+        this.enemyManager = enemyManager;
+        this.camera = null; // Spawns stay outside its view
+        this.xpSystem = null; // Player level feeds the budget
+        this.waveBanner = null; // Round banners and counter (none when headless)
+
+        // Round state
+        this.wave = 0;
+        this.state = 'intermission'; // 'intermission' or 'active'
+        this.firstWaveDelay = 3.0; // Seconds before round 1
+        this.intermissionDuration = 8.0; // Seconds between rounds
+        this.intermissionTimer = this.firstWaveDelay;
+        this.pendingSpawns = []; // Archetype ids still to spawn this round
+        this.waveEnemies = []; // Enemies spawned this round (cleared when all are dead)
+
+        // Difficulty
+        this.baseBudget = 6;
+        this.budgetPerWave = 3;
+        this.budgetPerLevel = 1;
+        this.healthScalePerWave = 0.05; // +5% enemy health per round
+        this.maxEnemiesPerWave = 40;
+
+        // Spawning
+        this.spawnInterval = 0.4; // Seconds between spawns so a round trickles in
+        this.spawnTimer = 0;
+        this.minSpawnDistance = 18;
+        this.maxSpawnDistance = 30;
+        this.spawnAttempts = 12;
+        this.arenaLimit = 120; // Stay inside the 250 unit world
+        this.offscreenMargin = 3.0; // Sprite radius kept outside the view
+
+        // Boss hooks
+        this.bossWaveInterval = 5; // Every 5th round is a boss round
+        this.bossWaveBudgetShare = 0.5; // Regular enemies alongside the boss
+        this.bossWaveHandler = null; // (wave, position) => enemy or array of enemies
+        this.pendingBoss = false; // The hook spawned nothing yet (e.g. boss textures still loading)
+        this.onWaveStart = null; // (wave, isBossWave)
+        this.onWaveCleared = null; // (wave)
+    }
+
+    /**
+     * Advance the round timers and spawns
+     */
+    update(deltaTime) {
+        // Clients mirror the host's enemies
+        if (!this.enemyManager.isAuthority) return;
+
+        if (this.state === 'intermission') {
+            this.intermissionTimer -= deltaTime;
+
+            if (this.intermissionTimer <= 0) {
+                this.startWave();
+            } else if (this.waveBanner) {
+                this.waveBanner.updateIntermission(this.wave + 1, this.intermissionTimer);
+            }
+            return;
+        }
+
+        // Trickle in the round's enemies, retrying a boss that couldn't spawn yet
+        this.spawnTimer -= deltaTime;
+        if (this.spawnTimer <= 0) {
+            if (this.pendingBoss) {
+                this.pendingBoss = !this.spawnBoss();
+            }
+            if (this.pendingSpawns.length > 0 && this.spawnWaveEnemy(this.pendingSpawns[0])) {
+                this.pendingSpawns.shift();
+            }
+            this.spawnTimer = this.spawnInterval;
+        }
+
+        const remaining = this.getRemainingEnemyCount();
+        if (this.waveBanner) {
+            this.waveBanner.updateCounter(this.wave, remaining);
+        }
+
+        if (remaining === 0) {
+            this.clearWave();
+        }
+    }
+
+    /**
+     * Start the next round
+     */
+    startWave() {
+        this.wave++;
+        this.state = 'active';
+        this.spawnTimer = 0;
+        this.waveEnemies = [];
+
+        const isBossWave = this.isBossWave(this.wave);
+        let budget = this.getWaveBudget(this.wave);
+
+        if (isBossWave) {
+            budget = Math.floor(budget * this.bossWaveBudgetShare);
+            this.pendingBoss = !this.spawnBoss();
+        }
+
+        this.pendingSpawns = this.buildRoster(budget, this.wave);
+
+        console.log(`Round ${this.wave} started: ${this.pendingSpawns.length} enemies${isBossWave ? ' and a boss' : ''} (budget ${budget})`);
+
+        this.announceWaveStart(isBossWave);
+    }
+
+    /**
+     * Show the round banner and call the round start callback
+     */
+    announceWaveStart(isBossWave) {
+        if (this.waveBanner) {
+            this.waveBanner.showRoundStart(this.wave, isBossWave);
+        }
+        if (this.onWaveStart) {
+            this.onWaveStart(this.wave, isBossWave);
+        }
+    }
+
+    /**
+     * Follow the host's round (clients) - starts and clears fire the same banners and callbacks
+     * @param {number} wave - The host's round number
+     * @param {boolean} isActive - True while the round is on
+     */
+    applyNetworkState(wave, isActive) {
+        if (this.enemyManager.isAuthority) return;
+        if (wave === this.wave && isActive === (this.state === 'active')) return;
+
+        // A round that ended between snapshots still counts as cleared
+        if (this.state === 'active') {
+            this.clearWave();
+        }
+
+        this.wave = wave;
+        if (isActive) {
+            this.state = 'active';
+            this.announceWaveStart(this.isBossWave(wave));
+        }
+    }
+
+    /**
+     * End the round and start the intermission
+     */
+    clearWave() {
+        this.state = 'intermission';
+        this.intermissionTimer = this.intermissionDuration;
+        this.waveEnemies = [];
+
+        console.log(`Round ${this.wave} cleared`);
+
+        if (this.waveBanner) {
+            this.waveBanner.showRoundClear(this.wave, this.intermissionDuration);
+        }
+        if (this.onWaveCleared) {
+            this.onWaveCleared(this.wave);
+        }
+    }
+
+    /**
+     * Spending budget for a round
+     */
+    getWaveBudget(wave) {
+        const level = this.xpSystem ? this.xpSystem.currentLevel : 1;
+        return this.baseBudget + this.budgetPerWave * (wave - 1) + this.budgetPerLevel * (level - 1);
+    }
+
+    /**
+     * Check if a round is a boss round
+     */
+    isBossWave(wave) {
+        return this.bossWaveInterval > 0 && wave % this.bossWaveInterval === 0;
+    }
+
+    /**
+     * Pick archetypes until the budget runs out (only archetypes unlocked by this wave)
+     * @returns {string[]} Archetype ids in spawn order
+     */
+    buildRoster(budget, wave) {
+        // Bosses only come through the boss hook
+        const unlocked = this.enemyManager.getSpawnableArchetypes().filter(archetype => !archetype.boss && archetype.spawn.minWave <= wave);
+        const roster = [];
+        let remaining = budget;
+
+        while (roster.length < this.maxEnemiesPerWave) {
+            const affordable = unlocked.filter(archetype => archetype.spawn.cost <= remaining);
+            if (affordable.length === 0) break;
+
+            const archetype = gameRandom.pick(affordable);
+            roster.push(archetype.id);
+            remaining -= archetype.spawn.cost;
+        }
+
+        return roster;
+    }
+
+    /**
+     * Spawn one round enemy off-screen and send it after the player (false to retry later)
+     */
+    spawnWaveEnemy(enemyType) {
+        const position = this.findSpawnPosition();
+        if (!position) return false;
+
+        const enemy = this.enemyManager.spawnEnemy(position, 3, enemyType);
+        if (!enemy) return false;
+
+        this.prepareWaveEnemy(enemy);
+        return true;
+    }
+
+    /**
+     * Call the boss hook with an off-screen position and track what it spawned
+     * @returns {boolean} False if the hook spawned nothing (retried like a round enemy)
+     */
+    spawnBoss() {
+        if (!this.bossWaveHandler) return true;
+
+        const position = this.findSpawnPosition() || this.getFallbackSpawnPosition();
+        const spawned = this.bossWaveHandler(this.wave, position);
+        const bosses = (Array.isArray(spawned) ? spawned : [spawned]).filter(Boolean);
+
+        bosses.forEach(boss => this.prepareWaveEnemy(boss));
+        return bosses.length > 0;
+    }
+
+    /**
+     * Scale a round enemy's health and make it hunt the player
+     */
+    prepareWaveEnemy(enemy) {
+        enemy.scaleHealth(1 + this.healthScalePerWave * (this.wave - 1));
+        enemy.startHunting();
+        this.waveEnemies.push(enemy);
+    }
+
+    /**
+     * Count an enemy spawned mid-round (e.g. boss adds) toward the round
+     */
+    trackEnemy(enemy) {
+        if (this.state !== 'active') return;
+        this.waveEnemies.push(enemy);
+    }
+
+    /**
+     * Find a free spot around the player that the camera can't see (null if none found)
+     */
+    findSpawnPosition() {
+        const center = this.enemyManager.player.position;
+        const gameWorld = this.enemyManager.gameWorld;
+
+        for (let attempt = 0; attempt < this.spawnAttempts; attempt++) {
+            const angle = gameRandom.range(0, Math.PI * 2);
+            const distance = gameRandom.range(this.minSpawnDistance, this.maxSpawnDistance);
+            const position = new THREE.Vector3(
+                center.x + Math.cos(angle) * distance,
+                0,
+                center.z + Math.sin(angle) * distance
+            );
+
+            if (Math.abs(position.x) > this.arenaLimit || Math.abs(position.z) > this.arenaLimit) continue;
+            if (gameWorld && gameWorld.checkCollision(position, 0.6)) continue;
+            if (this.isOnScreen(position)) continue;
+
+            return position;
+        }
+
+        return null;
+    }
+
+    /**
+     * Spot at the far spawn distance toward the arena center (bosses can't wait for a free spot)
+     */
+    getFallbackSpawnPosition() {
+        const center = this.enemyManager.player.position;
+        const toOrigin = new THREE.Vector3(-center.x, 0, -center.z);
+        if (toOrigin.lengthSq() < 0.0001) toOrigin.set(0, 0, 1);
+
+        return toOrigin.normalize().multiplyScalar(this.maxSpawnDistance).add(new THREE.Vector3(center.x, 0, center.z));
+    }
+
+    /**
+     * Check if a point is inside the camera view
+     */
+    isOnScreen(position) {
+        if (!this.camera) return false;
+
+        this.camera.updateMatrixWorld();
+        const viewProjection = new THREE.Matrix4().multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse);
+        const frustum = new THREE.Frustum().setFromProjectionMatrix(viewProjection);
+
+        return frustum.intersectsSphere(new THREE.Sphere(new THREE.Vector3(position.x, 1, position.z), this.offscreenMargin));
+    }
+
+    /**
+     * Enemies of the current round still alive or waiting to spawn (the boss included)
+     */
+    getRemainingEnemyCount() {
+        const pending = this.pendingSpawns.length + (this.pendingBoss ? 1 : 0);
+        return pending + this.waveEnemies.filter(enemy => !enemy.isDead).length;
+    }
+
+    /**
+     * Check if the director is between rounds (the shop is open)
+     */
+    isIntermission() {
+        return this.state === 'intermission';
+    }
+
+    /**
+     * Start over from round 1 (new run)
+     */
+    reset() {
+        this.wave = 0;
+        this.state = 'intermission';
+        this.intermissionTimer = this.firstWaveDelay;
+        this.pendingSpawns = [];
+        this.pendingBoss = false;
+        this.waveEnemies = [];
+
+        if (this.waveBanner) {
+            this.waveBanner.hide();
+        }
+    }
+
+    /**
+     * Set camera reference (spawns stay off-screen)
+     */
+    setCamera(camera) {
+        this.camera = camera;
+    }
+
+    /**
+     * Set XP system reference (player level raises the budget)
+     */
+    setXPSystem(xpSystem) {
+        this.xpSystem = xpSystem;
+    }
+
+    /**
+     * Set the round banner view
+     */
+    setWaveBanner(waveBanner) {
+        this.waveBanner = waveBanner;
+    }
+
+    /**
+     * Set the boss round hook - called with (wave, position), returns the boss enemy (or enemies)
+     */
+    setBossWaveHandler(handler) {
+        this.bossWaveHandler = handler;
+    }
+
+    /**
+     * Set a callback for round start - called with (wave, isBossWave)
+     */
+    setOnWaveStart(callback) {
+        this.onWaveStart = callback;
+    }
+
+    /**
+     * Set a callback for round clear - called with (wave)
+     */
+    setOnWaveCleared(callback) {
+        this.onWaveCleared = callback;
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * XPBar - Level and experience bar shown in the UI overlay
+ * XPSystem drives it through setXPBar; headless simulations run without one.
+ */
+class XPBar {
+    constructor() {
+        this.container = null;
+        this.fill = null;
+        this.xpText = null;
+        this.levelText = null;
+
+        this.initializeUI();
+    }
+
+    /**
+     * Initialize XP bar UI elements
+     */
+    initializeUI() {
+        // Create XP bar container
+        this.container = document.createElement('div');
+        this.container.id = 'xp-bar-container';
+        this.container.innerHTML = `
+            <div id="xp-level-text">LV 1</div>
+            <div id="xp-bar">
+                <div id="xp-bar-fill"></div>
+            </div>
+            <div id="xp-text">0 / 15 XP</div>
+        `;
+
+        // Add to UI overlay
+        const uiOverlay = document.getElementById('ui-overlay');
+        if (uiOverlay) {
+            uiOverlay.appendChild(this.container);
+        }
+
+        // Get references to UI elements
+        this.fill = this.container.querySelector('#xp-bar-fill');
+        this.xpText = this.container.querySelector('#xp-text');
+        this.levelText = this.container.querySelector('#xp-level-text');
+    }
+
+    /**
+     * Show level, progress (0-1) and XP into the current level
+     */
+    update(level, progress, xpInLevel, xpRequiredForLevel) {
+        // Update bar fill
+        this.fill.style.width = `${progress * 100}%`;
+
+        // Update text
+        this.xpText.textContent = `${xpInLevel} / ${xpRequiredForLevel} XP`;
+        this.levelText.textContent = `LV ${level}`;
+    }
+
+    /**
+     * Show level up visual effect
+     */
+    playLevelUpEffect() {
+        // Add glow effect to level text
+        this.levelText.style.animation = 'levelUpGlow 1s ease-out';
+        setTimeout(() => {
+            this.levelText.style.animation = '';
+        }, 1000);
+
+        // Add scale effect to XP bar
+        this.container.style.animation = 'levelUpScale 0.5s ease-out';
+        setTimeout(() => {
+            this.container.style.animation = '';
+        }, 500);
+    }
+}
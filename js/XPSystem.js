@@ -9,41 +9,30 @@ class XPSystem {
         this.baseXPRequired = 15; // XP required for level 2
         this.exponentialFactor = 1.5; // Exponential scaling factor
         
-        // UI elements
-        this.xpBarContainer = null;
-        this.xpBarFill = null;
-        this.xpText = null;
-        this.levelText = null;
+        // Skill points - earned on level-up and spent in the skill tree
+        this.skillPoints = 0;
+        this.skillPointsPerLevel = 1;
         
-        this.initializeUI();
+        // XP bar display (none when running headless)
+        this.xpBar = null;
+        
+        // Level-up rewards (the upgrade draft)
+        this.onLevelUpCallback = null;
+    }
+    
+    /**
+     * Set XP bar reference
+     */
+    setXPBar(xpBar) {
+        this.xpBar = xpBar;
         this.updateUI();
     }
     
     /**
-     * Initialize XP bar UI elements
+     * Set the callback run with the new level on every level-up
      */
-    initializeUI() {
-        // Create XP bar container
-        this.xpBarContainer = document.createElement('div');
-        this.xpBarContainer.id = 'xp-bar-container';
-        this.xpBarContainer.innerHTML = `
-            <div id="xp-level-text">LV 1</div>
-            <div id="xp-bar">
-                <div id="xp-bar-fill"></div>
-            </div>
-            <div id="xp-text">0 / 15 XP</div>
-        `;
-        
-        // Add to UI overlay
-        const uiOverlay = document.getElementById('ui-overlay');
-        if (uiOverlay) {
-            uiOverlay.appendChild(this.xpBarContainer);
-        }
-        
-        // Get references to UI elements
-        this.xpBarFill = document.getElementById('xp-bar-fill');
-        this.xpText = document.getElementById('xp-text');
-        this.levelText = document.getElementById('xp-level-text');
+    setOnLevelUp(callback) {
+        this.onLevelUpCallback = callback;
     }
     
     /**
@@ -125,31 +114,30 @@ class XPSystem {
      * Called when player levels up
      */
     onLevelUp(newLevel) {
-        // Add level up visual effects here
+        this.skillPoints += this.skillPointsPerLevel;
         this.showLevelUpEffect();
-        
-        // Could add level up bonuses, unlock new abilities, etc.
         console.log(`Congratulations! You reached level ${newLevel}!`);
+        
+        if (this.onLevelUpCallback) {
+            this.onLevelUpCallback(newLevel);
+        }
+    }
+    
+    /**
+     * Spend skill points (false if there aren't enough)
+     */
+    spendSkillPoints(amount) {
+        if (amount > this.skillPoints) return false;
+        this.skillPoints -= amount;
+        return true;
     }
     
     /**
      * Show level up visual effect
      */
     showLevelUpEffect() {
-        // Add glow effect to level text
-        if (this.levelText) {
-            this.levelText.style.animation = 'levelUpGlow 1s ease-out';
-            setTimeout(() => {
-                this.levelText.style.animation = '';
-            }, 1000);
-        }
-        
-        // Add scale effect to XP bar
-        if (this.xpBarContainer) {
-            this.xpBarContainer.style.animation = 'levelUpScale 0.5s ease-out';
-            setTimeout(() => {
-                this.xpBarContainer.style.animation = '';
-            }, 500);
+        if (this.xpBar) {
+            this.xpBar.playLevelUpEffect();
         }
     }
     
@@ -157,18 +145,14 @@ class XPSystem {
      * Update XP bar UI
      */
     updateUI() {
-        if (!this.xpBarFill || !this.xpText || !this.levelText) return;
+        if (!this.xpBar) return;
         
-        const progress = this.getCurrentLevelProgress();
-        const xpInLevel = this.getXPInCurrentLevel();
-        const xpRequiredForLevel = this.getXPRequiredForCurrentLevel();
-        
-        // Update bar fill
-        this.xpBarFill.style.width = `${progress * 100}%`;
-        
-        // Update text
-        this.xpText.textContent = `${xpInLevel} / ${xpRequiredForLevel} XP`;
-        this.levelText.textContent = `LV ${this.currentLevel}`;
+        this.xpBar.update(
+            this.currentLevel,
+            this.getCurrentLevelProgress(),
+            this.getXPInCurrentLevel(),
+            this.getXPRequiredForCurrentLevel()
+        );
     }
     
     /**
@@ -180,6 +164,40 @@ class XPSystem {
         return leveledUp;
     }
     
+    /**
+     * Reset XP and level (used when starting a new run)
+     */
+    reset() {
+        this.currentXP = 0;
+        this.currentLevel = 1;
+        this.skillPoints = 0;
+        this.updateUI();
+    }
+    
+    /**
+     * XP and unspent skill points as plain data
+     */
+    serialize() {
+        return {
+            xp: this.currentXP,
+            skillPoints: this.skillPoints
+        };
+    }
+    
+    /**
+     * Restore serialize() data without replaying level-ups (the level follows from the XP)
+     */
+    deserialize(data) {
+        this.currentXP = Math.max(0, Math.floor(data.xp) || 0);
+        this.skillPoints = Math.max(0, Math.floor(data.skillPoints) || 0);
+        
+        this.currentLevel = 1;
+        while (this.currentXP >= this.getTotalXPForLevel(this.currentLevel + 1)) {
+            this.currentLevel++;
+        }
+        this.updateUI();
+    }
+    
     /**
      * Get current stats for debugging
      */
@@ -187,6 +205,7 @@ class XPSystem {
         return {
             level: this.currentLevel,
             xp: this.currentXP,
+            skillPoints: this.skillPoints,
             xpInLevel: this.getXPInCurrentLevel(),
             xpRequired: this.getXPRequiredForCurrentLevel(),
             progress: this.getCurrentLevelProgress(),
@@ -18,6 +18,7 @@ class CatQuestGame {
         this.playerShadow = null;
         this.skydome = null;
         this.enemyManager = null;
+        this.waveDirector = null; // Rounds of enemies
         this.combatSystem = null;
         this.impactEffectManager = null;
         this.dustParticleSystem = null;
@@ -25,14 +26,53 @@ class CatQuestGame {
         this.crystalManager = null;
         this.collectionEffectManager = null;
         this.xpSystem = null;
-        
-        // Game loop
+        this.upgradeSystem = null; // Level-up upgrade drafts
+        this.skillTree = null; // Unlocked skills and the hotbar
+        this.inventory = null; // Bag and equipped items
+        this.itemPickupManager = null; // Items dropped by enemies
+        this.gameOverScreen = null;
+        this.killFeed = null;
+        this.playerSpriteSheets = null; // Shared with remote players
+        this.networkClient = null; // Multiplayer session (null when playing solo)
+        this.remotePlayerManager = null;
+        this.enemySync = null; // Host-authoritative enemies in multiplayer
+        
+        // Run tracking
+        this.timeSurvived = 0; // Seconds alive in the current life
+        this.deathScreenDelay = 1.5; // Seconds to show the death pose before the game over screen
+        this.respawnSafeDistance = 12; // Minimum distance from enemies when picking a respawn point
+        
+        // Game loop - the simulation runs in fixed steps, rendering interpolates between them
         this.clock = new THREE.Clock();
         this.isRunning = false;
+        this.fixedTimeStep = 1 / 60; // 60 Hz simulation
+        this.accumulator = 0; // Unsimulated time carried between frames
+        this.maxFrameTime = 0.25; // Clamp long frames (tab switches) so we don't try to catch up
+        this.maxStepsPerFrame = 8;
+        this.simulationSteps = 0; // Total steps simulated
+        this.interpolatedObjects = []; // Objects moved to their interpolated position for the current render
+        
+        // Delayed game logic (run on simulation time instead of setTimeout)
+        this.timers = new TimerManager();
         
         // Hit-stop system
-        this.freezeTime = 0; // Time remaining in freeze (seconds)
-        this.freezeDuration = 0; // Total freeze duration
+        this.freezeSteps = 0; // Simulation steps left in the freeze
+        
+        // Slow motion (perfect dodge) - scales how much real time the simulation consumes
+        this.timeScale = 1;
+        this.slowMotionTimer = 0; // Real seconds of slow motion left
+        
+        // Paused while a menu is open - level-up draft, skill tree, inventory, shop, profile (solo only)
+        this.isPaused = false;
+        this.pauseReasons = new Set();
+        
+        // Fire bolt aiming - cursor over the canvas in normalized device coordinates (null when outside)
+        this.aimPointer = null;
+        this.aimRaycaster = new THREE.Raycaster();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        
+        // Seed the simulation RNG (pass ?seed= to replay a run)
+        this.seedRandom();
         
         // Initialize the game
         this.init();
@@ -52,11 +92,24 @@ class CatQuestGame {
         await this.createEffects();
         await this.createEnemies();
         this.createUI();
+        this.createNetworking();
         
         // Start the game loop
         this.start();
     }
     
+    /**
+     * Seed the shared simulation RNG from the URL or the current time
+     */
+    seedRandom() {
+        const seedParam = new URLSearchParams(window.location.search).get('seed');
+        const seed = seedParam !== null && !isNaN(parseInt(seedParam, 10)) ?
+            parseInt(seedParam, 10) : Date.now();
+        
+        gameRandom.setSeed(seed);
+        console.log(`Simulation seed: ${gameRandom.getSeed()}`);
+    }
+    
     /**
      * Create the Three.js renderer
      */
@@ -81,6 +134,28 @@ class CatQuestGame {
         window.addEventListener('resize', () => {
             this.onWindowResize();
         });
+        
+        // Track the cursor for fire bolt aiming
+        canvas.addEventListener('mousemove', (event) => {
+            const rect = canvas.getBoundingClientRect();
+            this.aimPointer = new THREE.Vector2(
+                ((event.clientX - rect.left) / rect.width) * 2 - 1,
+                -((event.clientY - rect.top) / rect.height) * 2 + 1
+            );
+        });
+        canvas.addEventListener('mouseleave', () => {
+            this.aimPointer = null;
+        });
+    }
+    
+    /**
+     * Project the cursor onto the ground (null if the cursor is off the canvas or above the horizon)
+     */
+    getGroundAimPoint() {
+        if (!this.aimPointer || !this.camera) return null;
+        
+        this.aimRaycaster.setFromCamera(this.aimPointer, this.camera);
+        return this.aimRaycaster.ray.intersectPlane(this.groundPlane, new THREE.Vector3());
     }
     
     /**
@@ -175,13 +250,89 @@ class CatQuestGame {
                 const instructions = document.getElementById('controls');
                 if (instructions) {
                     instructions.style.display = instructions.style.display === 'none' ? 'block' : 'none';
+                    this.saveSettings();
                 }
             }
         });
         
+        // Remember the panel once a slider is let go or the checkbox flips
+        ['blur-strength', 'blur-radius', 'blur-threshold', 'mix-strength', 'dof-enabled'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.saveSettings());
+            }
+        });
+        
+        // A save loaded before post-processing was ready only filled in the inputs
+        if (this.saveSystem) {
+            this.applySettings(this.saveSystem.settings);
+        }
+        
         console.log('DOF debug controls initialized. Press H to toggle visibility.');
     }
     
+    /**
+     * Apply saved settings to the instructions and the depth of field panel
+     */
+    applySettings(settings) {
+        const instructions = document.getElementById('controls');
+        if (instructions) {
+            instructions.style.display = settings.showInstructions ? 'block' : 'none';
+        }
+        
+        // The sliders' input handlers update the effect once it exists
+        const dof = settings.depthOfField;
+        const values = {
+            'blur-strength': dof.blurStrength,
+            'blur-radius': dof.blurRadius,
+            'blur-threshold': dof.blurThreshold,
+            'mix-strength': dof.mixStrength
+        };
+        Object.keys(values).forEach(id => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            
+            input.value = values[id];
+            if (this.depthOfField) {
+                input.dispatchEvent(new Event('input'));
+            }
+        });
+        
+        const enabledCheckbox = document.getElementById('dof-enabled');
+        if (enabledCheckbox) {
+            enabledCheckbox.checked = dof.enabled;
+        }
+        if (this.depthOfField) {
+            this.depthOfField.enabled = dof.enabled;
+        }
+    }
+    
+    /**
+     * Store the current instructions and depth of field settings in the save
+     */
+    saveSettings() {
+        if (!this.saveSystem) return;
+        
+        const instructions = document.getElementById('controls');
+        const numberValue = (id, fallback) => {
+            const input = document.getElementById(id);
+            return input ? parseFloat(input.value) : fallback;
+        };
+        const defaults = SaveSystem.DEFAULT_SETTINGS.depthOfField;
+        const enabledCheckbox = document.getElementById('dof-enabled');
+        
+        this.saveSystem.updateSettings({
+            showInstructions: !instructions || instructions.style.display !== 'none',
+            depthOfField: {
+                enabled: enabledCheckbox ? enabledCheckbox.checked : defaults.enabled,
+                blurStrength: numberValue('blur-strength', defaults.blurStrength),
+                blurRadius: numberValue('blur-radius', defaults.blurRadius),
+                blurThreshold: numberValue('blur-threshold', defaults.blurThreshold),
+                mixStrength: numberValue('mix-strength', defaults.mixStrength)
+            }
+        });
+    }
+    
     /**
      * Create the Three.js scene
      */
@@ -211,6 +362,7 @@ class CatQuestGame {
             // Load character sprite sheets
             const spriteLoader = new SpriteSheetLoader();
             const spriteSheets = await spriteLoader.loadCharacterSprites();
+            this.playerSpriteSheets = spriteSheets;
             
             console.log('Loaded sprite sheets:', Object.keys(spriteSheets));
             
@@ -404,6 +556,7 @@ class CatQuestGame {
         
         // Create player controller
         this.playerController = new PlayerController(this.playerSprite, this.cameraController);
+        this.playerController.setGameWorld(this.gameWorld);
         
         // Set dust particle system reference (will be created later)
         setTimeout(() => {
@@ -428,8 +581,8 @@ class CatQuestGame {
         this.lightningStrikeManager = new LightningStrikeManager(this.scene);
         await this.lightningStrikeManager.initialize();
         
-        // Create fireball manager
-        this.fireballManager = new FireballManager(this.scene);
+        // Create fireball manager (boss fireball rings need a bigger pool)
+        this.fireballManager = new FireballManager(this.scene, 30);
         await this.fireballManager.initialize();
         
         // Create explosion manager
@@ -455,8 +608,8 @@ class CatQuestGame {
      * Create enemy system
      */
     async createEnemies() {
-        // Create enemy manager with 30 zombies
-        this.enemyManager = new EnemyManager(this.scene, this.playerSprite, 30);
+        // Create enemy manager - the wave director spawns enemies in rounds
+        this.enemyManager = new EnemyManager(this.scene, this.playerSprite, 0);
         console.log('Enemy system initialized');
         
         // Create telegraph system for attack warnings
@@ -469,10 +622,14 @@ class CatQuestGame {
         this.healthOrbManager = new HealthOrbManager(this.scene);
         await this.healthOrbManager.initialize();
         
+        // Create item pickups for enemy item drops (the inventory is set once the UI exists)
+        this.itemPickupManager = new ItemPickupManager(this.scene);
+        
         // Set camera reference for crystal billboarding
         if (this.camera) {
             this.crystalManager.setCamera(this.camera);
             this.healthOrbManager.setCamera(this.camera);
+            this.itemPickupManager.setCamera(this.camera);
         }
         
         // Set camera reference for fireball billboarding
@@ -489,6 +646,7 @@ class CatQuestGame {
         if (this.collectionEffectManager) {
             this.crystalManager.setCollectionEffectManager(this.collectionEffectManager);
             this.healthOrbManager.setCollectionEffectManager(this.collectionEffectManager);
+            this.itemPickupManager.setCollectionEffectManager(this.collectionEffectManager);
         }
         
         // Set XP system reference for crystal XP gain (after UI is created)
@@ -504,6 +662,7 @@ class CatQuestGame {
         this.combatSystem.setDamageNumberManager(this.damageNumberManager);
         this.combatSystem.setBloodParticleSystem(this.bloodParticleSystem);
         this.combatSystem.setLightningStrikeManager(this.lightningStrikeManager);
+        this.combatSystem.setFireballManager(this.fireballManager);
         this.playerController.setCombatSystem(this.combatSystem);
         
         // Set fireball manager reference in combat system
@@ -514,6 +673,9 @@ class CatQuestGame {
         
         // Set explosion manager reference for fireball system
         this.fireballManager.setExplosionManager(this.explosionManager);
+        
+        // Completed telegraphs can trigger a perfect dodge
+        this.telegraphManager.setOnTelegraphComplete(telegraph => this.combatSystem.handleTelegraphComplete(telegraph));
 
         // Set combat system and managers on enemy manager
         this.enemyManager.setCombatSystem(this.combatSystem);
@@ -521,6 +683,22 @@ class CatQuestGame {
         this.enemyManager.setFireballManager(this.fireballManager);
         this.enemyManager.setCrystalManager(this.crystalManager);
         this.enemyManager.setHealthOrbManager(this.healthOrbManager);
+        this.enemyManager.setItemPickupManager(this.itemPickupManager);
+        this.enemyManager.setGameWorld(this.gameWorld);
+        this.enemyManager.setPathfinder(new PathfindingManager(this.gameWorld.navigationGrid));
+        
+        // Rounds spawn off-screen
+        this.waveDirector = new WaveDirector(this.enemyManager);
+        this.waveDirector.setCamera(this.camera);
+        
+        // Boss rounds - adds the boss summons count toward the round
+        this.waveDirector.setBossWaveHandler((wave, position) => {
+            const boss = this.enemyManager.spawnBoss(position);
+            if (boss) {
+                boss.setOnSummon(add => this.waveDirector.trackEnemy(add));
+            }
+            return boss;
+        });
         
         // Set health orb manager reference in combat system
         this.healthOrbManager.setCombatSystem(this.combatSystem);
@@ -529,20 +707,38 @@ class CatQuestGame {
         
         // Add keyboard control to spawn more enemies
         document.addEventListener('keydown', (event) => {
+            // No debug spawns or skills while dead or paused
+            if (this.isPaused || (this.combatSystem && this.combatSystem.isDead())) return;
+            
             if (event.code === 'KeyE' && !event.repeat) {
                 // Spawn 5 more enemies when 'E' is pressed
                 this.enemyManager.spawnWave(5);
                 console.log(`Total enemies: ${this.enemyManager.getTotalEnemyCount()}, Living: ${this.enemyManager.getLivingEnemyCount()}`);
             }
             
-            if (event.code === 'KeyQ' && !event.repeat) {
-                // Trigger lightning strike when 'Q' is pressed
-                if (this.combatSystem) {
-                    const success = this.combatSystem.triggerLightningStrike();
-                    if (success) {
-                        console.log('Lightning strike triggered!');
-                    }
-                }
+            if (event.code === 'KeyK' && !event.repeat && this.skillTree) {
+                this.skillTree.openScreen();
+                return;
+            }
+            
+            if (event.code === 'KeyB' && !event.repeat && this.inventory) {
+                this.inventory.openPanel();
+                return;
+            }
+            
+            if (event.code === 'KeyT' && !event.repeat && this.shop) {
+                this.shop.openPanel();
+                return;
+            }
+            
+            if (event.code === 'KeyP' && !event.repeat && this.saveSystem) {
+                this.saveSystem.openScreen();
+                return;
+            }
+            
+            // Skills on the hotbar (attack, dash, lightning, fire bolt, ... on rebindable keys)
+            if (this.skillTree) {
+                this.skillTree.handleKeyDown(event);
             }
         });
     }
@@ -553,7 +749,274 @@ class CatQuestGame {
     createUI() {
         this.skillUI = new SkillUI();
         this.xpSystem = new XPSystem();
-        console.log('Skill UI and XP System initialized');
+        this.xpSystem.setXPBar(new XPBar());
+        
+        // Round banners and counter (player level raises the round budget)
+        this.waveDirector.setWaveBanner(new WaveBanner());
+        this.waveDirector.setXPSystem(this.xpSystem);
+        this.combatSystem.setXPSystem(this.xpSystem); // Chain lightning grows with level
+        
+        // Every level-up drafts an upgrade (the action pauses while choosing)
+        this.upgradeSystem = new UpgradeSystem(this.combatSystem, this.playerController);
+        this.upgradeSystem.setDraftUI(new UpgradeDraftUI());
+        this.upgradeSystem.setOnDraftChange(isOpen => this.onMenuChange('draft', isOpen));
+        
+        // Skill points from levels unlock skills; actives go on the rebindable hotbar
+        this.skillTree = new SkillTree(this.combatSystem, this.playerController, this.xpSystem, this.upgradeSystem.modifiers);
+        this.skillTree.setAimProvider(() => this.getGroundAimPoint()); // Fire bolt aims at the cursor
+        this.skillTree.setSkillUI(this.skillUI);
+        this.skillTree.setScreen(new SkillTreeScreen());
+        this.skillTree.setOnScreenChange(isOpen => this.onMenuChange('skillTree', isOpen));
+        
+        // Items picked up from enemy drops go in the bag; equipped ones add their stats
+        this.inventory = new Inventory(this.combatSystem, this.playerController, this.upgradeSystem.modifiers);
+        this.inventory.setPanel(new InventoryScreen());
+        this.inventory.setOnPanelChange(isOpen => this.onMenuChange('inventory', isOpen));
+        this.itemPickupManager.setInventory(this.inventory);
+        
+        // Crystals pay out XP and currency; the shop opens between rounds (in multiplayer the
+        // host's rounds, which clients follow through the enemy snapshots)
+        this.shop = new Shop(this.combatSystem, this.xpSystem, this.upgradeSystem);
+        this.shop.setCounter(new CrystalCounter());
+        this.shop.setPanel(new ShopScreen());
+        this.shop.setAvailability(() => this.waveDirector.isIntermission());
+        this.shop.setOnPanelChange(isOpen => this.onMenuChange('shop', isOpen));
+        this.crystalManager.setShop(this.shop);
+        this.waveDirector.setOnWaveCleared(() => this.shop.restock());
+        
+        // Profile saved in this browser; P shows lifetime stats and exports/imports the save
+        this.saveSystem = new SaveSystem(this.xpSystem, this.upgradeSystem, this.skillTree, this.inventory, this.shop, this.combatSystem);
+        this.saveSystem.setStorage(this.getLocalStorage());
+        this.saveSystem.setScreen(new ProfileScreen());
+        this.saveSystem.setOnScreenChange(isOpen => this.onMenuChange('profile', isOpen));
+        this.saveSystem.setOnSettingsLoaded(settings => this.applySettings(settings));
+        
+        // Leaving the page saves too (unless a draft is waiting - the last safe save stands)
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveSystem.autosave();
+            }
+        });
+        window.addEventListener('pagehide', () => this.saveSystem.autosave());
+        
+        this.xpSystem.setOnLevelUp(level => {
+            this.upgradeSystem.onLevelUp(level);
+            this.skillTree.refresh(); // New skill point
+        });
+        this.enemyManager.setBossHealthBar(new BossHealthBar());
+        
+        // Hearts and hit overlay
+        this.combatSystem.setHealthUI(new HealthUI());
+        
+        // Game over screen with respawn options
+        this.gameOverScreen = new GameOverScreen();
+        this.gameOverScreen.setOnRespawn(() => this.respawnPlayer(false));
+        this.gameOverScreen.setOnRestart(() => this.respawnPlayer(true));
+        
+        // Kill feed and kill/death counter
+        this.killFeed = new KillFeed();
+        this.combatSystem.setKillFeed(this.killFeed);
+        
+        // Hit streak counter
+        this.combatSystem.setComboCounter(new ComboCounter());
+        
+        // Continue the saved character once everything it restores into exists
+        this.saveSystem.load();
+        
+        console.log('Skill UI, XP System, Game Over screen, Kill Feed and Combo Counter initialized');
+    }
+    
+    /**
+     * localStorage, or null where the browser blocks it (progress then isn't saved)
+     */
+    getLocalStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.warn('localStorage is unavailable - progress will not be saved:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Connect to a multiplayer session if a relay server is given in the URL
+     * e.g. index.html?server=ws://localhost:8080&room=test
+     */
+    createNetworking() {
+        const params = new URLSearchParams(window.location.search);
+        const serverUrl = params.get('server');
+        if (!serverUrl) return; // Solo play
+
+        if (!this.playerSpriteSheets) {
+            console.warn('Multiplayer disabled - player sprite sheets failed to load');
+            return;
+        }
+
+        const room = params.get('room') || 'default';
+        const separator = serverUrl.includes('?') ? '&' : '?';
+        const transport = new WebSocketTransport(`${serverUrl}${separator}room=${encodeURIComponent(room)}`);
+
+        this.networkClient = new NetworkClient(transport);
+        this.networkClient.setLocalPlayer(this.playerController, this.playerSprite);
+        this.networkClient.setLocalCombatant(this.combatSystem.localCombatant);
+
+        this.remotePlayerManager = new RemotePlayerManager(this.scene, this.networkClient, this.playerSpriteSheets);
+        this.remotePlayerManager.setCamera(this.camera);
+        this.remotePlayerManager.setLightningStrikeManager(this.lightningStrikeManager);
+        this.remotePlayerManager.setFireballManager(this.fireballManager);
+
+        this.combatSystem.setNetworkClient(this.networkClient);
+        this.combatSystem.setRemotePlayerManager(this.remotePlayerManager);
+        this.combatSystem.pvpEnabled = params.get('pvp') !== '0'; // ?pvp=0 for co-op only
+        
+        // The host simulates enemies, everyone else mirrors them
+        this.enemySync = new EnemySync(this.networkClient, this.enemyManager, this.combatSystem);
+        this.enemySync.setRemotePlayerManager(this.remotePlayerManager);
+        this.enemySync.setFireballManager(this.fireballManager);
+        this.enemySync.setTelegraphManager(this.telegraphManager);
+        this.enemySync.setWaveDirector(this.waveDirector);
+        this.enemySync.setPlayerSprite(this.playerSprite);
+        this.enemyManager.setEnemySync(this.enemySync);
+
+        this.networkClient.connect();
+        console.log(`Connecting to multiplayer room "${room}" at ${serverUrl}`);
+    }
+
+    /**
+     * Called by the combat system when the player dies
+     */
+    onPlayerDeath() {
+        const stats = {
+            kills: this.combatSystem ? this.combatSystem.localCombatant.getTotalKills() : 0,
+            level: this.xpSystem ? this.xpSystem.currentLevel : 1,
+            timeSurvived: this.timeSurvived
+        };
+        
+        console.log('Player died. Run stats:', stats);
+        
+        if (this.saveSystem) {
+            this.saveSystem.recordDeath(this.timeSurvived);
+            this.saveSystem.autosave();
+        }
+        
+        // Let the death pose play before showing the panel
+        this.timers.schedule(this.deathScreenDelay, () => {
+            if (this.gameOverScreen) {
+                this.gameOverScreen.show(stats);
+            }
+        });
+    }
+    
+    /**
+     * Respawn the player, optionally resetting the world for a new run
+     * @param {boolean} newRun - true resets enemies, drops, XP and stats; false preserves them
+     */
+    respawnPlayer(newRun = false) {
+        if (newRun) {
+            // Lifetime totals keep the finished run's kills
+            if (this.saveSystem) {
+                this.saveSystem.endRun();
+            }
+            
+            // Fresh world
+            if (this.telegraphManager) {
+                this.telegraphManager.cancelAll();
+            }
+            if (this.enemyManager) {
+                this.enemyManager.reset();
+            }
+            if (this.waveDirector) {
+                this.waveDirector.reset();
+            }
+            if (this.crystalManager) {
+                this.crystalManager.clearAll();
+            }
+            if (this.healthOrbManager) {
+                this.healthOrbManager.clearAll();
+            }
+            if (this.itemPickupManager) {
+                this.itemPickupManager.clearAll();
+            }
+            if (this.xpSystem) {
+                this.xpSystem.reset();
+            }
+            if (this.upgradeSystem) {
+                this.upgradeSystem.reset();
+            }
+            if (this.skillTree) {
+                this.skillTree.reset();
+            }
+            if (this.inventory) {
+                this.inventory.reset();
+            }
+            if (this.shop) {
+                this.shop.reset();
+            }
+            if (this.combatSystem) {
+                this.combatSystem.resetRunStats();
+            }
+            
+            this.playerController.setPosition(0, 0.7, 0);
+        } else {
+            // Same world - move to a point away from enemies
+            const safePoint = this.findSafeRespawnPoint();
+            this.playerController.setPosition(safePoint.x, 0.7, safePoint.z);
+        }
+        
+        this.timeSurvived = 0;
+        
+        if (this.combatSystem) {
+            this.combatSystem.respawnPlayer();
+        }
+        
+        if (this.saveSystem) {
+            this.saveSystem.autosave();
+        }
+        
+        console.log(newRun ? 'New run started' : 'Player respawned in current world');
+    }
+    
+    /**
+     * Find a respawn point away from living enemies
+     */
+    findSafeRespawnPoint() {
+        const deathPosition = this.playerController.getPosition().clone();
+        
+        // Candidates: where the player died, the arena center, then rings around the death point
+        const candidates = [deathPosition, new THREE.Vector3(0, 0, 0)];
+        [10, 20, 30].forEach(radius => {
+            for (let i = 0; i < 8; i++) {
+                const angle = (i / 8) * Math.PI * 2;
+                candidates.push(new THREE.Vector3(
+                    deathPosition.x + Math.cos(angle) * radius,
+                    0,
+                    deathPosition.z + Math.sin(angle) * radius
+                ));
+            }
+        });
+        
+        if (!this.enemyManager) return candidates[0];
+        
+        let bestPoint = candidates[0];
+        let bestDistance = -1;
+        
+        for (const candidate of candidates) {
+            const nearest = this.enemyManager.getNearestEnemy(candidate);
+            const distance = nearest ? nearest.position.distanceTo(candidate) : Infinity;
+            
+            // First candidate that is safe enough wins
+            if (distance >= this.respawnSafeDistance) {
+                return candidate;
+            }
+            
+            // Otherwise remember the least crowded spot
+            if (distance > bestDistance) {
+                bestDistance = distance;
+                bestPoint = candidate;
+            }
+        }
+        
+        return bestPoint;
     }
     
     /**
@@ -579,31 +1042,150 @@ class CatQuestGame {
         
         requestAnimationFrame(() => this.gameLoop());
         
-        const deltaTime = this.clock.getDelta();
+        const frameTime = Math.min(this.clock.getDelta(), this.maxFrameTime);
+        this.accumulator += frameTime * this.updateTimeScale(frameTime);
+        
+        // Run as many fixed simulation steps as the elapsed time covers
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerFrame) {
+            this.step();
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
         
-        // Update game systems
-        this.update(deltaTime);
+        // Still behind after the step limit - drop the backlog instead of spiralling
+        if (steps >= this.maxStepsPerFrame) {
+            this.accumulator = 0;
+        }
         
-        // Render the scene
+        // Render between the last two steps
+        const alpha = this.accumulator / this.fixedTimeStep;
+        this.applyInterpolation(alpha);
         this.render();
+        this.restoreSimulatedPositions();
     }
     
     /**
-     * Update all game systems
+     * Advance the simulation by one fixed step
      */
-    update(deltaTime) {
-        // Handle hit-stop/freeze frame
-        if (this.freezeTime > 0) {
-            this.freezeTime -= deltaTime;
-            // Skip all updates during freeze except the freeze timer itself
+    step() {
+        this.storePreviousPositions();
+        if (this.isPaused) return;
+        
+        this.simulationSteps++;
+        
+        // Hit-stop/freeze frame - consume the step without simulating
+        if (this.freezeSteps > 0) {
+            this.freezeSteps--;
             return;
         }
         
+        this.update(this.fixedTimeStep);
+    }
+    
+    /**
+     * Objects whose rendered position is interpolated between steps
+     */
+    getInterpolatedObjects() {
+        const objects = [];
+        
+        if (this.playerSprite) objects.push(this.playerSprite);
+        if (this.playerShadow) objects.push(this.playerShadow);
+        if (this.camera) objects.push(this.camera);
+        
+        if (this.enemyManager) {
+            objects.push(...this.enemyManager.enemies);
+        }
+        
+        if (this.remotePlayerManager) {
+            this.remotePlayerManager.getRemotePlayers().forEach(remotePlayer => {
+                objects.push(remotePlayer.sprite);
+            });
+        }
+        
+        return objects;
+    }
+    
+    /**
+     * Remember positions before a step so rendering can blend from them
+     */
+    storePreviousPositions() {
+        this.getInterpolatedObjects().forEach(object => {
+            if (!object.userData.previousPosition) {
+                object.userData.previousPosition = new THREE.Vector3();
+            }
+            object.userData.previousPosition.copy(object.position);
+        });
+    }
+    
+    /**
+     * Move objects to their interpolated position for rendering
+     * @param {number} alpha - Fraction of a step since the last simulated step (0-1)
+     */
+    applyInterpolation(alpha) {
+        this.interpolatedObjects = this.getInterpolatedObjects().filter(object => {
+            return object.userData.previousPosition; // Spawned since the last step - nothing to blend from
+        });
+        
+        this.interpolatedObjects.forEach(object => {
+            if (!object.userData.simulatedPosition) {
+                object.userData.simulatedPosition = new THREE.Vector3();
+            }
+            object.userData.simulatedPosition.copy(object.position);
+            object.position.lerpVectors(object.userData.previousPosition, object.userData.simulatedPosition, alpha);
+        });
+    }
+    
+    /**
+     * Put objects back at their simulated position after rendering
+     */
+    restoreSimulatedPositions() {
+        this.interpolatedObjects.forEach(object => {
+            object.position.copy(object.userData.simulatedPosition);
+        });
+        this.interpolatedObjects = [];
+    }
+    
+    /**
+     * Update all game systems (one fixed simulation step)
+     */
+    update(deltaTime) {
+        // Delayed game logic
+        this.timers.update(deltaTime);
+        
+        // Track time survived for the game over screen
+        if (this.combatSystem && !this.combatSystem.isDead()) {
+            this.timeSurvived += deltaTime;
+        }
+        
+        // Shop buffs wearing off
+        if (this.shop) {
+            this.shop.update(deltaTime);
+        }
+        
+        // Play time and the periodic autosave
+        if (this.saveSystem) {
+            this.saveSystem.update(deltaTime);
+        }
+        
         // Update player
         if (this.playerController) {
             this.playerController.update(deltaTime);
         }
         
+        // Update multiplayer (send local state, interpolate remote players)
+        if (this.networkClient) {
+            this.networkClient.update(deltaTime);
+        }
+        
+        if (this.remotePlayerManager) {
+            this.remotePlayerManager.update(deltaTime);
+        }
+        
+        if (this.enemySync) {
+            this.enemySync.update(deltaTime);
+        }
+        
         // Update camera
         if (this.cameraController) {
             this.cameraController.update(deltaTime);
@@ -625,24 +1207,20 @@ class CatQuestGame {
             }
         }
         
+        // Run rounds (paused while the player is dead)
+        if (this.waveDirector && this.combatSystem && !this.combatSystem.isDead()) {
+            this.waveDirector.update(deltaTime);
+        }
+        
         // Update combat system
         if (this.combatSystem) {
             this.combatSystem.update(deltaTime);
         }
         
-        // Update skill UI
-        if (this.skillUI && this.combatSystem && this.playerController) {
-            // Get cooldown progress for attack (from combat system)
-            const attackProgress = this.combatSystem.getAttackCooldownProgress();
-            this.skillUI.updateAttackCooldown(attackProgress);
-            
-            // Get cooldown progress for dash (from player controller)
-            const dashProgress = this.getDashCooldownProgress();
-            this.skillUI.updateDashCooldown(dashProgress);
-            
-            // Get cooldown progress for lightning strike (from combat system)
-            const lightningProgress = this.combatSystem.getLightningStrikeCooldownProgress();
-            this.skillUI.updateLightningStrikeCooldown(lightningProgress);
+        // Update hotbar cooldowns and the attack icon's combo pips
+        if (this.skillUI && this.skillTree && this.combatSystem) {
+            this.skillUI.updateCooldowns(skillId => this.skillTree.getCooldownProgress(skillId));
+            this.skillUI.updateAttackCombo(this.combatSystem.getComboStep(), this.combatSystem.comboSteps.length);
         }
         
         // Update impact effects
@@ -695,6 +1273,11 @@ class CatQuestGame {
             this.healthOrbManager.update(deltaTime, this.playerSprite.position);
         }
         
+        // Update item pickups
+        if (this.itemPickupManager && this.playerSprite) {
+            this.itemPickupManager.update(deltaTime, this.playerSprite.position);
+        }
+        
         // Update collection effects
         if (this.collectionEffectManager) {
             this.collectionEffectManager.update(deltaTime);
@@ -806,6 +1389,10 @@ class CatQuestGame {
             this.healthOrbManager.dispose();
         }
         
+        if (this.itemPickupManager) {
+            this.itemPickupManager.clearAll();
+        }
+        
         if (this.skydome) {
             this.skydome.dispose();
         }
@@ -821,28 +1408,69 @@ class CatQuestGame {
     }
     
     /**
-     * Get dash cooldown progress
+     * Pause while a menu is open; closing one is a safe point to save (after a pick, unlock or equip)
      */
-    getDashCooldownProgress() {
-        if (!this.playerController) return 1;
+    onMenuChange(reason, isOpen) {
+        this.setPaused(reason, isOpen);
         
-        // Calculate progress (0 = just used, 1 = ready)
-        const cooldownRemaining = Math.max(0, this.playerController.dashCooldownTimer || 0);
-        const cooldownDuration = this.playerController.dashCooldown || 3.0;
+        if (!isOpen && this.saveSystem) {
+            this.saveSystem.autosave();
+        }
+    }
+    
+    /**
+     * Pause or resume the simulation for a reason (rendering goes on); it runs again once no
+     * reason is left. Multiplayer sessions keep running - the other players and the host's
+     * enemies don't wait
+     * @param {string} reason - What is pausing (e.g. 'draft', 'skillTree')
+     */
+    setPaused(reason, paused) {
+        if (this.networkClient) return;
         
-        if (cooldownRemaining <= 0) {
-            return 1; // Fully ready
+        if (paused) {
+            this.pauseReasons.add(reason);
+        } else {
+            this.pauseReasons.delete(reason);
         }
+        this.isPaused = this.pauseReasons.size > 0;
         
-        return Math.max(0, Math.min(1, 1 - (cooldownRemaining / cooldownDuration)));
+        // Drop held keys and the guard so nothing carries over the pause
+        if (this.combatSystem) {
+            this.combatSystem.endBlock();
+        }
+        if (this.playerController) {
+            this.playerController.setInputEnabled(!this.isPaused && !(this.combatSystem && this.combatSystem.isDead()));
+        }
     }
     
     /**
      * Trigger a hit-stop freeze frame effect
      */
     freezeFrame(duration = 0.05) {
-        this.freezeTime = duration;
-        this.freezeDuration = duration;
+        this.freezeSteps = Math.round(duration / this.fixedTimeStep);
+    }
+    
+    /**
+     * Slow the game down for a short real-time duration
+     * @param {number} timeScale - Simulation speed while slowed (0.3 = 30%)
+     */
+    slowMotion(timeScale, duration) {
+        this.timeScale = timeScale;
+        this.slowMotionTimer = duration;
+    }
+    
+    /**
+     * Count down slow motion and get the time scale for this frame
+     */
+    updateTimeScale(frameTime) {
+        if (this.slowMotionTimer > 0) {
+            this.slowMotionTimer -= frameTime;
+            if (this.slowMotionTimer <= 0) {
+                this.timeScale = 1;
+            }
+        }
+        
+        return this.timeScale;
     }
 }
 
@@ -855,7 +1483,7 @@ window.addEventListener('load', async () => {
     window.catQuestGame = game;
     
     console.log('Cat Quest Movement Prototype loaded!');
-    console.log('Controls: WASD or Arrow Keys to move, SPACEBAR to attack, Q for lightning strike, Mouse drag to rotate camera');
+    console.log('Controls: WASD or Arrow Keys to move, SPACEBAR to attack, Q for lightning strike, K for the skill tree, B for the inventory, Mouse drag to rotate camera');
     } catch (error) {
         console.error('Failed to initialize game:', error);
     }
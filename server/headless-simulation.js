@@ -0,0 +1,449 @@
+/**
+ * HeadlessSimulation - Runs the game simulation in Node without a browser
+ * Loads the browser scripts (bundled three.js plus the simulation classes) into a
+ * sandbox, injects a texture loader that reads sprite sizes straight from the PNG
+ * files, and leaves the DOM views (hearts, XP bar, kill feed) unset.
+ *
+ * No dependencies - used by automated tests and tools:
+ *   const { HeadlessSimulation } = require('./server/headless-simulation');
+ *   const simulation = new HeadlessSimulation({ seed: 1234, enemyCount: 10 });
+ *   await simulation.init();
+ *   simulation.run(5); // Simulate 5 seconds
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const ENEMY_ARCHETYPES = 'assets/sprites/enemies/archetypes.json';
+
+// Browser scripts the simulation needs, in index.html order
+const SIMULATION_SCRIPTS = [
+    'js/three.min.js',
+    'js/SeededRandom.js',
+    'js/TimerManager.js',
+    'js/XPSystem.js',
+    'js/ModifierStack.js',
+    'js/StatusEffects.js',
+    'js/DamageTypes.js',
+    'js/Items.js',
+    'js/Factions.js',
+    'js/ThreatTable.js',
+    'js/BillboardSprite.js',
+    'js/CharacterSprite.js',
+    'js/Crystal.js',
+    'js/HealthOrb.js',
+    'js/ItemPickup.js',
+    'js/EnemyArchetypes.js',
+    'js/Enemy.js',
+    'js/BossEnemy.js',
+    'js/WaveDirector.js',
+    'js/HealthBar.js',
+    'js/Combatant.js',
+    'js/CombatSystem.js',
+    'js/UpgradeSystem.js',
+    'js/SkillTree.js',
+    'js/Inventory.js',
+    'js/Shop.js',
+    'js/SaveSystem.js'
+];
+
+// Classes handed back from the sandbox
+const SIMULATION_CLASSES = [
+    'SeededRandom',
+    'TimerManager',
+    'XPSystem',
+    'ModifierStack',
+    'StatusEffects',
+    'DamageTypes',
+    'Items',
+    'Factions',
+    'ThreatTable',
+    'BillboardSprite',
+    'CharacterSprite',
+    'SpriteSheetLoader',
+    'Crystal',
+    'CrystalManager',
+    'HealthOrb',
+    'HealthOrbManager',
+    'ItemPickup',
+    'ItemPickupManager',
+    'EnemyArchetypeRegistry',
+    'Enemy',
+    'EnemyManager',
+    'BossEnemy',
+    'WaveDirector',
+    'HealthBar',
+    'Combatant',
+    'CombatSystem',
+    'UpgradeSystem',
+    'SkillTree',
+    'Inventory',
+    'Shop',
+    'SaveSystem'
+];
+
+// The game logs a lot - only errors get through unless verbose
+const quietConsole = {
+    log() {},
+    info() {},
+    warn() {},
+    error: (...args) => console.error(...args)
+};
+
+/**
+ * Evaluate the simulation scripts in a fresh sandbox and return its classes
+ * (each call gets its own THREE, classes and gameRandom)
+ */
+function loadSimulationScripts(options = {}) {
+    const sandbox = {
+        console: options.verbose ? console : quietConsole,
+        setTimeout,
+        clearTimeout
+    };
+    const context = vm.createContext(sandbox);
+
+    SIMULATION_SCRIPTS.forEach(script => {
+        const code = fs.readFileSync(path.join(ROOT, script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    });
+
+    // Top-level class and const declarations live in the sandbox's global scope
+    const classes = {
+        THREE: context.THREE,
+        gameRandom: vm.runInContext('gameRandom', context)
+    };
+    SIMULATION_CLASSES.forEach(name => {
+        classes[name] = vm.runInContext(name, context);
+    });
+
+    return classes;
+}
+
+/**
+ * Read the width and height from a PNG header
+ */
+function readPNGSize(file) {
+    const header = Buffer.alloc(24);
+    const fd = fs.openSync(file, 'r');
+    try {
+        fs.readSync(fd, header, 0, 24, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+/**
+ * HeadlessTextureLoader - THREE.TextureLoader stand-in that only knows image sizes
+ * Sprite code derives frame counts from texture.image, which is all the simulation needs.
+ */
+class HeadlessTextureLoader {
+    constructor(THREE, basePath = ROOT) {
+        this.THREE = THREE;
+        this.basePath = basePath;
+    }
+
+    /**
+     * Load a texture (same signature as THREE.TextureLoader.load, calls back synchronously)
+     */
+    load(url, onLoad, onProgress, onError) {
+        let size;
+        try {
+            size = readPNGSize(path.join(this.basePath, url));
+        } catch (error) {
+            if (onError) onError(error);
+            return null;
+        }
+
+        const texture = new this.THREE.Texture();
+        texture.image = size;
+
+        if (onLoad) onLoad(texture);
+        return texture;
+    }
+}
+
+/**
+ * HeadlessPlayerController - Scripted stand-in for PlayerController (no keyboard)
+ */
+class HeadlessPlayerController {
+    constructor(sprite, THREE) {
+        this.sprite = sprite;
+        this.moveSpeed = 3.75; // Matches PlayerController
+        this.moveDirection = new THREE.Vector3();
+        this.lastDirection = new THREE.Vector3(0, 0, 1);
+        this.inputEnabled = true;
+        this.combatSystem = null;
+    }
+
+    /**
+     * Set the direction to walk in (zero to stand still)
+     */
+    setMoveDirection(x, z) {
+        this.moveDirection.set(x, 0, z);
+        if (this.moveDirection.lengthSq() > 0) {
+            this.moveDirection.normalize();
+            this.lastDirection.copy(this.moveDirection);
+        }
+    }
+
+    /**
+     * Move the player one step
+     */
+    update(deltaTime) {
+        const isMoving = this.inputEnabled && this.moveDirection.lengthSq() > 0;
+
+        if (isMoving) {
+            const speedMultiplier = this.combatSystem ? this.combatSystem.getPlayerSpeedMultiplier() : 1;
+            this.sprite.position.addScaledVector(this.moveDirection, this.moveSpeed * speedMultiplier * deltaTime);
+        }
+
+        if (!this.sprite.isDead && !this.sprite.isCurrentlyAttacking()) {
+            this.sprite.setMovementAnimation(isMoving, this.moveDirection);
+        }
+    }
+
+    /**
+     * Attack in the last movement direction (same rules as PlayerController.triggerAttack)
+     */
+    triggerAttack() {
+        if (!this.inputEnabled) return false;
+        if (this.combatSystem && !this.combatSystem.canAttack()) return false;
+
+        const step = this.combatSystem ? this.combatSystem.getNextComboStep() : null;
+        if (this.sprite.attack(null, step ? step.duration : null)) {
+            if (this.combatSystem) {
+                this.combatSystem.triggerAttack();
+            }
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Get player position
+     */
+    getPosition() {
+        return this.sprite.position;
+    }
+
+    /**
+     * Set player position
+     */
+    setPosition(x, y, z) {
+        this.sprite.position.set(x, y, z);
+    }
+
+    /**
+     * Get last movement direction
+     */
+    getLastDirection() {
+        return this.lastDirection.clone();
+    }
+
+    /**
+     * Enable or disable scripted input
+     */
+    setInputEnabled(enabled) {
+        this.inputEnabled = enabled;
+        if (!enabled) {
+            this.moveDirection.set(0, 0, 0);
+        }
+    }
+
+    /**
+     * No dash in headless play
+     */
+    resetDash() {}
+
+    /**
+     * No dash in headless play (the dash skill never fires)
+     */
+    triggerDash() {
+        return false;
+    }
+
+    /**
+     * No dash in headless play (always ready)
+     */
+    getDashCooldownProgress() {
+        return 1;
+    }
+
+    /**
+     * Set combat system reference
+     */
+    setCombatSystem(combatSystem) {
+        this.combatSystem = combatSystem;
+    }
+}
+
+/**
+ * HeadlessSimulation - Player, enemies, combat, XP and drops stepped at a fixed rate
+ */
+class HeadlessSimulation {
+    constructor(options = {}) {
+        this.seed = options.seed !== undefined ? options.seed : 1;
+        this.enemyCount = options.enemyCount || 0;
+        this.verbose = options.verbose || false;
+
+        // Same fixed step as CatQuestGame
+        this.fixedTimeStep = 1 / 60;
+        this.simulationSteps = 0;
+        this.freezeSteps = 0;
+
+        // Filled in by init
+        this.classes = null;
+        this.THREE = null;
+        this.gameRandom = null;
+        this.textureLoader = null;
+        this.scene = null;
+        this.playerSprite = null;
+        this.playerController = null;
+        this.enemyManager = null;
+        this.combatSystem = null;
+        this.xpSystem = null;
+        this.upgradeSystem = null;
+        this.skillTree = null;
+        this.inventory = null;
+        this.shop = null;
+        this.crystalManager = null;
+        this.healthOrbManager = null;
+        this.itemPickupManager = null;
+    }
+
+    /**
+     * Load the scripts and textures and wire the systems together (mirrors CatQuestGame)
+     */
+    async init() {
+        this.classes = loadSimulationScripts({ verbose: this.verbose });
+        this.THREE = this.classes.THREE;
+        this.gameRandom = this.classes.gameRandom;
+        this.gameRandom.setSeed(this.seed);
+
+        const { CharacterSprite, SpriteSheetLoader, EnemyArchetypeRegistry, EnemyManager, CrystalManager, HealthOrbManager, XPSystem, CombatSystem, UpgradeSystem, SkillTree, Inventory, Shop, ItemPickupManager } = this.classes;
+
+        this.textureLoader = new HeadlessTextureLoader(this.THREE);
+        this.scene = new this.THREE.Scene();
+
+        // Player
+        const spriteSheets = await new SpriteSheetLoader(this.textureLoader).loadCharacterSprites();
+        this.playerSprite = new CharacterSprite(spriteSheets, 3.6, 3.0, 96, 80, 8);
+        this.playerSprite.position.set(0, 0.7, 0);
+        this.playerSprite.setBaseY(0.7);
+        this.scene.add(this.playerSprite);
+        this.playerController = new HeadlessPlayerController(this.playerSprite, this.THREE);
+
+        // Enemies and drops (archetypes read from disk - there's no fetch in the sandbox)
+        const archetypes = new EnemyArchetypeRegistry();
+        archetypes.registerAll(JSON.parse(fs.readFileSync(path.join(ROOT, ENEMY_ARCHETYPES), 'utf8')));
+        this.enemyManager = new EnemyManager(this.scene, this.playerSprite, 0, null, this.textureLoader, archetypes);
+        this.crystalManager = new CrystalManager(this.scene, this.textureLoader);
+        this.healthOrbManager = new HealthOrbManager(this.scene, this.textureLoader);
+        await this.healthOrbManager.initialize();
+        this.itemPickupManager = new ItemPickupManager(this.scene, this.textureLoader);
+
+        this.xpSystem = new XPSystem();
+        this.crystalManager.setXPSystem(this.xpSystem);
+
+        // Combat (this object stands in for the game for hit-stop)
+        this.combatSystem = new CombatSystem(this.playerController, this.enemyManager, null, this);
+        this.combatSystem.setXPSystem(this.xpSystem);
+        this.playerController.setCombatSystem(this.combatSystem);
+        this.enemyManager.setCombatSystem(this.combatSystem);
+        this.enemyManager.setCrystalManager(this.crystalManager);
+        this.enemyManager.setHealthOrbManager(this.healthOrbManager);
+        this.enemyManager.setItemPickupManager(this.itemPickupManager);
+        this.healthOrbManager.setCombatSystem(this.combatSystem);
+
+        // Level-up drafts stay open until a caller picks with upgradeSystem.choose (nothing pauses)
+        this.upgradeSystem = new UpgradeSystem(this.combatSystem, this.playerController);
+        this.xpSystem.setOnLevelUp(level => this.upgradeSystem.onLevelUp(level));
+
+        // Skills are unlocked and used by calling skillTree.unlock/activate (no hotbar keys)
+        this.skillTree = new SkillTree(this.combatSystem, this.playerController, this.xpSystem, this.upgradeSystem.modifiers);
+
+        // Dropped items are picked up by walking over them; equip with inventory.equip(index)
+        this.inventory = new Inventory(this.combatSystem, this.playerController, this.upgradeSystem.modifiers);
+        this.itemPickupManager.setInventory(this.inventory);
+
+        // Crystals pay out XP and currency; buy with shop.buy(id) (there are no rounds, so it's always open)
+        this.shop = new Shop(this.combatSystem, this.xpSystem, this.upgradeSystem);
+        this.crystalManager.setShop(this.shop);
+
+        await this.enemyManager.texturesLoaded;
+        if (this.enemyCount > 0) {
+            this.enemyManager.spawnEnemies(this.enemyCount);
+        }
+
+        return this;
+    }
+
+    /**
+     * Advance the simulation by one fixed step
+     */
+    step() {
+        this.simulationSteps++;
+
+        // Hit-stop consumes steps without simulating, as in CatQuestGame
+        if (this.freezeSteps > 0) {
+            this.freezeSteps--;
+            return;
+        }
+
+        this.update(this.fixedTimeStep);
+    }
+
+    /**
+     * Simulate a number of seconds
+     */
+    run(seconds) {
+        const steps = Math.round(seconds / this.fixedTimeStep);
+        for (let i = 0; i < steps; i++) {
+            this.step();
+        }
+    }
+
+    /**
+     * Update the simulated systems (the gameplay part of CatQuestGame.update)
+     */
+    update(deltaTime) {
+        this.playerController.update(deltaTime);
+        this.playerSprite.update(deltaTime);
+        this.enemyManager.update(deltaTime, null);
+        this.combatSystem.update(deltaTime);
+        this.crystalManager.update(deltaTime, this.playerSprite.position);
+        this.healthOrbManager.update(deltaTime, this.playerSprite.position);
+        this.itemPickupManager.update(deltaTime, this.playerSprite.position);
+        this.shop.update(deltaTime);
+    }
+
+    /**
+     * Hit-stop requested by combat
+     */
+    freezeFrame(duration = 0.05) {
+        this.freezeSteps = Math.round(duration / this.fixedTimeStep);
+    }
+
+    /**
+     * Slow motion only paces the browser's real-time loop; headless runs step at full speed
+     */
+    slowMotion(timeScale, duration) {}
+
+    /**
+     * Get simulated time in seconds
+     */
+    getSimulationTime() {
+        return this.simulationSteps * this.fixedTimeStep;
+    }
+}
+
+module.exports = {
+    HeadlessSimulation,
+    HeadlessTextureLoader,
+    HeadlessPlayerController,
+    loadSimulationScripts
+};
@@ -0,0 +1,279 @@
+/**
+ * Gameplay tests on the headless simulation: combat, progression, enemy AI, rounds and saves
+ * Run with: node --test server/
+ */
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { HeadlessSimulation } = require('./headless-simulation');
+
+const SEED = 1234;
+
+// Tests tweak and patch the systems, so each one gets its own simulation
+let simulation;
+
+// Objects from the simulation sandbox have its prototypes - copy them before deepEqual
+const plain = value => JSON.parse(JSON.stringify(value));
+
+beforeEach(async () => {
+    simulation = await new HeadlessSimulation({ seed: SEED, enemyCount: 1 }).init();
+});
+
+test('calculateDamage stays within the damage variance', () => {
+    const combat = simulation.combatSystem;
+    combat.criticalChance = 0;
+
+    const min = Math.floor(combat.baseDamage * (1 - combat.damageVariance));
+    const max = Math.ceil(combat.baseDamage * (1 + combat.damageVariance));
+    const seen = new Set();
+    for (let i = 0; i < 500; i++) {
+        const result = combat.calculateDamage();
+        assert.equal(result.isCritical, false);
+        assert.ok(result.damage >= min && result.damage <= max, `${result.damage} outside ${min}-${max}`);
+        seen.add(result.damage);
+    }
+    assert.ok(seen.size > 1, 'damage should vary between hits');
+});
+
+test('calculateDamage applies the critical multiplier on a crit', () => {
+    const combat = simulation.combatSystem;
+    combat.damageVariance = 0;
+
+    combat.criticalChance = 0;
+    const normal = combat.calculateDamage();
+    combat.criticalChance = 1;
+    const critical = combat.calculateDamage();
+
+    assert.equal(normal.damage, combat.baseDamage);
+    assert.equal(critical.isCritical, true);
+    assert.equal(critical.damage, Math.round(combat.baseDamage * combat.criticalMultiplier));
+});
+
+test('getTotalXPForLevel follows the curve', () => {
+    const xp = simulation.xpSystem;
+    assert.equal(xp.getTotalXPForLevel(1), 0);
+    assert.equal(xp.getTotalXPForLevel(2), 15);
+    assert.equal(xp.getTotalXPForLevel(3), 37); // 15 + floor(22.5)
+    assert.equal(xp.getTotalXPForLevel(4), 70); // + floor(33.75)
+    assert.equal(xp.getTotalXPForLevel(5), 120); // + floor(50.625)
+});
+
+test('updateAI goes patrol -> chase -> attack -> search -> return', () => {
+    const enemy = simulation.enemyManager.enemies[0];
+    const player = simulation.playerSprite;
+    const { AIState } = enemy;
+
+    // Detection checks run every detectionInterval - force one per call
+    const think = () => {
+        enemy.detectionTimer = enemy.detectionInterval;
+        enemy.updateAI(0);
+    };
+    // Put the player straight ahead of the patrolling enemy at a distance
+    const placePlayer = (distance) => {
+        const angle = enemy.patrolAngle + Math.PI / 2;
+        player.position.set(
+            enemy.position.x + Math.cos(angle) * distance,
+            player.position.y,
+            enemy.position.z + Math.sin(angle) * distance
+        );
+    };
+
+    enemy.isHunting = false;
+    enemy.attackCooldown = 0;
+    enemy.currentState = AIState.PATROL;
+    enemy.setTarget(player);
+
+    placePlayer(enemy.detectionRange + 1);
+    think();
+    assert.equal(enemy.currentState, AIState.PATROL, 'out of detection range');
+
+    placePlayer(enemy.detectionRange - 1);
+    think();
+    assert.equal(enemy.currentState, AIState.CHASE, 'player entered detection range');
+
+    placePlayer(enemy.attackRange * 0.5);
+    think();
+    assert.equal(enemy.currentState, AIState.ATTACK, 'player inside attack range');
+
+    enemy.currentState = AIState.CHASE;
+    placePlayer(enemy.loseTargetRange + 1);
+    think();
+    assert.equal(enemy.currentState, AIState.SEARCH, 'player past loseTarget range');
+
+    enemy.searchBehavior(enemy.searchDuration);
+    assert.equal(enemy.currentState, AIState.RETURN, 'search ran out');
+});
+
+test('an equipped Storm Amulet raises lightning strike damage', () => {
+    const combat = simulation.combatSystem;
+    const enemy = simulation.enemyManager.enemies[0];
+    const { Items } = simulation.classes;
+    combat.lightningStrikeDamageVariance = 0;
+
+    // Record the damage the strike deals instead of hurting the enemy
+    const hits = [];
+    enemy.takeDamage = amount => {
+        hits.push(amount);
+        return null;
+    };
+    const strike = () => {
+        enemy.position.copy(simulation.playerController.getPosition());
+        combat.lightningStrikeCooldown = 0;
+        assert.equal(combat.triggerLightningStrike(), true);
+    };
+
+    strike();
+    simulation.inventory.addItem(Items.roll('storm_amulet', 'common'));
+    simulation.inventory.equip(simulation.inventory.items.length - 1);
+    strike();
+
+    assert.equal(hits[0], combat.lightningStrikeBaseDamage);
+    assert.equal(hits[1], Math.round(combat.lightningStrikeBaseDamage * (1 + combat.damageTypeBonus.lightning)));
+    assert.ok(hits[1] > hits[0]);
+});
+
+test('SaveSystem.parse rejects old saves without a profile instead of throwing', () => {
+    const { SaveSystem } = simulation.classes;
+
+    ['{"version":1}', '{"version":1,"profile":null}', '{"version":1,"profile":5}'].forEach(text => {
+        const result = SaveSystem.parse(text);
+        assert.equal(result.data, undefined, text);
+        assert.equal(result.isNewer, false, text);
+        assert.match(result.error, /profile/, text);
+    });
+
+    const result = SaveSystem.parse('{"version":1,"profile":{"xp":40,"skillPoints":1}}');
+    assert.equal(result.fromVersion, 1);
+    assert.equal(result.data.version, SaveSystem.VERSION);
+    assert.equal(result.data.profile.rerolls, 0);
+});
+
+test('blocking halves 1-damage hits on average instead of cancelling them', () => {
+    const combat = simulation.combatSystem;
+    const player = combat.localCombatant;
+    combat.startBlock();
+
+    let landed = 0;
+    const hits = 400;
+    for (let i = 0; i < hits; i++) {
+        player.health = player.maxHealth;
+        player.invulnerable = false;
+        if (combat.handlePlayerDamage(1)) {
+            landed++;
+        }
+    }
+
+    assert.ok(landed > hits * 0.35 && landed < hits * 0.65, `${landed} of ${hits} blocked hits landed`);
+});
+
+test('a blocked melee hit skips the hurt animation', () => {
+    const combat = simulation.combatSystem;
+    const enemy = simulation.enemyManager.enemies[0];
+    const player = simulation.playerSprite;
+    combat.startBlock();
+    combat.parryTimer = 0; // Past the parry window
+
+    let hurt = false;
+    player.hurt = () => {
+        hurt = true;
+        return true;
+    };
+    enemy.hitPlayer(player, 2);
+
+    assert.equal(hurt, false);
+    assert.equal(combat.localCombatant.health, combat.localCombatant.maxHealth - 1);
+});
+
+test('a boss round waits for a boss that could not spawn yet', () => {
+    const { WaveDirector } = simulation.classes;
+    const director = new WaveDirector(simulation.enemyManager);
+    director.wave = director.bossWaveInterval - 1;
+    director.getWaveBudget = () => 0; // No regular enemies alongside the boss
+
+    // The hook has nothing to give until the boss textures are in
+    let boss = null;
+    director.setBossWaveHandler(() => boss);
+    director.startWave();
+    director.update(1);
+    assert.equal(director.state, 'active');
+    assert.equal(director.getRemainingEnemyCount(), 1);
+
+    boss = simulation.enemyManager.enemies[0];
+    director.update(1);
+    assert.equal(director.pendingBoss, false);
+    assert.ok(director.waveEnemies.includes(boss));
+    assert.equal(director.state, 'active');
+});
+
+test('upgrades load from their ids and stack counts, not from modifiers in the save', () => {
+    const upgrades = simulation.upgradeSystem;
+    const combat = simulation.combatSystem;
+    const baseDamage = combat.baseDamage;
+
+    upgrades.deserialize([
+        { id: 'sharp_claws', stacks: 1e9, modifiers: [{ stat: 'baseDamage', op: 'add', value: '2' }] },
+        { id: 'no_such_upgrade', stacks: 1 }
+    ]);
+
+    const maxStacks = simulation.classes.UpgradeSystem.UPGRADES.sharp_claws.maxStacks;
+    assert.equal(upgrades.getStacks('sharp_claws'), maxStacks);
+    assert.equal(combat.baseDamage, baseDamage + 2 * maxStacks);
+    assert.deepEqual(plain(upgrades.serialize()), [{ id: 'sharp_claws', stacks: maxStacks }]);
+});
+
+test('SaveSystem migrates version 2 upgrade modifiers to stack counts', () => {
+    const { SaveSystem } = simulation.classes;
+    const claws = { source: 'sharp_claws', modifiers: [{ stat: 'baseDamage', op: 'add', value: 2 }] };
+    const heart = { source: 'extra_heart', modifiers: [] };
+    const save = { version: 2, profile: { xp: 0, skillPoints: 0, rerolls: 0, upgrades: [claws, heart, claws] } };
+
+    const result = SaveSystem.parse(JSON.stringify(save));
+    assert.deepEqual(plain(result.data.profile.upgrades), [{ id: 'sharp_claws', stacks: 2 }, { id: 'extra_heart', stacks: 1 }]);
+});
+
+test('clients follow the host round so the shop only opens and restocks between rounds', () => {
+    const { WaveDirector } = simulation.classes;
+    const shop = simulation.shop;
+    const director = new WaveDirector(simulation.enemyManager);
+    simulation.enemyManager.isAuthority = false;
+    shop.setAvailability(() => director.isIntermission());
+    director.setOnWaveCleared(() => shop.restock());
+
+    // Own update does nothing for clients - the host's snapshots drive the round
+    director.applyNetworkState(1, true);
+    director.update(60);
+    assert.equal(director.wave, 1);
+    assert.equal(shop.isOpen(), false);
+
+    shop.stock.feast = 0;
+    director.applyNetworkState(1, false);
+    assert.equal(shop.isOpen(), true);
+    assert.equal(shop.stock.feast, simulation.classes.Shop.OFFERS.feast.stock);
+
+    // A whole round between two snapshots still restocks
+    shop.stock.feast = 0;
+    director.applyNetworkState(2, true);
+    director.applyNetworkState(3, true);
+    assert.equal(shop.stock.feast, simulation.classes.Shop.OFFERS.feast.stock);
+    assert.equal(shop.isOpen(), false);
+});
+
+test('a remote player\'s kill hands the drops to them instead of spawning them on the host', () => {
+    const enemyManager = simulation.enemyManager;
+    const [enemy] = enemyManager.enemies;
+
+    const localDrops = [];
+    enemyManager.spawnDrops = (...drops) => localDrops.push(drops);
+    const credits = [];
+    enemy.enemySync = {
+        sendKillCredit: (playerId, position, orb, crystals, items) => credits.push({ playerId, crystals, items }),
+        sendEnemyDeath: () => {}
+    };
+
+    enemy.lastAttackerId = 'player-2';
+    enemy.die();
+
+    assert.equal(localDrops.length, 0);
+    assert.equal(credits.length, 1);
+    assert.equal(credits[0].playerId, 'player-2');
+    assert.ok(credits[0].crystals >= enemy.drops.crystals[0]);
+});
@@ -0,0 +1,382 @@
+/**
+ * RelayServer - Minimal WebSocket relay for local multiplayer development
+ * Stands in for the hosted real-time service: every message a client sends is
+ * stamped with its id and forwarded to the other clients in the same room.
+ *
+ * No dependencies - run with: node server/relay-server.js [port]
+ * Clients connect to ws://localhost:8080/?room=<name> (room defaults to "default")
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// WebSocket opcodes
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+const MAX_MESSAGE_SIZE = 64 * 1024; // Game messages are small - reject anything larger
+
+/**
+ * RelayClient - One connected socket and its frame parser
+ */
+class RelayClient {
+    constructor(id, room, socket, onMessage, onClose) {
+        this.id = id;
+        this.room = room;
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.isAlive = true;
+        this.isClosed = false;
+
+        socket.on('data', (chunk) => this.handleData(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * Append incoming bytes and parse as many complete frames as possible
+     */
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (!this.isClosed) {
+            const frame = this.parseFrame();
+            if (!frame) break;
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Parse one frame from the buffer (returns null if incomplete)
+     */
+    parseFrame() {
+        if (this.buffer.length < 2) return null;
+
+        const first = this.buffer[0];
+        const second = this.buffer[1];
+        const fin = (first & 0x80) !== 0;
+        const opcode = first & 0x0F;
+        const masked = (second & 0x80) !== 0;
+        let length = second & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (this.buffer.length < offset + 2) return null;
+            length = this.buffer.readUInt16BE(offset);
+            offset += 2;
+        } else if (length === 127) {
+            if (this.buffer.length < offset + 8) return null;
+            length = Number(this.buffer.readBigUInt64BE(offset));
+            offset += 8;
+        }
+
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+
+        // Client frames must be masked
+        if (!masked) {
+            this.close(1002, 'Unmasked frame');
+            return null;
+        }
+
+        if (this.buffer.length < offset + 4 + length) return null;
+
+        const mask = this.buffer.slice(offset, offset + 4);
+        offset += 4;
+
+        const payload = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            payload[i] = this.buffer[offset + i] ^ mask[i % 4];
+        }
+
+        this.buffer = this.buffer.slice(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * Handle a parsed frame
+     */
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODE_TEXT:
+            case OPCODE_BINARY:
+            case OPCODE_CONTINUATION:
+                this.fragments.push(frame.payload);
+                if (frame.fin) {
+                    const data = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(this, data);
+                }
+                break;
+            case OPCODE_PING:
+                this.sendFrame(OPCODE_PONG, frame.payload);
+                break;
+            case OPCODE_PONG:
+                this.isAlive = true;
+                break;
+            case OPCODE_CLOSE:
+                this.close(1000, '');
+                break;
+            default:
+                this.close(1003, 'Unsupported opcode');
+        }
+    }
+
+    /**
+     * Send a JSON message
+     */
+    send(message) {
+        this.sendFrame(OPCODE_TEXT, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    /**
+     * Send an unmasked server frame
+     */
+    sendFrame(opcode, payload) {
+        if (this.isClosed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode; // FIN + opcode
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Send a ping for the heartbeat
+     */
+    ping() {
+        this.isAlive = false;
+        this.sendFrame(OPCODE_PING, Buffer.alloc(0));
+    }
+
+    /**
+     * Send a close frame and end the socket
+     */
+    close(code = 1000, reason = '') {
+        if (this.isClosed) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODE_CLOSE, payload);
+
+        this.socket.end();
+        this.handleClose();
+    }
+
+    /**
+     * Socket closed - notify the server once
+     */
+    handleClose() {
+        if (this.isClosed) return;
+        this.isClosed = true;
+        this.onClose(this);
+    }
+}
+
+/**
+ * RelayServer - Accepts WebSocket upgrades and relays messages within rooms
+ */
+class RelayServer {
+    constructor(port = 8080) {
+        this.port = port;
+        this.rooms = new Map(); // room name -> Map(id -> RelayClient)
+        this.nextId = 1;
+        this.heartbeatInterval = 30000; // Drop clients that miss a ping for 30 seconds
+        this.heartbeatTimer = null;
+
+        this.server = http.createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain' });
+            response.end('Three Arena relay - connect with a WebSocket\n');
+        });
+
+        this.server.on('upgrade', (request, socket) => this.handleUpgrade(request, socket));
+    }
+
+    /**
+     * Start listening
+     */
+    start() {
+        this.server.listen(this.port, () => {
+            console.log(`Relay server listening on ws://localhost:${this.port}`);
+        });
+
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+    }
+
+    /**
+     * Stop the server and disconnect everyone
+     */
+    stop() {
+        clearInterval(this.heartbeatTimer);
+        this.rooms.forEach(room => room.forEach(client => client.close(1001, 'Server shutting down')));
+        this.server.close();
+    }
+
+    /**
+     * Complete the WebSocket handshake
+     */
+    handleUpgrade(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        socket.setNoDelay(true);
+
+        const url = new URL(request.url, 'http://localhost');
+        const roomName = url.searchParams.get('room') || 'default';
+        const id = `p${this.nextId++}`;
+
+        const client = new RelayClient(
+            id,
+            roomName,
+            socket,
+            (sender, data) => this.handleMessage(sender, data),
+            (closed) => this.removeClient(closed)
+        );
+
+        this.addClient(client);
+    }
+
+    /**
+     * Add a client to its room and announce it
+     */
+    addClient(client) {
+        if (!this.rooms.has(client.room)) {
+            this.rooms.set(client.room, new Map());
+        }
+        const room = this.rooms.get(client.room);
+
+        // Tell the new client who is already here (first id is the longest-connected player)
+        client.send({ type: 'welcome', id: client.id, players: Array.from(room.keys()) });
+        this.broadcast(client.room, { type: 'join', id: client.id }, client.id);
+
+        room.set(client.id, client);
+        console.log(`${client.id} joined room "${client.room}" (${room.size} players)`);
+    }
+
+    /**
+     * Remove a client and announce it
+     */
+    removeClient(client) {
+        const room = this.rooms.get(client.room);
+        if (!room || !room.has(client.id)) return;
+
+        room.delete(client.id);
+        this.broadcast(client.room, { type: 'leave', id: client.id });
+        console.log(`${client.id} left room "${client.room}" (${room.size} players)`);
+
+        if (room.size === 0) {
+            this.rooms.delete(client.room);
+        }
+    }
+
+    /**
+     * Relay a client message to the rest of its room
+     */
+    handleMessage(sender, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return; // Ignore malformed messages
+        }
+
+        if (!message || typeof message.type !== 'string') return;
+
+        // 'hello' only opens the session - the welcome was already sent on connect
+        if (message.type === 'hello') return;
+
+        // Stamp the sender so clients can't spoof each other
+        message.id = sender.id;
+
+        // Directed message to a single player
+        if (message.to) {
+            const room = this.rooms.get(sender.room);
+            const target = room && room.get(message.to);
+            if (target) {
+                target.send(message);
+            }
+            return;
+        }
+
+        this.broadcast(sender.room, message, sender.id);
+    }
+
+    /**
+     * Send a message to everyone in a room except one id
+     */
+    broadcast(roomName, message, exceptId = null) {
+        const room = this.rooms.get(roomName);
+        if (!room) return;
+
+        room.forEach((client, id) => {
+            if (id !== exceptId) {
+                client.send(message);
+            }
+        });
+    }
+
+    /**
+     * Ping all clients and drop the ones that didn't answer the last ping
+     */
+    heartbeat() {
+        this.rooms.forEach(room => {
+            room.forEach(client => {
+                if (!client.isAlive) {
+                    client.close(1001, 'Heartbeat timeout');
+                    return;
+                }
+                client.ping();
+            });
+        });
+    }
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT || process.argv[2] || '8080', 10);
+    const relay = new RelayServer(port);
+    relay.start();
+
+    process.on('SIGINT', () => {
+        relay.stop();
+        process.exit(0);
+    });
+}
+
+module.exports = { RelayServer };